@@ -102,7 +102,286 @@ const sendWelcomeEmail = async (email, name) => {
   }
 }
 
+// Escape values that end up in email HTML
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+
+// Send abandoned cart reminder with a restore link (and an optional coupon code)
+const sendAbandonedCartEmail = async (email, { name, storeName, items = [], total, currency = "INR", restoreUrl, offer }) => {
+  try {
+    const transporter = createTransporter()
+    const store = escapeHtml(storeName || process.env.APP_NAME || "YourStore")
+
+    const itemRows = items
+      .map(
+        (item) => `
+              <tr>
+                <td style="padding: 8px 0; color: #333;">${escapeHtml(item.name)}${item.variantName ? ` (${escapeHtml(item.variantName)})` : ""}</td>
+                <td style="padding: 8px 0; color: #666; text-align: center;">x${item.quantity}</td>
+                <td style="padding: 8px 0; color: #333; text-align: right;">${currency} ${Number(item.total || 0).toFixed(2)}</td>
+              </tr>`,
+      )
+      .join("")
+
+    const offerBlock = offer
+      ? `
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border: 2px dashed #667eea; text-align: center;">
+            <p style="color: #666; margin: 0 0 10px;">${escapeHtml(offer.description)}</p>
+            <span style="font-size: 24px; font-weight: bold; color: #667eea; letter-spacing: 4px;">${escapeHtml(offer.code)}</span>
+            ${offer.expiresAt ? `<p style="color: #999; font-size: 13px; margin: 10px 0 0;">Valid until ${new Date(offer.expiresAt).toLocaleString("en-IN")}</p>` : ""}
+          </div>`
+      : ""
+
+    const mailOptions = {
+      from: `"${storeName || process.env.APP_NAME || "YourStore"}" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: offer ? `You left something in your cart - here is ${offer.description}` : "You left something in your cart",
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px; text-align: center; margin-bottom: 30px;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Your cart is waiting</h1>
+          </div>
+
+          <div style="background: #f8f9fa; padding: 30px; border-radius: 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hi ${escapeHtml(name || "there")},</h2>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              You left these items in your cart at ${store}. They are still available - complete your order before they sell out.
+            </p>
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">${itemRows}
+              <tr>
+                <td colspan="2" style="padding: 12px 0; border-top: 1px solid #ddd; font-weight: bold; color: #333;">Total</td>
+                <td style="padding: 12px 0; border-top: 1px solid #ddd; font-weight: bold; color: #333; text-align: right;">${currency} ${Number(total || 0).toFixed(2)}</td>
+              </tr>
+            </table>
+            ${offerBlock}
+            <div style="margin: 30px 0; text-align: center;">
+              <a href="${escapeHtml(restoreUrl)}"
+                 style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                Complete your order
+              </a>
+            </div>
+          </div>
+
+          <div style="text-align: center; margin-top: 30px; padding: 20px; color: #999; font-size: 12px;">
+            <p>You are receiving this because you opted in to offers from ${store}.</p>
+            <p>© ${new Date().getFullYear()} ${store}. All rights reserved.</p>
+          </div>
+        </div>
+      `,
+    }
+
+    const info = await transporter.sendMail(mailOptions)
+    console.log(`📧 Abandoned cart email sent to ${email}: ${info.messageId}`)
+    return { success: true, messageId: info.messageId }
+  } catch (error) {
+    console.error("❌ Abandoned cart email error:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Send the payment link of an order prepared by the store (draft order)
+const sendPaymentLinkEmail = async (
+  email,
+  { name, storeName, currency = "INR", items = [], total, paymentUrl, expiresAt },
+) => {
+  try {
+    const transporter = createTransporter()
+    const store = escapeHtml(storeName || process.env.APP_NAME || "YourStore")
+    const money = (amount) => `${currency} ${Number(amount || 0).toFixed(2)}`
+
+    const itemRows = items
+      .map(
+        (item) => `
+              <tr>
+                <td style="padding: 8px 0; color: #333;">${escapeHtml(item.name)}${item.variantName ? ` (${escapeHtml(item.variantName)})` : ""}</td>
+                <td style="padding: 8px 0; color: #666; text-align: center;">x${item.quantity}</td>
+                <td style="padding: 8px 0; color: #333; text-align: right;">${money(item.total)}</td>
+              </tr>`,
+      )
+      .join("")
+
+    const mailOptions = {
+      from: `"${storeName || process.env.APP_NAME || "YourStore"}" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: `Complete your order at ${storeName || process.env.APP_NAME || "YourStore"}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px; text-align: center; margin-bottom: 30px;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Your order is ready for payment</h1>
+          </div>
+
+          <div style="background: #f8f9fa; padding: 30px; border-radius: 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hi ${escapeHtml(name || "there")},</h2>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              ${store} has prepared this order for you. Pay online to confirm it.
+            </p>
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">${itemRows}
+              <tr>
+                <td colspan="2" style="padding: 12px 0; border-top: 1px solid #ddd; font-weight: bold; color: #333;">Total</td>
+                <td style="padding: 12px 0; border-top: 1px solid #ddd; font-weight: bold; color: #333; text-align: right;">${money(total)}</td>
+              </tr>
+            </table>
+            <div style="margin: 30px 0; text-align: center;">
+              <a href="${escapeHtml(paymentUrl)}"
+                 style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                Pay now
+              </a>
+            </div>
+            ${expiresAt ? `<p style="color: #999; font-size: 13px; text-align: center;">This link is valid until ${new Date(expiresAt).toLocaleString("en-IN")}</p>` : ""}
+          </div>
+
+          <div style="text-align: center; margin-top: 30px; padding: 20px; color: #999; font-size: 12px;">
+            <p>© ${new Date().getFullYear()} ${store}. All rights reserved.</p>
+          </div>
+        </div>
+      `,
+    }
+
+    const info = await transporter.sendMail(mailOptions)
+    console.log(`📧 Payment link email sent to ${email}: ${info.messageId}`)
+    return { success: true, messageId: info.messageId }
+  } catch (error) {
+    console.error("❌ Payment link email error:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Send the link a customer confirms their email with (guest orders placed with it are linked once confirmed)
+const sendEmailVerificationEmail = async (email, { name, storeName, verifyUrl }) => {
+  try {
+    const transporter = createTransporter()
+    const store = escapeHtml(storeName || process.env.APP_NAME || "YourStore")
+
+    const mailOptions = {
+      from: `"${storeName || process.env.APP_NAME || "YourStore"}" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: `Confirm your email for ${storeName || process.env.APP_NAME || "YourStore"}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px; text-align: center; margin-bottom: 30px;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Confirm your email</h1>
+          </div>
+
+          <div style="background: #f8f9fa; padding: 30px; border-radius: 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hi ${escapeHtml(name || "there")},</h2>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              Thanks for creating an account at ${store}. Confirm your email address to finish setting it up -
+              orders you placed as a guest with this email will then show up in your account.
+            </p>
+            <div style="margin: 30px 0; text-align: center;">
+              <a href="${escapeHtml(verifyUrl)}"
+                 style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                Confirm email
+              </a>
+            </div>
+            <p style="color: #999; font-size: 13px; text-align: center;">This link is valid for 24 hours. If you didn't create an account, you can ignore this email.</p>
+          </div>
+
+          <div style="text-align: center; margin-top: 30px; padding: 20px; color: #999; font-size: 12px;">
+            <p>© ${new Date().getFullYear()} ${store}. All rights reserved.</p>
+          </div>
+        </div>
+      `,
+    }
+
+    const info = await transporter.sendMail(mailOptions)
+    console.log(`📧 Email verification sent to ${email}: ${info.messageId}`)
+    return { success: true, messageId: info.messageId }
+  } catch (error) {
+    console.error("❌ Email verification email error:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Send order confirmation (attachments: e.g. the invoice PDF)
+const sendOrderConfirmationEmail = async (email, { name, storeName, currency = "INR", order, attachments = [] }) => {
+  try {
+    const transporter = createTransporter()
+    const store = escapeHtml(storeName || process.env.APP_NAME || "YourStore")
+    const money = (amount) => `${currency} ${Number(amount || 0).toFixed(2)}`
+
+    const itemRows = order.items
+      .filter((item) => item.quantity > 0)
+      .map(
+        (item) => `
+              <tr>
+                <td style="padding: 8px 0; color: #333;">${escapeHtml(item.name)}${item.variantName ? ` (${escapeHtml(item.variantName)})` : ""}</td>
+                <td style="padding: 8px 0; color: #666; text-align: center;">x${item.quantity}</td>
+                <td style="padding: 8px 0; color: #333; text-align: right;">${money(item.total)}</td>
+              </tr>`,
+      )
+      .join("")
+
+    const summaryRows = [
+      ["Subtotal", order.subtotal],
+      ["Discount", order.discount ? -order.discount : 0],
+      ["Tax", order.taxBreakdown?.inclusive ? 0 : order.tax],
+      ["Shipping", order.shipping],
+      ["COD fee", order.codFee],
+    ]
+      .filter(([label, amount]) => label === "Subtotal" || amount)
+      .map(
+        ([label, amount]) => `
+              <tr>
+                <td colspan="2" style="padding: 4px 0; color: #666;">${label}</td>
+                <td style="padding: 4px 0; color: #666; text-align: right;">${money(amount)}</td>
+              </tr>`,
+      )
+      .join("")
+
+    const mailOptions = {
+      from: `"${storeName || process.env.APP_NAME || "YourStore"}" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: `Order ${order.orderNumber} confirmed`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px; text-align: center; margin-bottom: 30px;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Thank you for your order!</h1>
+          </div>
+
+          <div style="background: #f8f9fa; padding: 30px; border-radius: 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hi ${escapeHtml(name || "there")},</h2>
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+              We have received your order <strong>${escapeHtml(order.orderNumber)}</strong> at ${store}.
+              ${attachments.length > 0 ? "Your invoice is attached to this email." : "We will let you know when it ships."}
+            </p>
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">${itemRows}${summaryRows}
+              <tr>
+                <td colspan="2" style="padding: 12px 0; border-top: 1px solid #ddd; font-weight: bold; color: #333;">Total</td>
+                <td style="padding: 12px 0; border-top: 1px solid #ddd; font-weight: bold; color: #333; text-align: right;">${money(order.total)}</td>
+              </tr>
+            </table>
+            <p style="color: #666; font-size: 14px;">
+              Payment: ${order.paymentMethod === "cod" ? "Cash on delivery" : order.paymentStatus === "paid" ? "Paid online" : "Online"}
+            </p>
+          </div>
+
+          <div style="text-align: center; margin-top: 30px; padding: 20px; color: #999; font-size: 12px;">
+            <p>© ${new Date().getFullYear()} ${store}. All rights reserved.</p>
+          </div>
+        </div>
+      `,
+      attachments,
+    }
+
+    const info = await transporter.sendMail(mailOptions)
+    console.log(`📧 Order confirmation email sent to ${email}: ${info.messageId}`)
+    return { success: true, messageId: info.messageId }
+  } catch (error) {
+    console.error("❌ Order confirmation email error:", error)
+    return { success: false, error: error.message }
+  }
+}
+
 module.exports = {
   sendOTPEmail,
   sendWelcomeEmail,
+  sendAbandonedCartEmail,
+  sendOrderConfirmationEmail,
+  sendPaymentLinkEmail,
+  sendEmailVerificationEmail,
 }
@@ -152,6 +152,13 @@ const sendOrderStatusSMS = async (phone, orderNumber, status, storeName = "Store
   return await sendSMS(phone, message)
 }
 
+const sendAbandonedCartSMS = async (phone, restoreUrl, storeName = "Store", offerCode = null) => {
+  const message = offerCode
+    ? `Your cart at ${storeName} is waiting! Use code ${offerCode} for a discount: ${restoreUrl}`
+    : `Your cart at ${storeName} is waiting! Complete your order: ${restoreUrl}`
+  return await sendSMS(phone, message)
+}
+
 // Test SMS function
 const testSMS = async (phone, testMessage = "Test message from your store") => {
   try {
@@ -259,6 +266,7 @@ module.exports = {
   sendWelcomeSMS,
   sendOrderConfirmationSMS,
   sendOrderStatusSMS,
+  sendAbandonedCartSMS,
   testSMS,
   getSMSStatus,
   validateFast2SMSConfig,
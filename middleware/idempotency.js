@@ -0,0 +1,133 @@
+const crypto = require("crypto")
+
+const IDEMPOTENCY_KEY_HEADER = "Idempotency-Key"
+const MAX_KEY_LENGTH = 255
+// A request still "processing" after this long is assumed to have crashed and may be retried
+const LOCK_TIMEOUT_SECONDS = 120
+
+// JSON with sorted object keys, so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`
+  }
+  return JSON.stringify(value) ?? "null"
+}
+
+const hashRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest("hex")
+
+/**
+ * Duplicate protection for mutation routes. Requests sent with an `Idempotency-Key` header are recorded
+ * per tenant, route and customer: a retry with the same key and body gets the original response replayed,
+ * the same key with a different body gets 409. Only successful responses are kept - after an error the key
+ * is released and the request runs again on a retry. Routes that change state before answering with an error
+ * (e.g. a failed payment verification releases the order's stock) must stay safe to run again.
+ * Must run after the customer authentication middleware. Requests without the header are not affected.
+ * @param {string} scope - route name, e.g. "POST /orders"
+ */
+const idempotency = (scope) => async (req, res, next) => {
+  const key = req.header(IDEMPOTENCY_KEY_HEADER)
+  if (!key) return next()
+
+  try {
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+        code: "INVALID_IDEMPOTENCY_KEY",
+      })
+    }
+
+    const IdempotencyKey = require("../models/tenant/IdempotencyKey")(req.tenantDB)
+    const requestHash = hashRequest(req)
+    const customerId = req.customer?._id || null
+
+    let record
+    try {
+      record = await IdempotencyKey.create({ key, scope, customerId, requestHash })
+    } catch (error) {
+      if (error.code !== 11000) throw error
+
+      const existing = await IdempotencyKey.findOne({ key, scope, customerId })
+      if (!existing) {
+        return res.status(409).json({
+          error: "A request with this Idempotency-Key is being processed, please retry",
+          code: "IDEMPOTENCY_REQUEST_IN_PROGRESS",
+        })
+      }
+
+      if (existing.requestHash !== requestHash) {
+        return res.status(409).json({
+          error: "This Idempotency-Key was already used with a different request",
+          code: "IDEMPOTENCY_KEY_REUSED",
+        })
+      }
+
+      if (existing.status === "completed") {
+        console.log(`🔁 Replaying ${scope} response for Idempotency-Key ${key}`)
+        res.set("Idempotent-Replayed", "true")
+        return res.status(existing.responseStatus).json(existing.responseBody)
+      }
+
+      // Still processing - take the key over only if the first request has been stuck for too long
+      record = await IdempotencyKey.findOneAndUpdate(
+        {
+          _id: existing._id,
+          status: "processing",
+          lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_SECONDS * 1000) },
+        },
+        { $set: { lockedAt: new Date() } },
+        { new: true },
+      )
+      if (!record) {
+        res.set("Retry-After", "5")
+        return res.status(409).json({
+          error: "A request with this Idempotency-Key is being processed, please retry",
+          code: "IDEMPOTENCY_REQUEST_IN_PROGRESS",
+        })
+      }
+    }
+
+    // Store the response before it is sent, so a retry arriving right after it gets the replay
+    const sendJson = res.json.bind(res)
+    res.json = (body) => {
+      const statusCode = res.statusCode
+      const persist =
+        statusCode >= 200 && statusCode < 300
+          ? IdempotencyKey.updateOne(
+              { _id: record._id },
+              {
+                $set: {
+                  status: "completed",
+                  responseStatus: statusCode,
+                  responseBody: JSON.parse(JSON.stringify(body ?? null)),
+                  completedAt: new Date(),
+                },
+              },
+            )
+          : IdempotencyKey.deleteOne({ _id: record._id })
+
+      persist
+        .catch((error) => console.error(`❌ Failed to store ${scope} idempotent response:`, error.message))
+        .finally(() => sendJson(body))
+      return res
+    }
+
+    next()
+  } catch (error) {
+    console.error("❌ Idempotency middleware error:", error)
+    res.status(500).json({
+      error: "Failed to process Idempotency-Key",
+      code: "IDEMPOTENCY_ERROR",
+    })
+  }
+}
+
+module.exports = idempotency
@@ -0,0 +1,162 @@
+module.exports = (tenantDB) => {
+  const mongoose = require("mongoose")
+
+  // How long guest carts are kept after their last change
+  const GUEST_CART_TTL_DAYS = 30
+
+  const cartItemSchema = new mongoose.Schema(
+    {
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        required: true,
+      },
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: [1, "Quantity must be at least 1"],
+      },
+      // Unit price when the item was added / last seen by the customer (to report price changes)
+      priceAtAdd: Number,
+      addedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+    { _id: true },
+  )
+
+  const cartSchema = new mongoose.Schema(
+    {
+      // Identifies guest carts (sent by the storefront in the X-Cart-Token header)
+      token: {
+        type: String,
+        required: true,
+        unique: true,
+      },
+      customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Customer",
+        default: null,
+      },
+      items: [cartItemSchema],
+      couponCode: {
+        type: String,
+        uppercase: true,
+        trim: true,
+      },
+      shippingAddress: {
+        name: String,
+        phone: String,
+        street: String,
+        city: String,
+        state: String,
+        zipCode: String,
+        country: String,
+      },
+      paymentMethod: {
+        type: String,
+        enum: ["online", "cod"],
+        default: "online",
+      },
+      status: {
+        type: String,
+        enum: ["active", "merged", "converted"],
+        default: "active",
+      },
+      // Customer cart this guest cart was merged into
+      mergedInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Cart",
+      },
+      orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+      },
+      // Contact details left by a guest at checkout (used for abandoned cart reminders)
+      contact: {
+        name: String,
+        email: {
+          type: String,
+          lowercase: true,
+          trim: true,
+        },
+        phone: String,
+        marketingConsent: {
+          type: Boolean,
+          default: false,
+        },
+      },
+      // Abandoned cart reminder and its outcome
+      recovery: {
+        // Random token used in the restore cart link
+        token: String,
+        notifiedAt: Date,
+        channels: [String],
+        offerId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Offer",
+        },
+        offerCode: String,
+        // Reason the cart was not reminded (e.g. no marketing consent)
+        skippedReason: String,
+        attempts: {
+          type: Number,
+          default: 0,
+        },
+        lastError: String,
+        clickedAt: Date,
+        recoveredAt: Date,
+        orderId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+        },
+        orderTotal: Number,
+      },
+      lastActivityAt: {
+        type: Date,
+        default: Date.now,
+      },
+      // Guest carts are removed automatically once this date passes
+      expiresAt: Date,
+    },
+    {
+      timestamps: true,
+    },
+  )
+
+  // One active cart per customer
+  cartSchema.index(
+    { customerId: 1 },
+    { unique: true, partialFilterExpression: { status: "active", customerId: { $type: "objectId" } } },
+  )
+  cartSchema.index({ status: 1, lastActivityAt: -1 })
+  cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+  cartSchema.index({ "recovery.token": 1 }, { sparse: true })
+  cartSchema.index({ "recovery.notifiedAt": -1 })
+
+  cartSchema.pre("save", function (next) {
+    this.lastActivityAt = new Date()
+    this.expiresAt = this.customerId ? undefined : new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000)
+    next()
+  })
+
+  // Find a line for the same product and variant
+  cartSchema.methods.findItem = function (productId, variantId = null) {
+    return this.items.find(
+      (item) =>
+        item.productId.toString() === productId.toString() &&
+        String(item.variantId || "") === String(variantId || ""),
+    )
+  }
+
+  cartSchema.virtual("itemCount").get(function () {
+    return this.items.reduce((sum, item) => sum + item.quantity, 0)
+  })
+
+  return tenantDB.models.Cart || tenantDB.model("Cart", cartSchema)
+}
@@ -0,0 +1,40 @@
+module.exports = (tenantDB) => {
+  // Check if model already exists to avoid re-compilation
+  if (tenantDB.models.Counter) {
+    return tenantDB.models.Counter
+  }
+
+  const mongoose = require("mongoose")
+
+  // Sequence counters (order numbers, invoice numbers), one document per series and period, e.g. "order:2026"
+  const counterSchema = new mongoose.Schema(
+    {
+      _id: {
+        type: String,
+        required: true,
+      },
+      seq: {
+        type: Number,
+        default: 0,
+      },
+      // Gap-free series: the order a number was just taken for, cleared once it is stored on the order
+      pendingOrderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
+      pendingNumber: String,
+      pendingSince: Date,
+    },
+    {
+      timestamps: true,
+    },
+  )
+
+  // Atomically take the next number of a series
+  counterSchema.statics.next = async function (name) {
+    const counter = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { upsert: true, new: true })
+    return counter.seq
+  }
+
+  return tenantDB.model("Counter", counterSchema)
+}
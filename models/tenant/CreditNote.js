@@ -0,0 +1,154 @@
+module.exports = (tenantDB) => {
+  const mongoose = require("mongoose")
+
+  // One credited invoice line
+  const creditNoteItemSchema = new mongoose.Schema(
+    {
+      // _id of the line in Order.items
+      orderItemId: mongoose.Schema.Types.ObjectId,
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+      name: String,
+      variantName: String,
+      sku: String,
+      hsnCode: String,
+      // Units taken back (0 for a value-only adjustment such as a goodwill refund)
+      quantity: {
+        type: Number,
+        default: 0,
+      },
+      // Unit price the line was invoiced at
+      price: Number,
+      taxRate: {
+        type: Number,
+        default: 0,
+      },
+      taxableValue: {
+        type: Number,
+        default: 0,
+      },
+      taxAmount: {
+        type: Number,
+        default: 0,
+      },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      // taxableValue + taxAmount
+      total: {
+        type: Number,
+        default: 0,
+      },
+    },
+    { _id: false },
+  )
+
+  // Reduction of an issued invoice: a refund, store credit for a return or items cancelled after invoicing
+  // (see utils/creditNotes.js). Credit notes are never changed once issued.
+  const creditNoteSchema = new mongoose.Schema(
+    {
+      // Own numbering series, e.g. "CN-2026-000007"
+      creditNoteNumber: {
+        type: String,
+        unique: true,
+        required: true,
+      },
+      issuedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+        required: true,
+      },
+      orderNumber: String,
+      // Invoice the credit note reduces
+      invoiceNumber: {
+        type: String,
+        required: true,
+      },
+      invoiceDate: Date,
+      customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Customer",
+      },
+      // What the credit note was issued for
+      type: {
+        type: String,
+        enum: ["refund", "store_credit", "cancellation", "order_edit"],
+        required: true,
+      },
+      refundId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Refund",
+      },
+      returnId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ReturnRequest",
+      },
+      returnNumber: String,
+      // _id of the entry in Order.cancellations (not set when the whole order was cancelled)
+      cancellationId: mongoose.Schema.Types.ObjectId,
+      // _id of the entry in Order.edits (edits that lowered the total)
+      editId: mongoose.Schema.Types.ObjectId,
+      reason: String,
+      currency: {
+        type: String,
+        default: "INR",
+      },
+      supplyType: {
+        type: String,
+        enum: ["intra_state", "inter_state", "none"],
+        default: "none",
+      },
+      placeOfSupply: String,
+      // Snapshot of the buyer
+      customerInfo: {
+        name: String,
+        email: String,
+        phone: String,
+        address: {
+          street: String,
+          city: String,
+          state: String,
+          zipCode: String,
+          country: String,
+        },
+      },
+      items: [creditNoteItemSchema],
+      taxableValue: { type: Number, default: 0 },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      tax: { type: Number, default: 0 },
+      total: {
+        type: Number,
+        required: true,
+      },
+      issuedBy: {
+        type: { type: String },
+        id: String,
+        name: String,
+      },
+    },
+    {
+      timestamps: true,
+    },
+  )
+
+  creditNoteSchema.index({ orderId: 1, issuedAt: 1 })
+  creditNoteSchema.index({ issuedAt: -1 })
+  // At most one credit note per refund, per store credit return, per cancellation and per order edit
+  creditNoteSchema.index({ refundId: 1 }, { unique: true, partialFilterExpression: { type: "refund" } })
+  creditNoteSchema.index({ returnId: 1 }, { unique: true, partialFilterExpression: { type: "store_credit" } })
+  creditNoteSchema.index(
+    { orderId: 1, cancellationId: 1 },
+    { unique: true, partialFilterExpression: { type: "cancellation" } },
+  )
+  creditNoteSchema.index({ orderId: 1, editId: 1 }, { unique: true, partialFilterExpression: { type: "order_edit" } })
+
+  return tenantDB.models.CreditNote || tenantDB.model("CreditNote", creditNoteSchema)
+}
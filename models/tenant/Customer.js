@@ -1,7 +1,11 @@
 const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
+const crypto = require("crypto")
 const AuthUtils = require("../../utils/auth")
 
+// Stored form of a token sent by email (the full hash - it is what the link is checked against)
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
 module.exports = (tenantDB) => {
   // Check if model already exists to prevent re-compilation
   if (tenantDB.models.Customer) {
@@ -129,6 +133,12 @@ module.exports = (tenantDB) => {
         default: 0,
         min: 0,
       },
+      // Balance credited by returns resolved with store credit
+      storeCredit: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
       lastOrderDate: {
         type: Date,
       },
@@ -154,6 +164,23 @@ module.exports = (tenantDB) => {
         type: Boolean,
         default: true,
       },
+      // Created by guest checkout (no password) - becomes a full account on registration
+      isGuest: {
+        type: Boolean,
+        default: false,
+      },
+      // Email of a guest checkout whose email belongs to an account (or was taken by a registration) -
+      // email is unique, so the guest keeps it here until the account owner verifies it
+      guestEmail: {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+      // Guest record whose orders were moved into another account
+      mergedInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Customer",
+      },
       isVerified: {
         type: Boolean,
         default: false,
@@ -185,6 +212,13 @@ module.exports = (tenantDB) => {
       passwordResetExpires: {
         type: Date,
       },
+      // Link sent to confirm the email (guest orders are only linked once it is confirmed)
+      emailVerificationToken: {
+        type: String,
+      },
+      emailVerificationExpires: {
+        type: Date,
+      },
       notes: {
         type: String,
         maxlength: 500,
@@ -201,6 +235,8 @@ module.exports = (tenantDB) => {
   customerSchema.index({ email: 1 })
   customerSchema.index({ phone: 1 })
   customerSchema.index({ isActive: 1 })
+  customerSchema.index({ isGuest: 1 })
+  customerSchema.index({ guestEmail: 1 }, { sparse: true })
   customerSchema.index({ totalSpent: -1 })
   customerSchema.index({ createdAt: -1 })
 
@@ -489,6 +525,24 @@ module.exports = (tenantDB) => {
     })
   }
 
+  // Method to create the token of the email verification link
+  customerSchema.methods.createEmailVerificationToken = function () {
+    const verificationToken = AuthUtils.generateSecureRandom(32)
+
+    this.emailVerificationToken = hashToken(verificationToken)
+    this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+
+    return verificationToken
+  }
+
+  // Static method to find customer by email verification token
+  customerSchema.statics.findByEmailVerificationToken = async function (token) {
+    return await this.findOne({
+      emailVerificationToken: hashToken(String(token)),
+      emailVerificationExpires: { $gt: Date.now() },
+    })
+  }
+
   // Method to update spending and order stats
   customerSchema.methods.updateOrderStats = async function (orderAmount) {
     try {
@@ -512,5 +566,108 @@ module.exports = (tenantDB) => {
     }
   }
 
+  // Find an existing guest customer with the same email or phone. Registered accounts are never matched
+  customerSchema.statics.findGuest = async function ({ email, phone }) {
+    const normalizedEmail = email ? email.toLowerCase() : null
+    const identifiers = [
+      ...(normalizedEmail ? [{ email: normalizedEmail }, { guestEmail: normalizedEmail }] : []),
+      ...(phone ? [{ phone }] : []),
+    ]
+    if (identifiers.length === 0) {
+      return null
+    }
+    const candidates = await this.find({ $or: identifiers, isGuest: true, mergedInto: { $exists: false } })
+
+    // Prefer a guest matching the email
+    return (
+      candidates.find(
+        (candidate) => normalizedEmail && [candidate.email, candidate.guestEmail].includes(normalizedEmail),
+      ) ||
+      candidates[0] ||
+      null
+    )
+  }
+
+  // Find the customer for a guest checkout: an existing guest with the same email or phone, otherwise a new
+  // guest customer. Guest checkouts never go into a registered account - its owner gets them once they have
+  // verified the email or phone (linkGuestOrders)
+  customerSchema.statics.findOrCreateGuest = async function ({ name, email, phone }) {
+    const normalizedEmail = email ? email.toLowerCase() : null
+    const existing = await this.findGuest({ email: normalizedEmail, phone })
+    if (existing) {
+      return existing
+    }
+
+    // The email of a registered account can't be used again (it is unique)
+    const emailTaken = normalizedEmail && (await this.exists({ email: normalizedEmail }))
+    const guest = new this({
+      name: name.trim(),
+      email: normalizedEmail && !emailTaken ? normalizedEmail : undefined,
+      guestEmail: normalizedEmail && emailTaken ? normalizedEmail : undefined,
+      phone: phone || "",
+      isGuest: true,
+      isVerified: false,
+      preferences: {
+        notifications: true,
+        marketing: false,
+        newsletter: false,
+        smsUpdates: !!phone,
+      },
+    })
+    await guest.save()
+    console.log(`👤 Guest customer created: ${guest.email || guest.phone}`)
+    return guest
+  }
+
+  /**
+   * Move orders of guest customers into this account. Only pass an identifier the customer has just proven
+   * to own (email verification link, phone OTP) - anyone can check out as a guest with any email or phone.
+   * @param {object} verified - { email, phone }
+   */
+  customerSchema.methods.linkGuestOrders = async function ({ email, phone } = {}) {
+    const identifiers = [
+      ...(email && this.emailVerified && email === this.email ? [{ email }, { guestEmail: email }] : []),
+      ...(phone && this.phoneVerified && phone === this.phone ? [{ phone }] : []),
+    ]
+    if (identifiers.length === 0) return 0
+
+    const guests = await this.constructor.find({
+      _id: { $ne: this._id },
+      isGuest: true,
+      mergedInto: { $exists: false },
+      $or: identifiers,
+    })
+    if (guests.length === 0) return 0
+
+    const guestIds = guests.map((guest) => guest._id)
+    const Order = require("./Order")(tenantDB)
+    const OfferRedemption = require("./OfferRedemption")(tenantDB)
+
+    const { modifiedCount } = await Order.updateMany(
+      { customerId: { $in: guestIds } },
+      { $set: { customerId: this._id } },
+    )
+    await OfferRedemption.updateMany({ customerId: { $in: guestIds } }, { $set: { customerId: this._id } })
+
+    for (const guest of guests) {
+      this.totalOrders += guest.totalOrders || 0
+      this.totalSpent += guest.totalSpent || 0
+      this.loyaltyPoints += guest.loyaltyPoints || 0
+      if (guest.lastOrderDate && (!this.lastOrderDate || guest.lastOrderDate > this.lastOrderDate)) {
+        this.lastOrderDate = guest.lastOrderDate
+      }
+    }
+    await this.save()
+
+    // Free the guest records' email / phone so they can't be matched again
+    await this.constructor.updateMany(
+      { _id: { $in: guestIds } },
+      { $set: { isActive: false, mergedInto: this._id }, $unset: { email: 1, guestEmail: 1, phone: 1 } },
+    )
+
+    console.log(`🔗 Linked ${modifiedCount} guest orders to customer: ${this.email || this.phone}`)
+    return modifiedCount
+  }
+
   return tenantDB.model("Customer", customerSchema)
 }
@@ -0,0 +1,128 @@
+module.exports = (tenantDB) => {
+  const mongoose = require("mongoose")
+
+  // One line of a draft (priced from the catalog unless staff set a custom unit price)
+  const draftItemSchema = new mongoose.Schema({
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Custom unit price (null = the catalog price when the draft is priced)
+    price: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    // Snapshot for the draft list (the order takes its lines from the catalog when it is created)
+    name: String,
+    variantName: String,
+    sku: String,
+    image: String,
+  })
+
+  const actorSchema = {
+    type: { type: String },
+    id: String,
+    name: String,
+  }
+
+  // Order being prepared by staff (phone / WhatsApp orders) - see utils/draftOrders.js
+  const draftOrderSchema = new mongoose.Schema(
+    {
+      // e.g. "DRAFT-000015"
+      draftNumber: {
+        type: String,
+        unique: true,
+        required: true,
+      },
+      status: {
+        type: String,
+        enum: ["open", "payment_link_sent", "completed", "cancelled"],
+        default: "open",
+      },
+      // Existing customer, or empty for a new customer (created from customerInfo when the order is placed)
+      customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Customer",
+        default: null,
+      },
+      customerInfo: {
+        name: String,
+        email: String,
+        phone: String,
+        address: {
+          street: String,
+          city: String,
+          state: String,
+          zipCode: String,
+          country: String,
+        },
+      },
+      items: [draftItemSchema],
+      couponCode: String,
+      manualDiscount: {
+        type: { type: String, enum: ["percentage", "fixed"] },
+        value: Number,
+        reason: String,
+      },
+      notes: String,
+      giftNote: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+      },
+      // Totals when the draft was last priced (for the list - the order is priced again when it is placed)
+      totals: {
+        subtotal: Number,
+        discount: Number,
+        tax: Number,
+        shipping: Number,
+        codFee: Number,
+        total: Number,
+        pricedAt: Date,
+      },
+      // Link the customer pays the draft with (GET / POST /api/store/:storeId/orders/pay/:token)
+      paymentLink: {
+        token: String,
+        url: String,
+        sentAt: Date,
+        expiresAt: Date,
+        emailSent: Boolean,
+        // Razorpay order created for the link - the payment has to be made against it, for this amount
+        razorpayOrderId: String,
+        amount: Number,
+        currency: String,
+      },
+      // Order created from the draft
+      orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+        default: null,
+      },
+      orderNumber: String,
+      completedAt: Date,
+      cancelledAt: Date,
+      createdBy: actorSchema,
+      updatedBy: actorSchema,
+    },
+    {
+      timestamps: true,
+    },
+  )
+
+  draftOrderSchema.index({ status: 1, createdAt: -1 })
+  draftOrderSchema.index({ customerId: 1 })
+  draftOrderSchema.index({ "paymentLink.token": 1 }, { sparse: true })
+
+  return tenantDB.models.DraftOrder || tenantDB.model("DraftOrder", draftOrderSchema)
+}
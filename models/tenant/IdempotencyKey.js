@@ -0,0 +1,62 @@
+module.exports = (tenantDB) => {
+  // Check if model already exists to avoid re-compilation
+  if (tenantDB.models.IdempotencyKey) {
+    return tenantDB.models.IdempotencyKey
+  }
+
+  const mongoose = require("mongoose")
+
+  // Keys are kept for a day - retries after that are treated as new requests
+  const IDEMPOTENCY_KEY_TTL_HOURS = 24
+
+  // Response of a mutation request sent with an Idempotency-Key header, replayed on retries
+  const idempotencyKeySchema = new mongoose.Schema(
+    {
+      key: {
+        type: String,
+        required: true,
+      },
+      // Route the key was used on, e.g. "POST /orders"
+      scope: {
+        type: String,
+        required: true,
+      },
+      // Customer that sent the request (null for guests)
+      customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Customer",
+        default: null,
+      },
+      // Hash of the request body - a reused key with a different body is rejected
+      requestHash: {
+        type: String,
+        required: true,
+      },
+      status: {
+        type: String,
+        enum: ["processing", "completed"],
+        default: "processing",
+      },
+      // Set while the first request is running, so a crashed request does not block the key forever
+      lockedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      responseStatus: Number,
+      responseBody: mongoose.Schema.Types.Mixed,
+      completedAt: Date,
+      expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000),
+      },
+    },
+    {
+      timestamps: true,
+    },
+  )
+
+  idempotencyKeySchema.index({ key: 1, scope: 1, customerId: 1 }, { unique: true })
+  idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+  return tenantDB.model("IdempotencyKey", idempotencyKeySchema)
+}
@@ -42,6 +42,36 @@ module.exports = (tenantDB) => {
         type: Number,
         default: 0,
       },
+      // Max uses per customer (null means unlimited)
+      perCustomerLimit: {
+        type: Number,
+        default: null,
+      },
+      firstOrderOnly: {
+        type: Boolean,
+        default: false,
+      },
+      // BOGO: buy `buyQuantity` get `getQuantity` at `value`% off (100 = free)
+      buyQuantity: {
+        type: Number,
+        default: 1,
+        min: 1,
+      },
+      getQuantity: {
+        type: Number,
+        default: 1,
+        min: 1,
+      },
+      // Stacking: stackable offers combine with each other, others are applied alone.
+      // Higher priority offers are picked first.
+      stackable: {
+        type: Boolean,
+        default: false,
+      },
+      priority: {
+        type: Number,
+        default: 0,
+      },
       applicableProducts: [
         {
           type: mongoose.Schema.Types.ObjectId,
@@ -81,6 +111,12 @@ module.exports = (tenantDB) => {
   offerSchema.index({ isActive: 1 })
   offerSchema.index({ startDate: 1, endDate: 1 })
   offerSchema.index({ type: 1 })
+  offerSchema.index({ isPublic: 1, isActive: 1, priority: -1 })
+
+  // Public offers without a code are applied automatically at checkout
+  offerSchema.virtual("isAutomatic").get(function () {
+    return this.isPublic && !this.code
+  })
 
   // Virtual to check if offer is currently valid
   offerSchema.virtual("isValid").get(function () {
@@ -94,8 +130,10 @@ module.exports = (tenantDB) => {
   })
 
   // Method to apply offer
-  offerSchema.methods.applyOffer = function (orderValue, productIds = []) {
-    if (!this.isValid) {
+  // lines ({ price, quantity }) are the eligible cart lines - needed for BOGO offers
+  // ignoreValidity re-applies an offer to an order that was placed while it was valid (order changes)
+  offerSchema.methods.applyOffer = function (orderValue, productIds = [], lines = [], { ignoreValidity = false } = {}) {
+    if (!ignoreValidity && !this.isValid) {
       return { success: false, message: "Offer is not valid" }
     }
 
@@ -115,6 +153,23 @@ module.exports = (tenantDB) => {
       case "fixed":
         discount = Math.min(this.value, orderValue)
         break
+      case "bogo": {
+        // Cheapest units in each group of (buy + get) are discounted
+        const unitPrices = lines
+          .flatMap((line) => Array(Math.max(0, line.quantity || 0)).fill(line.price || 0))
+          .sort((a, b) => a - b)
+        const groupSize = this.buyQuantity + this.getQuantity
+        const discountedUnits = Math.floor(unitPrices.length / groupSize) * this.getQuantity
+        if (discountedUnits === 0) {
+          return { success: false, message: `Add ${groupSize} eligible items to use this offer` }
+        }
+        const percentOff = this.value > 0 ? Math.min(this.value, 100) : 100
+        discount = unitPrices.slice(0, discountedUnits).reduce((sum, price) => sum + (price * percentOff) / 100, 0)
+        if (this.maxDiscount && discount > this.maxDiscount) {
+          discount = this.maxDiscount
+        }
+        break
+      }
       case "free_shipping":
         discount = 0 // Handled separately in shipping calculation
         break
@@ -125,6 +180,7 @@ module.exports = (tenantDB) => {
     return {
       success: true,
       discount: discount,
+      freeShipping: this.type === "free_shipping",
       type: this.type,
       title: this.title,
     }
@@ -0,0 +1,43 @@
+module.exports = (tenantDB) => {
+  const mongoose = require("mongoose")
+
+  // One record per offer used on an order (for per-customer limits and reporting)
+  const offerRedemptionSchema = new mongoose.Schema(
+    {
+      offerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Offer",
+        required: true,
+      },
+      customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Customer",
+        default: null,
+      },
+      orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+        required: true,
+      },
+      code: String,
+      discount: {
+        type: Number,
+        default: 0,
+      },
+      status: {
+        type: String,
+        enum: ["active", "released"],
+        default: "active",
+      },
+      releasedAt: Date,
+    },
+    {
+      timestamps: true,
+    },
+  )
+
+  offerRedemptionSchema.index({ offerId: 1, customerId: 1, status: 1 })
+  offerRedemptionSchema.index({ orderId: 1 })
+
+  return tenantDB.models.OfferRedemption || tenantDB.model("OfferRedemption", offerRedemptionSchema)
+}
@@ -1,5 +1,164 @@
 module.exports = (tenantDB) => {
   const mongoose = require("mongoose")
+  // Snapshot of an applied offer (kept even if the offer changes later)
+  const offerSnapshotSchema = new mongoose.Schema(
+    {
+      offerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Offer",
+      },
+      code: String,
+      title: String,
+      type: { type: String },
+      value: Number,
+      maxDiscount: Number,
+      minOrderValue: Number,
+      automatic: { type: Boolean, default: false },
+      freeShipping: { type: Boolean, default: false },
+      eligibleSubtotal: Number,
+      discount: Number,
+      appliedAt: Date,
+    },
+    { _id: false },
+  )
+
+  // One status or payment status change (see utils/orderLifecycle.js)
+  const statusHistorySchema = new mongoose.Schema(
+    {
+      field: {
+        type: String,
+        enum: ["status", "paymentStatus"],
+        required: true,
+      },
+      from: String,
+      to: {
+        type: String,
+        required: true,
+      },
+      actor: {
+        type: { type: String },
+        id: String,
+        name: String,
+      },
+      note: String,
+      at: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+    { _id: false },
+  )
+
+  // Items cancelled from an order that goes ahead with the rest (see utils/orderChanges.js)
+  const itemCancellationSchema = new mongoose.Schema({
+    items: [
+      {
+        _id: false,
+        orderItemId: mongoose.Schema.Types.ObjectId,
+        name: String,
+        variantName: String,
+        quantity: Number,
+      },
+    ],
+    reason: String,
+    previousTotal: Number,
+    total: Number,
+    // Part of the payment given back for these items (prepaid orders)
+    refundAmount: { type: Number, default: 0 },
+    refundId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Refund",
+    },
+    actor: {
+      type: { type: String },
+      id: String,
+      name: String,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  })
+
+  // An admin edit of an unshipped order: address and line changes with the totals before and after
+  // (see editOrder in utils/orderChanges.js)
+  const orderEditSchema = new mongoose.Schema({
+    changes: [
+      {
+        _id: false,
+        // shippingAddress, customerName, customerPhone or items
+        field: String,
+        // For items: added, removed, quantity or variant
+        action: String,
+        orderItemId: mongoose.Schema.Types.ObjectId,
+        // Line that was replaced when the variant was changed
+        previousOrderItemId: mongoose.Schema.Types.ObjectId,
+        name: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    reason: String,
+    previousTotals: {
+      subtotal: Number,
+      discount: Number,
+      tax: Number,
+      shipping: Number,
+      codFee: Number,
+      total: Number,
+    },
+    totals: {
+      subtotal: Number,
+      discount: Number,
+      tax: Number,
+      shipping: Number,
+      codFee: Number,
+      total: Number,
+    },
+    // Added to the outstanding balance (prepaid orders that now cost more)
+    balanceAdded: { type: Number, default: 0 },
+    // Part of the payment given back because the order now costs less
+    refundAmount: { type: Number, default: 0 },
+    refundId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Refund",
+    },
+    actor: {
+      type: { type: String },
+      id: String,
+      name: String,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  })
+
+  // Payment of a balance due (after an edit raised the total of a paid order)
+  const balancePaymentSchema = new mongoose.Schema({
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    // cod: collected by the courier on delivery; manual: UPI, bank transfer or cash paid to the store
+    method: {
+      type: String,
+      enum: ["cod", "manual"],
+      default: "manual",
+    },
+    reference: String,
+    actor: {
+      type: { type: String },
+      id: String,
+      name: String,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  })
+
   const orderSchema = new mongoose.Schema(
     {
       orderNumber: {
@@ -7,11 +166,71 @@ module.exports = (tenantDB) => {
         unique: true,
         required: false, // ✅ changed from true to false
       },
+      // Gap-free invoice series, assigned when the order is first invoiced (utils/numbering.js)
+      invoiceNumber: {
+        type: String,
+        unique: true,
+        sparse: true,
+      },
+      invoicedAt: Date,
+      // Values as invoiced - later reductions are issued as credit notes (see utils/creditNotes.js)
+      invoiceTotals: {
+        supplyType: String,
+        inclusive: Boolean,
+        subtotal: Number,
+        discount: Number,
+        taxableValue: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+        tax: Number,
+        shipping: Number,
+        codFee: Number,
+        total: Number,
+      },
+      // Lines and billing details as invoiced - the invoice is always printed from these
+      invoiceLines: [
+        {
+          _id: false,
+          productId: mongoose.Schema.Types.ObjectId,
+          name: String,
+          variantName: String,
+          sku: String,
+          hsnCode: String,
+          price: Number,
+          quantity: Number,
+          total: Number,
+          discount: Number,
+          taxRate: Number,
+          taxableValue: Number,
+          taxAmount: Number,
+          cgst: Number,
+          sgst: Number,
+          igst: Number,
+        },
+      ],
+      invoiceCustomerInfo: {
+        name: String,
+        email: String,
+        phone: String,
+        address: {
+          street: String,
+          city: String,
+          state: String,
+          zipCode: String,
+          country: String,
+        },
+      },
       customerId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "Customer",
         required: true,
       },
+      // Placed through guest checkout (customerId is a guest customer until they register)
+      isGuestOrder: {
+        type: Boolean,
+        default: false,
+      },
       customerInfo: {
         name: String,
         email: String,
@@ -31,10 +250,45 @@ module.exports = (tenantDB) => {
             ref: "Product",
             required: true,
           },
+          // Selected variant (only for products with hasVariants)
+          variantId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null,
+          },
           name: String,
+          // Snapshot of the variant at the time of ordering
+          variantName: String,
+          sku: String,
+          // HSN / SAC code of the product (for GST invoices)
+          hsnCode: String,
+          variantOptions: [
+            {
+              _id: false,
+              attributeName: String,
+              value: String,
+            },
+          ],
+          image: String,
           price: Number,
+          // Catalog price when staff set a custom price on a draft order
+          originalPrice: Number,
           quantity: Number,
           total: Number,
+          // Unit weight in kg (for shipping and labels)
+          weight: { type: Number, default: 0 },
+          // Stock actually held for this line and the part that was backordered
+          reservedQuantity: { type: Number, default: 0 },
+          backorderedQuantity: { type: Number, default: 0 },
+          // Units cancelled after the order was placed (quantity is what is still ordered)
+          cancelledQuantity: { type: Number, default: 0 },
+          // Tax breakdown (discount is this line's share of the order discount)
+          discount: { type: Number, default: 0 },
+          taxRate: { type: Number, default: 0 },
+          taxableValue: Number,
+          taxAmount: { type: Number, default: 0 },
+          cgst: { type: Number, default: 0 },
+          sgst: { type: Number, default: 0 },
+          igst: { type: Number, default: 0 },
         },
       ],
       subtotal: {
@@ -42,12 +296,57 @@ module.exports = (tenantDB) => {
         required: true,
       },
       tax: { type: Number, default: 0 },
+      // Order level GST summary (see utils/tax.js)
+      taxBreakdown: {
+        supplyType: {
+          type: String,
+          enum: ["intra_state", "inter_state", "none"],
+          default: "none",
+        },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        igst: { type: Number, default: 0 },
+        taxableValue: Number,
+        inclusive: { type: Boolean, default: false },
+        storeState: String,
+        gstin: String,
+      },
       shipping: { type: Number, default: 0 },
+      // How the shipping charge was worked out (see utils/shipping.js)
+      shippingDetails: {
+        zoneId: mongoose.Schema.Types.ObjectId,
+        zoneName: String,
+        rateType: String,
+        chargeableWeight: Number,
+        shippingCharge: Number,
+        freeReason: String,
+        deliveryTime: String,
+      },
+      codFee: { type: Number, default: 0 },
       discount: { type: Number, default: 0 },
+      couponCode: String,
+      // Discount given by staff on a draft order (amount is its part of discount)
+      manualDiscount: {
+        type: { type: String, enum: ["percentage", "fixed"] },
+        value: Number,
+        reason: String,
+        amount: Number,
+      },
+      // Snapshot of the main offer used for this order (the coupon, or the first automatic offer)
+      appliedOffer: offerSnapshotSchema,
+      // Every offer applied to this order, in the order they were stacked
+      appliedOffers: [offerSnapshotSchema],
+      freeShipping: { type: Boolean, default: false },
+      // Set once the offer usage has been given back (cancellation)
+      offerUsageReleased: { type: Boolean, default: false },
       total: {
         type: Number,
         required: true,
       },
+      // Part of the total still to be collected from the customer after an edit raised the total of a paid order
+      balanceDue: { type: Number, default: 0 },
+      // Payments that cleared the balance due (the label asks the courier to collect what is still due)
+      balancePayments: [balancePaymentSchema],
       status: {
         type: String,
         enum: ["pending", "confirmed", "processing", "shipped", "delivered", "cancelled"],
@@ -55,7 +354,7 @@ module.exports = (tenantDB) => {
       },
       paymentStatus: {
         type: String,
-        enum: ["pending", "paid", "failed", "refunded"],
+        enum: ["pending", "paid", "failed", "partially_refunded", "refunded"],
         default: "pending",
       },
       paymentMethod: {
@@ -64,9 +363,53 @@ module.exports = (tenantDB) => {
         default: "cod",
       },
       notes: String,
+      // Message from the customer printed on the packing slip (gift orders)
+      giftNote: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+      },
+      // Replacement order created for a return resolved with an exchange
+      exchangeFor: {
+        returnId: mongoose.Schema.Types.ObjectId,
+        returnNumber: String,
+        orderId: mongoose.Schema.Types.ObjectId,
+      },
+      // Draft order this order was created from (phone / WhatsApp orders entered by staff)
+      draftOrder: {
+        draftOrderId: mongoose.Schema.Types.ObjectId,
+        draftNumber: String,
+      },
+      // Stock hold for this order: held until payment, committed once paid, released on cancel/failure/timeout
+      stockReservation: {
+        status: {
+          type: String,
+          enum: ["none", "held", "committed", "released"],
+          default: "none",
+        },
+        heldAt: Date,
+        expiresAt: Date,
+        committedAt: Date,
+        releasedAt: Date,
+        releaseReason: String,
+      },
       trackingNumber: String,
       estimatedDelivery: Date,
+      paidAt: Date,
+      shippedAt: Date,
       deliveredAt: Date,
+      cancelledAt: Date,
+      // Every status / payment status change with who made it (oldest first)
+      statusHistory: [statusHistorySchema],
+      // Partial cancellations (oldest first)
+      cancellations: [itemCancellationSchema],
+      // Edits of the address and items before shipping (oldest first)
+      edits: [orderEditSchema],
+      // Delivered order counted in the customer's stats
+      customerStatsRecorded: {
+        type: Boolean,
+        default: false,
+      },
       paymentDetails: {
         razorpayPaymentId: String,
         razorpayOrderId: String,
@@ -84,30 +427,21 @@ module.exports = (tenantDB) => {
   orderSchema.index({ status: 1 })
   orderSchema.index({ paymentStatus: 1 })
   orderSchema.index({ createdAt: -1 })
+  // Admin order list: status tabs sorted by date
+  orderSchema.index({ status: 1, createdAt: -1 })
+  orderSchema.index({ "stockReservation.status": 1, "stockReservation.expiresAt": 1 })
+  orderSchema.index({ "paymentDetails.razorpayPaymentId": 1 }, { sparse: true })
 
-  // Pre-save hook to generate order number
+  // Pre-save hook to generate order number (atomic per-tenant counter, format from Settings.numbering)
   orderSchema.pre("save", async function (next) {
     if (!this.orderNumber) {
       try {
-        const count = await this.constructor.countDocuments()
-        const timestamp = Date.now()
-        const randomSuffix = Math.random().toString(36).substring(2, 6).toUpperCase()
-        this.orderNumber = `ORD-${timestamp}-${(count + 1).toString().padStart(4, "0")}-${randomSuffix}`
+        const { nextOrderNumber } = require("../../utils/numbering")
+        this.orderNumber = await nextOrderNumber(tenantDB, this.createdAt || new Date())
         console.log(`[v0] Generated order number: ${this.orderNumber}`)
-
-        // Verify uniqueness
-        const existing = await this.constructor.findOne({ orderNumber: this.orderNumber })
-        if (existing) {
-          // Generate a new one with additional randomness
-          const extraRandom = Math.random().toString(36).substring(2, 4).toUpperCase()
-          this.orderNumber = `ORD-${timestamp}-${(count + 1).toString().padStart(4, "0")}-${randomSuffix}${extraRandom}`
-          console.log(`[v0] Regenerated unique order number: ${this.orderNumber}`)
-        }
       } catch (error) {
         console.error(`[v0] Error generating order number:`, error)
-        // Fallback order number generation
-        this.orderNumber = `ORD-${Date.now()}-${Math.random().toString(36).substring(2, 8).toUpperCase()}`
-        console.log(`[v0] Fallback order number: ${this.orderNumber}`)
+        return next(error)
       }
     }
     next()
@@ -28,7 +28,7 @@ module.exports = (tenantDB) => {
       },
       status: {
         type: String,
-        enum: ["pending", "processing", "completed", "failed", "cancelled", "refunded"],
+        enum: ["pending", "processing", "completed", "failed", "cancelled", "partially_refunded", "refunded"],
         default: "pending",
       },
       transactionId: {
@@ -49,6 +49,7 @@ module.exports = (tenantDB) => {
       failureReason: {
         type: String,
       },
+      // Total of the completed refunds of this payment (see models/tenant/Refund.js)
       refundAmount: {
         type: Number,
         default: 0,
@@ -77,6 +78,7 @@ module.exports = (tenantDB) => {
   paymentSchema.index({ status: 1 })
   paymentSchema.index({ method: 1 })
   paymentSchema.index({ transactionId: 1 })
+  paymentSchema.index({ gatewayTransactionId: 1 })
   paymentSchema.index({ createdAt: -1 })
 
   // Generate transaction ID
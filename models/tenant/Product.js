@@ -256,12 +256,20 @@ module.exports = (tenantDB) => {
           },
         },
       },
+      // GST rate of the product - null uses the store rate (Settings.tax.rate), 0 is zero-rated
       taxPercentage: {
         type: Number,
-        default: 0,
+        default: null,
         min: [0, "Tax percentage cannot be negative"],
         max: [100, "Tax percentage cannot exceed 100%"],
       },
+      // HSN / SAC code printed on GST invoices
+      hsnCode: {
+        type: String,
+        trim: true,
+        default: "",
+        match: [/^(\d{4}|\d{6}|\d{8})?$/, "HSN code must be 4, 6 or 8 digits"],
+      },
       // FIXED: Stock field with simpler validation
       stock: {
         type: Number,
@@ -451,6 +459,20 @@ module.exports = (tenantDB) => {
         default: 0,
         min: 0,
       },
+      // Denormalised from approved reviews (see Review.updateProductRating)
+      ratings: {
+        average: {
+          type: Number,
+          default: 0,
+          min: 0,
+          max: 5,
+        },
+        count: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+      },
     },
     {
       timestamps: true,
@@ -506,6 +528,7 @@ module.exports = (tenantDB) => {
   productSchema.index({ sku: 1 }, { unique: true })
   productSchema.index({ slug: 1 }, { unique: true })
   productSchema.index({ trackQuantity: 1 })
+  productSchema.index({ "ratings.average": -1 })
 
   // Virtual for discount percentage
   productSchema.virtual("discountPercentage").get(function () {
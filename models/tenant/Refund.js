@@ -0,0 +1,107 @@
+module.exports = (tenantDB) => {
+  const mongoose = require("mongoose")
+
+  // One status change of a refund (oldest first)
+  const refundHistorySchema = new mongoose.Schema(
+    {
+      from: String,
+      to: {
+        type: String,
+        required: true,
+      },
+      actor: {
+        type: { type: String },
+        id: String,
+        name: String,
+      },
+      note: String,
+      at: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+    { _id: false },
+  )
+
+  // Money given back for an order. An order can have several partial refunds, together at most
+  // the captured amount (see utils/refunds.js).
+  const refundSchema = new mongoose.Schema(
+    {
+      orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+        required: true,
+      },
+      orderNumber: String,
+      // Captured payment this refund is paid back to (not set for COD / manually collected orders)
+      paymentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Payment",
+        default: null,
+      },
+      customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Customer",
+        required: true,
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: 0.01,
+      },
+      currency: {
+        type: String,
+        default: "INR",
+      },
+      reason: String,
+      // What started the refund
+      source: {
+        type: String,
+        enum: ["customer_request", "return", "cancellation", "order_edit", "admin"],
+        default: "admin",
+      },
+      returnId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ReturnRequest",
+      },
+      // gateway: paid back through the payment gateway; manual: bank transfer / UPI done by the merchant;
+      // cod: cash handed back for a cash on delivery order
+      method: {
+        type: String,
+        enum: ["gateway", "manual", "cod"],
+        default: "gateway",
+      },
+      gateway: String,
+      status: {
+        type: String,
+        enum: ["requested", "approved", "rejected", "processing", "completed", "failed"],
+        default: "requested",
+      },
+      gatewayRefundId: String,
+      gatewayResponse: mongoose.Schema.Types.Mixed,
+      // Reference of a manual / COD refund (UTR, cheque number...)
+      reference: String,
+      failureReason: String,
+      rejectionReason: String,
+      requestedBy: {
+        type: { type: String },
+        id: String,
+        name: String,
+      },
+      approvedAt: Date,
+      processedAt: Date,
+      completedAt: Date,
+      history: [refundHistorySchema],
+    },
+    {
+      timestamps: true,
+    },
+  )
+
+  refundSchema.index({ orderId: 1, status: 1 })
+  refundSchema.index({ paymentId: 1 })
+  refundSchema.index({ status: 1, createdAt: -1 })
+  refundSchema.index({ returnId: 1 })
+
+  return tenantDB.models.Refund || tenantDB.model("Refund", refundSchema)
+}
@@ -0,0 +1,185 @@
+module.exports = (tenantDB) => {
+  const mongoose = require("mongoose")
+
+  // One returned order line
+  const returnItemSchema = new mongoose.Schema({
+    // _id of the line in Order.items
+    orderItemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Snapshot of the order line
+    name: String,
+    variantName: String,
+    sku: String,
+    image: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Amount paid per unit (after discount, including tax)
+    unitAmount: {
+      type: Number,
+      default: 0,
+    },
+    reason: {
+      type: String,
+      enum: ["damaged", "defective", "wrong_item", "not_as_described", "size_fit", "changed_mind", "other"],
+      required: true,
+    },
+    comment: {
+      type: String,
+      maxlength: 1000,
+    },
+    photos: [String],
+    // Filled in when the items arrive back at the store
+    receivedQuantity: {
+      type: Number,
+      default: 0,
+    },
+    condition: {
+      type: String,
+      enum: ["unopened", "good", "damaged", "defective"],
+    },
+    restock: {
+      type: Boolean,
+      default: false,
+    },
+    restockedQuantity: {
+      type: Number,
+      default: 0,
+    },
+  })
+
+  // One status change of a return (oldest first)
+  const returnHistorySchema = new mongoose.Schema(
+    {
+      from: String,
+      to: {
+        type: String,
+        required: true,
+      },
+      actor: {
+        type: { type: String },
+        id: String,
+        name: String,
+      },
+      note: String,
+      at: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+    { _id: false },
+  )
+
+  const returnRequestSchema = new mongoose.Schema(
+    {
+      // RMA number, e.g. "RMA-2026-000042"
+      returnNumber: {
+        type: String,
+        unique: true,
+        required: true,
+      },
+      orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+        required: true,
+      },
+      orderNumber: String,
+      customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Customer",
+        required: true,
+      },
+      items: {
+        type: [returnItemSchema],
+        validate: {
+          validator: (items) => items.length > 0,
+          message: "A return needs at least one item",
+        },
+      },
+      status: {
+        type: String,
+        enum: ["requested", "approved", "rejected", "pickup_scheduled", "received", "completed", "cancelled"],
+        default: "requested",
+      },
+      // What the customer asked for - the merchant makes the final choice
+      preferredResolution: {
+        type: String,
+        enum: ["refund", "store_credit", "exchange"],
+        default: "refund",
+      },
+      comment: {
+        type: String,
+        maxlength: 1000,
+      },
+      // Sum of quantity x unitAmount of the requested items
+      requestedAmount: {
+        type: Number,
+        default: 0,
+      },
+      pickup: {
+        scheduledAt: Date,
+        carrier: String,
+        trackingNumber: String,
+        notes: String,
+        address: {
+          street: String,
+          city: String,
+          state: String,
+          zipCode: String,
+          country: String,
+        },
+      },
+      rejectionReason: String,
+      resolution: {
+        type: {
+          type: String,
+          enum: ["refund", "store_credit", "exchange"],
+        },
+        amount: Number,
+        // Refunds are completed once the Refund is paid out, store credit and exchanges right away
+        status: {
+          type: String,
+          enum: ["pending", "completed"],
+        },
+        refundId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Refund",
+        },
+        exchangeOrderId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+        },
+        exchangeOrderNumber: String,
+        note: String,
+        resolvedAt: Date,
+        resolvedBy: String,
+      },
+      approvedAt: Date,
+      receivedAt: Date,
+      completedAt: Date,
+      history: [returnHistorySchema],
+    },
+    {
+      timestamps: true,
+    },
+  )
+
+  returnRequestSchema.index({ orderId: 1 })
+  returnRequestSchema.index({ customerId: 1, createdAt: -1 })
+  returnRequestSchema.index({ status: 1, createdAt: -1 })
+
+  return tenantDB.models.ReturnRequest || tenantDB.model("ReturnRequest", returnRequestSchema)
+}
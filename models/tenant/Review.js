@@ -0,0 +1,129 @@
+module.exports = (tenantDB) => {
+  const mongoose = require("mongoose")
+
+  const reviewSchema = new mongoose.Schema(
+    {
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        required: true,
+      },
+      customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Customer",
+        required: true,
+      },
+      // Delivered order that proves the purchase (if any)
+      orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+        default: null,
+      },
+      customerName: {
+        type: String,
+        trim: true,
+      },
+      rating: {
+        type: Number,
+        required: [true, "Rating is required"],
+        min: [1, "Rating must be between 1 and 5"],
+        max: [5, "Rating must be between 1 and 5"],
+        validate: {
+          validator: Number.isInteger,
+          message: "Rating must be a whole number",
+        },
+      },
+      title: {
+        type: String,
+        trim: true,
+        maxlength: [150, "Review title cannot exceed 150 characters"],
+      },
+      comment: {
+        type: String,
+        trim: true,
+        maxlength: [5000, "Review cannot exceed 5000 characters"],
+      },
+      photos: {
+        type: [String],
+        validate: {
+          validator: (photos) => photos.length <= 5,
+          message: "A review can have at most 5 photos",
+        },
+      },
+      isVerifiedPurchase: {
+        type: Boolean,
+        default: false,
+      },
+      // Moderation
+      status: {
+        type: String,
+        enum: ["pending", "approved", "rejected"],
+        default: "pending",
+      },
+      moderationNote: String,
+      moderatedBy: String,
+      moderatedAt: Date,
+      // Public reply from the store
+      reply: {
+        text: String,
+        repliedAt: Date,
+      },
+    },
+    {
+      timestamps: true,
+    },
+  )
+
+  reviewSchema.index({ productId: 1, customerId: 1 }, { unique: true })
+  reviewSchema.index({ productId: 1, status: 1, createdAt: -1 })
+  reviewSchema.index({ status: 1, createdAt: -1 })
+  reviewSchema.index({ customerId: 1 })
+
+  // Find a delivered order of this customer that contains the product
+  reviewSchema.statics.findVerifiedPurchase = function (customerId, productId) {
+    const Order = require("./Order")(tenantDB)
+    return Order.findOne({
+      customerId,
+      status: "delivered",
+      "items.productId": productId,
+    })
+      .sort({ deliveredAt: -1, createdAt: -1 })
+      .select("_id orderNumber")
+  }
+
+  // Average, count and 1-5 star distribution of approved reviews for a product
+  reviewSchema.statics.getRatingSummary = async function (productId) {
+    const results = await this.aggregate([
+      { $match: { productId: new mongoose.Types.ObjectId(productId.toString()), status: "approved" } },
+      { $group: { _id: "$rating", count: { $sum: 1 } } },
+    ])
+
+    const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 }
+    let count = 0
+    let sum = 0
+    results.forEach(({ _id: rating, count: ratingCount }) => {
+      distribution[rating] = ratingCount
+      count += ratingCount
+      sum += rating * ratingCount
+    })
+
+    return {
+      average: count > 0 ? Math.round((sum / count) * 10) / 10 : 0,
+      count,
+      distribution,
+    }
+  }
+
+  // Recalculate the denormalised ratings on the product
+  reviewSchema.statics.updateProductRating = async function (productId) {
+    const Product = require("./Product")(tenantDB)
+    const summary = await this.getRatingSummary(productId)
+    await Product.updateOne(
+      { _id: productId },
+      { $set: { "ratings.average": summary.average, "ratings.count": summary.count } },
+    )
+    return summary
+  }
+
+  return tenantDB.models.Review || tenantDB.model("Review", reviewSchema)
+}
@@ -1,6 +1,57 @@
 module.exports = (tenantDB) => {
   const mongoose = require("mongoose")
 
+  // Weight slab of a shipping rate table: orders up to `upTo` kg cost `charge`
+  const weightSlabSchema = new mongoose.Schema(
+    {
+      upTo: {
+        type: Number,
+        required: true,
+        min: 0,
+      },
+      charge: {
+        type: Number,
+        required: true,
+        min: 0,
+      },
+    },
+    { _id: false },
+  )
+
+  // Shipping zone matched against the shipping address.
+  // pincodes support exact values, prefixes ("560*") and ranges ("560001-560099");
+  // legacy `areas` entries are matched against pincode, city and state.
+  const shippingZoneSchema = new mongoose.Schema({
+    name: String,
+    areas: [String],
+    pincodes: [String],
+    cities: [String],
+    states: [String],
+    rateType: {
+      type: String,
+      enum: ["flat", "weight", "volumetric"],
+      default: "flat",
+    },
+    charge: Number,
+    weightSlabs: [weightSlabSchema],
+    additionalPerKg: {
+      type: Number,
+      default: 0,
+    },
+    // Overrides the store wide free shipping threshold (null = use store setting)
+    freeShippingAbove: {
+      type: Number,
+      default: null,
+    },
+    deliveryTime: String,
+    minDeliveryDays: Number,
+    maxDeliveryDays: Number,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  })
+
   const settingsSchema = new mongoose.Schema(
     {
       general: {
@@ -61,6 +112,12 @@ module.exports = (tenantDB) => {
           type: Boolean,
           default: true,
         },
+        // Extra charge added to cash on delivery orders
+        codFee: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
         onlinePaymentEnabled: {
           type: Boolean,
           default: false,
@@ -125,14 +182,37 @@ module.exports = (tenantDB) => {
           type: String,
           default: "2-3 business days",
         },
-        zones: [
-          {
-            name: String,
-            areas: [String],
-            charge: Number,
-            deliveryTime: String,
-          },
-        ],
+        // Default delivery window in business days (used for delivery estimates)
+        minDeliveryDays: {
+          type: Number,
+          default: 2,
+        },
+        maxDeliveryDays: {
+          type: Number,
+          default: 3,
+        },
+        // Default rate table used when no zone matches
+        rateType: {
+          type: String,
+          enum: ["flat", "weight", "volumetric"],
+          default: "flat",
+        },
+        weightSlabs: [weightSlabSchema],
+        additionalPerKg: {
+          type: Number,
+          default: 0,
+        },
+        // cm³ per kg used for volumetric weight (L x W x H / divisor)
+        volumetricDivisor: {
+          type: Number,
+          default: 5000,
+        },
+        // Refuse orders to addresses that match no zone
+        restrictToZones: {
+          type: Boolean,
+          default: false,
+        },
+        zones: [shippingZoneSchema],
       },
       tax: {
         enabled: {
@@ -147,6 +227,33 @@ module.exports = (tenantDB) => {
           type: Boolean,
           default: false,
         },
+        // GST registration number printed on invoices
+        gstin: {
+          type: String,
+          default: "",
+          uppercase: true,
+          trim: true,
+        },
+        // Legal name of the GST registration (the store name is printed when empty)
+        legalName: {
+          type: String,
+          default: "",
+          trim: true,
+        },
+      },
+      // Invoice PDFs (see utils/invoices.js)
+      invoice: {
+        // Attach the invoice PDF to the order confirmation email when the order can be invoiced
+        attachToConfirmationEmail: {
+          type: Boolean,
+          default: true,
+        },
+        // Printed at the bottom of every invoice (terms, return policy, bank details...)
+        footerNote: {
+          type: String,
+          default: "",
+          maxlength: 500,
+        },
       },
       social: {
         facebook: {
@@ -225,6 +332,153 @@ module.exports = (tenantDB) => {
           },
         },
       },
+      // Order, invoice and credit note number formats: PREFIX-YEAR-000123 (yearly reset) or PREFIX-000123
+      numbering: {
+        order: {
+          prefix: {
+            type: String,
+            default: "ORD",
+            uppercase: true,
+            trim: true,
+          },
+          padding: {
+            type: Number,
+            default: 6,
+            min: 1,
+            max: 12,
+          },
+          yearlyReset: {
+            type: Boolean,
+            default: true,
+          },
+        },
+        invoice: {
+          prefix: {
+            type: String,
+            default: "INV",
+            uppercase: true,
+            trim: true,
+          },
+          padding: {
+            type: Number,
+            default: 6,
+            min: 1,
+            max: 12,
+          },
+          yearlyReset: {
+            type: Boolean,
+            default: true,
+          },
+        },
+        creditNote: {
+          prefix: {
+            type: String,
+            default: "CN",
+            uppercase: true,
+            trim: true,
+          },
+          padding: {
+            type: Number,
+            default: 6,
+            min: 1,
+            max: 12,
+          },
+          yearlyReset: {
+            type: Boolean,
+            default: true,
+          },
+        },
+        // Month the numbering year starts in (4 = April, Indian financial year)
+        yearStartMonth: {
+          type: Number,
+          default: 1,
+          min: 1,
+          max: 12,
+        },
+      },
+      // Reminders for carts left without an order
+      abandonedCart: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        // A cart counts as abandoned after this many minutes without changes
+        idleMinutes: {
+          type: Number,
+          default: 60,
+          min: 15,
+        },
+        // Carts idle for longer than this are not reminded any more
+        maxAgeHours: {
+          type: Number,
+          default: 72,
+        },
+        channels: {
+          email: {
+            type: Boolean,
+            default: true,
+          },
+          sms: {
+            type: Boolean,
+            default: false,
+          },
+        },
+        // Storefront base URL for the restore cart link
+        storefrontUrl: {
+          type: String,
+          default: "",
+          trim: true,
+        },
+        // Single use coupon generated for each reminder
+        offer: {
+          enabled: {
+            type: Boolean,
+            default: false,
+          },
+          type: {
+            type: String,
+            enum: ["percentage", "fixed", "free_shipping"],
+            default: "percentage",
+          },
+          value: {
+            type: Number,
+            default: 10,
+          },
+          maxDiscount: Number,
+          minOrderValue: {
+            type: Number,
+            default: 0,
+          },
+          validityHours: {
+            type: Number,
+            default: 48,
+          },
+        },
+      },
+      // Customer returns of delivered orders (see utils/returns.js)
+      returns: {
+        enabled: {
+          type: Boolean,
+          default: true,
+        },
+        // Days after delivery a return can be requested
+        windowDays: {
+          type: Number,
+          default: 7,
+          min: 0,
+        },
+        // Every returned line needs at least one photo
+        requirePhotos: {
+          type: Boolean,
+          default: false,
+        },
+        // Resolutions customers can ask for and merchants can choose
+        resolutions: {
+          type: [String],
+          enum: ["refund", "store_credit", "exchange"],
+          default: ["refund", "store_credit", "exchange"],
+        },
+      },
       theme: {
         primaryColor: {
           type: String,
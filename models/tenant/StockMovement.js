@@ -0,0 +1,67 @@
+module.exports = (tenantDB) => {
+  const mongoose = require("mongoose")
+
+  // One record per stock change of a product or variant (inventory ledger)
+  const stockMovementSchema = new mongoose.Schema(
+    {
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        required: true,
+      },
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
+      // Snapshot so history stays readable after products are renamed or deleted
+      productName: String,
+      variantName: String,
+      sku: String,
+      type: {
+        type: String,
+        enum: ["order", "cancel", "return", "adjustment", "import", "restock"],
+        required: true,
+      },
+      // Signed change that was applied (negative when stock goes out)
+      quantity: {
+        type: Number,
+        required: true,
+      },
+      quantityBefore: {
+        type: Number,
+        required: true,
+      },
+      quantityAfter: {
+        type: Number,
+        required: true,
+      },
+      reason: String,
+      note: String,
+      actor: {
+        type: {
+          type: String,
+          enum: ["admin", "customer", "system"],
+          default: "system",
+        },
+        id: String,
+        name: String,
+      },
+      reference: {
+        // e.g. "Order", "Return", "Import"
+        type: { type: String },
+        id: String,
+        number: String,
+      },
+    },
+    {
+      timestamps: true,
+    },
+  )
+
+  stockMovementSchema.index({ productId: 1, createdAt: -1 })
+  stockMovementSchema.index({ productId: 1, variantId: 1, createdAt: -1 })
+  stockMovementSchema.index({ type: 1 })
+  stockMovementSchema.index({ "reference.type": 1, "reference.id": 1 })
+
+  return tenantDB.models.StockMovement || tenantDB.model("StockMovement", stockMovementSchema)
+}
@@ -0,0 +1,154 @@
+const express = require("express")
+const router = express.Router()
+const AuthUtils = require("../../utils/auth")
+const {
+  getRecoverySettings,
+  getAbandonedCartQuery,
+  notifyAbandonedCart,
+  getRecoveryStats,
+} = require("../../utils/cartRecovery")
+
+// Reminder state of an abandoned cart
+const getRecoveryStatus = (cart) => {
+  if (cart.recovery?.recoveredAt) return "recovered"
+  if (cart.recovery?.notifiedAt) return "notified"
+  if (cart.recovery?.skippedReason) return "skipped"
+  return "pending"
+}
+
+// Cart value at the last seen prices
+const getCartValue = (cart) =>
+  Math.round(cart.items.reduce((sum, item) => sum + (item.priceAtAdd || 0) * item.quantity, 0) * 100) / 100
+
+// Filters for each reminder state (pending = abandoned and still waiting for the reminder job)
+const getStatusQuery = (status, recoverySettings) => {
+  const pendingQuery = getAbandonedCartQuery(recoverySettings)
+  const queries = {
+    pending: pendingQuery,
+    notified: { "recovery.notifiedAt": { $exists: true }, "recovery.recoveredAt": { $exists: false } },
+    recovered: { "recovery.recoveredAt": { $exists: true } },
+    skipped: { "recovery.skippedReason": { $exists: true }, status: "active", "items.0": { $exists: true } },
+  }
+  if (status) return queries[status]
+  return { $or: Object.values(queries) }
+}
+
+// List abandoned carts with their reminder state (status, search by contact, pagination)
+router.get("/abandoned", async (req, res) => {
+  try {
+    const Cart = require("../../models/tenant/Cart")(req.tenantDB)
+    const Settings = require("../../models/tenant/Settings")(req.tenantDB)
+    const { status, search } = req.query
+    const page = Math.max(1, Number.parseInt(req.query.page) || 1)
+    const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit) || 20))
+
+    const validStatuses = ["pending", "notified", "recovered", "skipped"]
+    if (status && !validStatuses.includes(status)) {
+      return res.status(400).json({ error: "Invalid status", validStatuses })
+    }
+
+    const recoverySettings = getRecoverySettings(await Settings.findOne())
+    const query = { $and: [getStatusQuery(status, recoverySettings)] }
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i")
+      const Customer = require("../../models/tenant/Customer")(req.tenantDB)
+      const customerIds = await Customer.find({
+        $or: [{ name: pattern }, { email: pattern }, { phone: pattern }],
+      }).distinct("_id")
+      query.$and.push({
+        $or: [
+          { customerId: { $in: customerIds } },
+          { "contact.name": pattern },
+          { "contact.email": pattern },
+          { "contact.phone": pattern },
+        ],
+      })
+    }
+
+    const [carts, total, stats, statusCounts] = await Promise.all([
+      Cart.find(query)
+        .populate("customerId", "name email phone preferences.marketing")
+        .populate("items.productId", "name sku thumbnail")
+        .sort({ lastActivityAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Cart.countDocuments(query),
+      getRecoveryStats(req.tenantDB),
+      Promise.all(validStatuses.map((key) => Cart.countDocuments(getStatusQuery(key, recoverySettings)))),
+    ])
+
+    res.json({
+      carts: carts.map((cart) => ({
+        _id: cart._id,
+        customer: cart.customerId || null,
+        contact: cart.customerId ? null : cart.contact || null,
+        items: cart.items,
+        itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0),
+        value: getCartValue(cart),
+        couponCode: cart.couponCode || null,
+        cartStatus: cart.status,
+        recoveryStatus: getRecoveryStatus(cart),
+        recovery: cart.recovery || {},
+        lastActivityAt: cart.lastActivityAt,
+        createdAt: cart.createdAt,
+      })),
+      pagination: AuthUtils.generatePaginationMeta(page, limit, total),
+      statusCounts: validStatuses.reduce((counts, key, index) => ({ ...counts, [key]: statusCounts[index] }), {}),
+      stats,
+    })
+  } catch (error) {
+    console.error("Error fetching abandoned carts:", error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Recovery conversion stats for a period (?from=&to=, by reminder date)
+router.get("/abandoned/stats", async (req, res) => {
+  try {
+    const { from, to } = req.query
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: "from and to must be valid dates" })
+    }
+
+    const stats = await getRecoveryStats(req.tenantDB, { from, to })
+    res.json({ ...stats, from: from || null, to: to || null })
+  } catch (error) {
+    console.error("Error fetching abandoned cart stats:", error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Send the reminder for one cart now (still requires marketing consent, ignores the idle window)
+router.post("/abandoned/:cartId/remind", async (req, res) => {
+  try {
+    const Cart = require("../../models/tenant/Cart")(req.tenantDB)
+    const Settings = require("../../models/tenant/Settings")(req.tenantDB)
+
+    const cart = await Cart.findById(req.params.cartId)
+    if (!cart) {
+      return res.status(404).json({ error: "Cart not found" })
+    }
+    if (cart.status !== "active" || cart.items.length === 0) {
+      return res.status(400).json({ error: "Only active carts with items can be reminded" })
+    }
+    if (cart.recovery?.notifiedAt) {
+      return res.status(400).json({ error: "A reminder was already sent for this cart" })
+    }
+
+    const result = await notifyAbandonedCart(req.tenantDB, cart, {
+      settings: await Settings.findOne(),
+      storeId: req.storeId,
+    })
+    if (!result.success) {
+      return res.status(400).json({ error: result.skipped || result.error, ...result })
+    }
+
+    res.json({ message: "Reminder sent", ...result })
+  } catch (error) {
+    console.error(`Error sending reminder for cart ${req.params.cartId}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,93 @@
+const express = require("express")
+const router = express.Router()
+const AuthUtils = require("../../utils/auth")
+const { CREDIT_NOTE_TYPES, getCreditNoteDocument, renderCreditNotePdf } = require("../../utils/creditNotes")
+
+// Get all credit notes with filters (type, order, date range, pagination)
+router.get("/", async (req, res) => {
+  try {
+    const CreditNote = require("../../models/tenant/CreditNote")(req.tenantDB)
+    const { type, orderId, startDate, endDate } = req.query
+    const page = Math.max(1, Number.parseInt(req.query.page) || 1)
+    const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit) || 20))
+
+    if (type && !CREDIT_NOTE_TYPES.includes(type)) {
+      return res.status(400).json({ error: "Invalid type", validTypes: CREDIT_NOTE_TYPES })
+    }
+
+    const query = {}
+    if (type) query.type = type
+    if (orderId) query.orderId = orderId
+    if (startDate || endDate) {
+      query.issuedAt = {}
+      if (startDate) query.issuedAt.$gte = new Date(startDate)
+      if (endDate) {
+        const endDateTime = new Date(endDate)
+        endDateTime.setHours(23, 59, 59, 999)
+        query.issuedAt.$lte = endDateTime
+      }
+    }
+
+    const [creditNotes, total] = await Promise.all([
+      CreditNote.find(query)
+        .select("-items")
+        .sort({ issuedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CreditNote.countDocuments(query),
+    ])
+
+    res.json({
+      creditNotes,
+      pagination: AuthUtils.generatePaginationMeta(page, limit, total),
+    })
+  } catch (error) {
+    console.error("Error fetching credit notes:", error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Get specific credit note
+router.get("/:id", async (req, res) => {
+  try {
+    const CreditNote = require("../../models/tenant/CreditNote")(req.tenantDB)
+    const creditNote = await CreditNote.findById(req.params.id)
+      .populate("refundId", "amount method status completedAt")
+      .populate("returnId", "returnNumber status resolution")
+
+    if (!creditNote) {
+      return res.status(404).json({ error: "Credit note not found" })
+    }
+
+    res.json(creditNote)
+  } catch (error) {
+    console.error(`Error fetching credit note ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Download the credit note PDF
+router.get("/:id/pdf", async (req, res) => {
+  try {
+    const CreditNote = require("../../models/tenant/CreditNote")(req.tenantDB)
+    const creditNote = await CreditNote.findById(req.params.id)
+    if (!creditNote) {
+      return res.status(404).json({ error: "Credit note not found" })
+    }
+
+    const pdf = await renderCreditNotePdf(
+      await getCreditNoteDocument(req.tenantDB, creditNote, { storeName: req.user?.storeInfo?.name }),
+    )
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${creditNote.creditNoteNumber}.pdf"`,
+      "Content-Length": pdf.length,
+    })
+    res.send(pdf)
+  } catch (error) {
+    console.error(`Error generating credit note ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+module.exports = router
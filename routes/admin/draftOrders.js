@@ -0,0 +1,255 @@
+const express = require("express")
+const router = express.Router()
+const mongoose = require("mongoose")
+const AuthUtils = require("../../utils/auth")
+const {
+  DRAFT_STATUSES,
+  parseDraftInput,
+  priceDraft,
+  getDraftQuote,
+  createDraft,
+  updateDraft,
+  sendDraftPaymentLink,
+  placeDraftOrder,
+  cancelDraft,
+} = require("../../utils/draftOrders")
+
+const getActor = (req) => ({
+  type: "admin",
+  id: req.user?.id || req.user?._id,
+  name: req.user?.name || req.user?.email,
+})
+
+// Status code of a failed draft operation
+const getErrorStatus = (code) =>
+  ({ CUSTOMER_NOT_FOUND: 404, DRAFT_NOT_OPEN: 409, ACCOUNT_DEACTIVATED: 403, PAYMENT_ORDER_FAILED: 502 })[code] || 400
+
+const loadDraft = async (req, res) => {
+  const DraftOrder = require("../../models/tenant/DraftOrder")(req.tenantDB)
+  const draft = mongoose.Types.ObjectId.isValid(req.params.draftId)
+    ? await DraftOrder.findById(req.params.draftId)
+    : null
+  if (!draft) {
+    res.status(404).json({ error: "Draft order not found" })
+  }
+  return draft
+}
+
+// Get draft orders with filters (status, search by draft number or customer) and pagination
+router.get("/", async (req, res) => {
+  try {
+    const DraftOrder = require("../../models/tenant/DraftOrder")(req.tenantDB)
+    const { status, search } = req.query
+    const page = Math.max(1, Number.parseInt(req.query.page) || 1)
+    const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit) || 20))
+
+    if (status && !DRAFT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: "Invalid status", validStatuses: DRAFT_STATUSES })
+    }
+
+    const query = {}
+    if (search && search.trim()) {
+      const pattern = new RegExp(search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i")
+      query.$or = [
+        { draftNumber: pattern },
+        { orderNumber: pattern },
+        { "customerInfo.name": pattern },
+        { "customerInfo.email": pattern },
+        { "customerInfo.phone": pattern },
+      ]
+    }
+
+    const [drafts, total, counts] = await Promise.all([
+      DraftOrder.find(status ? { ...query, status } : query)
+        .select("-paymentLink.token")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      DraftOrder.countDocuments(status ? { ...query, status } : query),
+      DraftOrder.aggregate([{ $match: query }, { $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ])
+
+    res.json({
+      drafts,
+      pagination: AuthUtils.generatePaginationMeta(page, limit, total),
+      statusCounts: counts.reduce(
+        (acc, { _id, count }) => ({ ...acc, [_id]: count, all: acc.all + count }),
+        Object.fromEntries([["all", 0], ...DRAFT_STATUSES.map((value) => [value, 0])]),
+      ),
+    })
+  } catch (error) {
+    console.error("Error fetching draft orders:", error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Create a draft: { customerId | customerInfo: { name, email, phone, address }, items: [{ productId, variantId,
+// quantity, price }], couponCode, manualDiscount: { type: "percentage" | "fixed", value, reason }, notes, giftNote }
+router.post("/", async (req, res) => {
+  try {
+    const { errors, values } = parseDraftInput(req.body)
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid draft order", code: "INVALID_DRAFT", details: errors })
+    }
+
+    const result = await createDraft(req.tenantDB, values, { actor: getActor(req) })
+    if (!result.success) {
+      return res.status(getErrorStatus(result.code)).json({
+        error: result.error,
+        code: result.code,
+        details: result.details,
+      })
+    }
+
+    res.status(201).json({ draft: result.draft, quote: getDraftQuote(result.pricing) })
+  } catch (error) {
+    console.error("Error creating draft order:", error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Get a draft priced as it would be now (?paymentMethod=cod adds the COD fee)
+router.get("/:draftId", async (req, res) => {
+  try {
+    const Customer = require("../../models/tenant/Customer")(req.tenantDB)
+    const draft = await loadDraft(req, res)
+    if (!draft) return
+
+    let quote = null
+    let pricingError
+    if (draft.status !== "completed" && draft.status !== "cancelled") {
+      const customer = draft.customerId ? await Customer.findById(draft.customerId) : null
+      const pricing = await priceDraft(req.tenantDB, draft, {
+        customer,
+        paymentMethod: req.query.paymentMethod === "cod" ? "cod" : "online",
+      })
+      if (pricing.success) {
+        quote = getDraftQuote(pricing)
+      } else {
+        pricingError = { error: pricing.error, code: pricing.code }
+      }
+    }
+
+    res.json({ draft, quote, pricingError })
+  } catch (error) {
+    console.error(`Error fetching draft order ${req.params.draftId}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Change a draft (same fields as POST /, only the ones sent are changed)
+router.put("/:draftId", async (req, res) => {
+  try {
+    const draft = await loadDraft(req, res)
+    if (!draft) return
+
+    const { errors, values } = parseDraftInput(req.body, { partial: true })
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid draft order", code: "INVALID_DRAFT", details: errors })
+    }
+
+    const result = await updateDraft(req.tenantDB, draft, values, { actor: getActor(req) })
+    if (!result.success) {
+      return res.status(getErrorStatus(result.code)).json({
+        error: result.error,
+        code: result.code,
+        details: result.details,
+      })
+    }
+
+    res.json({
+      draft: result.draft,
+      quote: getDraftQuote(result.pricing),
+      paymentLinkWithdrawn: result.paymentLinkWithdrawn,
+    })
+  } catch (error) {
+    console.error(`Error updating draft order ${req.params.draftId}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Send the customer a link to pay the draft online: { validityDays } (default 7)
+router.post("/:draftId/payment-link", async (req, res) => {
+  try {
+    const draft = await loadDraft(req, res)
+    if (!draft) return
+
+    const result = await sendDraftPaymentLink(req.tenantDB, draft, {
+      storeId: req.storeId,
+      storeName: req.user?.storeInfo?.name,
+      validityDays: req.body.validityDays,
+      actor: getActor(req),
+    })
+    if (!result.success) {
+      return res.status(getErrorStatus(result.code)).json({
+        error: result.error,
+        code: result.code,
+        details: result.details,
+      })
+    }
+
+    res.json({
+      draft: result.draft,
+      paymentLink: result.paymentLink,
+      emailSent: result.emailSent,
+      quote: getDraftQuote(result.pricing),
+    })
+  } catch (error) {
+    console.error(`Error sending payment link of draft order ${req.params.draftId}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Complete the draft as a cash on delivery order (online payments go through the payment link)
+router.post("/:draftId/complete", async (req, res) => {
+  try {
+    const { paymentMethod = "cod" } = req.body
+    if (paymentMethod !== "cod") {
+      return res.status(400).json({
+        error: "Drafts are completed as cash on delivery - send a payment link for online payment",
+        code: "INVALID_PAYMENT_METHOD",
+      })
+    }
+
+    const draft = await loadDraft(req, res)
+    if (!draft) return
+
+    const result = await placeDraftOrder(req.tenantDB, draft, {
+      paymentMethod,
+      actor: getActor(req),
+      storeName: req.user?.storeInfo?.name,
+    })
+    if (!result.success) {
+      return res.status(getErrorStatus(result.code)).json({
+        error: result.error,
+        code: result.code,
+        details: result.details,
+      })
+    }
+
+    res.status(201).json({ order: result.order, draft: result.draft })
+  } catch (error) {
+    console.error(`Error completing draft order ${req.params.draftId}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Cancel a draft
+router.delete("/:draftId", async (req, res) => {
+  try {
+    const draft = await loadDraft(req, res)
+    if (!draft) return
+
+    const result = await cancelDraft(req.tenantDB, draft, { actor: getActor(req) })
+    if (!result.success) {
+      return res.status(getErrorStatus(result.code)).json({ error: result.error, code: result.code })
+    }
+
+    res.json({ message: "Draft order cancelled", draft: result.draft })
+  } catch (error) {
+    console.error(`Error cancelling draft order ${req.params.draftId}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+module.exports = router
@@ -69,11 +69,18 @@ router.all("/test", (req, res) => {
 const productsRoutes = require("./products")
 const categoriesRoutes = require("./categories")
 const ordersRoutes = require("./orders")
+const draftOrdersRoutes = require("./draftOrders")
 const customersRoutes = require("./customers")
 const offersRoutes = require("./offers")
 const settingsRoutes = require("./settings")
 const dashboardRoutes = require("./dashboard")
 const paymentsRoutes = require("./payments")
+const reviewsRoutes = require("./reviews")
+const cartsRoutes = require("./carts")
+const returnsRoutes = require("./returns")
+const refundsRoutes = require("./refunds")
+const creditNotesRoutes = require("./creditNotes")
+const reportsRoutes = require("./reports")
 
 // Middleware to ensure tenant DB is available
 const ensureTenantDB = async (req, res, next) => {
@@ -121,6 +128,16 @@ router.use(
   categoriesRoutes,
 )
 
+// Mounted before /orders so "drafts" is not taken for an order id
+router.use(
+  "/orders/drafts",
+  (req, res, next) => {
+    console.log("📝 Draft orders route matched")
+    next()
+  },
+  draftOrdersRoutes,
+)
+
 router.use(
   "/orders",
   (req, res, next) => {
@@ -177,6 +194,60 @@ router.use(
   paymentsRoutes,
 )
 
+router.use(
+  "/reviews",
+  (req, res, next) => {
+    console.log("⭐ Reviews route matched")
+    next()
+  },
+  reviewsRoutes,
+)
+
+router.use(
+  "/carts",
+  (req, res, next) => {
+    console.log("🛒 Carts route matched")
+    next()
+  },
+  cartsRoutes,
+)
+
+router.use(
+  "/returns",
+  (req, res, next) => {
+    console.log("↩️ Returns route matched")
+    next()
+  },
+  returnsRoutes,
+)
+
+router.use(
+  "/refunds",
+  (req, res, next) => {
+    console.log("💸 Refunds route matched")
+    next()
+  },
+  refundsRoutes,
+)
+
+router.use(
+  "/credit-notes",
+  (req, res, next) => {
+    console.log("🧾 Credit notes route matched")
+    next()
+  },
+  creditNotesRoutes,
+)
+
+router.use(
+  "/reports",
+  (req, res, next) => {
+    console.log("📑 Reports route matched")
+    next()
+  },
+  reportsRoutes,
+)
+
 // Admin dashboard stats
 router.get("/stats", async (req, res) => {
   try {
@@ -269,12 +340,19 @@ router.get("/debug/routes", (req, res) => {
       "GET /api/admin/debug/routes",
       "* /api/admin/products/*",
       "* /api/admin/categories/*",
+      "* /api/admin/orders/drafts/*",
       "* /api/admin/orders/*",
       "* /api/admin/customers/*",
       "* /api/admin/offers/*",
       "* /api/admin/settings/*",
       "* /api/admin/dashboard/*",
       "* /api/admin/payments/*",
+      "* /api/admin/reviews/*",
+      "* /api/admin/carts/*",
+      "* /api/admin/returns/*",
+      "* /api/admin/refunds/*",
+      "* /api/admin/credit-notes/*",
+      "* /api/admin/reports/*",
     ],
     currentRequest: {
       method: req.method,
@@ -1,19 +1,153 @@
 const express = require("express")
 const router = express.Router()
+const AuthUtils = require("../../utils/auth")
+const { assignInvoiceNumber, canInvoiceOrder } = require("../../utils/numbering")
+const {
+  ORDER_TRANSITIONS,
+  PAYMENT_TRANSITIONS,
+  getAllowedTransitions,
+  transitionOrder,
+} = require("../../utils/orderLifecycle")
+const { cancelOrderItems, editOrder, recordBalancePayment } = require("../../utils/orderChanges")
+const { getInvoice, renderInvoicePdf } = require("../../utils/invoices")
+const {
+  getShippingDocumentContext,
+  renderPackingSlips,
+  renderShippingLabels,
+} = require("../../utils/shippingDocuments")
 
-// Get all orders
+// Most orders in one packing slip / label batch
+const MAX_SHIPPING_DOCUMENTS = 100
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS)
+const PAYMENT_STATUSES = Object.keys(PAYMENT_TRANSITIONS)
+
+// sortBy values of the order list and the fields they sort on
+const ORDER_SORT_FIELDS = {
+  createdAt: "createdAt",
+  updatedAt: "updatedAt",
+  total: "total",
+  orderNumber: "orderNumber",
+  customerName: "customerInfo.name",
+  status: "status",
+}
+
+// The list leaves out the history and payment details (GET /:id has everything)
+const ORDER_LIST_FIELDS =
+  "orderNumber invoiceNumber customerId customerInfo items.name items.variantName items.sku items.image items.quantity " +
+  "subtotal discount tax shipping total balanceDue status paymentStatus paymentMethod trackingNumber isGuestOrder " +
+  "createdAt updatedAt"
+
+// Get orders with filters (status, payment status / method, date and total range), search by order number,
+// customer name / phone / email or SKU, sorting and pagination, plus per-status counts for the tabs
 router.get("/", async (req, res) => {
   try {
-    console.log("Attempting to access req.tenantDB:", req.tenantDB ? "Available" : "Not Available")
-    // Ensure the Product model is also loaded and registered with the tenant DB
-    // This is crucial for Mongoose to find the 'Product' schema during population
-    const Product = require("../../models/tenant/Product")(req.tenantDB) // Assuming this path and structure
     const Order = require("../../models/tenant/Order")(req.tenantDB)
-    const orders = await Order.find().populate("items.productId").sort({ createdAt: -1 })
-    res.json(orders)
+    const { status, paymentStatus, paymentMethod, startDate, endDate, minTotal, maxTotal, search } = req.query
+    const { sortBy = "createdAt", sortOrder = "desc" } = req.query
+    const page = Math.max(1, Number.parseInt(req.query.page) || 1)
+    const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit) || 20))
+
+    // Comma separated values select several statuses at once ("pending,confirmed")
+    const list = (value) => (value ? String(value).split(",").filter(Boolean) : [])
+    const statuses = list(status)
+    const paymentStatuses = list(paymentStatus)
+    const paymentMethods = list(paymentMethod)
+    if (statuses.some((value) => !ORDER_STATUSES.includes(value))) {
+      return res.status(400).json({ error: "Invalid status", validStatuses: ORDER_STATUSES })
+    }
+    if (paymentStatuses.some((value) => !PAYMENT_STATUSES.includes(value))) {
+      return res.status(400).json({ error: "Invalid payment status", validPaymentStatuses: PAYMENT_STATUSES })
+    }
+    const validMethods = Order.schema.path("paymentMethod").enumValues
+    if (paymentMethods.some((value) => !validMethods.includes(value))) {
+      return res.status(400).json({ error: "Invalid payment method", validPaymentMethods: validMethods })
+    }
+    if (!ORDER_SORT_FIELDS[sortBy]) {
+      return res.status(400).json({ error: "Invalid sort field", validSortFields: Object.keys(ORDER_SORT_FIELDS) })
+    }
+    const [min, max] = [minTotal, maxTotal].map((value) => (value === undefined || value === "" ? null : Number(value)))
+    if ([min, max].some((value) => value !== null && !Number.isFinite(value))) {
+      return res.status(400).json({ error: "minTotal and maxTotal must be numbers" })
+    }
+    const [start, end] = [startDate, endDate].map((value) => (value ? new Date(value) : null))
+    if ([start, end].some((value) => value !== null && Number.isNaN(value.getTime()))) {
+      return res.status(400).json({ error: "startDate and endDate must be valid dates" })
+    }
+
+    // Everything except the status filter, so the tab counts follow the other filters
+    const baseQuery = {}
+    if (paymentStatuses.length > 0) baseQuery.paymentStatus = { $in: paymentStatuses }
+    if (paymentMethods.length > 0) baseQuery.paymentMethod = { $in: paymentMethods }
+    if (start || end) {
+      baseQuery.createdAt = {}
+      if (start) baseQuery.createdAt.$gte = start
+      if (end) {
+        end.setHours(23, 59, 59, 999)
+        baseQuery.createdAt.$lte = end
+      }
+    }
+    if (min !== null || max !== null) {
+      baseQuery.total = {}
+      if (min !== null) baseQuery.total.$gte = min
+      if (max !== null) baseQuery.total.$lte = max
+    }
+    if (search && String(search).trim()) {
+      const pattern = new RegExp(
+        String(search)
+          .trim()
+          .replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+        "i",
+      )
+      baseQuery.$or = [
+        { orderNumber: pattern },
+        { "customerInfo.name": pattern },
+        { "customerInfo.email": pattern },
+        { "customerInfo.phone": pattern },
+        { "items.sku": pattern },
+      ]
+    }
+    const query = statuses.length > 0 ? { ...baseQuery, status: { $in: statuses } } : baseQuery
+
+    const direction = sortOrder === "asc" ? 1 : -1
+    const [orders, total, statusCounts] = await Promise.all([
+      Order.find(query)
+        .select(ORDER_LIST_FIELDS)
+        .sort({ [ORDER_SORT_FIELDS[sortBy]]: direction, _id: direction })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Order.countDocuments(query),
+      Order.aggregate([{ $match: baseQuery }, { $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ])
+
+    const counts = statusCounts.reduce(
+      (result, { _id, count }) => ({ ...result, [_id]: count }),
+      Object.fromEntries(ORDER_STATUSES.map((key) => [key, 0])),
+    )
+    res.json({
+      orders: orders.map((order) => ({
+        ...order,
+        itemCount: order.items.reduce((sum, item) => sum + (item.quantity || 0), 0),
+      })),
+      pagination: AuthUtils.generatePaginationMeta(page, limit, total),
+      statusCounts: { all: Object.values(counts).reduce((sum, count) => sum + count, 0), ...counts },
+      filters: {
+        status,
+        paymentStatus,
+        paymentMethod,
+        startDate,
+        endDate,
+        minTotal,
+        maxTotal,
+        search,
+        sortBy,
+        sortOrder,
+      },
+    })
   } catch (error) {
     console.error("Error fetching orders:", error)
-    res.status(500).json({ error: error.message, stack: error.stack })
+    res.status(500).json({ error: error.message })
   }
 })
 
@@ -34,29 +168,317 @@ router.get("/:id", async (req, res) => {
   }
 })
 
-// Update order status
+// Update order status / payment status (only allowed transitions, see utils/orderLifecycle.js)
 router.put("/:id", async (req, res) => {
   try {
     // Ensure the Product model is also loaded and registered with the tenant DB
     const Product = require("../../models/tenant/Product")(req.tenantDB) // Assuming this path and structure
     const Order = require("../../models/tenant/Order")(req.tenantDB)
-    const { status } = req.body
-    const validStatuses = ["pending", "confirmed", "processing", "shipped", "delivered", "cancelled"]
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        error: "Invalid status",
-        validStatuses,
-      })
+    const { status, paymentStatus, note, trackingNumber } = req.body
+    if (!status && !paymentStatus && trackingNumber === undefined) {
+      return res.status(400).json({ error: "status, paymentStatus or trackingNumber is required" })
     }
-    const order = await Order.findByIdAndUpdate(req.params.id, { status }, { new: true }).populate("items.productId")
+
+    const order = await Order.findById(req.params.id)
     if (!order) {
       return res.status(404).json({ error: "Order not found" })
     }
-    res.json(order)
+
+    const result = await transitionOrder(req.tenantDB, order, {
+      status,
+      paymentStatus,
+      note,
+      trackingNumber,
+      actor: { type: "admin", id: req.user?.id || req.user?._id, name: req.user?.name || req.user?.email },
+    })
+    if (!result.success) {
+      return res.status(result.code === "ORDER_STATUS_CHANGED" ? 409 : 400).json({
+        error: result.error,
+        code: result.code,
+        currentStatus: order.status,
+        currentPaymentStatus: order.paymentStatus,
+        allowedTransitions: result.allowed || getAllowedTransitions(order),
+      })
+    }
+
+    const updatedOrder = await Order.findById(order._id).populate("items.productId")
+    res.json(updatedOrder)
   } catch (error) {
     console.error(`Error updating order ${req.params.id}:`, error)
     res.status(500).json({ error: error.message, stack: error.stack })
   }
 })
 
+// Status history, edits, balance payments and the statuses the order can move to next
+router.get("/:id/history", async (req, res) => {
+  try {
+    const Order = require("../../models/tenant/Order")(req.tenantDB)
+    const order = await Order.findById(req.params.id).select(
+      "orderNumber status paymentStatus statusHistory edits balancePayments",
+    )
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" })
+    }
+
+    res.json({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+      history: order.statusHistory,
+      edits: order.edits,
+      balancePayments: order.balancePayments,
+      allowedTransitions: getAllowedTransitions(order),
+    })
+  } catch (error) {
+    console.error(`Error fetching history of order ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Cancel some items (or quantities) of an order before delivery: { items: [{ orderItemId, quantity }], reason }
+router.post("/:id/cancel-items", async (req, res) => {
+  try {
+    const Order = require("../../models/tenant/Order")(req.tenantDB)
+    const order = await Order.findById(req.params.id)
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" })
+    }
+
+    const result = await cancelOrderItems(req.tenantDB, order, {
+      items: req.body.items,
+      reason: typeof req.body.reason === "string" ? req.body.reason.trim() : undefined,
+      actor: { type: "admin", id: req.user?.id || req.user?._id, name: req.user?.name || req.user?.email },
+    })
+    if (!result.success) {
+      return res.status(result.code === "ORDER_STATUS_CHANGED" ? 409 : 400).json({
+        error: result.error,
+        code: result.code,
+        details: result.details,
+      })
+    }
+
+    res.json({
+      order: result.order,
+      orderCancelled: !!result.orderCancelled,
+      cancellation: result.cancellation,
+      refund: result.refund,
+      refundError: result.refundError,
+    })
+  } catch (error) {
+    console.error(`Error cancelling items of order ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Edit an order before it ships: { shippingAddress: { name, phone, street, city, state, zipCode, country },
+// items: [{ orderItemId, quantity, variantId } | { productId, variantId, quantity }], reason } - items is the
+// complete new list (existing lines left out are removed), either part can be left out
+router.post("/:id/edit", async (req, res) => {
+  try {
+    const Order = require("../../models/tenant/Order")(req.tenantDB)
+    const order = await Order.findById(req.params.id)
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" })
+    }
+
+    const result = await editOrder(req.tenantDB, order, {
+      shippingAddress: req.body.shippingAddress,
+      items: req.body.items,
+      reason: typeof req.body.reason === "string" ? req.body.reason.trim() : undefined,
+      actor: { type: "admin", id: req.user?.id || req.user?._id, name: req.user?.name || req.user?.email },
+    })
+    if (!result.success) {
+      const conflict = ["ORDER_STATUS_CHANGED", "INSUFFICIENT_STOCK", "ORDER_INVOICED"].includes(result.code)
+      return res.status(conflict ? 409 : 400).json({
+        error: result.error,
+        code: result.code,
+        details: result.details,
+        availableQuantity: result.availableQuantity,
+      })
+    }
+
+    res.json({
+      order: result.order,
+      edit: result.edit,
+      balanceDue: result.order.balanceDue,
+      refund: result.refund,
+      refundError: result.refundError,
+    })
+  } catch (error) {
+    console.error(`Error editing order ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Record a payment of the balance due after an edit: { amount (defaults to the whole balance),
+// method: cod (collected on delivery) | manual (UPI, bank transfer...), reference }
+router.post("/:id/balance-payment", async (req, res) => {
+  try {
+    const Order = require("../../models/tenant/Order")(req.tenantDB)
+    const order = await Order.findById(req.params.id)
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" })
+    }
+
+    const result = await recordBalancePayment(req.tenantDB, order, {
+      amount: req.body.amount,
+      method: req.body.method,
+      reference: typeof req.body.reference === "string" ? req.body.reference.trim() : undefined,
+      actor: { type: "admin", id: req.user?.id || req.user?._id, name: req.user?.name || req.user?.email },
+    })
+    if (!result.success) {
+      return res.status(result.code === "ORDER_STATUS_CHANGED" ? 409 : 400).json({
+        error: result.error,
+        code: result.code,
+      })
+    }
+
+    res.json({ order: result.order, payment: result.payment, balanceDue: result.order.balanceDue })
+  } catch (error) {
+    console.error(`Error recording balance payment of order ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Issue the invoice number of an order (from the gap-free invoice series)
+router.post("/:id/invoice", async (req, res) => {
+  try {
+    const Order = require("../../models/tenant/Order")(req.tenantDB)
+    const order = await Order.findById(req.params.id)
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" })
+    }
+    if (!order.invoiceNumber && !canInvoiceOrder(order)) {
+      return res.status(400).json({ error: "Only confirmed or paid orders can be invoiced" })
+    }
+
+    const invoiced = await assignInvoiceNumber(req.tenantDB, order._id)
+    if (!invoiced) {
+      return res.status(400).json({ error: "Only confirmed or paid orders can be invoiced" })
+    }
+    res.json({
+      orderId: invoiced._id,
+      orderNumber: invoiced.orderNumber,
+      invoiceNumber: invoiced.invoiceNumber,
+      invoicedAt: invoiced.invoicedAt,
+    })
+  } catch (error) {
+    console.error(`Error invoicing order ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Download the invoice PDF (issues the invoice number if the order has none yet)
+router.get("/:id/invoice/pdf", async (req, res) => {
+  try {
+    const Order = require("../../models/tenant/Order")(req.tenantDB)
+    const order = await Order.findById(req.params.id)
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" })
+    }
+
+    const invoice = await getInvoice(req.tenantDB, order, { storeName: req.user?.storeInfo?.name })
+    if (!invoice.invoiceNumber) {
+      return res.status(400).json({ error: "Only confirmed or paid orders can be invoiced" })
+    }
+
+    const pdf = await renderInvoicePdf(invoice)
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${invoice.invoiceNumber}.pdf"`,
+      "Content-Length": pdf.length,
+    })
+    res.send(pdf)
+  } catch (error) {
+    console.error(`Error generating invoice of order ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Orders of a packing slip / label request in the order they were selected, or an error to answer with
+const loadShippableOrders = async (req, orderIds) => {
+  const mongoose = require("mongoose")
+  const Order = require("../../models/tenant/Order")(req.tenantDB)
+  const ids = Array.isArray(orderIds) ? [...new Set(orderIds.map(String))] : []
+  if (ids.length === 0 || ids.length > MAX_SHIPPING_DOCUMENTS) {
+    return { status: 400, error: `Select between 1 and ${MAX_SHIPPING_DOCUMENTS} orders` }
+  }
+  const invalid = ids.filter((id) => !mongoose.Types.ObjectId.isValid(id))
+  if (invalid.length > 0) {
+    return { status: 400, error: "Invalid order ids", details: invalid }
+  }
+
+  const orders = await Order.find({ _id: { $in: ids } })
+  const byId = new Map(orders.map((order) => [order._id.toString(), order]))
+  const missing = ids.filter((id) => !byId.has(id))
+  if (missing.length > 0) {
+    return { status: 404, error: "Orders not found", details: missing }
+  }
+  const cancelled = orders.filter((order) => order.status === "cancelled").map((order) => order.orderNumber)
+  if (cancelled.length > 0) {
+    return { status: 400, error: "Cancelled orders can't be packed or shipped", details: cancelled }
+  }
+  return { orders: ids.map((id) => byId.get(id)) }
+}
+
+// Answer a packing slip / label request with the PDF of the selected orders
+const sendShippingDocuments = async (req, res, orderIds, { render, name }) => {
+  const result = await loadShippableOrders(req, orderIds)
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error, details: result.details })
+  }
+
+  const context = await getShippingDocumentContext(req.tenantDB, { storeName: req.user?.storeInfo?.name })
+  const pdf = await render(result.orders, context)
+  const filename = result.orders.length === 1 ? `${name}-${result.orders[0].orderNumber}` : `${name}s-${Date.now()}`
+  console.log(`🏷️ Generated ${name}s for ${result.orders.length} orders`)
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${filename}.pdf"`,
+    "Content-Length": pdf.length,
+  })
+  res.send(pdf)
+}
+
+// Packing slip of an order (items, SKUs, variant options, quantities, gift note)
+router.get("/:id/packing-slip", async (req, res) => {
+  try {
+    await sendShippingDocuments(req, res, [req.params.id], { render: renderPackingSlips, name: "packing-slip" })
+  } catch (error) {
+    console.error(`Error generating packing slip of order ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// 4x6 inch shipping label of an order (addresses, order number barcode, COD amount)
+router.get("/:id/shipping-label", async (req, res) => {
+  try {
+    await sendShippingDocuments(req, res, [req.params.id], { render: renderShippingLabels, name: "shipping-label" })
+  } catch (error) {
+    console.error(`Error generating shipping label of order ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Packing slips of selected orders in one PDF: { orderIds: [...] }
+router.post("/packing-slips", async (req, res) => {
+  try {
+    await sendShippingDocuments(req, res, req.body.orderIds, { render: renderPackingSlips, name: "packing-slip" })
+  } catch (error) {
+    console.error("Error generating packing slips:", error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Shipping labels of selected orders in one PDF, one label per page: { orderIds: [...] }
+router.post("/shipping-labels", async (req, res) => {
+  try {
+    await sendShippingDocuments(req, res, req.body.orderIds, { render: renderShippingLabels, name: "shipping-label" })
+  } catch (error) {
+    console.error("Error generating shipping labels:", error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
 module.exports = router
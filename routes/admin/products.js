@@ -4,6 +4,9 @@ const router = express.Router()
 const { upload, deleteImage, getPublicIdFromUrl } = require("../../config/cloudinary")
 const fs = require("fs")
 const path = require("path")
+const AuthUtils = require("../../utils/auth")
+const { adjustStock, recordStockChanges } = require("../../utils/inventory")
+const { parseCSV, toCSV } = require("../../utils/csv")
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage()
@@ -271,6 +274,358 @@ const ensureModelsLoaded = (tenantDB) => {
   }
 }
 
+// Admin performing a stock change, as recorded in the stock movement ledger
+const getStockActor = (req) => ({
+  type: "admin",
+  id: req.user?.id?.toString(),
+  name: req.user?.name || req.user?.email,
+})
+
+// Configure multer for product import files (CSV or JSON)
+const importUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || "").toLowerCase()
+    if ([".csv", ".json"].includes(extension) || ["text/csv", "application/json"].includes(file.mimetype)) {
+      cb(null, true)
+    } else {
+      cb(new Error("Only CSV or JSON files are allowed!"), false)
+    }
+  },
+})
+
+const MAX_IMPORT_ROWS = 5000
+
+// Columns used by product import/export. Variant rows set parentSku to the product SKU.
+const PRODUCT_CSV_COLUMNS = [
+  "parentSku",
+  "sku",
+  "name",
+  "category",
+  "shortDescription",
+  "description",
+  "price",
+  "originalPrice",
+  "taxPercentage",
+  "hsnCode",
+  "trackQuantity",
+  "stock",
+  "lowStockAlert",
+  "allowBackorders",
+  "weight",
+  "length",
+  "width",
+  "height",
+  "tags",
+  "images",
+  "metaTitle",
+  "metaDescription",
+  "isActive",
+  "options",
+  "image",
+]
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === ""
+
+const parseBooleanField = (value, defaultValue) => {
+  if (isBlank(value)) return defaultValue
+  return ["true", "yes", "1", "y"].includes(String(value).trim().toLowerCase())
+}
+
+// Product tax rate: blank means the store rate applies (null), 0 is a zero-rated product
+const parseTaxField = (value) => {
+  if (isBlank(value)) return null
+  const rate = Number.parseFloat(value)
+  return Number.isNaN(rate) ? null : rate
+}
+
+// "a|b|c" (or an array) -> ["a", "b", "c"]
+const parseListField = (value) => {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim()).filter(Boolean)
+  if (isBlank(value)) return []
+  return String(value)
+    .split("|")
+    .map((v) => v.trim())
+    .filter(Boolean)
+}
+
+// "Color:Red|Size:M" (or an array of { attributeName, value }) -> [{ attributeName, value }]
+const parseOptionsField = (value) => {
+  if (Array.isArray(value)) return value
+  return parseListField(value).map((pair) => {
+    const [attributeName, ...rest] = pair.split(":")
+    return { attributeName: (attributeName || "").trim(), value: rest.join(":").trim() }
+  })
+}
+
+// Group flat CSV/JSON rows into products with their variant rows (matched by parent SKU)
+const groupImportRows = (records) => {
+  const items = []
+  const itemsBySku = new Map()
+  const errors = []
+
+  records.forEach((record, index) => {
+    const row = record.__row || index + 2 // +2: header is row 1
+    if (!isBlank(record.parentSku)) return
+
+    const sku = String(record.sku || "")
+      .trim()
+      .toUpperCase()
+    if (!sku) {
+      errors.push({ row, field: "sku", message: "SKU is required" })
+      return
+    }
+    if (itemsBySku.has(sku)) {
+      errors.push({ row, sku, field: "sku", message: `Duplicate product SKU in file: ${sku}` })
+      return
+    }
+
+    const item = { row, sku, data: record, variants: [] }
+    itemsBySku.set(sku, item)
+    items.push(item)
+  })
+
+  records.forEach((record, index) => {
+    const row = record.__row || index + 2
+    if (isBlank(record.parentSku)) return
+
+    const parentSku = String(record.parentSku).trim().toUpperCase()
+    const parent = itemsBySku.get(parentSku)
+    if (!parent) {
+      errors.push({
+        row,
+        sku: record.sku,
+        field: "parentSku",
+        message: `Parent product ${parentSku} not found in file`,
+      })
+      return
+    }
+    parent.variants.push({ row, data: record })
+  })
+
+  return { items, errors }
+}
+
+// Turn JSON input (nested variants or flat rows) into the same grouped shape as CSV
+const normaliseJsonImport = (input) => {
+  const list = Array.isArray(input) ? input : Array.isArray(input?.products) ? input.products : null
+  if (!list) {
+    throw new Error("JSON import must be an array of products or { products: [...] }")
+  }
+
+  const records = []
+  list.forEach((product, index) => {
+    const row = index + 1
+    const { variants, ...fields } = product || {}
+    records.push({ ...fields, images: fields.images || fields.gallery, __row: row })
+    if (Array.isArray(variants)) {
+      variants.forEach((variant) => {
+        records.push({ ...variant, parentSku: fields.sku, __row: row })
+      })
+    }
+  })
+  return records
+}
+
+// Validate one grouped import item and build Product data the same way the create/update routes do
+const buildImportProduct = async (item, { Product, categories, existingProduct }) => {
+  const errors = []
+  const addError = (field, message, row = item.row) => errors.push({ row, sku: item.sku, field, message })
+  const data = item.data
+
+  const name = String(data.name || "").trim()
+  if (!name) addError("name", "Product name is required")
+
+  // Category can be given by id, name or slug
+  const categoryKey = String(data.category || "")
+    .trim()
+    .toLowerCase()
+  const category = categories.find(
+    (c) => c._id.toString() === categoryKey || c.name?.toLowerCase() === categoryKey || c.slug === categoryKey,
+  )
+  if (!categoryKey) {
+    addError("category", "Category is required")
+  } else if (!category) {
+    addError("category", `Category not found: ${data.category}`)
+  }
+
+  const isVariantProduct = item.variants.length > 0
+  const shouldTrackQuantity = parseBooleanField(
+    data.trackQuantity,
+    isVariantProduct ? item.variants.some((v) => !isBlank(v.data.stock)) : !isBlank(data.stock),
+  )
+
+  let parsedPrice = 0
+  let finalOriginalPrice
+  let finalStock
+  let parsedVariants = []
+  let parsedVariantAttributes = []
+
+  if (isVariantProduct) {
+    // Check each variant row first so errors point at the right line
+    const rawVariants = item.variants.map(({ row, data: variantData }) => {
+      const options = parseOptionsField(variantData.options)
+      if (options.length === 0 || options.some((opt) => !opt.attributeName || !opt.value)) {
+        addError("options", 'Variant options are required, e.g. "Color:Red|Size:M"', row)
+      }
+      const variantSku = String(variantData.sku || "")
+        .trim()
+        .toUpperCase()
+      const existingVariant = existingProduct?.variants?.find((v) => v.sku === variantSku)
+      return {
+        _id: existingVariant?._id,
+        name: variantData.name,
+        sku: variantData.sku,
+        price: variantData.price,
+        originalPrice: isBlank(variantData.originalPrice) ? undefined : variantData.originalPrice,
+        stock: variantData.stock,
+        options,
+        image: variantData.image || "",
+        isActive: parseBooleanField(variantData.isActive, true),
+      }
+    })
+
+    try {
+      parsedVariants = parseVariants(rawVariants, true, shouldTrackQuantity)
+    } catch (variantError) {
+      addError("variants", variantError.message)
+    }
+
+    // Variant attributes are derived from the options used by the variants
+    const attributes = new Map()
+    rawVariants.forEach((variant) =>
+      variant.options.forEach(({ attributeName, value }) => {
+        if (!attributeName || !value) return
+        if (!attributes.has(attributeName)) attributes.set(attributeName, new Set())
+        attributes.get(attributeName).add(value)
+      }),
+    )
+    parsedVariantAttributes = [...attributes].map(([attrName, values]) => ({ name: attrName, values: [...values] }))
+  } else {
+    parsedPrice = Number.parseFloat(data.price) || 0
+    if (parsedPrice <= 0) {
+      addError("price", "Price must be greater than 0 for non-variant products")
+    }
+
+    if (!isBlank(data.originalPrice)) {
+      const parsedOriginalVal = Number.parseFloat(data.originalPrice)
+      if (!isNaN(parsedOriginalVal) && parsedOriginalVal > parsedPrice) {
+        finalOriginalPrice = parsedOriginalVal
+      }
+    }
+
+    if (shouldTrackQuantity) {
+      finalStock = isBlank(data.stock) ? 0 : Number.parseInt(data.stock)
+      if (isNaN(finalStock) || finalStock < 0) {
+        addError("stock", "Stock quantity cannot be negative or invalid when quantity tracking is enabled")
+      }
+    }
+  }
+
+  const gallery = parseListField(data.images)
+
+  const productData = {
+    name,
+    slug: generateSlug(name),
+    sku: item.sku,
+    category: category?._id,
+    tags: parseListField(data.tags),
+    shortDescription: String(data.shortDescription || "").trim(),
+    description: String(data.description || "").trim(),
+    price: isVariantProduct ? 0 : parsedPrice,
+    originalPrice: finalOriginalPrice,
+    taxPercentage: parseTaxField(data.taxPercentage),
+    hsnCode: String(data.hsnCode ?? "").trim(),
+    lowStockAlert: Number.parseInt(data.lowStockAlert) || 5,
+    allowBackorders: parseBooleanField(data.allowBackorders, false),
+    thumbnail: gallery.length > 0 ? gallery[0] : "",
+    gallery,
+    weight: Number.parseFloat(data.weight) || 0,
+    dimensions: {
+      length: Number.parseFloat(data.length ?? data.dimensions?.length) || 0,
+      width: Number.parseFloat(data.width ?? data.dimensions?.width) || 0,
+      height: Number.parseFloat(data.height ?? data.dimensions?.height) || 0,
+    },
+    metaTitle: String(data.metaTitle || "").trim(),
+    metaDescription: String(data.metaDescription || "").trim(),
+    hasVariants: isVariantProduct,
+    variants: parsedVariants,
+    trackQuantity: shouldTrackQuantity,
+    variantAttributes: parsedVariantAttributes,
+    isActive: parseBooleanField(data.isActive, true),
+  }
+
+  if (shouldTrackQuantity && !isVariantProduct) {
+    productData.stock = finalStock
+  } else if (isVariantProduct) {
+    productData.stock = 0
+  }
+
+  // Run the Product model validation without saving
+  if (errors.length === 0) {
+    const candidate = new Product({ ...productData, _id: existingProduct?._id })
+    try {
+      await candidate.validate()
+    } catch (validationError) {
+      if (validationError.name === "ValidationError") {
+        Object.keys(validationError.errors).forEach((key) => addError(key, validationError.errors[key].message))
+      } else {
+        addError("product", validationError.message)
+      }
+    }
+  }
+
+  return { errors, productData }
+}
+
+// Flatten a product (and its variants) into CSV rows
+const productToCSVRows = (product) => {
+  const base = {
+    parentSku: "",
+    sku: product.sku,
+    name: product.name,
+    category: product.category?.name || product.category?.toString() || "",
+    shortDescription: product.shortDescription,
+    description: product.description,
+    price: product.hasVariants ? "" : product.price,
+    originalPrice: product.hasVariants ? "" : product.originalPrice,
+    taxPercentage: product.taxPercentage ?? "",
+    hsnCode: product.hsnCode || "",
+    trackQuantity: product.trackQuantity === true,
+    stock: product.trackQuantity === true && !product.hasVariants ? product.stock : "",
+    lowStockAlert: product.lowStockAlert,
+    allowBackorders: product.allowBackorders === true,
+    weight: product.weight,
+    length: product.dimensions?.length,
+    width: product.dimensions?.width,
+    height: product.dimensions?.height,
+    tags: (product.tags || []).join("|"),
+    images: (product.gallery || []).join("|"),
+    metaTitle: product.metaTitle,
+    metaDescription: product.metaDescription,
+    isActive: product.isActive !== false,
+  }
+
+  const variantRows = product.hasVariants
+    ? (product.variants || []).map((variant) => ({
+        parentSku: product.sku,
+        sku: variant.sku,
+        name: variant.name,
+        price: variant.price,
+        originalPrice: variant.originalPrice,
+        stock: product.trackQuantity === true ? variant.stock : "",
+        isActive: variant.isActive !== false,
+        options: (variant.options || []).map((opt) => `${opt.attributeName}:${opt.value}`).join("|"),
+        image: variant.image,
+      }))
+    : []
+
+  return [base, ...variantRows]
+}
+
 // Ensure upload directories exist
 const ensureUploadDirs = () => {
   const dirs = ["uploads", "uploads/products"]
@@ -312,6 +667,277 @@ router.get("/", async (req, res) => {
   }
 })
 
+// Import products from a CSV or JSON file
+// Runs as a dry run unless dryRun=false. Options: updateExisting (update products matched by SKU),
+// skipInvalid (import the valid products even if some rows have errors)
+router.post("/import", importUpload.single("file"), async (req, res) => {
+  try {
+    const options = { ...req.query, ...req.body }
+    const dryRun = parseBooleanField(options.dryRun, true)
+    const updateExisting = parseBooleanField(options.updateExisting, false)
+    const skipInvalid = parseBooleanField(options.skipInvalid, false)
+
+    console.log("📥 Importing products...", { file: req.file?.originalname, dryRun, updateExisting, skipInvalid })
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: "Import file is required (field name: file)",
+      })
+    }
+
+    // Parse the file into flat records
+    let records
+    try {
+      const content = req.file.buffer.toString("utf8")
+      const isJson =
+        path.extname(req.file.originalname || "").toLowerCase() === ".json" || req.file.mimetype === "application/json"
+      records = isJson ? normaliseJsonImport(JSON.parse(content)) : parseCSV(content)
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: "Could not read import file",
+        details: parseError.message,
+      })
+    }
+
+    if (records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Import file has no rows",
+      })
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: `Import is limited to ${MAX_IMPORT_ROWS} rows per file`,
+      })
+    }
+
+    const { Product, Category } = ensureModelsLoaded(req.tenantDB)
+    const { items, errors: groupingErrors } = groupImportRows(records)
+
+    const [categories, existingProducts] = await Promise.all([
+      Category.find().select("name slug").lean(),
+      Product.find({ sku: { $in: items.map((item) => item.sku) } }),
+    ])
+    const existingBySku = new Map(existingProducts.map((product) => [product.sku, product]))
+
+    // SKUs must be unique across products and variants in the file
+    const skuRows = new Map()
+    items.forEach((item) => {
+      const entries = [{ row: item.row, sku: item.sku }, ...item.variants.map((v) => ({ row: v.row, sku: v.data.sku }))]
+      entries.forEach(({ row, sku }) => {
+        const key = String(sku || "")
+          .trim()
+          .toUpperCase()
+        if (key) skuRows.set(key, [...(skuRows.get(key) || []), row])
+      })
+    })
+
+    const results = []
+    for (const item of items) {
+      const existingProduct = existingBySku.get(item.sku)
+      const { errors, productData } = await buildImportProduct(item, { Product, categories, existingProduct })
+
+      if (existingProduct && !updateExisting) {
+        errors.push({
+          row: item.row,
+          sku: item.sku,
+          field: "sku",
+          message: "A product with this SKU already exists (set updateExisting=true to update it)",
+        })
+      }
+      const itemSkus = [item.sku, ...item.variants.map((v) => String(v.data.sku || "").trim().toUpperCase())]
+      new Set(itemSkus).forEach((sku) => {
+        const rows = skuRows.get(sku) || []
+        if (rows.length > 1) {
+          errors.push({
+            row: item.row,
+            sku,
+            field: "sku",
+            message: `SKU ${sku} is used more than once (rows ${rows.join(", ")})`,
+          })
+        }
+      })
+
+      results.push({
+        row: item.row,
+        sku: item.sku,
+        name: productData.name,
+        action: existingProduct ? "update" : "create",
+        variants: item.variants.length,
+        status: errors.length > 0 ? "invalid" : "valid",
+        errors,
+        productData,
+        existingProduct,
+      })
+    }
+
+    // Keep slugs unique within the file and against other products
+    const validResults = results.filter((result) => result.status === "valid")
+    const takenSlugs = await Product.find({ slug: { $in: validResults.map((r) => r.productData.slug) } })
+      .select("slug sku")
+      .lean()
+    const slugOwners = new Map(takenSlugs.map((product) => [product.slug, product.sku]))
+    validResults.forEach((result) => {
+      const owner = slugOwners.get(result.productData.slug)
+      if (owner && owner !== result.sku) {
+        result.productData.slug = generateSlug(`${result.productData.name} ${result.sku}`)
+      }
+      slugOwners.set(result.productData.slug, result.sku)
+    })
+
+    const allErrors = [...groupingErrors, ...results.flatMap((result) => result.errors)].sort((a, b) => a.row - b.row)
+    const summary = {
+      totalRows: records.length,
+      products: items.length,
+      variants: items.reduce((sum, item) => sum + item.variants.length, 0),
+      valid: validResults.length,
+      invalid: results.length - validResults.length,
+      toCreate: validResults.filter((r) => r.action === "create").length,
+      toUpdate: validResults.filter((r) => r.action === "update").length,
+      errors: allErrors.length,
+    }
+    const report = results.map(({ productData, existingProduct, ...result }) => result)
+
+    if (dryRun) {
+      console.log("✅ Import dry run complete:", summary)
+      return res.json({
+        success: allErrors.length === 0,
+        dryRun: true,
+        message:
+          allErrors.length === 0
+            ? "Dry run passed. Run again with dryRun=false to import."
+            : "Dry run found errors. Fix them or use skipInvalid=true to import the valid products.",
+        summary,
+        errors: allErrors,
+        results: report,
+      })
+    }
+
+    if (allErrors.length > 0 && !skipInvalid) {
+      return res.status(400).json({
+        success: false,
+        dryRun: false,
+        error: "Import has errors - nothing was imported",
+        summary,
+        errors: allErrors,
+        results: report,
+      })
+    }
+
+    // Write the valid products
+    const importReference = { type: "Import", id: `IMP-${Date.now()}`, number: req.file.originalname }
+    let created = 0
+    let updated = 0
+    let failed = 0
+
+    for (const result of validResults) {
+      const entry = report.find((r) => r.row === result.row && r.sku === result.sku)
+      try {
+        let product
+        let previous = null
+        if (result.existingProduct) {
+          product = result.existingProduct
+          previous = product.toObject()
+          Object.assign(product, result.productData)
+          await product.save()
+          updated++
+        } else {
+          product = new Product(result.productData)
+          await product.save()
+          created++
+        }
+
+        await recordStockChanges(req.tenantDB, previous, product, {
+          type: "import",
+          reason: previous ? "Product import (update)" : "Product import",
+          actor: getStockActor(req),
+          reference: importReference,
+        })
+
+        entry.status = result.existingProduct ? "updated" : "created"
+        entry.productId = product._id
+      } catch (saveError) {
+        failed++
+        entry.status = "failed"
+        entry.errors = [
+          {
+            row: result.row,
+            sku: result.sku,
+            field: "product",
+            message: saveError.code === 11000 ? "Duplicate value (SKU or slug already exists)" : saveError.message,
+          },
+        ]
+      }
+    }
+
+    console.log(`✅ Import complete: ${created} created, ${updated} updated, ${failed} failed`)
+
+    res.json({
+      success: failed === 0,
+      dryRun: false,
+      message: `Imported ${created + updated} products (${created} created, ${updated} updated, ${failed} failed)`,
+      summary: { ...summary, created, updated, failed, skipped: summary.invalid },
+      errors: [...allErrors, ...report.filter((r) => r.status === "failed").flatMap((r) => r.errors)],
+      results: report,
+    })
+  } catch (error) {
+    console.error("❌ Import products error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to import products",
+      details: error.message,
+    })
+  }
+})
+
+// Export products (with variants) as CSV or JSON
+router.get("/export", async (req, res) => {
+  try {
+    const { format = "csv", category, isActive } = req.query
+    console.log("📤 Exporting products...", { format, category, isActive })
+
+    const { Product } = ensureModelsLoaded(req.tenantDB)
+
+    const filter = {}
+    if (category) filter.category = category
+    if (isActive !== undefined && isActive !== "all") filter.isActive = isActive === "true"
+
+    const products = await Product.find(filter).populate("category", "name slug").sort({ createdAt: 1 }).lean()
+    const date = new Date().toISOString().split("T")[0]
+
+    if (format === "json") {
+      const data = products.map((product) => {
+        const [{ parentSku, ...base }, ...variantRows] = productToCSVRows(product)
+        return {
+          ...base,
+          tags: product.tags || [],
+          images: product.gallery || [],
+          variants: variantRows.map(({ parentSku, ...variant }) => variant),
+        }
+      })
+      res.setHeader("Content-Disposition", `attachment; filename="products-export-${date}.json"`)
+      res.json(data)
+    } else {
+      const csvContent = toCSV(PRODUCT_CSV_COLUMNS, products.flatMap(productToCSVRows))
+      res.setHeader("Content-Type", "text/csv")
+      res.setHeader("Content-Disposition", `attachment; filename="products-export-${date}.csv"`)
+      res.send(csvContent)
+    }
+
+    console.log(`✅ Exported ${products.length} products`)
+  } catch (error) {
+    console.error("❌ Export products error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to export products",
+      details: error.message,
+    })
+  }
+})
+
 // Get single product
 router.get("/:id", async (req, res) => {
   try {
@@ -343,6 +969,208 @@ router.get("/:id", async (req, res) => {
   }
 })
 
+// Get current stock and stock movement history for a product
+router.get("/:id/stock", async (req, res) => {
+  try {
+    console.log("📦 Getting stock history for product:", req.params.id)
+    const { Product } = ensureModelsLoaded(req.tenantDB)
+    const StockMovement = require("../../models/tenant/StockMovement")(req.tenantDB)
+
+    const product = await Product.findById(req.params.id)
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: "Product not found",
+      })
+    }
+
+    const page = Math.max(1, Number.parseInt(req.query.page) || 1)
+    const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit) || 20))
+    const { variantId, type, from, to } = req.query
+
+    const query = { productId: product._id }
+    if (variantId) query.variantId = variantId
+    if (type) query.type = type
+    if (from || to) {
+      query.createdAt = {}
+      if (from) query.createdAt.$gte = new Date(from)
+      if (to) query.createdAt.$lte = new Date(to)
+    }
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StockMovement.countDocuments(query),
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        product: {
+          _id: product._id,
+          name: product.name,
+          sku: product.sku,
+          trackQuantity: product.trackQuantity,
+          allowBackorders: product.allowBackorders,
+          stockStatus: product.stockStatus,
+          stock: product.hasVariants ? product.totalVariantStock : product.stock || 0,
+          variants: product.hasVariants
+            ? product.variants.map((variant) => ({
+                _id: variant._id,
+                name: variant.name,
+                sku: variant.sku,
+                stock: Number.parseInt(variant.stock) || 0,
+              }))
+            : [],
+        },
+        movements,
+        pagination: AuthUtils.generatePaginationMeta(page, limit, total),
+      },
+    })
+  } catch (error) {
+    console.error("❌ Get stock history error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch stock history",
+      details: error.message,
+    })
+  }
+})
+
+// Adjust stock for a product (or one of its variants) with a reason
+// Body: { variantId?, quantity (signed change) | setQuantity (physical count), type?, reason, note? }
+router.post("/:id/stock", async (req, res) => {
+  try {
+    const { variantId, quantity, setQuantity, type = "adjustment", reason, note } = req.body
+    console.log("📦 Adjusting stock for product:", req.params.id, { variantId, quantity, setQuantity, type })
+
+    const allowedTypes = ["adjustment", "restock"]
+    if (!allowedTypes.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid adjustment type. Allowed: ${allowedTypes.join(", ")}`,
+      })
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "A reason is required for stock adjustments",
+      })
+    }
+
+    const hasDelta = quantity !== undefined && quantity !== null && quantity !== ""
+    const hasCount = setQuantity !== undefined && setQuantity !== null && setQuantity !== ""
+    if (hasDelta === hasCount) {
+      return res.status(400).json({
+        success: false,
+        error: "Provide either quantity (change) or setQuantity (new stock level)",
+      })
+    }
+
+    const { Product } = ensureModelsLoaded(req.tenantDB)
+    const product = await Product.findById(req.params.id)
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: "Product not found",
+      })
+    }
+
+    if (product.trackQuantity !== true) {
+      return res.status(400).json({
+        success: false,
+        error: "Quantity tracking is disabled for this product",
+      })
+    }
+
+    let variant = null
+    if (product.hasVariants) {
+      variant = variantId ? product.variants.id(variantId) : null
+      if (!variant) {
+        return res.status(400).json({
+          success: false,
+          error: variantId ? "Variant not found" : "variantId is required for products with variants",
+        })
+      }
+    }
+
+    const currentStock = variant ? Number.parseInt(variant.stock) || 0 : product.stock || 0
+    let delta
+    let newQuantity = null
+    if (hasCount) {
+      newQuantity = Number.parseInt(setQuantity)
+      if (isNaN(newQuantity) || newQuantity < 0) {
+        return res.status(400).json({
+          success: false,
+          error: "setQuantity must be a non-negative number",
+        })
+      }
+      delta = newQuantity - currentStock
+    } else {
+      delta = Number.parseInt(quantity)
+      if (isNaN(delta) || delta === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "quantity must be a non-zero number",
+        })
+      }
+    }
+
+    if (type === "restock" && delta <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Restock quantity must be positive",
+      })
+    }
+
+    // A count is set as the new level in one update, so changes made since the product was read are not lost
+    const result = await adjustStock(Product, {
+      productId: product._id,
+      variantId: variant ? variant._id : null,
+      ...(hasCount ? { setTo: newQuantity } : { delta }),
+      movement: {
+        type,
+        reason: String(reason).trim(),
+        note,
+        actor: getStockActor(req),
+        reference: { type: "Adjustment" },
+      },
+    })
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: "Not enough stock to remove that quantity",
+        availableQuantity: result.available,
+      })
+    }
+
+    console.log("✅ Stock adjusted:", product.name, variant?.name || "", `${result.before} → ${result.after}`)
+
+    res.json({
+      success: true,
+      message: result.applied === 0 ? "Stock already matches the counted quantity" : "Stock adjusted successfully",
+      data: {
+        productId: product._id,
+        variantId: variant ? variant._id : null,
+        quantityBefore: result.before,
+        quantityAfter: result.after,
+        change: result.applied,
+      },
+    })
+  } catch (error) {
+    console.error("❌ Adjust stock error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to adjust stock",
+      details: error.message,
+    })
+  }
+})
+
 // Create product
 router.post("/", fileUpload.array("images", 10), async (req, res) => {
   try {
@@ -362,6 +1190,7 @@ router.post("/", fileUpload.array("images", 10), async (req, res) => {
       price,
       originalPrice, // This is the field we're focusing on
       taxPercentage,
+      hsnCode,
       stock,
       lowStockAlert,
       allowBackorders,
@@ -587,7 +1416,8 @@ router.post("/", fileUpload.array("images", 10), async (req, res) => {
       description: description?.trim() || "",
       price: isVariantProduct ? 0 : parsedPrice, // Use parsedPrice here, 0 for variant products
       originalPrice: finalOriginalPrice, // Use the new finalOriginalPrice
-      taxPercentage: Number.parseFloat(taxPercentage) || 0,
+      taxPercentage: parseTaxField(taxPercentage),
+      hsnCode: String(hsnCode ?? "").trim(),
       lowStockAlert: Number.parseInt(lowStockAlert) || 5,
       allowBackorders: allowBackorders === "true" || allowBackorders === true,
       thumbnail: gallery.length > 0 ? gallery[0] : "",
@@ -629,6 +1459,13 @@ router.post("/", fileUpload.array("images", 10), async (req, res) => {
     const product = new Product(productData)
     await product.save()
 
+    // Opening stock is the first entry in the stock ledger
+    await recordStockChanges(req.tenantDB, null, product, {
+      type: "adjustment",
+      reason: "Initial stock",
+      actor: getStockActor(req),
+    })
+
     console.log("✅ Product created successfully:", product._id)
     console.log("✅ Product variants saved:", product.variants.length)
     console.log("✅ Quantity tracking:", product.trackQuantity)
@@ -726,6 +1563,7 @@ router.put("/:id", fileUpload.array("images", 10), async (req, res) => {
       price, // This is req.body.price
       originalPrice, // This is req.body.originalPrice
       taxPercentage,
+      hsnCode,
       stock,
       lowStockAlert,
       allowBackorders,
@@ -931,7 +1769,8 @@ router.put("/:id", fileUpload.array("images", 10), async (req, res) => {
       description: description?.trim() || product.description,
       price: effectiveSellingPrice, // Ensure price is always set
       originalPrice: finalOriginalPrice, // Use the new finalOriginalPrice
-      taxPercentage: Number.parseFloat(taxPercentage) || product.taxPercentage || 0,
+      taxPercentage: taxPercentage !== undefined ? parseTaxField(taxPercentage) : product.taxPercentage,
+      hsnCode: hsnCode !== undefined ? String(hsnCode).trim() : product.hsnCode,
       lowStockAlert: Number.parseInt(lowStockAlert) || product.lowStockAlert || 5,
       allowBackorders: allowBackorders === "true" || allowBackorders === true,
       gallery,
@@ -994,6 +1833,13 @@ router.put("/:id", fileUpload.array("images", 10), async (req, res) => {
       console.log("⚠️ Populate failed on update:", populateError.message)
     }
 
+    // Record any stock edited through the product form in the stock ledger
+    await recordStockChanges(req.tenantDB, product, updatedProduct, {
+      type: "adjustment",
+      reason: "Product updated",
+      actor: getStockActor(req),
+    })
+
     console.log("✅ Product updated successfully:", updatedProduct._id)
     console.log("✅ Product variants updated:", updatedProduct.variants.length)
     console.log("✅ Quantity tracking:", updatedProduct.trackQuantity)
@@ -0,0 +1,287 @@
+const express = require("express")
+const router = express.Router()
+const AuthUtils = require("../../utils/auth")
+const {
+  REFUND_TRANSITIONS,
+  REFUND_METHODS,
+  getRefundSummary,
+  createRefund,
+  transitionRefund,
+  executeRefund,
+  syncRefund,
+} = require("../../utils/refunds")
+
+const REFUND_STATUSES = Object.keys(REFUND_TRANSITIONS)
+
+const adminActor = (req) => ({
+  type: "admin",
+  id: req.user?.id || req.user?._id,
+  name: req.user?.name || req.user?.email,
+})
+
+// Load the refund of :id or answer 404
+const loadRefund = async (req, res) => {
+  const Refund = require("../../models/tenant/Refund")(req.tenantDB)
+  const refund = await Refund.findById(req.params.id)
+  if (!refund) {
+    res.status(404).json({ error: "Refund not found" })
+    return null
+  }
+  return refund
+}
+
+// Answer a failed refund action (409 when someone else changed the refund first)
+const sendRefundError = (res, result) =>
+  res.status(["REFUND_STATUS_CHANGED", "REFUND_CONFLICT"].includes(result.code) ? 409 : 400).json({
+    error: result.error,
+    code: result.code,
+    refundableAmount: result.refundable,
+    allowedTransitions: result.allowed,
+  })
+
+// Get all refunds with filters (status, method, source, order, date range, pagination)
+router.get("/", async (req, res) => {
+  try {
+    const Refund = require("../../models/tenant/Refund")(req.tenantDB)
+    const { status, method, source, orderId, startDate, endDate } = req.query
+    const page = Math.max(1, Number.parseInt(req.query.page) || 1)
+    const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit) || 20))
+
+    if (status && !REFUND_STATUSES.includes(status)) {
+      return res.status(400).json({ error: "Invalid status", validStatuses: REFUND_STATUSES })
+    }
+
+    const query = {}
+    if (status) query.status = status
+    if (method) query.method = method
+    if (source) query.source = source
+    if (orderId) query.orderId = orderId
+    if (startDate || endDate) {
+      query.createdAt = {}
+      if (startDate) query.createdAt.$gte = new Date(startDate)
+      if (endDate) {
+        const endDateTime = new Date(endDate)
+        endDateTime.setHours(23, 59, 59, 999)
+        query.createdAt.$lte = endDateTime
+      }
+    }
+
+    const [refunds, total, statusCounts] = await Promise.all([
+      Refund.find(query)
+        .populate("customerId", "name email phone")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Refund.countDocuments(query),
+      Refund.aggregate([{ $group: { _id: "$status", count: { $sum: 1 }, amount: { $sum: "$amount" } } }]),
+    ])
+
+    res.json({
+      refunds,
+      pagination: AuthUtils.generatePaginationMeta(page, limit, total),
+      statusCounts: statusCounts.reduce(
+        (counts, { _id, count }) => ({ ...counts, [_id]: count }),
+        Object.fromEntries(REFUND_STATUSES.map((key) => [key, 0])),
+      ),
+      totalRefunded: statusCounts.find(({ _id }) => _id === "completed")?.amount || 0,
+    })
+  } catch (error) {
+    console.error("Error fetching refunds:", error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Captured, refunded and still refundable amounts of an order with its refunds
+router.get("/order/:orderId", async (req, res) => {
+  try {
+    const Order = require("../../models/tenant/Order")(req.tenantDB)
+    const Refund = require("../../models/tenant/Refund")(req.tenantDB)
+    const order = await Order.findById(req.params.orderId).select("orderNumber total paymentStatus paymentMethod")
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" })
+    }
+
+    const [summary, refunds] = await Promise.all([
+      getRefundSummary(req.tenantDB, order),
+      Refund.find({ orderId: order._id }).sort({ createdAt: -1 }),
+    ])
+
+    res.json({
+      order,
+      captured: summary.captured,
+      refunded: summary.refunded,
+      pending: summary.pending,
+      refundable: summary.refundable,
+      paymentId: summary.payment?._id || null,
+      gateway: summary.payment?.gateway || null,
+      refunds,
+    })
+  } catch (error) {
+    console.error(`Error fetching refunds of order ${req.params.orderId}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Get specific refund
+router.get("/:id", async (req, res) => {
+  try {
+    const Refund = require("../../models/tenant/Refund")(req.tenantDB)
+    const refund = await Refund.findById(req.params.id)
+      .populate("customerId", "name email phone")
+      .populate("orderId", "orderNumber total paymentStatus paymentMethod status")
+      .populate("paymentId", "transactionId amount gateway gatewayTransactionId status refundAmount")
+
+    if (!refund) {
+      return res.status(404).json({ error: "Refund not found" })
+    }
+
+    res.json({ ...refund.toObject(), allowedTransitions: REFUND_TRANSITIONS[refund.status] || [] })
+  } catch (error) {
+    console.error(`Error fetching refund ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Create a refund for an order: { orderId, amount, reason, method: gateway | manual | cod, reference, execute }
+router.post("/", async (req, res) => {
+  try {
+    const { orderId, amount, reason, method, reference, execute } = req.body
+    if (!orderId) {
+      return res.status(400).json({ error: "orderId is required" })
+    }
+    if (method !== undefined && !REFUND_METHODS.includes(method)) {
+      return res.status(400).json({ error: "Invalid refund method", validMethods: REFUND_METHODS })
+    }
+
+    const Order = require("../../models/tenant/Order")(req.tenantDB)
+    const order = await Order.findById(orderId)
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" })
+    }
+
+    const actor = adminActor(req)
+    const created = await createRefund(req.tenantDB, order, {
+      amount,
+      reason,
+      method,
+      source: "admin",
+      status: "approved",
+      actor,
+    })
+    if (!created.success) return sendRefundError(res, created)
+
+    if (execute === true) {
+      const executed = await executeRefund(req.tenantDB, created.refund, { actor, reference })
+      if (!executed.success) return sendRefundError(res, executed)
+      return res.status(201).json(executed.refund)
+    }
+
+    res.status(201).json(created.refund)
+  } catch (error) {
+    console.error("Error creating refund:", error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Approve a refund requested by a customer, optionally for a lower amount
+router.put("/:id/approve", async (req, res) => {
+  try {
+    const refund = await loadRefund(req, res)
+    if (!refund) return
+
+    const set = {}
+    if (req.body.amount !== undefined) {
+      const amount = Math.round(Number(req.body.amount) * 100) / 100
+      if (!(amount > 0) || amount > refund.amount) {
+        return res.status(400).json({ error: `Amount must be between 0.01 and ${refund.amount}` })
+      }
+      set.amount = amount
+    }
+    if (req.body.method !== undefined) {
+      if (!REFUND_METHODS.includes(req.body.method) || (req.body.method === "gateway" && !refund.paymentId)) {
+        return res.status(400).json({ error: "Invalid refund method", validMethods: REFUND_METHODS })
+      }
+      set.method = req.body.method
+    }
+
+    const result = await transitionRefund(req.tenantDB, refund, "approved", {
+      actor: adminActor(req),
+      note: req.body.note,
+      set,
+    })
+    if (!result.success) return sendRefundError(res, result)
+
+    console.log(`💸 Refund ${refund._id} approved for order ${refund.orderNumber}`)
+    res.json(result.refund)
+  } catch (error) {
+    console.error(`Error approving refund ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Reject a refund that has not been paid out
+router.put("/:id/reject", async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : ""
+    if (!reason) {
+      return res.status(400).json({ error: "A rejection reason is required" })
+    }
+
+    const refund = await loadRefund(req, res)
+    if (!refund) return
+
+    const result = await transitionRefund(req.tenantDB, refund, "rejected", {
+      actor: adminActor(req),
+      note: reason,
+      set: { rejectionReason: reason },
+    })
+    if (!result.success) return sendRefundError(res, result)
+
+    console.log(`🚫 Refund ${refund._id} rejected for order ${refund.orderNumber}`)
+    res.json(result.refund)
+  } catch (error) {
+    console.error(`Error rejecting refund ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Pay out an approved refund (or retry a failed one): { reference } for manual / COD refunds
+router.post("/:id/execute", async (req, res) => {
+  try {
+    const refund = await loadRefund(req, res)
+    if (!refund) return
+
+    if (refund.method !== "gateway" && !req.body.reference && !refund.reference) {
+      return res.status(400).json({ error: "A reference (UTR, receipt number...) is required for manual refunds" })
+    }
+
+    const result = await executeRefund(req.tenantDB, refund, {
+      actor: adminActor(req),
+      reference: req.body.reference,
+    })
+    if (!result.success) return sendRefundError(res, result)
+
+    res.json(result.refund)
+  } catch (error) {
+    console.error(`Error executing refund ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Check a gateway refund that is still processing
+router.post("/:id/sync", async (req, res) => {
+  try {
+    const refund = await loadRefund(req, res)
+    if (!refund) return
+
+    const result = await syncRefund(req.tenantDB, refund, { actor: adminActor(req) })
+    if (!result.success) return sendRefundError(res, result)
+
+    res.json(result.refund)
+  } catch (error) {
+    console.error(`Error checking refund ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+module.exports = router
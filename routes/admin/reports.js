@@ -0,0 +1,41 @@
+const express = require("express")
+const router = express.Router()
+const { toCSV } = require("../../utils/csv")
+const { TAX_REPORT_COLUMNS, getTaxReport } = require("../../utils/taxReport")
+
+// GST register of invoices and credit notes for a period: ?startDate=2026-04-01&endDate=2026-04-30&format=json|csv
+router.get("/tax", async (req, res) => {
+  try {
+    const { startDate, endDate, format = "json" } = req.query
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: "startDate and endDate are required" })
+    }
+
+    const from = new Date(startDate)
+    const to = new Date(endDate)
+    to.setHours(23, 59, 59, 999)
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({ error: "Invalid date range" })
+    }
+
+    console.log(`🧾 Tax report from ${startDate} to ${endDate}`)
+    const report = await getTaxReport(req.tenantDB, { from, to })
+
+    if (format === "csv") {
+      const rows = [...report.invoices, ...report.creditNotes].map((row) => ({
+        ...row,
+        documentDate: row.documentDate ? new Date(row.documentDate).toISOString().slice(0, 10) : "",
+      }))
+      res.setHeader("Content-Type", "text/csv")
+      res.setHeader("Content-Disposition", `attachment; filename="tax-report-${startDate}-to-${endDate}.csv"`)
+      return res.send(toCSV(TAX_REPORT_COLUMNS, rows))
+    }
+
+    res.json({ period: { startDate, endDate }, ...report })
+  } catch (error) {
+    console.error("Error generating tax report:", error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+module.exports = router
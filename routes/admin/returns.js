@@ -0,0 +1,282 @@
+const express = require("express")
+const router = express.Router()
+const AuthUtils = require("../../utils/auth")
+const {
+  RETURN_TRANSITIONS,
+  buildReturnHistoryEntry,
+  transitionReturn,
+  receiveReturn,
+  getReceivedAmount,
+  resolveReturn,
+} = require("../../utils/returns")
+
+const RETURN_STATUSES = Object.keys(RETURN_TRANSITIONS)
+
+const adminActor = (req) => ({
+  type: "admin",
+  id: req.user?.id || req.user?._id,
+  name: req.user?.name || req.user?.email,
+})
+
+// Load the return of :id or answer 404
+const loadReturn = async (req, res) => {
+  const ReturnRequest = require("../../models/tenant/ReturnRequest")(req.tenantDB)
+  const returnRequest = await ReturnRequest.findById(req.params.id)
+  if (!returnRequest) {
+    res.status(404).json({ error: "Return not found" })
+    return null
+  }
+  return returnRequest
+}
+
+// Answer a failed status change (409 when someone else changed the return first)
+const sendTransitionError = (res, result) =>
+  res.status(result.code === "RETURN_STATUS_CHANGED" ? 409 : 400).json({
+    error: result.error,
+    code: result.code,
+    details: result.details,
+    allowedTransitions: result.allowed,
+  })
+
+const withAllowedTransitions = (returnRequest) => ({
+  ...returnRequest.toObject(),
+  allowedTransitions: RETURN_TRANSITIONS[returnRequest.status] || [],
+})
+
+// Get all returns with filters (status, search by RMA / order number / customer, pagination)
+router.get("/", async (req, res) => {
+  try {
+    const ReturnRequest = require("../../models/tenant/ReturnRequest")(req.tenantDB)
+    const { status, search, orderId, customerId } = req.query
+    const page = Math.max(1, Number.parseInt(req.query.page) || 1)
+    const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit) || 20))
+
+    if (status && !RETURN_STATUSES.includes(status)) {
+      return res.status(400).json({ error: "Invalid status", validStatuses: RETURN_STATUSES })
+    }
+
+    const query = {}
+    if (status) query.status = status
+    if (orderId) query.orderId = orderId
+    if (customerId) query.customerId = customerId
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i")
+      const Customer = require("../../models/tenant/Customer")(req.tenantDB)
+      const customerIds = await Customer.find({
+        $or: [{ name: pattern }, { email: pattern }, { phone: pattern }],
+      }).distinct("_id")
+      query.$or = [{ returnNumber: pattern }, { orderNumber: pattern }, { customerId: { $in: customerIds } }]
+    }
+
+    const [returns, total, statusCounts] = await Promise.all([
+      ReturnRequest.find(query)
+        .populate("customerId", "name email phone")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ReturnRequest.countDocuments(query),
+      ReturnRequest.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ])
+
+    res.json({
+      returns,
+      pagination: AuthUtils.generatePaginationMeta(page, limit, total),
+      statusCounts: statusCounts.reduce(
+        (counts, { _id, count }) => ({ ...counts, [_id]: count }),
+        Object.fromEntries(RETURN_STATUSES.map((key) => [key, 0])),
+      ),
+    })
+  } catch (error) {
+    console.error("Error fetching returns:", error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Get specific return
+router.get("/:id", async (req, res) => {
+  try {
+    const ReturnRequest = require("../../models/tenant/ReturnRequest")(req.tenantDB)
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate("customerId", "name email phone storeCredit")
+      .populate("orderId", "orderNumber status paymentStatus paymentMethod total deliveredAt")
+
+    if (!returnRequest) {
+      return res.status(404).json({ error: "Return not found" })
+    }
+
+    res.json({ ...withAllowedTransitions(returnRequest), receivedAmount: getReceivedAmount(returnRequest) })
+  } catch (error) {
+    console.error(`Error fetching return ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Approve a requested return
+router.put("/:id/approve", async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res)
+    if (!returnRequest) return
+
+    const result = await transitionReturn(req.tenantDB, returnRequest, "approved", {
+      actor: adminActor(req),
+      note: req.body.note,
+    })
+    if (!result.success) return sendTransitionError(res, result)
+
+    res.json(withAllowedTransitions(result.returnRequest))
+  } catch (error) {
+    console.error(`Error approving return ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Reject a requested return
+router.put("/:id/reject", async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : ""
+    if (!reason) {
+      return res.status(400).json({ error: "A rejection reason is required" })
+    }
+
+    const returnRequest = await loadReturn(req, res)
+    if (!returnRequest) return
+
+    const result = await transitionReturn(req.tenantDB, returnRequest, "rejected", {
+      actor: adminActor(req),
+      note: reason,
+      set: { rejectionReason: reason },
+    })
+    if (!result.success) return sendTransitionError(res, result)
+
+    res.json(withAllowedTransitions(result.returnRequest))
+  } catch (error) {
+    console.error(`Error rejecting return ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Schedule (or reschedule) the pickup of an approved return
+router.put("/:id/pickup", async (req, res) => {
+  try {
+    const { scheduledAt, carrier, trackingNumber, notes, address } = req.body
+    const pickupDate = new Date(scheduledAt)
+    if (!scheduledAt || Number.isNaN(pickupDate.getTime())) {
+      return res.status(400).json({ error: "scheduledAt must be a valid date" })
+    }
+
+    const returnRequest = await loadReturn(req, res)
+    if (!returnRequest) return
+
+    const set = { "pickup.scheduledAt": pickupDate }
+    if (carrier !== undefined) set["pickup.carrier"] = carrier
+    if (trackingNumber !== undefined) set["pickup.trackingNumber"] = trackingNumber
+    if (notes !== undefined) set["pickup.notes"] = notes
+    if (address && typeof address === "object") set["pickup.address"] = address
+
+    const pickupText = `${pickupDate.toISOString()}${carrier ? ` with ${carrier}` : ""}`
+    if (returnRequest.status === "pickup_scheduled") {
+      const ReturnRequest = require("../../models/tenant/ReturnRequest")(req.tenantDB)
+      const historyEntry = buildReturnHistoryEntry("pickup_scheduled", "pickup_scheduled", {
+        actor: adminActor(req),
+        note: `Pickup rescheduled for ${pickupText}`,
+      })
+      const updated = await ReturnRequest.findOneAndUpdate(
+        { _id: returnRequest._id, status: "pickup_scheduled" },
+        { $set: set, $push: { history: historyEntry } },
+        { new: true },
+      )
+      if (!updated) {
+        return sendTransitionError(res, {
+          error: "The return was changed by someone else, please reload it",
+          code: "RETURN_STATUS_CHANGED",
+        })
+      }
+      return res.json(withAllowedTransitions(updated))
+    }
+
+    const result = await transitionReturn(req.tenantDB, returnRequest, "pickup_scheduled", {
+      actor: adminActor(req),
+      note: `Pickup scheduled for ${pickupText}`,
+      set,
+    })
+    if (!result.success) return sendTransitionError(res, result)
+
+    res.json(withAllowedTransitions(result.returnRequest))
+  } catch (error) {
+    console.error(`Error scheduling pickup for return ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Mark the returned items as received ({ items: [{ itemId, receivedQuantity, condition, restock }], note })
+router.put("/:id/receive", async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res)
+    if (!returnRequest) return
+
+    const result = await receiveReturn(req.tenantDB, returnRequest, {
+      receivedItems: req.body.items || [],
+      actor: adminActor(req),
+      note: req.body.note,
+    })
+    if (!result.success) return sendTransitionError(res, result)
+
+    res.json({
+      ...withAllowedTransitions(result.returnRequest),
+      receivedAmount: getReceivedAmount(result.returnRequest),
+    })
+  } catch (error) {
+    console.error(`Error receiving return ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Resolve a received return: { type: refund | store_credit | exchange, amount, note, exchangeVariants, refundMethod }
+router.put("/:id/resolve", async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res)
+    if (!returnRequest) return
+
+    const { type, amount, note, exchangeVariants, refundMethod } = req.body
+    const result = await resolveReturn(req.tenantDB, returnRequest, {
+      type,
+      amount,
+      note,
+      exchangeVariants: exchangeVariants && typeof exchangeVariants === "object" ? exchangeVariants : {},
+      refundMethod,
+      actor: adminActor(req),
+    })
+    if (!result.success) {
+      if (result.code === "INSUFFICIENT_STOCK") {
+        return res.status(409).json({ error: result.error, code: result.code })
+      }
+      return sendTransitionError(res, result)
+    }
+
+    res.json(withAllowedTransitions(result.returnRequest))
+  } catch (error) {
+    console.error(`Error resolving return ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Cancel a return that has not been received yet
+router.put("/:id/cancel", async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res)
+    if (!returnRequest) return
+
+    const result = await transitionReturn(req.tenantDB, returnRequest, "cancelled", {
+      actor: adminActor(req),
+      note: req.body.note || "Cancelled by store",
+    })
+    if (!result.success) return sendTransitionError(res, result)
+
+    res.json(withAllowedTransitions(result.returnRequest))
+  } catch (error) {
+    console.error(`Error cancelling return ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+module.exports = router
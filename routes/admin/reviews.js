@@ -0,0 +1,207 @@
+const express = require("express")
+const router = express.Router()
+const AuthUtils = require("../../utils/auth")
+
+// Load Review model along with the models it is populated with
+const getModels = (tenantDB) => {
+  const Product = require("../../models/tenant/Product")(tenantDB)
+  const Customer = require("../../models/tenant/Customer")(tenantDB)
+  const Review = require("../../models/tenant/Review")(tenantDB)
+  return { Review, Product, Customer }
+}
+
+// Change moderation status of reviews and refresh the affected product ratings
+const moderateReviews = async (req, Review, ids, status, moderationNote) => {
+  const reviews = await Review.find({ _id: { $in: ids } }).select("productId")
+  if (reviews.length === 0) return 0
+
+  await Review.updateMany(
+    { _id: { $in: reviews.map((review) => review._id) } },
+    {
+      $set: {
+        status,
+        moderationNote,
+        moderatedBy: req.user?.email,
+        moderatedAt: new Date(),
+      },
+    },
+  )
+
+  const productIds = [...new Set(reviews.map((review) => review.productId.toString()))]
+  for (const productId of productIds) {
+    await Review.updateProductRating(productId)
+  }
+
+  return reviews.length
+}
+
+// Get all reviews with filters (status, product, rating, verified, search)
+router.get("/", async (req, res) => {
+  try {
+    const { Review } = getModels(req.tenantDB)
+    const { status, productId, rating, verified, search } = req.query
+    const page = Math.max(1, Number.parseInt(req.query.page) || 1)
+    const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit) || 20))
+
+    const query = {}
+    if (status) query.status = status
+    if (productId) query.productId = productId
+    if (rating) query.rating = Number.parseInt(rating)
+    if (verified !== undefined) query.isVerifiedPurchase = verified === "true"
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i")
+      query.$or = [{ title: pattern }, { comment: pattern }, { customerName: pattern }]
+    }
+
+    const [reviews, total, statusCounts] = await Promise.all([
+      Review.find(query)
+        .populate("productId", "name sku thumbnail")
+        .populate("customerId", "name email phone")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Review.countDocuments(query),
+      Review.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ])
+
+    res.json({
+      reviews,
+      pagination: AuthUtils.generatePaginationMeta(page, limit, total),
+      statusCounts: statusCounts.reduce(
+        (counts, { _id, count }) => ({ ...counts, [_id]: count }),
+        { pending: 0, approved: 0, rejected: 0 },
+      ),
+    })
+  } catch (error) {
+    console.error("Error fetching reviews:", error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Bulk approve / reject / delete
+router.post("/bulk", async (req, res) => {
+  try {
+    const { Review } = getModels(req.tenantDB)
+    const { ids, action, moderationNote } = req.body
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: "ids must be a non-empty array" })
+    }
+
+    const actions = { approve: "approved", reject: "rejected" }
+    let affected
+    if (action === "delete") {
+      const reviews = await Review.find({ _id: { $in: ids } }).select("productId")
+      await Review.deleteMany({ _id: { $in: ids } })
+      const productIds = [...new Set(reviews.map((review) => review.productId.toString()))]
+      for (const productId of productIds) {
+        await Review.updateProductRating(productId)
+      }
+      affected = reviews.length
+    } else if (actions[action]) {
+      affected = await moderateReviews(req, Review, ids, actions[action], moderationNote)
+    } else {
+      return res.status(400).json({ error: "Invalid action", validActions: ["approve", "reject", "delete"] })
+    }
+
+    console.log(`⭐ Bulk ${action} applied to ${affected} reviews`)
+    res.json({ message: `${affected} reviews updated`, affected })
+  } catch (error) {
+    console.error("Error in bulk review moderation:", error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Get specific review
+router.get("/:id", async (req, res) => {
+  try {
+    const { Review } = getModels(req.tenantDB)
+    const review = await Review.findById(req.params.id)
+      .populate("productId", "name sku thumbnail ratings")
+      .populate("customerId", "name email phone")
+      .populate("orderId", "orderNumber status deliveredAt")
+
+    if (!review) {
+      return res.status(404).json({ error: "Review not found" })
+    }
+
+    res.json(review)
+  } catch (error) {
+    console.error(`Error fetching review ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Approve review
+router.put("/:id/approve", async (req, res) => {
+  try {
+    const { Review } = getModels(req.tenantDB)
+    const affected = await moderateReviews(req, Review, [req.params.id], "approved", req.body.moderationNote)
+    if (!affected) {
+      return res.status(404).json({ error: "Review not found" })
+    }
+
+    res.json(await Review.findById(req.params.id))
+  } catch (error) {
+    console.error(`Error approving review ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Reject review
+router.put("/:id/reject", async (req, res) => {
+  try {
+    const { Review } = getModels(req.tenantDB)
+    const affected = await moderateReviews(req, Review, [req.params.id], "rejected", req.body.moderationNote)
+    if (!affected) {
+      return res.status(404).json({ error: "Review not found" })
+    }
+
+    res.json(await Review.findById(req.params.id))
+  } catch (error) {
+    console.error(`Error rejecting review ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Public reply from the store (empty text removes the reply)
+router.put("/:id/reply", async (req, res) => {
+  try {
+    const { Review } = getModels(req.tenantDB)
+    const text = (req.body.text || "").trim()
+
+    const review = await Review.findByIdAndUpdate(
+      req.params.id,
+      text ? { $set: { reply: { text, repliedAt: new Date() } } } : { $unset: { reply: 1 } },
+      { new: true },
+    )
+    if (!review) {
+      return res.status(404).json({ error: "Review not found" })
+    }
+
+    res.json(review)
+  } catch (error) {
+    console.error(`Error replying to review ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Delete review
+router.delete("/:id", async (req, res) => {
+  try {
+    const { Review } = getModels(req.tenantDB)
+    const review = await Review.findByIdAndDelete(req.params.id)
+
+    if (!review) {
+      return res.status(404).json({ error: "Review not found" })
+    }
+
+    await Review.updateProductRating(review.productId)
+    res.json({ message: "Review deleted successfully" })
+  } catch (error) {
+    console.error(`Error deleting review ${req.params.id}:`, error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+module.exports = router
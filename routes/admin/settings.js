@@ -1,5 +1,47 @@
 const express = require("express")
 const router = express.Router()
+const { calculateShipping } = require("../../utils/shipping")
+const { getSeriesSettings, previewNextNumber } = require("../../utils/numbering")
+
+const RATE_TYPES = ["flat", "weight", "volumetric"]
+
+// Validate a shipping rate table (store default or zone) - returns an error message or null
+const validateRateTable = (table) => {
+  if (table.rateType !== undefined && !RATE_TYPES.includes(table.rateType)) {
+    return `rateType must be one of: ${RATE_TYPES.join(", ")}`
+  }
+  if (table.weightSlabs !== undefined) {
+    if (!Array.isArray(table.weightSlabs)) {
+      return "weightSlabs must be an array"
+    }
+    const invalid = table.weightSlabs.some(
+      (slab) => !(Number(slab?.upTo) >= 0) || !(Number(slab?.charge) >= 0),
+    )
+    if (invalid) {
+      return "Each weight slab needs a non-negative upTo (kg) and charge"
+    }
+  }
+  for (const field of ["charge", "charges", "additionalPerKg", "freeShippingAbove", "volumetricDivisor"]) {
+    const value = table[field]
+    if (value !== undefined && value !== null && !(Number(value) >= 0)) {
+      return `${field} must be a non-negative number`
+    }
+  }
+  if (
+    table.minDeliveryDays !== undefined &&
+    table.maxDeliveryDays !== undefined &&
+    Number(table.maxDeliveryDays) < Number(table.minDeliveryDays)
+  ) {
+    return "maxDeliveryDays cannot be less than minDeliveryDays"
+  }
+  return null
+}
+
+// Sort slabs so the rate table reads from lightest to heaviest
+const sortSlabs = (table) =>
+  Array.isArray(table.weightSlabs)
+    ? { ...table, weightSlabs: [...table.weightSlabs].sort((a, b) => Number(a.upTo) - Number(b.upTo)) }
+    : table
 
 // Add logging middleware for settings routes
 router.use((req, res, next) => {
@@ -125,6 +167,10 @@ router.get("/", async (req, res) => {
       general: settings?.general || {},
       social: settings?.social || {},
       shipping: settings?.shipping || {},
+      tax: settings?.tax || {},
+      abandonedCart: settings?.abandonedCart || {},
+      returns: settings?.returns || {},
+      invoice: settings?.invoice || {},
       payment: {
         ...(settings?.payment || {}),
         razorpayKeySecret: settings?.payment?.razorpayKeySecret ? "***HIDDEN***" : "",
@@ -301,6 +347,490 @@ async function handleShippingUpdate(req, res) {
   }
 }
 
+// Default shipping rate table (used when no zone matches)
+const SHIPPING_RATE_FIELDS = [
+  "rateType",
+  "charges",
+  "weightSlabs",
+  "additionalPerKg",
+  "volumetricDivisor",
+  "freeShippingEnabled",
+  "freeShippingAbove",
+  "deliveryTime",
+  "minDeliveryDays",
+  "maxDeliveryDays",
+  "restrictToZones",
+]
+
+// Update the default shipping rate table
+router.put("/shipping/rates", async (req, res) => {
+  try {
+    console.log("🚚 Updating default shipping rates...")
+    const validationError = validateRateTable(req.body)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const settings = req.settingsDoc
+    const body = sortSlabs(req.body)
+    SHIPPING_RATE_FIELDS.forEach((key) => {
+      if (body[key] !== undefined) {
+        settings.set(`shipping.${key}`, body[key])
+      }
+    })
+    await settings.save()
+    console.log("✅ Default shipping rates updated")
+    res.json(settings.shipping)
+  } catch (error) {
+    console.error("❌ Update shipping rates error:", error)
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      error: "Failed to update shipping rates",
+      details: error.message,
+    })
+  }
+})
+
+// List shipping zones
+router.get("/shipping/zones", async (req, res) => {
+  try {
+    res.json(req.settingsDoc.shipping?.zones || [])
+  } catch (error) {
+    console.error("❌ Get shipping zones error:", error)
+    res.status(500).json({
+      error: "Failed to get shipping zones",
+      details: error.message,
+    })
+  }
+})
+
+// Add a shipping zone with its rate table
+router.post("/shipping/zones", async (req, res) => {
+  try {
+    console.log("🚚 Adding shipping zone:", req.body.name)
+    if (!req.body.name) {
+      return res.status(400).json({ error: "Zone name is required" })
+    }
+    const validationError = validateRateTable(req.body)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const settings = req.settingsDoc
+    settings.shipping.zones.push(sortSlabs(req.body))
+    await settings.save()
+
+    const zone = settings.shipping.zones[settings.shipping.zones.length - 1]
+    console.log(`✅ Shipping zone added: ${zone.name}`)
+    res.status(201).json(zone)
+  } catch (error) {
+    console.error("❌ Add shipping zone error:", error)
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      error: "Failed to add shipping zone",
+      details: error.message,
+    })
+  }
+})
+
+// Update a shipping zone
+router.put("/shipping/zones/:zoneId", async (req, res) => {
+  try {
+    const settings = req.settingsDoc
+    const zone = settings.shipping.zones.id(req.params.zoneId)
+    if (!zone) {
+      return res.status(404).json({ error: "Shipping zone not found" })
+    }
+    const validationError = validateRateTable(req.body)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const { _id, ...updates } = sortSlabs(req.body)
+    zone.set(updates)
+    await settings.save()
+    console.log(`✅ Shipping zone updated: ${zone.name}`)
+    res.json(zone)
+  } catch (error) {
+    console.error("❌ Update shipping zone error:", error)
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      error: "Failed to update shipping zone",
+      details: error.message,
+    })
+  }
+})
+
+// Delete a shipping zone
+router.delete("/shipping/zones/:zoneId", async (req, res) => {
+  try {
+    const settings = req.settingsDoc
+    const zone = settings.shipping.zones.id(req.params.zoneId)
+    if (!zone) {
+      return res.status(404).json({ error: "Shipping zone not found" })
+    }
+
+    zone.deleteOne()
+    await settings.save()
+    console.log(`🗑️ Shipping zone deleted: ${zone.name}`)
+    res.json({ message: "Shipping zone deleted successfully" })
+  } catch (error) {
+    console.error("❌ Delete shipping zone error:", error)
+    res.status(500).json({
+      error: "Failed to delete shipping zone",
+      details: error.message,
+    })
+  }
+})
+
+// Try the rate tables: shipping charge and delivery estimate for an address and parcel
+router.post("/shipping/calculate", async (req, res) => {
+  try {
+    const { address, weight = 0, dimensions, quantity = 1, orderValue = 0 } = req.body
+    const result = calculateShipping(req.settingsDoc.toObject().shipping || {}, {
+      lines: [{ quantity: Number(quantity) || 1, weight: Number(weight) || 0, dimensions }],
+      address,
+      orderValue: Number(orderValue) || 0,
+    })
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error, code: result.code })
+    }
+    res.json(result)
+  } catch (error) {
+    console.error("❌ Shipping calculation error:", error)
+    res.status(500).json({
+      error: "Failed to calculate shipping",
+      details: error.message,
+    })
+  }
+})
+
+// Get tax settings
+router.get("/tax", async (req, res) => {
+  try {
+    console.log("🧾 Getting tax settings...")
+    const settings = req.settingsDoc
+    console.log("✅ Tax settings retrieved")
+    res.json(settings?.tax || {})
+    return
+  } catch (error) {
+    console.error("❌ Get tax settings error:", error)
+    res.status(500).json({
+      error: "Failed to get tax settings",
+      details: error.message,
+    })
+    return
+  }
+})
+
+// Update tax settings (supports PUT and POST)
+router.put("/tax", handleTaxUpdate)
+router.post("/tax", handleTaxUpdate)
+async function handleTaxUpdate(req, res) {
+  try {
+    console.log("🧾 Updating tax settings...")
+    const { rate } = req.body
+    if (rate !== undefined && (Number.isNaN(Number(rate)) || Number(rate) < 0 || Number(rate) > 100)) {
+      return res.status(400).json({ error: "Tax rate must be a number between 0 and 100" })
+    }
+
+    const settings = req.settingsDoc
+    const taxFields = ["enabled", "rate", "inclusive", "gstin", "legalName"]
+    taxFields.forEach((key) => {
+      if (req.body[key] !== undefined) {
+        settings.set(`tax.${key}`, req.body[key])
+      }
+    })
+    await settings.save()
+    console.log("✅ Tax settings updated")
+    res.json(settings.tax)
+    return
+  } catch (error) {
+    console.error("❌ Update tax settings error:", error)
+    res.status(500).json({
+      error: "Failed to update tax settings",
+      details: error.message,
+    })
+    return
+  }
+}
+
+// Get order / invoice / credit note numbering settings with the next numbers of each series
+router.get("/numbering", async (req, res) => {
+  try {
+    console.log("🔢 Getting numbering settings...")
+    const settings = req.settingsDoc
+    const [nextOrderNumber, nextInvoiceNumber, nextCreditNoteNumber] = await Promise.all([
+      previewNextNumber(req.tenantDB, "order", settings),
+      previewNextNumber(req.tenantDB, "invoice", settings),
+      previewNextNumber(req.tenantDB, "creditNote", settings),
+    ])
+    res.json({ ...(settings?.toObject().numbering || {}), nextOrderNumber, nextInvoiceNumber, nextCreditNoteNumber })
+    return
+  } catch (error) {
+    console.error("❌ Get numbering settings error:", error)
+    res.status(500).json({
+      error: "Failed to get numbering settings",
+      details: error.message,
+    })
+    return
+  }
+})
+
+// Update order / invoice / credit note numbering settings (supports PUT and POST)
+// Changes apply to new numbers only - existing orders, invoices and credit notes keep theirs
+router.put("/numbering", handleNumberingUpdate)
+router.post("/numbering", handleNumberingUpdate)
+async function handleNumberingUpdate(req, res) {
+  try {
+    console.log("🔢 Updating numbering settings...")
+    const settings = req.settingsDoc
+
+    for (const series of ["order", "invoice", "creditNote"]) {
+      const { prefix, padding } = req.body[series] || {}
+      if (prefix !== undefined && !/^[A-Z0-9]{1,10}$/i.test(prefix)) {
+        return res.status(400).json({ error: `${series} prefix must be 1-10 letters or digits` })
+      }
+      if (padding !== undefined && !(Number.isInteger(Number(padding)) && padding >= 1 && padding <= 12)) {
+        return res.status(400).json({ error: `${series} padding must be a whole number between 1 and 12` })
+      }
+    }
+    const { yearStartMonth } = req.body
+    const validMonth = Number.isInteger(Number(yearStartMonth)) && yearStartMonth >= 1 && yearStartMonth <= 12
+    if (yearStartMonth !== undefined && !validMonth) {
+      return res.status(400).json({ error: "yearStartMonth must be a month number between 1 and 12" })
+    }
+
+    const numberingFields = [
+      "order.prefix",
+      "order.padding",
+      "order.yearlyReset",
+      "invoice.prefix",
+      "invoice.padding",
+      "invoice.yearlyReset",
+      "creditNote.prefix",
+      "creditNote.padding",
+      "creditNote.yearlyReset",
+      "yearStartMonth",
+    ]
+    numberingFields.forEach((path) => {
+      const value = path.split(".").reduce((source, key) => source?.[key], req.body)
+      if (value !== undefined) {
+        settings.set(`numbering.${path}`, value)
+      }
+    })
+
+    // GST invoice and credit note numbers may be at most 16 characters
+    for (const [series, label] of [
+      ["invoice", "Invoice"],
+      ["creditNote", "Credit note"],
+    ]) {
+      const seriesSettings = getSeriesSettings(settings, series)
+      const length = seriesSettings.prefix.length + 1 + (seriesSettings.yearlyReset ? 5 : 0) + seriesSettings.padding
+      if (length > 16) {
+        return res.status(400).json({
+          error: `${label} numbers would be longer than 16 characters, use a shorter prefix or padding`,
+        })
+      }
+    }
+
+    await settings.save()
+    console.log("✅ Numbering settings updated")
+    const [nextOrderNumber, nextInvoiceNumber, nextCreditNoteNumber] = await Promise.all([
+      previewNextNumber(req.tenantDB, "order", settings),
+      previewNextNumber(req.tenantDB, "invoice", settings),
+      previewNextNumber(req.tenantDB, "creditNote", settings),
+    ])
+    res.json({ ...settings.toObject().numbering, nextOrderNumber, nextInvoiceNumber, nextCreditNoteNumber })
+    return
+  } catch (error) {
+    console.error("❌ Update numbering settings error:", error)
+    res.status(500).json({
+      error: "Failed to update numbering settings",
+      details: error.message,
+    })
+    return
+  }
+}
+
+// Get abandoned cart reminder settings
+router.get("/abandoned-cart", async (req, res) => {
+  try {
+    console.log("🛒 Getting abandoned cart settings...")
+    const settings = req.settingsDoc
+    res.json(settings?.abandonedCart || {})
+    return
+  } catch (error) {
+    console.error("❌ Get abandoned cart settings error:", error)
+    res.status(500).json({
+      error: "Failed to get abandoned cart settings",
+      details: error.message,
+    })
+    return
+  }
+})
+
+// Update abandoned cart reminder settings (supports PUT and POST)
+router.put("/abandoned-cart", handleAbandonedCartUpdate)
+router.post("/abandoned-cart", handleAbandonedCartUpdate)
+async function handleAbandonedCartUpdate(req, res) {
+  try {
+    console.log("🛒 Updating abandoned cart settings...")
+    const settings = req.settingsDoc
+    const { idleMinutes, maxAgeHours, offer } = req.body
+    if (idleMinutes !== undefined && !(Number(idleMinutes) >= 15)) {
+      return res.status(400).json({ error: "idleMinutes must be at least 15" })
+    }
+    const currentIdleMinutes = idleMinutes ?? settings.abandonedCart?.idleMinutes ?? 60
+    if (maxAgeHours !== undefined && !(Number(maxAgeHours) * 60 > Number(currentIdleMinutes))) {
+      return res.status(400).json({ error: "maxAgeHours must be longer than the idle window" })
+    }
+    if (offer?.type !== undefined && !["percentage", "fixed", "free_shipping"].includes(offer.type)) {
+      return res.status(400).json({ error: "Invalid offer type", validTypes: ["percentage", "fixed", "free_shipping"] })
+    }
+    if (offer?.value !== undefined && !(Number(offer.value) >= 0)) {
+      return res.status(400).json({ error: "Offer value must be a positive number" })
+    }
+    if (offer?.type === "percentage" && Number(offer.value) > 100) {
+      return res.status(400).json({ error: "Percentage offers cannot exceed 100" })
+    }
+
+    const abandonedCartFields = [
+      "enabled",
+      "idleMinutes",
+      "maxAgeHours",
+      "storefrontUrl",
+      "channels.email",
+      "channels.sms",
+      "offer.enabled",
+      "offer.type",
+      "offer.value",
+      "offer.maxDiscount",
+      "offer.minOrderValue",
+      "offer.validityHours",
+    ]
+    abandonedCartFields.forEach((path) => {
+      const value = path.split(".").reduce((source, key) => source?.[key], req.body)
+      if (value !== undefined) {
+        settings.set(`abandonedCart.${path}`, value)
+      }
+    })
+    await settings.save()
+    console.log("✅ Abandoned cart settings updated")
+    res.json(settings.abandonedCart)
+    return
+  } catch (error) {
+    console.error("❌ Update abandoned cart settings error:", error)
+    res.status(500).json({
+      error: "Failed to update abandoned cart settings",
+      details: error.message,
+    })
+    return
+  }
+}
+
+// Get return settings
+router.get("/returns", async (req, res) => {
+  try {
+    console.log("↩️ Getting return settings...")
+    const settings = req.settingsDoc
+    res.json(settings?.returns || {})
+    return
+  } catch (error) {
+    console.error("❌ Get return settings error:", error)
+    res.status(500).json({
+      error: "Failed to get return settings",
+      details: error.message,
+    })
+    return
+  }
+})
+
+// Update return settings (supports PUT and POST)
+router.put("/returns", handleReturnsUpdate)
+router.post("/returns", handleReturnsUpdate)
+async function handleReturnsUpdate(req, res) {
+  try {
+    console.log("↩️ Updating return settings...")
+    const settings = req.settingsDoc
+    const { enabled, windowDays, requirePhotos, resolutions } = req.body
+    const validResolutions = ["refund", "store_credit", "exchange"]
+    if (windowDays !== undefined && !(Number.isInteger(Number(windowDays)) && Number(windowDays) >= 0)) {
+      return res.status(400).json({ error: "windowDays must be a whole number of days" })
+    }
+    if (
+      resolutions !== undefined &&
+      (!Array.isArray(resolutions) ||
+        resolutions.length === 0 ||
+        resolutions.some((type) => !validResolutions.includes(type)))
+    ) {
+      return res.status(400).json({ error: "Invalid resolutions", validResolutions })
+    }
+
+    if (enabled !== undefined) settings.set("returns.enabled", enabled)
+    if (windowDays !== undefined) settings.set("returns.windowDays", Number(windowDays))
+    if (requirePhotos !== undefined) settings.set("returns.requirePhotos", requirePhotos)
+    if (resolutions !== undefined) settings.set("returns.resolutions", [...new Set(resolutions)])
+    await settings.save()
+    console.log("✅ Return settings updated")
+    res.json(settings.returns)
+    return
+  } catch (error) {
+    console.error("❌ Update return settings error:", error)
+    res.status(500).json({
+      error: "Failed to update return settings",
+      details: error.message,
+    })
+    return
+  }
+}
+
+// Get invoice settings
+router.get("/invoice", async (req, res) => {
+  try {
+    console.log("🧾 Getting invoice settings...")
+    const settings = req.settingsDoc
+    res.json(settings?.invoice || {})
+    return
+  } catch (error) {
+    console.error("❌ Get invoice settings error:", error)
+    res.status(500).json({
+      error: "Failed to get invoice settings",
+      details: error.message,
+    })
+    return
+  }
+})
+
+// Update invoice settings (supports PUT and POST)
+// The legal name and GSTIN printed on invoices are part of the tax settings
+router.put("/invoice", handleInvoiceUpdate)
+router.post("/invoice", handleInvoiceUpdate)
+async function handleInvoiceUpdate(req, res) {
+  try {
+    console.log("🧾 Updating invoice settings...")
+    const settings = req.settingsDoc
+    const { attachToConfirmationEmail, footerNote } = req.body
+    if (footerNote !== undefined && (typeof footerNote !== "string" || footerNote.length > 500)) {
+      return res.status(400).json({ error: "footerNote must be text of at most 500 characters" })
+    }
+
+    if (attachToConfirmationEmail !== undefined) {
+      settings.set("invoice.attachToConfirmationEmail", attachToConfirmationEmail)
+    }
+    if (footerNote !== undefined) settings.set("invoice.footerNote", footerNote.trim())
+    await settings.save()
+    console.log("✅ Invoice settings updated")
+    res.json(settings.invoice)
+    return
+  } catch (error) {
+    console.error("❌ Update invoice settings error:", error)
+    res.status(500).json({
+      error: "Failed to update invoice settings",
+      details: error.message,
+    })
+    return
+  }
+}
+
 // Debug route to show all settings routes
 router.get("/debug", (req, res) => {
   console.log("🔍 Settings routes debug requested")
@@ -322,6 +852,27 @@ router.get("/debug", (req, res) => {
       "GET /api/admin/settings/shipping",
       "PUT /api/admin/settings/shipping",
       "POST /api/admin/settings/shipping",
+      "PUT /api/admin/settings/shipping/rates",
+      "GET /api/admin/settings/shipping/zones",
+      "POST /api/admin/settings/shipping/zones",
+      "PUT /api/admin/settings/shipping/zones/:zoneId",
+      "DELETE /api/admin/settings/shipping/zones/:zoneId",
+      "POST /api/admin/settings/shipping/calculate",
+      "GET /api/admin/settings/tax",
+      "PUT /api/admin/settings/tax",
+      "POST /api/admin/settings/tax",
+      "GET /api/admin/settings/numbering",
+      "PUT /api/admin/settings/numbering",
+      "POST /api/admin/settings/numbering",
+      "GET /api/admin/settings/abandoned-cart",
+      "PUT /api/admin/settings/abandoned-cart",
+      "POST /api/admin/settings/abandoned-cart",
+      "GET /api/admin/settings/returns",
+      "PUT /api/admin/settings/returns",
+      "POST /api/admin/settings/returns",
+      "GET /api/admin/settings/invoice",
+      "PUT /api/admin/settings/invoice",
+      "POST /api/admin/settings/invoice",
     ],
     currentPath: req.path,
     originalUrl: req.originalUrl,
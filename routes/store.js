@@ -6,6 +6,10 @@ const authRoutes = require("./store/auth")
 const ordersRoutes = require("./store/orders")
 const paymentsRoutes = require("./store/payments")
 const firebaseOtpRoutes = require("./store/firebase-otp")
+const reviewsRoutes = require("./store/reviews")
+const checkoutRoutes = require("./store/checkout")
+const cartRoutes = require("./store/cart")
+const returnsRoutes = require("./store/returns")
 
 // Add logging middleware for all store routes
 router.use((req, res, next) => {
@@ -20,7 +24,11 @@ router.use((req, res, next) => {
 router.use("/auth", authRoutes)
 router.use("/orders", ordersRoutes)
 router.use("/payments", paymentsRoutes)
+router.use("/checkout", checkoutRoutes)
+router.use("/cart", cartRoutes)
+router.use("/returns", returnsRoutes)
 router.use("/firebase-otp", firebaseOtpRoutes)
+router.use("/products/:productId/reviews", reviewsRoutes)
 
 // Test endpoint for store routes
 router.get("/test", (req, res) => {
@@ -41,10 +49,35 @@ router.get("/test", (req, res) => {
       "GET /search",
       "POST /auth/register",
       "POST /auth/login",
+      "POST /auth/verify-email",
+      "POST /auth/resend-verification",
       "GET /auth/profile",
       "POST /orders",
+      "POST /orders/guest",
       "GET /orders",
+      "GET /orders/pay/:token",
+      "POST /orders/pay/:token",
+      "PUT /orders/:orderId/cancel-items",
+      "GET /orders/:orderId/invoice/pdf",
+      "GET /orders/:orderId/credit-notes",
+      "GET /orders/:orderId/credit-notes/:creditNoteId/pdf",
+      "POST /checkout/quote",
+      "GET /cart",
+      "POST /cart/items",
+      "PUT /cart/items/:itemId",
+      "DELETE /cart/items/:itemId",
+      "POST /cart/coupon",
+      "PUT /cart/address",
+      "PUT /cart/contact",
+      "GET /cart/restore/:recoveryToken",
+      "GET /returns",
+      "POST /returns",
+      "GET /returns/eligibility/:orderId",
+      "GET /returns/:returnId",
+      "POST /returns/:returnId/cancel",
       "POST /payments/create-order",
+      "GET /products/:productId/reviews",
+      "POST /products/:productId/reviews",
       "POST /firebase-otp/send",
       "POST /firebase-otp/verify",
     ],
@@ -98,6 +131,10 @@ router.get("/", async (req, res) => {
         codEnabled: settings?.payment?.codEnabled !== false,
         onlinePaymentEnabled: settings?.payment?.onlinePaymentEnabled || false,
       },
+      returns: {
+        enabled: settings?.returns?.enabled !== false,
+        windowDays: settings?.returns?.windowDays ?? 7,
+      },
     }
 
     console.log(`✅ Store info retrieved for: ${storeId}`)
@@ -712,44 +749,6 @@ router.get("/featured", async (req, res) => {
   }
 })
 
-// Get product reviews (if you have a reviews system)
-router.get("/products/:productId/reviews", async (req, res) => {
-  try {
-    const { productId } = req.params
-    const { page = 1, limit = 10 } = req.query
-
-    console.log(`⭐ Getting reviews for product: ${productId}`)
-
-    // For now, return empty reviews as the review system isn't implemented
-    res.json({
-      message: "Product reviews retrieved successfully",
-      reviews: [],
-      pagination: {
-        currentPage: Number.parseInt(page),
-        totalPages: 0,
-        totalReviews: 0,
-        hasNextPage: false,
-        hasPrevPage: false,
-      },
-      averageRating: 0,
-      ratingDistribution: {
-        5: 0,
-        4: 0,
-        3: 0,
-        2: 0,
-        1: 0,
-      },
-    })
-  } catch (error) {
-    console.error("❌ Get product reviews error:", error)
-    res.status(500).json({
-      error: "Failed to get product reviews",
-      details: error.message,
-      code: "REVIEWS_ERROR",
-    })
-  }
-})
-
 // Check product availability
 router.post("/products/:productId/check-availability", async (req, res) => {
   try {
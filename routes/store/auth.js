@@ -5,6 +5,23 @@ const rateLimit = require("express-rate-limit")
 const AuthUtils = require("../../utils/auth")
 const router = express.Router({ mergeParams: true })
 const { recaptchaMiddleware } = require("../../middleware/recaptcha")
+const { getCartToken, mergeGuestCart } = require("../../utils/cart")
+const { sendEmailVerificationEmail } = require("../../config/email")
+
+// Link in the email verification email (the storefront posts the token to /auth/verify-email)
+const getEmailVerificationUrl = (storeId, token) =>
+  `${process.env.FRONTEND_URL || "http://localhost:3000"}/${String(storeId || "").toLowerCase()}/verify-email?token=${token}`
+
+// Move the guest cart (X-Cart-Token) into the customer's cart - login must not fail because of it
+const mergeCartOnLogin = async (req, customer) => {
+  try {
+    const cart = await mergeGuestCart(req.tenantDB, getCartToken(req), customer._id)
+    return cart ? { token: cart.token, itemCount: cart.itemCount } : null
+  } catch (error) {
+    console.error("❌ Failed to merge guest cart:", error)
+    return null
+  }
+}
 
 // Apply rate limiting to authentication endpoints
 const authRateLimit = rateLimit({
@@ -19,7 +36,7 @@ const authRateLimit = rateLimit({
   legacyHeaders: false,
 })
 
-router.use(["/login", "/register"], authRateLimit)
+router.use(["/login", "/register", "/verify-email", "/resend-verification"], authRateLimit)
 
 // Enhanced logging middleware
 router.use((req, res, next) => {
@@ -169,8 +186,10 @@ router.post("/register", recaptchaMiddleware.v3.register, async (req, res) => {
 
     const Customer = require("../../models/tenant/Customer")(req.tenantDB)
 
-    // Check for existing customer
+    // Check for existing customer (guest checkout records don't count - their orders are only linked to the
+    // account once the email or phone is verified)
     const existingCustomer = await Customer.findOne({
+      isGuest: { $ne: true },
       $or: [{ email: email.toLowerCase() }, ...(phone ? [{ phone: phone }] : [])],
     })
 
@@ -195,6 +214,12 @@ router.post("/register", recaptchaMiddleware.v3.register, async (req, res) => {
       })
     }
 
+    // A guest checkout with this email keeps it as guestEmail (email is unique) until it is verified
+    await Customer.updateMany(
+      { isGuest: true, email: email.toLowerCase() },
+      { $set: { guestEmail: email.toLowerCase() }, $unset: { email: 1 } },
+    )
+
     // Create new customer
     const customer = new Customer({
       name: name.trim(),
@@ -205,8 +230,10 @@ router.post("/register", recaptchaMiddleware.v3.register, async (req, res) => {
       totalOrders: 0,
       isActive: true,
       isVerified: true, // Auto-verify for now
-      emailVerified: true,
-      phoneVerified: !!phone,
+      // Confirmed through the emailed link / phone OTP. Registration used to mark both as verified - accounts
+      // stored without these flags are marked verified by scripts/migrate-customer-verification.js
+      emailVerified: false,
+      phoneVerified: false,
       preferences: {
         notifications: true,
         marketing: false,
@@ -214,13 +241,21 @@ router.post("/register", recaptchaMiddleware.v3.register, async (req, res) => {
         smsUpdates: !!phone,
       },
     })
+    const verificationToken = customer.createEmailVerificationToken()
 
     await customer.save()
     console.log(`👤 New customer registered: ${email}`)
 
+    const verification = await sendEmailVerificationEmail(customer.email, {
+      name: customer.name,
+      storeName: req.storeInfo?.name,
+      verifyUrl: getEmailVerificationUrl(req.storeId, verificationToken),
+    })
+
     // Generate JWT token with longer expiration
     const token = customer.generateAuthToken(req.storeId, req.tenantId, rememberMe)
     const tokenExpiry = AuthUtils.formatTokenExpiry(token)
+    const cart = await mergeCartOnLogin(req, customer)
 
     const response = {
       message: "Registration successful",
@@ -239,6 +274,9 @@ router.post("/register", recaptchaMiddleware.v3.register, async (req, res) => {
       tenantId: req.tenantId,
       tokenInfo: tokenExpiry,
       expiresIn: rememberMe ? "365 days" : "90 days",
+      cart,
+      emailVerified: false,
+      verificationEmailSent: verification.success,
     }
 
     console.log("✅ Customer registration successful")
@@ -342,6 +380,7 @@ router.post("/login", recaptchaMiddleware.v3.login, async (req, res) => {
     // Generate new token with longer expiration based on rememberMe
     const token = customer.generateAuthToken(req.storeId, req.tenantId, rememberMe)
     const tokenExpiry = AuthUtils.formatTokenExpiry(token)
+    const cart = await mergeCartOnLogin(req, customer)
 
     console.log(`✅ Customer authentication successful: ${email}`)
 
@@ -364,6 +403,7 @@ router.post("/login", recaptchaMiddleware.v3.login, async (req, res) => {
       tenantId: req.tenantId,
       tokenInfo: tokenExpiry,
       expiresIn: rememberMe ? "365 days" : "90 days",
+      cart,
     }
 
     console.log("✅ Login response prepared successfully")
@@ -441,6 +481,15 @@ router.post("/migrate-account", async (req, res) => {
       })
     }
 
+    // Guest checkout records are not accounts - anyone can check out with any email or phone
+    if (customer.isGuest) {
+      return res.status(400).json({
+        error: "No existing account found with the provided email or phone number",
+        code: "CUSTOMER_NOT_FOUND",
+        canRegister: true,
+      })
+    }
+
     // Check if already migrated
     if (customer.password) {
       return res.status(400).json({
@@ -468,6 +517,7 @@ router.post("/migrate-account", async (req, res) => {
     // Generate JWT token with longer expiration
     const token = customer.generateAuthToken(req.storeId, req.tenantId, rememberMe)
     const tokenExpiry = AuthUtils.formatTokenExpiry(token)
+    const cart = await mergeCartOnLogin(req, customer)
 
     const response = {
       message: "Account migrated successfully. You can now use email and password to login.",
@@ -486,6 +536,7 @@ router.post("/migrate-account", async (req, res) => {
       tenantId: req.tenantId,
       tokenInfo: tokenExpiry,
       expiresIn: rememberMe ? "365 days" : "90 days",
+      cart,
     }
 
     res.json(response)
@@ -620,6 +671,7 @@ router.get("/profile", authenticateCustomer, async (req, res) => {
         totalSpent: customer.totalSpent,
         totalOrders: customer.totalOrders,
         loyaltyPoints: customer.loyaltyPoints,
+        storeCredit: customer.storeCredit || 0,
         tier: customer.tier, // Virtual field
         lastOrderDate: customer.lastOrderDate,
         addresses: customer.addresses || [],
@@ -679,7 +731,10 @@ router.put("/profile", authenticateCustomer, async (req, res) => {
 
     // Update fields
     if (name) customer.name = name.trim()
-    if (phone) customer.phone = phone
+    if (phone && phone !== customer.phone) {
+      customer.phone = phone
+      customer.phoneVerified = false
+    }
     if (dateOfBirth) customer.dateOfBirth = new Date(dateOfBirth)
     if (gender) customer.gender = gender
     if (preferences) customer.preferences = { ...customer.preferences, ...preferences }
@@ -790,6 +845,96 @@ router.get("/verify-token", authenticateCustomer, async (req, res) => {
   }
 })
 
+// Confirm the email with the token from the verification link, then link the guest orders placed with it
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({
+        error: "Verification token is required",
+        code: "MISSING_TOKEN",
+      })
+    }
+
+    const Customer = require("../../models/tenant/Customer")(req.tenantDB)
+    const customer = await Customer.findByEmailVerificationToken(token)
+
+    if (!customer) {
+      return res.status(400).json({
+        error: "Invalid or expired verification link",
+        code: "INVALID_VERIFICATION_TOKEN",
+      })
+    }
+
+    customer.emailVerified = true
+    customer.emailVerificationToken = undefined
+    customer.emailVerificationExpires = undefined
+    await customer.save()
+    console.log(`✅ Email verified for: ${customer.email}`)
+
+    // Orders placed as a guest with this email now belong to the account
+    const linkedOrders = await customer.linkGuestOrders({ email: customer.email })
+
+    res.json({
+      message: "Email verified successfully",
+      emailVerified: true,
+      linkedOrders,
+    })
+  } catch (error) {
+    console.error("❌ Email verification error:", error)
+    res.status(500).json({
+      error: "Failed to verify email",
+      details: error.message,
+      code: "EMAIL_VERIFICATION_ERROR",
+    })
+  }
+})
+
+// Send the email verification link again
+router.post("/resend-verification", authenticateCustomer, async (req, res) => {
+  try {
+    const customer = req.customer
+
+    if (customer.emailVerified) {
+      return res.status(400).json({
+        error: "Email is already verified",
+        code: "ALREADY_VERIFIED",
+      })
+    }
+    if (!customer.email) {
+      return res.status(400).json({
+        error: "Add an email address to your account first",
+        code: "MISSING_EMAIL",
+      })
+    }
+
+    const verificationToken = customer.createEmailVerificationToken()
+    await customer.save()
+
+    const verification = await sendEmailVerificationEmail(customer.email, {
+      name: customer.name,
+      storeName: req.storeInfo?.name,
+      verifyUrl: getEmailVerificationUrl(req.storeId, verificationToken),
+    })
+    if (!verification.success) {
+      return res.status(502).json({
+        error: "Failed to send the verification email",
+        code: "EMAIL_SEND_FAILED",
+      })
+    }
+
+    res.json({ message: "Verification email sent", email: customer.email })
+  } catch (error) {
+    console.error("❌ Resend verification error:", error)
+    res.status(500).json({
+      error: "Failed to send verification email",
+      details: error.message,
+      code: "RESEND_VERIFICATION_ERROR",
+    })
+  }
+})
+
 // Logout
 router.post("/logout", authenticateCustomer, async (req, res) => {
   try {
@@ -0,0 +1,446 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const router = express.Router({ mergeParams: true })
+const AuthUtils = require("../../utils/auth")
+const {
+  MAX_ITEM_QUANTITY,
+  getCartToken,
+  findCart,
+  getOrCreateCart,
+  mergeGuestCart,
+  validateCart,
+} = require("../../utils/cart")
+const { buildOrderLine } = require("../../utils/pricing")
+const { evaluateOffers } = require("../../utils/offers")
+
+// Optional customer authentication: logged in customers use their own cart, guests use a cart token
+const identifyCustomer = async (req, res, next) => {
+  try {
+    if (!req.tenantDB) {
+      return res.status(500).json({
+        error: "Database not initialized",
+        code: "DB_NOT_INITIALIZED",
+      })
+    }
+
+    const authHeader = req.header("Authorization")
+    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+      req.customer = null
+      return next()
+    }
+
+    let decoded
+    try {
+      decoded = AuthUtils.verifyToken(authHeader.replace("Bearer ", ""))
+    } catch (tokenError) {
+      return res.status(401).json({
+        error: tokenError.message.includes("expired")
+          ? "Session expired. Please login again."
+          : "Invalid session. Please login again.",
+        code: tokenError.message.includes("expired") ? "TOKEN_EXPIRED" : "TOKEN_INVALID",
+      })
+    }
+
+    if (decoded.type !== "customer" || decoded.storeId !== req.storeId) {
+      return res.status(401).json({
+        error: "Access denied. Token is not valid for this store.",
+        code: "INVALID_STORE_CONTEXT",
+      })
+    }
+
+    const Customer = require("../../models/tenant/Customer")(req.tenantDB)
+    const customer = await Customer.findById(decoded.customerId)
+    if (!customer || !customer.isActive) {
+      return res.status(401).json({
+        error: "Customer not found or deactivated",
+        code: "CUSTOMER_NOT_FOUND",
+      })
+    }
+
+    req.customer = customer
+    next()
+  } catch (error) {
+    console.error("❌ Cart auth middleware error:", error)
+    res.status(500).json({
+      error: "Authentication failed",
+      code: "AUTH_ERROR",
+    })
+  }
+}
+
+router.use(identifyCustomer)
+
+// Save the cart and send it back re-validated
+const sendCart = async (req, res, cart, status = 200) => {
+  const view = await validateCart(req.tenantDB, cart, req.customer)
+  res.status(status).json({
+    success: true,
+    cartToken: cart.token,
+    cart: view,
+  })
+}
+
+const loadCart = (req) => findCart(req.tenantDB, { customer: req.customer, token: getCartToken(req) })
+
+const parseQuantity = (value) => {
+  const quantity = Number(value)
+  return Number.isInteger(quantity) ? quantity : Number.NaN
+}
+
+// Get the current cart (empty cart if there is none yet)
+router.get("/", async (req, res) => {
+  try {
+    const cart = await loadCart(req)
+    if (!cart) {
+      return res.json({
+        success: true,
+        cartToken: null,
+        cart: { items: [], itemCount: 0, couponCode: null, shippingAddress: null, pricing: null, issues: [], isValid: false },
+      })
+    }
+
+    await sendCart(req, res, cart)
+  } catch (error) {
+    console.error("❌ Get cart error:", error)
+    res.status(500).json({
+      error: "Failed to get cart",
+      details: error.message,
+      code: "CART_ERROR",
+    })
+  }
+})
+
+// Add an item (adds to the quantity if the product / variant is already in the cart)
+router.post("/items", async (req, res) => {
+  try {
+    const { productId, variantId = null } = req.body
+    const quantity = req.body.quantity === undefined ? 1 : parseQuantity(req.body.quantity)
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ error: "Valid productId is required", code: "INVALID_PRODUCT" })
+    }
+    if (!(quantity >= 1 && quantity <= MAX_ITEM_QUANTITY)) {
+      return res.status(400).json({
+        error: `Quantity must be between 1 and ${MAX_ITEM_QUANTITY}`,
+        code: "INVALID_QUANTITY",
+      })
+    }
+
+    const Product = require("../../models/tenant/Product")(req.tenantDB)
+    const product = await Product.findById(productId)
+    if (!product || !product.isActive) {
+      return res.status(404).json({ error: "Product not found or inactive", code: "INVALID_PRODUCT" })
+    }
+
+    const lineResult = buildOrderLine(product, { variantId, quantity })
+    if (!lineResult.success) {
+      return res.status(400).json({ error: lineResult.error, code: lineResult.code })
+    }
+
+    const cart = await getOrCreateCart(req.tenantDB, { customer: req.customer, token: getCartToken(req) })
+    const existing = cart.findItem(product._id, lineResult.line.variantId)
+    if (existing) {
+      existing.quantity = Math.min(MAX_ITEM_QUANTITY, existing.quantity + quantity)
+    } else {
+      cart.items.push({
+        productId: product._id,
+        variantId: lineResult.line.variantId,
+        quantity,
+        priceAtAdd: lineResult.line.price,
+      })
+    }
+    const isNew = cart.isNew
+    await cart.save()
+
+    console.log(`🛒 Added ${quantity} x ${product.name} to cart ${cart._id}`)
+    await sendCart(req, res, cart, isNew ? 201 : 200)
+  } catch (error) {
+    console.error("❌ Add to cart error:", error)
+    res.status(500).json({
+      error: "Failed to add item to cart",
+      details: error.message,
+      code: "CART_ERROR",
+    })
+  }
+})
+
+// Change the quantity of an item (0 removes it)
+router.put("/items/:itemId", async (req, res) => {
+  try {
+    const quantity = parseQuantity(req.body.quantity)
+    if (!(quantity >= 0 && quantity <= MAX_ITEM_QUANTITY)) {
+      return res.status(400).json({
+        error: `Quantity must be between 0 and ${MAX_ITEM_QUANTITY}`,
+        code: "INVALID_QUANTITY",
+      })
+    }
+
+    const cart = await loadCart(req)
+    const item = cart?.items.id(req.params.itemId)
+    if (!item) {
+      return res.status(404).json({ error: "Cart item not found", code: "ITEM_NOT_FOUND" })
+    }
+
+    if (quantity === 0) {
+      item.deleteOne()
+    } else {
+      item.quantity = quantity
+    }
+    await cart.save()
+
+    await sendCart(req, res, cart)
+  } catch (error) {
+    console.error("❌ Update cart item error:", error)
+    res.status(500).json({
+      error: "Failed to update cart item",
+      details: error.message,
+      code: "CART_ERROR",
+    })
+  }
+})
+
+// Remove an item
+router.delete("/items/:itemId", async (req, res) => {
+  try {
+    const cart = await loadCart(req)
+    const item = cart?.items.id(req.params.itemId)
+    if (!item) {
+      return res.status(404).json({ error: "Cart item not found", code: "ITEM_NOT_FOUND" })
+    }
+
+    item.deleteOne()
+    await cart.save()
+
+    await sendCart(req, res, cart)
+  } catch (error) {
+    console.error("❌ Remove cart item error:", error)
+    res.status(500).json({
+      error: "Failed to remove cart item",
+      details: error.message,
+      code: "CART_ERROR",
+    })
+  }
+})
+
+// Apply a coupon code (validated against the current cart before it is saved)
+router.post("/coupon", async (req, res) => {
+  try {
+    const couponCode = String(req.body.couponCode || "")
+      .trim()
+      .toUpperCase()
+    if (!couponCode) {
+      return res.status(400).json({ error: "Coupon code is required", code: "COUPON_REQUIRED" })
+    }
+
+    const cart = await loadCart(req)
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ error: "Your cart is empty", code: "CART_EMPTY" })
+    }
+
+    const view = await validateCart(req.tenantDB, cart, req.customer)
+    const lines = view.items
+      .filter((item) => item.available)
+      .map((item) => ({ productId: item.productId, price: item.price, quantity: item.quantity, total: item.total }))
+    const offers = await evaluateOffers(req.tenantDB, { lines, couponCode, customer: req.customer })
+    if (!offers.success) {
+      return res.status(400).json({ error: offers.error, code: offers.code })
+    }
+
+    cart.couponCode = couponCode
+    await cart.save()
+    console.log(`🎟️ Coupon ${couponCode} applied to cart ${cart._id}`)
+
+    await sendCart(req, res, cart)
+  } catch (error) {
+    console.error("❌ Apply coupon to cart error:", error)
+    res.status(500).json({
+      error: "Failed to apply coupon",
+      details: error.message,
+      code: "CART_ERROR",
+    })
+  }
+})
+
+// Remove the coupon code
+router.delete("/coupon", async (req, res) => {
+  try {
+    const cart = await loadCart(req)
+    if (!cart) {
+      return res.status(404).json({ error: "Cart not found", code: "CART_NOT_FOUND" })
+    }
+
+    cart.couponCode = undefined
+    await cart.save()
+
+    await sendCart(req, res, cart)
+  } catch (error) {
+    console.error("❌ Remove coupon from cart error:", error)
+    res.status(500).json({
+      error: "Failed to remove coupon",
+      details: error.message,
+      code: "CART_ERROR",
+    })
+  }
+})
+
+// Set the shipping address (and optionally the payment method) used for shipping, tax and COD fee
+router.put("/address", async (req, res) => {
+  try {
+    const { shippingAddress, paymentMethod } = req.body
+    if (!shippingAddress) {
+      return res.status(400).json({ error: "Shipping address is required", code: "MISSING_ADDRESS" })
+    }
+
+    const requiredFields = ["name", "street", "city", "state", "zipCode"]
+    const missingFields = requiredFields.filter((field) => !shippingAddress[field])
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        error: "Incomplete shipping address",
+        missingFields,
+        code: "INCOMPLETE_ADDRESS",
+      })
+    }
+    if (paymentMethod !== undefined && !["online", "cod"].includes(paymentMethod)) {
+      return res.status(400).json({ error: "Invalid payment method", code: "INVALID_PAYMENT_METHOD" })
+    }
+
+    const cart = await getOrCreateCart(req.tenantDB, { customer: req.customer, token: getCartToken(req) })
+    cart.shippingAddress = {
+      name: shippingAddress.name,
+      phone: shippingAddress.phone,
+      street: shippingAddress.street,
+      city: shippingAddress.city,
+      state: shippingAddress.state,
+      zipCode: shippingAddress.zipCode,
+      country: shippingAddress.country || "India",
+    }
+    if (paymentMethod) {
+      cart.paymentMethod = paymentMethod
+    }
+    await cart.save()
+
+    await sendCart(req, res, cart)
+  } catch (error) {
+    console.error("❌ Set cart address error:", error)
+    res.status(500).json({
+      error: "Failed to set shipping address",
+      details: error.message,
+      code: "CART_ERROR",
+    })
+  }
+})
+
+// Contact details of a guest, so an abandoned cart can be followed up (only with marketing consent)
+router.put("/contact", async (req, res) => {
+  try {
+    const { name, marketingConsent } = req.body
+    const email = req.body.email ? String(req.body.email).trim().toLowerCase() : ""
+    const phone = req.body.phone ? String(req.body.phone).trim() : ""
+
+    if (req.customer) {
+      return res.status(400).json({
+        error: "Logged in customers manage contact details in their profile",
+        code: "CUSTOMER_CART",
+      })
+    }
+    if (!email && !phone) {
+      return res.status(400).json({ error: "Email or phone is required", code: "MISSING_CONTACT" })
+    }
+    if (email && !AuthUtils.validateEmail(email)) {
+      return res.status(400).json({ error: "Invalid email format", code: "INVALID_EMAIL" })
+    }
+    if (phone && !AuthUtils.validatePhone(phone)) {
+      return res.status(400).json({ error: "Invalid phone number format", code: "INVALID_PHONE" })
+    }
+
+    const cart = await getOrCreateCart(req.tenantDB, { customer: null, token: getCartToken(req) })
+    cart.contact = {
+      name: name ? String(name).trim() : undefined,
+      email: email || undefined,
+      phone: phone || undefined,
+      marketingConsent: marketingConsent === true,
+    }
+    await cart.save()
+
+    await sendCart(req, res, cart)
+  } catch (error) {
+    console.error("❌ Set cart contact error:", error)
+    res.status(500).json({
+      error: "Failed to save contact details",
+      details: error.message,
+      code: "CART_ERROR",
+    })
+  }
+})
+
+// Restore a cart from the link in an abandoned cart reminder (applies the reminder coupon)
+router.get("/restore/:recoveryToken", async (req, res) => {
+  try {
+    const Cart = require("../../models/tenant/Cart")(req.tenantDB)
+    const cart = await Cart.findOne({ "recovery.token": req.params.recoveryToken })
+    if (!cart) {
+      return res.status(404).json({ error: "Cart not found", code: "CART_NOT_FOUND" })
+    }
+    if (cart.status === "converted") {
+      return res.status(410).json({ error: "This cart has already been ordered", code: "CART_ALREADY_ORDERED" })
+    }
+    if (cart.status !== "active") {
+      return res.status(410).json({ error: "This cart is no longer available", code: "CART_NOT_ACTIVE" })
+    }
+
+    if (!cart.recovery.clickedAt) {
+      await Cart.updateOne({ _id: cart._id }, { $set: { "recovery.clickedAt": new Date() } })
+    }
+
+    // Customer carts are only shown to their owner
+    if (cart.customerId && cart.customerId.toString() !== req.customer?._id.toString()) {
+      return res.status(401).json({ error: "Please login to restore your cart", code: "LOGIN_REQUIRED" })
+    }
+
+    if (cart.recovery.offerCode && !cart.couponCode) {
+      cart.couponCode = cart.recovery.offerCode
+      await cart.save()
+    }
+
+    // A logged in customer opening a guest cart link gets it merged into their own cart
+    if (!cart.customerId && req.customer) {
+      const customerCart = await mergeGuestCart(req.tenantDB, cart.token, req.customer._id)
+      return sendCart(req, res, customerCart)
+    }
+
+    console.log(`🔗 Cart ${cart._id} restored from reminder link`)
+    await sendCart(req, res, cart)
+  } catch (error) {
+    console.error("❌ Restore cart error:", error)
+    res.status(500).json({
+      error: "Failed to restore cart",
+      details: error.message,
+      code: "CART_ERROR",
+    })
+  }
+})
+
+// Empty the cart
+router.delete("/", async (req, res) => {
+  try {
+    const cart = await loadCart(req)
+    if (!cart) {
+      return res.status(404).json({ error: "Cart not found", code: "CART_NOT_FOUND" })
+    }
+
+    cart.items = []
+    cart.couponCode = undefined
+    await cart.save()
+
+    await sendCart(req, res, cart)
+  } catch (error) {
+    console.error("❌ Clear cart error:", error)
+    res.status(500).json({
+      error: "Failed to clear cart",
+      details: error.message,
+      code: "CART_ERROR",
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,166 @@
+const express = require("express")
+const router = express.Router({ mergeParams: true })
+const AuthUtils = require("../../utils/auth")
+const { quoteOrder } = require("../../utils/pricing")
+const { getQuoteFingerprint, signQuote } = require("../../utils/quote")
+
+// Optional customer authentication: guests can get quotes, logged in customers get their own offers
+const identifyCustomer = async (req, res, next) => {
+  try {
+    const authHeader = req.header("Authorization")
+    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+      req.customer = null
+      return next()
+    }
+
+    let decoded
+    try {
+      decoded = AuthUtils.verifyToken(authHeader.replace("Bearer ", ""))
+    } catch (tokenError) {
+      return res.status(401).json({
+        error: tokenError.message.includes("expired")
+          ? "Session expired. Please login again."
+          : "Invalid session. Please login again.",
+        code: tokenError.message.includes("expired") ? "TOKEN_EXPIRED" : "TOKEN_INVALID",
+      })
+    }
+
+    if (decoded.type !== "customer" || decoded.storeId !== req.storeId) {
+      return res.status(401).json({
+        error: "Access denied. Token is not valid for this store.",
+        code: "INVALID_STORE_CONTEXT",
+      })
+    }
+
+    const Customer = require("../../models/tenant/Customer")(req.tenantDB)
+    const customer = await Customer.findById(decoded.customerId)
+    if (!customer || !customer.isActive) {
+      return res.status(401).json({
+        error: "Customer not found or deactivated",
+        code: "CUSTOMER_NOT_FOUND",
+      })
+    }
+
+    req.customer = customer
+    next()
+  } catch (error) {
+    console.error("❌ Checkout auth middleware error:", error)
+    res.status(500).json({
+      error: "Authentication failed",
+      code: "AUTH_ERROR",
+    })
+  }
+}
+
+// Price breakdown returned to the storefront
+const formatQuote = (pricing) => ({
+  lines: pricing.lines.map((line) => ({
+    productId: line.productId,
+    variantId: line.variantId,
+    name: line.name,
+    variantName: line.variantName,
+    sku: line.sku,
+    image: line.image,
+    price: line.price,
+    quantity: line.quantity,
+    total: line.total,
+    discount: line.discount,
+    taxRate: line.taxRate,
+    taxableValue: line.taxableValue,
+    taxAmount: line.taxAmount,
+    cgst: line.cgst,
+    sgst: line.sgst,
+    igst: line.igst,
+  })),
+  subtotal: pricing.subtotal,
+  discount: pricing.discount,
+  appliedOffers: pricing.appliedOffers,
+  tax: pricing.tax,
+  taxInclusive: pricing.taxInclusive,
+  taxBreakdown: pricing.taxBreakdown,
+  shipping: pricing.shipping,
+  shippingDetails: {
+    zone: pricing.shippingDetails.zone,
+    rateType: pricing.shippingDetails.rateType,
+    weight: pricing.shippingDetails.weight,
+    shippingCharge: pricing.shippingDetails.shippingCharge,
+    freeReason: pricing.shippingDetails.freeReason,
+    freeShippingAbove: pricing.shippingDetails.freeShippingAbove,
+  },
+  deliveryEstimate: pricing.shippingDetails.estimate,
+  codFee: pricing.codFee,
+  total: pricing.total,
+})
+
+// Full price breakdown for a checkout, plus a signed quote token to pass to POST /orders
+router.post("/quote", identifyCustomer, async (req, res) => {
+  try {
+    const { items, shippingAddress, couponCode, paymentMethod = "online", guest } = req.body
+    console.log(`🧮 Checkout quote for ${req.customer ? req.customer.email : "guest"} (${paymentMethod})`)
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        error: "Order items are required",
+        code: "MISSING_ITEMS",
+      })
+    }
+
+    if (!["online", "cod"].includes(paymentMethod)) {
+      return res.status(400).json({
+        error: "Invalid payment method",
+        code: "INVALID_PAYMENT_METHOD",
+      })
+    }
+
+    // Guests may pass their contact details so customer specific offers match what POST /orders/guest will apply.
+    // Only guest records are matched, as there - a quote must not reveal whether an account exists
+    let pricingCustomer = req.customer
+    if (!pricingCustomer && (guest?.email || guest?.phone)) {
+      const Customer = require("../../models/tenant/Customer")(req.tenantDB)
+      pricingCustomer = await Customer.findGuest({
+        email: guest.email ? String(guest.email).trim() : null,
+        phone: guest.phone ? String(guest.phone).trim() : null,
+      })
+    }
+
+    const pricing = await quoteOrder(req.tenantDB, {
+      items,
+      couponCode,
+      customer: pricingCustomer,
+      shippingAddress,
+      paymentMethod,
+    })
+    if (!pricing.success) {
+      return res.status(400).json({
+        error: pricing.error,
+        code: pricing.code,
+      })
+    }
+
+    const fingerprint = getQuoteFingerprint({
+      storeId: req.storeId,
+      customerId: req.customer?._id,
+      items,
+      shippingAddress,
+      couponCode,
+      paymentMethod,
+    })
+    const { token, expiresAt } = signQuote({ storeId: req.storeId, fingerprint, pricing })
+
+    res.json({
+      success: true,
+      quote: formatQuote(pricing),
+      quoteToken: token,
+      expiresAt,
+    })
+  } catch (error) {
+    console.error("❌ Checkout quote error:", error)
+    res.status(500).json({
+      error: "Failed to calculate checkout quote",
+      details: error.message,
+      code: "QUOTE_ERROR",
+    })
+  }
+})
+
+module.exports = router
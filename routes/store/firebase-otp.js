@@ -155,7 +155,9 @@ router.post("/verify-otp", async (req, res) => {
     const Customer = require("../../models/tenant/Customer")(req.tenantDB)
 
     // Find existing customer in local database
-    let customer = await Customer.findOne({ phone: phone })
+    // A registered account comes before a guest checkout record with the same phone
+    let customer =
+      (await Customer.findOne({ phone: phone, isGuest: { $ne: true } })) || (await Customer.findOne({ phone: phone }))
     let isNewCustomer = false
     let accountStatus = "existing"
 
@@ -225,6 +227,9 @@ router.post("/verify-otp", async (req, res) => {
       console.log(`✅ Existing customer updated and authenticated: ${phone}`)
     }
 
+    // The phone is verified - orders placed as a guest with it now belong to the account
+    const linkedOrders = customer.isGuest ? 0 : await customer.linkGuestOrders({ phone })
+
     // Generate JWT token
     const token = customer.generateAuthToken(req.storeId, req.tenantId, rememberMe)
     const tokenExpiry = AuthUtils.formatTokenExpiry(token)
@@ -279,6 +284,7 @@ router.post("/verify-otp", async (req, res) => {
       firebaseCustomToken: customToken,
       isNewCustomer: isNewCustomer,
       accountStatus: accountStatus, // 'existing', 'created'
+      linkedOrders,
     }
 
     console.log(`✅ Firebase phone authentication successful`)
@@ -1,7 +1,25 @@
 const express = require("express")
+const mongoose = require("mongoose")
 const router = express.Router({ mergeParams: true })
 const AuthUtils = require("../../utils/auth")
 const crypto = require("crypto") // For Razorpay signature verification
+const { buildOrderLines, resolveVariant, priceOrder, quoteOrder } = require("../../utils/pricing")
+const { getQuoteFingerprint, verifyQuote } = require("../../utils/quote")
+const { getCartToken, markCartConverted } = require("../../utils/cart")
+const idempotency = require("../../middleware/idempotency")
+const { getInvoice, renderInvoicePdf, sendOrderConfirmation } = require("../../utils/invoices")
+const { getCreditNoteDocument, renderCreditNotePdf } = require("../../utils/creditNotes")
+const { ORDER_FLOW, buildInitialHistory, transitionOrder } = require("../../utils/orderLifecycle")
+const { redeemOrderOffers } = require("../../utils/offers")
+const { CUSTOMER_CANCELLABLE_STATUSES, cancelOrderItems } = require("../../utils/orderChanges")
+const { priceDraft, getDraftQuote, placeDraftOrder } = require("../../utils/draftOrders")
+const {
+  reserveStock,
+  returnLinesStock,
+  buildReservation,
+  commitOrderStock,
+  releaseOrderStock,
+} = require("../../utils/inventory")
 
 // Customer authentication middleware
 const authenticateCustomer = async (req, res, next) => {
@@ -85,6 +103,114 @@ const authenticateCustomer = async (req, res, next) => {
   }
 }
 
+// Order-scoped access token for guest checkouts (lets a guest view, track and cancel one order)
+const ORDER_ACCESS_TOKEN_EXPIRY = "180d"
+
+const generateOrderAccessToken = (order, storeId) =>
+  AuthUtils.generateToken(
+    { type: "order_access", orderId: order._id.toString(), customerId: order.customerId.toString(), storeId },
+    ORDER_ACCESS_TOKEN_EXPIRY,
+  )
+
+// Accept either a customer session or an order access token (X-Order-Token header or ?accessToken=)
+const authenticateOrderAccess = async (req, res, next) => {
+  const accessToken = req.header("X-Order-Token") || req.query.accessToken
+  if (!accessToken) {
+    return authenticateCustomer(req, res, next)
+  }
+
+  try {
+    let decoded
+    try {
+      decoded = AuthUtils.verifyToken(accessToken)
+    } catch (tokenError) {
+      return res.status(401).json({
+        error: "Invalid or expired order access link",
+        code: "INVALID_ORDER_TOKEN",
+      })
+    }
+
+    if (decoded.type !== "order_access" || decoded.storeId !== req.storeId || decoded.orderId !== req.params.orderId) {
+      return res.status(403).json({
+        error: "This access link is not valid for this order",
+        code: "INVALID_ORDER_TOKEN",
+      })
+    }
+
+    const Customer = require("../../models/tenant/Customer")(req.tenantDB)
+    const Order = require("../../models/tenant/Order")(req.tenantDB)
+    // The order may have been linked to an account since the token was issued
+    const order = await Order.findById(decoded.orderId).select("customerId")
+    const customer = order && (await Customer.findById(order.customerId))
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: "Order not found",
+        code: "ORDER_NOT_FOUND",
+      })
+    }
+
+    req.customer = customer
+    req.customerId = customer._id
+    req.orderAccess = decoded.orderId
+    next()
+  } catch (error) {
+    console.error("❌ Order access middleware error:", error)
+    res.status(500).json({
+      error: "Authentication failed",
+      code: "AUTH_ERROR",
+    })
+  }
+}
+
+// Guest checkout: resolve (or create) the customer from the contact details instead of a session
+const resolveGuestCustomer = async (req, res, next) => {
+  try {
+    if (!req.tenantDB) {
+      return res.status(500).json({
+        error: "Database not initialized",
+        code: "DB_NOT_INITIALIZED",
+      })
+    }
+
+    const { name, email, phone } = req.body.guest || {}
+    const errors = []
+    if (!name || name.trim().length < 2) errors.push("Name must be at least 2 characters long")
+    if (!email || !AuthUtils.validateEmail(email)) errors.push("Valid email address is required")
+    if (!phone || !AuthUtils.validatePhone(phone)) errors.push("Valid phone number is required")
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Guest details are incomplete",
+        details: errors,
+        code: "INVALID_GUEST_DETAILS",
+      })
+    }
+
+    const Customer = require("../../models/tenant/Customer")(req.tenantDB)
+    const customer = await Customer.findOrCreateGuest({ name, email: email.trim(), phone: phone.trim() })
+    if (!customer.isActive) {
+      return res.status(403).json({
+        error: "Account is deactivated",
+        code: "ACCOUNT_DEACTIVATED",
+      })
+    }
+
+    req.customer = customer
+    req.customerId = customer._id
+    req.isGuestCheckout = true
+    // The matched guest record may hold other contact details - the order goes to the ones just entered
+    req.guestContact = { email: email.trim().toLowerCase(), phone: phone.trim() }
+    next()
+  } catch (error) {
+    console.error("❌ Guest checkout middleware error:", error)
+    res.status(500).json({
+      error: "Failed to start guest checkout",
+      details: error.message,
+      code: "GUEST_CHECKOUT_ERROR",
+    })
+  }
+}
+
 // Razorpay signature verification helper
 const verifyRazorpaySignature = (orderId, paymentId, signature, secret) => {
   try {
@@ -110,7 +236,7 @@ router.get("/test", (req, res) => {
 })
 
 // Create new order
-router.post("/", authenticateCustomer, async (req, res) => {
+const createOrder = async (req, res) => {
   try {
     console.log(`\n🚀 ===== ORDER CREATION API CALLED =====`)
     console.log(`[v0] Timestamp: ${new Date().toISOString()}`)
@@ -167,7 +293,9 @@ router.post("/", authenticateCustomer, async (req, res) => {
       paymentMethod,
       paymentStatus,
       notes,
+      giftNote,
       couponCode,
+      quoteToken,
       // Razorpay payment data
       razorpayPaymentId,
       razorpayOrderId,
@@ -187,6 +315,13 @@ router.post("/", authenticateCustomer, async (req, res) => {
       })
     }
 
+    if (giftNote !== undefined && giftNote !== null && (typeof giftNote !== "string" || giftNote.length > 300)) {
+      return res.status(400).json({
+        error: "Gift note must be text of at most 300 characters",
+        code: "INVALID_GIFT_NOTE",
+      })
+    }
+
     // Step 2: Validate shipping address
     if (!shippingAddress) {
       console.log(`[v0] Validation failed: Missing shipping address`)
@@ -221,7 +356,13 @@ router.post("/", authenticateCustomer, async (req, res) => {
     let finalPaymentStatus = paymentStatus || "pending"
     let paymentDetails = {}
 
-    if (paymentMethod === "online") {
+    // Online orders without payment details are "pay later" - stock is held until payment is verified
+    const payLater = paymentMethod === "online" && !razorpayPaymentId && !razorpayOrderId && !razorpaySignature
+
+    if (payLater) {
+      console.log(`[v0] Online order placed without payment details, holding stock until payment`)
+      finalPaymentStatus = "pending"
+    } else if (paymentMethod === "online") {
       const missingPaymentFields = []
       if (!razorpayPaymentId) missingPaymentFields.push("razorpayPaymentId")
       if (!razorpayOrderId) missingPaymentFields.push("razorpayOrderId")
@@ -293,78 +434,111 @@ router.post("/", authenticateCustomer, async (req, res) => {
     const Product = require("../../models/tenant/Product")(req.tenantDB)
     console.log(`[v0] Models loaded successfully`)
 
-    // Step 6: Validate products and compute totals
-    let subtotal = 0
-    const orderItems = []
-
+    // Step 6 & 7: Validate products, build priced order lines and calculate totals
+    // (same code path as POST /checkout/quote: coupon, automatic offers, tax, shipping and COD fee)
     console.log(`[v0] Validating ${items.length} items`)
-    for (const item of items) {
-      if (!item.productId || !item.quantity || item.quantity <= 0) {
-        console.log(`[v0] Invalid item data:`, item)
-        return res.status(400).json({
-          error: "Each item must have a valid productId and quantity",
-          code: "INVALID_ITEM_DATA",
-        })
-      }
+    const pricing = await quoteOrder(req.tenantDB, {
+      items,
+      couponCode,
+      customer,
+      shippingAddress,
+      paymentMethod,
+    })
+    if (!pricing.success) {
+      console.log(`[v0] Pricing failed:`, pricing.code, pricing.error)
+      return res.status(400).json({
+        error: pricing.error,
+        code: pricing.code,
+      })
+    }
 
-      const product = await Product.findById(item.productId)
-      if (!product || !product.isActive) {
-        console.log(`[v0] Product not found or inactive:`, item.productId)
-        return res.status(400).json({
-          error: `Product not found or inactive: ${item.productId}`,
-          code: "INVALID_PRODUCT",
+    // Reject the order if the prices differ from the quote the customer accepted
+    if (quoteToken) {
+      const quoteCheck = verifyQuote(quoteToken, {
+        storeId: req.storeId,
+        fingerprint: getQuoteFingerprint({
+          storeId: req.storeId,
+          customerId: req.isGuestCheckout ? null : customer._id,
+          items,
+          shippingAddress,
+          couponCode,
+          paymentMethod,
+        }),
+        pricing,
+      })
+      if (!quoteCheck.success) {
+        console.log(`[v0] Quote rejected:`, quoteCheck.code)
+        return res.status(409).json({
+          error: quoteCheck.error,
+          code: quoteCheck.code,
+          ...(quoteCheck.changed && { changed: quoteCheck.changed, total: pricing.total }),
         })
       }
+    }
 
-      // Check stock availability
-      if (product.inventory && product.inventory.trackQuantity) {
-        if (product.inventory.quantity < item.quantity) {
-          console.log(`[v0] Insufficient stock for product:`, product.name)
-          return res.status(400).json({
-            error: `Insufficient stock for: ${product.name}`,
-            code: "INSUFFICIENT_STOCK",
-            availableQuantity: product.inventory.quantity,
-          })
-        }
-      }
-
-      const itemTotal = product.price * item.quantity
-      subtotal += itemTotal
+    const {
+      subtotal,
+      tax,
+      taxBreakdown,
+      shipping,
+      shippingDetails,
+      codFee,
+      discount,
+      total,
+      appliedOffer,
+      appliedOffers,
+    } = pricing
+    const orderItems = pricing.lines
 
-      orderItems.push({
-        productId: product._id,
-        name: product.name,
-        price: product.price,
-        quantity: item.quantity,
-        total: itemTotal,
-      })
+    console.log(`[v0] Order totals calculated - Subtotal: ${subtotal}, Discount: ${discount}, Tax: ${tax}, Total: ${total}`)
 
-      // Update product stock and sales count for paid orders
-      if (finalPaymentStatus === "paid") {
-        if (product.inventory && product.inventory.trackQuantity) {
-          product.inventory.quantity -= item.quantity
-        }
-        product.salesCount = (product.salesCount || 0) + item.quantity
-        await product.save()
-        console.log(`[v0] Updated product stock for:`, product.name)
+    // Atomically hold stock for all validated items (prevents overselling under concurrent checkouts)
+    const orderId = new mongoose.Types.ObjectId()
+    const stockActor = { type: "customer", id: customer._id.toString(), name: customer.name }
+    const stockReference = { type: "Order", id: orderId.toString() }
+    try {
+      await reserveStock(req.tenantDB, orderItems, { actor: stockActor, reference: stockReference })
+    } catch (stockError) {
+      if (stockError.code !== "INSUFFICIENT_STOCK") {
+        throw stockError
       }
+      console.log(`[v0] Insufficient stock:`, stockError.message)
+      return res.status(400).json({
+        error: stockError.message,
+        code: "INSUFFICIENT_STOCK",
+        productId: stockError.productId,
+        variantId: stockError.variantId,
+        availableQuantity: stockError.availableQuantity,
+      })
     }
 
-    // Step 7: Calculate totals
-    const tax = subtotal * 0.18 // 18% GST
-    const shipping = 0 // Free shipping
-    const discount = 0 // No discount for now
-    const total = subtotal + tax + shipping - discount
-
-    console.log(`[v0] Order totals calculated - Subtotal: ${subtotal}, Tax: ${tax}, Total: ${total}`)
+    // Count the offer uses atomically - another order may have taken the last redemption
+    const redemption = await redeemOrderOffers(req.tenantDB, {
+      orderId,
+      customerId: customer._id,
+      appliedOffers,
+    })
+    if (!redemption.success) {
+      await returnLinesStock(Product, orderItems, {
+        type: "cancel",
+        reason: "coupon_unavailable",
+        actor: stockActor,
+        reference: stockReference,
+      })
+      return res.status(400).json({
+        error: redemption.error,
+        code: redemption.code,
+      })
+    }
 
     // Step 8: Create Order
     const orderData = {
+      _id: orderId,
       customerId: customer._id,
       customerInfo: {
         name: shippingAddress.name,
-        email: customer.email,
-        phone: customer.phone,
+        email: req.isGuestCheckout ? req.guestContact.email : customer.email,
+        phone: req.isGuestCheckout ? req.guestContact.phone : customer.phone,
         address: {
           street: shippingAddress.street,
           city: shippingAddress.city,
@@ -376,12 +550,34 @@ router.post("/", authenticateCustomer, async (req, res) => {
       items: orderItems,
       subtotal,
       tax,
+      taxBreakdown,
       shipping,
+      shippingDetails: {
+        zoneId: shippingDetails.zone?.id,
+        zoneName: shippingDetails.zone?.name,
+        rateType: shippingDetails.rateType,
+        chargeableWeight: shippingDetails.weight.chargeable,
+        shippingCharge: shippingDetails.shippingCharge,
+        freeReason: shippingDetails.freeReason,
+        deliveryTime: shippingDetails.estimate.text,
+      },
+      estimatedDelivery: shippingDetails.estimate.latest,
+      codFee,
       discount,
       total,
+      ...(appliedOffer && { couponCode: appliedOffer.code, appliedOffer }),
+      appliedOffers,
+      freeShipping: pricing.freeShipping,
       paymentMethod,
       paymentStatus: finalPaymentStatus,
       notes,
+      giftNote: giftNote || undefined,
+      isGuestOrder: !!req.isGuestCheckout,
+      statusHistory: buildInitialHistory(
+        { status: "pending", paymentStatus: finalPaymentStatus },
+        { actor: { type: "customer", id: customer._id, name: customer.name } },
+      ),
+      stockReservation: buildReservation(false),
       // Add payment details for online payments
       ...(paymentMethod === "online" && { paymentDetails }),
     }
@@ -453,24 +649,18 @@ router.post("/", authenticateCustomer, async (req, res) => {
       }
 
       // Rollback product stock changes if order save failed
-      if (finalPaymentStatus === "paid") {
-        console.log(`[v0] Rolling back product stock changes due to save failure`)
-        for (const item of orderItems) {
-          try {
-            const product = await Product.findById(item.productId)
-            if (product) {
-              if (product.inventory && product.inventory.trackQuantity) {
-                product.inventory.quantity += item.quantity
-              }
-              product.salesCount = Math.max(0, (product.salesCount || 0) - item.quantity)
-              await product.save()
-              console.log(`[v0] Rolled back stock for product: ${product.name}`)
-            }
-          } catch (rollbackError) {
-            console.error(`[v0] Rollback failed for product ${item.productId}:`, rollbackError)
-          }
-        }
+      console.log(`[v0] Rolling back product stock changes due to save failure`)
+      if (savedOrder) {
+        await releaseOrderStock(req.tenantDB, savedOrder, "order_save_failed", stockActor)
+      } else {
+        await returnLinesStock(Product, orderItems, {
+          type: "cancel",
+          reason: "order_save_failed",
+          actor: stockActor,
+          reference: stockReference,
+        })
       }
+      await redemption.rollback()
 
       return res.status(500).json({
         success: false,
@@ -480,8 +670,32 @@ router.post("/", authenticateCustomer, async (req, res) => {
       })
     }
 
+    // COD and already-paid orders are sales right away; pay-later orders keep the hold until payment
+    if (paymentMethod === "cod" || finalPaymentStatus === "paid") {
+      const commitResult = await commitOrderStock(req.tenantDB, savedOrder, stockActor)
+      if (!commitResult.success) {
+        console.error(`[v0] Failed to commit stock for order ${savedOrder.orderNumber}:`, commitResult.error)
+      }
+    }
+
+    // The cart has been checked out
+    try {
+      await markCartConverted(req.tenantDB, {
+        ...(req.isGuestCheckout ? { token: getCartToken(req) } : { customerId: customer._id }),
+        orderId: savedOrder._id,
+        orderTotal: savedOrder.total,
+      })
+    } catch (cartError) {
+      console.error(`[v0] Failed to mark cart as converted:`, cartError.message)
+    }
+
     console.log(`✅ Order created successfully: ${savedOrder.orderNumber} with payment status: ${finalPaymentStatus}`)
 
+    // Confirmation email (with the invoice for paid orders) - sent in the background
+    sendOrderConfirmation(req.tenantDB, savedOrder, { storeName: req.storeInfo?.name }).catch((emailError) =>
+      console.error(`❌ Failed to send order confirmation:`, emailError.message),
+    )
+
     const responseData = {
       success: true,
       message: "Order created successfully",
@@ -491,7 +705,18 @@ router.post("/", authenticateCustomer, async (req, res) => {
         status: savedOrder.status,
         paymentStatus: savedOrder.paymentStatus,
         paymentMethod: savedOrder.paymentMethod,
+        subtotal: savedOrder.subtotal,
+        discount: savedOrder.discount,
+        tax: savedOrder.tax,
+        taxBreakdown: savedOrder.taxBreakdown,
+        shipping: savedOrder.shipping,
+        shippingDetails: savedOrder.shippingDetails,
+        estimatedDelivery: savedOrder.estimatedDelivery,
+        codFee: savedOrder.codFee,
         total: savedOrder.total,
+        couponCode: savedOrder.couponCode,
+        appliedOffer: savedOrder.appliedOffer,
+        appliedOffers: savedOrder.appliedOffers,
         items: savedOrder.items,
         customerInfo: savedOrder.customerInfo,
         createdAt: savedOrder.createdAt,
@@ -499,10 +724,15 @@ router.post("/", authenticateCustomer, async (req, res) => {
           paymentDetails: {
             razorpayPaymentId,
             razorpayOrderId,
-            verified: true,
+            verified: finalPaymentStatus === "paid",
           },
         }),
       },
+      // Guests use this token to view, track and cancel the order (X-Order-Token header)
+      ...(req.isGuestCheckout && {
+        guest: true,
+        accessToken: generateOrderAccessToken(savedOrder, req.storeId),
+      }),
     }
 
     console.log(`\n✅ ===== ORDER CREATION SUCCESS =====`)
@@ -537,6 +767,293 @@ router.post("/", authenticateCustomer, async (req, res) => {
       code: "ORDER_CREATION_ERROR",
     })
   }
+}
+
+router.post("/", authenticateCustomer, idempotency("POST /orders"), createOrder)
+
+// Guest checkout: same flow with contact details ({ guest: { name, email, phone } }) instead of a login
+router.post("/guest", resolveGuestCustomer, idempotency("POST /orders/guest"), createOrder)
+
+// Preview a coupon code against cart items (same pricing as order creation)
+router.post("/coupon/preview", authenticateCustomer, async (req, res) => {
+  try {
+    const { items, couponCode } = req.body
+
+    console.log(`🎟️ Previewing coupon ${couponCode} for customer: ${req.customer.email}`)
+
+    if (!couponCode) {
+      return res.status(400).json({
+        success: false,
+        error: "Coupon code is required",
+        code: "COUPON_REQUIRED",
+      })
+    }
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Order items are required",
+        code: "MISSING_ITEMS",
+      })
+    }
+
+    const linesResult = await buildOrderLines(req.tenantDB, items)
+    if (!linesResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: linesResult.error,
+        code: linesResult.code,
+      })
+    }
+
+    const pricing = await priceOrder(req.tenantDB, {
+      lines: linesResult.lines,
+      couponCode,
+      customer: req.customer,
+      shippingAddress: req.body.shippingAddress,
+      paymentMethod: req.body.paymentMethod,
+    })
+    if (!pricing.success) {
+      return res.status(400).json({
+        success: false,
+        valid: false,
+        error: pricing.error,
+        code: pricing.code,
+      })
+    }
+
+    res.json({
+      success: true,
+      valid: true,
+      message: `Coupon applied: you save ${pricing.appliedOffer.discount}`,
+      coupon: {
+        code: pricing.appliedOffer.code,
+        title: pricing.appliedOffer.title,
+        type: pricing.appliedOffer.type,
+        value: pricing.appliedOffer.value,
+        discount: pricing.appliedOffer.discount,
+        eligibleSubtotal: pricing.appliedOffer.eligibleSubtotal,
+      },
+      // Coupon plus any automatic offers stacked with it
+      appliedOffers: pricing.appliedOffers,
+      freeShipping: pricing.freeShipping,
+      pricing: {
+        subtotal: pricing.subtotal,
+        discount: pricing.discount,
+        tax: pricing.tax,
+        taxInclusive: pricing.taxInclusive,
+        taxBreakdown: pricing.taxBreakdown,
+        shipping: pricing.shipping,
+        freeShippingReason: pricing.shippingDetails.freeReason,
+        deliveryEstimate: pricing.shippingDetails.estimate,
+        codFee: pricing.codFee,
+        total: pricing.total,
+      },
+    })
+  } catch (error) {
+    console.error("❌ Coupon preview error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to apply coupon",
+      details: error.message,
+      code: "COUPON_PREVIEW_ERROR",
+    })
+  }
+})
+
+// Draft order behind a payment link sent by the store (see utils/draftOrders.js) - sends the error response itself
+const findPaymentLinkDraft = async (req, res) => {
+  const DraftOrder = require("../../models/tenant/DraftOrder")(req.tenantDB)
+  const draft = req.params.token ? await DraftOrder.findOne({ "paymentLink.token": req.params.token }) : null
+  if (!draft) {
+    res.status(404).json({
+      success: false,
+      error: "Payment link not found",
+      code: "PAYMENT_LINK_NOT_FOUND",
+    })
+    return null
+  }
+  if (draft.status === "completed") {
+    res.status(409).json({
+      success: false,
+      error: "This order has already been placed",
+      code: "PAYMENT_LINK_USED",
+      orderNumber: draft.orderNumber,
+    })
+    return null
+  }
+  if (draft.status !== "payment_link_sent" || draft.paymentLink.expiresAt < new Date()) {
+    res.status(410).json({
+      success: false,
+      error: "This payment link has expired, please contact the store",
+      code: "PAYMENT_LINK_EXPIRED",
+    })
+    return null
+  }
+  return draft
+}
+
+// Order prepared by the store, as the customer will pay it (payment link page)
+router.get("/pay/:token", async (req, res) => {
+  try {
+    const Customer = require("../../models/tenant/Customer")(req.tenantDB)
+    const draft = await findPaymentLinkDraft(req, res)
+    if (!draft) return
+
+    const customer = draft.customerId ? await Customer.findById(draft.customerId) : null
+    const pricing = await priceDraft(req.tenantDB, draft, { customer, paymentMethod: "online" })
+    if (!pricing.success) {
+      return res.status(400).json({
+        success: false,
+        error: pricing.error,
+        code: pricing.code,
+      })
+    }
+
+    const Settings = require("../../models/tenant/Settings")(req.tenantDB)
+    const settings = await Settings.findOne().select("payment.razorpay.keyId").lean()
+
+    res.json({
+      success: true,
+      draft: {
+        draftNumber: draft.draftNumber,
+        customerInfo: draft.customerInfo,
+        notes: draft.notes,
+        giftNote: draft.giftNote,
+        expiresAt: draft.paymentLink.expiresAt,
+      },
+      quote: getDraftQuote(pricing),
+      // Open Razorpay checkout with this order - the amount is fixed when the link is sent
+      payment: {
+        gateway: "razorpay",
+        keyId: settings?.payment?.razorpay?.keyId,
+        razorpayOrderId: draft.paymentLink.razorpayOrderId,
+        amount: draft.paymentLink.amount,
+        currency: draft.paymentLink.currency,
+      },
+      storeName: req.storeInfo?.name,
+    })
+  } catch (error) {
+    console.error("❌ Payment link error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to load the payment link",
+      details: error.message,
+      code: "PAYMENT_LINK_ERROR",
+    })
+  }
+})
+
+// Pay an order prepared by the store: { razorpayPaymentId, razorpayOrderId, razorpaySignature }.
+// The payment has to be made against the Razorpay order created with the link, and can only place one order.
+// The draft becomes an order once the payment is verified (same pricing and stock checks as POST /orders).
+router.post("/pay/:token", idempotency("POST /orders/pay"), async (req, res) => {
+  try {
+    const { razorpayPaymentId, razorpayOrderId, razorpaySignature } = req.body
+    const draft = await findPaymentLinkDraft(req, res)
+    if (!draft) return
+
+    if (!razorpayPaymentId || !razorpayOrderId || !razorpaySignature) {
+      return res.status(400).json({
+        success: false,
+        error: "Razorpay payment details are required",
+        code: "MISSING_PAYMENT_DETAILS",
+      })
+    }
+
+    if (!draft.paymentLink.razorpayOrderId || razorpayOrderId !== draft.paymentLink.razorpayOrderId) {
+      console.error(`❌ Payment for draft ${draft.draftNumber} was not made against its Razorpay order`)
+      return res.status(400).json({
+        success: false,
+        error: "Payment verification failed",
+        code: "PAYMENT_VERIFICATION_FAILED",
+      })
+    }
+
+    const Settings = require("../../models/tenant/Settings")(req.tenantDB)
+    const settings = await Settings.findOne().select("payment.razorpay.keySecret").lean()
+    const razorpaySecret = settings?.payment?.razorpay?.keySecret
+    if (
+      !razorpaySecret ||
+      !verifyRazorpaySignature(razorpayOrderId, razorpayPaymentId, razorpaySignature, razorpaySecret)
+    ) {
+      console.error(`❌ Invalid Razorpay signature for draft ${draft.draftNumber}`)
+      return res.status(400).json({
+        success: false,
+        error: "Payment verification failed",
+        code: "PAYMENT_VERIFICATION_FAILED",
+      })
+    }
+
+    // A payment pays for one order only
+    const Order = require("../../models/tenant/Order")(req.tenantDB)
+    const Payment = require("../../models/tenant/Payment")(req.tenantDB)
+    const [usedByOrder, usedByPayment] = await Promise.all([
+      Order.exists({ "paymentDetails.razorpayPaymentId": razorpayPaymentId }),
+      Payment.exists({ gatewayTransactionId: razorpayPaymentId }),
+    ])
+    if (usedByOrder || usedByPayment) {
+      console.error(`❌ Razorpay payment ${razorpayPaymentId} was already used, draft ${draft.draftNumber}`)
+      return res.status(409).json({
+        success: false,
+        error: "This payment was already used for another order",
+        code: "PAYMENT_ALREADY_USED",
+      })
+    }
+
+    const result = await placeDraftOrder(req.tenantDB, draft, {
+      paymentMethod: "online",
+      paymentDetails: { razorpayPaymentId, razorpayOrderId, razorpaySignature, verifiedAt: new Date() },
+      amountPaid: draft.paymentLink.amount,
+      actor: { type: "customer", id: draft.customerId, name: draft.customerInfo?.name },
+      storeName: req.storeInfo?.name,
+    })
+    if (!result.success) {
+      // The payment went through - the store has to refund it or place the order by hand
+      console.error(
+        `❌ CRITICAL: Draft ${draft.draftNumber} was paid (${razorpayPaymentId}) but not placed: ${result.error}`,
+      )
+      return res.status(result.code === "DRAFT_NOT_OPEN" ? 409 : 400).json({
+        success: false,
+        error: result.error,
+        code: result.code,
+        details: result.details,
+        razorpayPaymentId,
+      })
+    }
+
+    const { order } = result
+    res.status(201).json({
+      success: true,
+      message: "Payment received, your order has been placed",
+      order: {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        paymentStatus: order.paymentStatus,
+        paymentMethod: order.paymentMethod,
+        subtotal: order.subtotal,
+        discount: order.discount,
+        tax: order.tax,
+        shipping: order.shipping,
+        total: order.total,
+        items: order.items,
+        customerInfo: order.customerInfo,
+        estimatedDelivery: order.estimatedDelivery,
+        createdAt: order.createdAt,
+      },
+      // Lets the customer view and track the order without an account (X-Order-Token header)
+      accessToken: generateOrderAccessToken(order, req.storeId),
+    })
+  } catch (error) {
+    console.error("❌ Payment link checkout error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to place the order",
+      details: error.message,
+      code: "PAYMENT_LINK_CHECKOUT_ERROR",
+    })
+  }
 })
 
 // Get customer orders
@@ -623,7 +1140,7 @@ router.get("/", authenticateCustomer, async (req, res) => {
 })
 
 // Get specific order details
-router.get("/:orderId", authenticateCustomer, async (req, res) => {
+router.get("/:orderId", authenticateOrderAccess, async (req, res) => {
   try {
     const { orderId } = req.params
     const customer = req.customer
@@ -680,7 +1197,7 @@ router.get("/:orderId", authenticateCustomer, async (req, res) => {
 })
 
 // Cancel order
-router.put("/:orderId/cancel", authenticateCustomer, async (req, res) => {
+router.put("/:orderId/cancel", authenticateOrderAccess, async (req, res) => {
   try {
     const { orderId } = req.params
     const { reason } = req.body
@@ -689,7 +1206,6 @@ router.put("/:orderId/cancel", authenticateCustomer, async (req, res) => {
     console.log(`❌ Cancelling order: ${orderId}`)
 
     const Order = require("../../models/tenant/Order")(req.tenantDB)
-    const Product = require("../../models/tenant/Product")(req.tenantDB)
 
     const order = await Order.findOne({
       _id: orderId,
@@ -721,35 +1237,41 @@ router.put("/:orderId/cancel", authenticateCustomer, async (req, res) => {
       })
     }
 
-    // Restore product stock
-    for (const item of order.items) {
-      const product = await Product.findById(item.productId)
-      if (product) {
-        if (product.inventory && product.inventory.trackQuantity) {
-          product.inventory.quantity += item.quantity
-        }
-        product.salesCount = Math.max(0, (product.salesCount || 0) - item.quantity)
-        await product.save()
-      }
+    // Cancelling releases the order's stock and offers and refunds a prepaid order (see utils/orderLifecycle.js)
+    const transition = await transitionOrder(req.tenantDB, order, {
+      status: "cancelled",
+      actor: { type: "customer", id: customer._id, name: customer.name },
+      note: `Cancelled by customer. Reason: ${reason || "No reason provided"}`,
+    })
+    if (!transition.success) {
+      return res.status(transition.code === "ORDER_STATUS_CHANGED" ? 409 : 400).json({
+        success: false,
+        error: transition.error,
+        code: transition.code === "INVALID_TRANSITION" ? "ORDER_CANNOT_BE_CANCELLED" : transition.code,
+      })
     }
+    const cancelledOrder = transition.order
 
-    // Update order status
-    order.status = "cancelled"
-    order.notes = `${order.notes || ""}\nCancelled by customer. Reason: ${reason || "No reason provided"}`
-    await order.save()
-
-    console.log(`✅ Order cancelled: ${order.orderNumber}`)
+    console.log(`✅ Order cancelled: ${cancelledOrder.orderNumber}`)
 
     res.json({
       success: true,
       message: "Order cancelled successfully",
       order: {
-        id: order._id,
-        orderNumber: order.orderNumber,
-        status: order.status,
-        notes: order.notes,
-        cancelledAt: new Date(),
+        id: cancelledOrder._id,
+        orderNumber: cancelledOrder.orderNumber,
+        status: cancelledOrder.status,
+        notes: cancelledOrder.notes,
+        cancelledAt: cancelledOrder.cancelledAt,
       },
+      refund: transition.refund
+        ? {
+            id: transition.refund._id,
+            amount: transition.refund.amount,
+            status: transition.refund.status,
+            method: transition.refund.method,
+          }
+        : null,
     })
   } catch (error) {
     console.error("❌ Cancel order error:", error)
@@ -762,8 +1284,86 @@ router.put("/:orderId/cancel", authenticateCustomer, async (req, res) => {
   }
 })
 
+// Cancel some items (or quantities) of an order before it ships: { items: [{ orderItemId, quantity }], reason }
+router.put("/:orderId/cancel-items", authenticateOrderAccess, async (req, res) => {
+  try {
+    const { orderId } = req.params
+    const { items, reason } = req.body
+    const customer = req.customer
+
+    console.log(`✂️ Cancelling items of order: ${orderId}`)
+
+    const Order = require("../../models/tenant/Order")(req.tenantDB)
+    const order = await Order.findOne({
+      _id: orderId,
+      customerId: customer._id,
+    })
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: "Order not found",
+        code: "ORDER_NOT_FOUND",
+      })
+    }
+
+    const result = await cancelOrderItems(req.tenantDB, order, {
+      items,
+      reason: typeof reason === "string" ? reason.trim() : undefined,
+      actor: { type: "customer", id: customer._id, name: customer.name },
+      allowedStatuses: CUSTOMER_CANCELLABLE_STATUSES,
+    })
+    if (!result.success) {
+      return res.status(result.code === "ORDER_STATUS_CHANGED" ? 409 : 400).json({
+        success: false,
+        error: result.error,
+        code: result.code,
+        ...(result.details && { details: result.details }),
+      })
+    }
+    const updatedOrder = result.order
+
+    console.log(`✅ Items cancelled for order: ${updatedOrder.orderNumber}`)
+
+    res.json({
+      success: true,
+      message: result.orderCancelled ? "Order cancelled successfully" : "Items cancelled successfully",
+      order: {
+        id: updatedOrder._id,
+        orderNumber: updatedOrder.orderNumber,
+        status: updatedOrder.status,
+        paymentStatus: updatedOrder.paymentStatus,
+        items: updatedOrder.items,
+        subtotal: updatedOrder.subtotal,
+        discount: updatedOrder.discount,
+        tax: updatedOrder.tax,
+        shipping: updatedOrder.shipping,
+        codFee: updatedOrder.codFee,
+        total: updatedOrder.total,
+        cancellations: updatedOrder.cancellations,
+      },
+      refund: result.refund
+        ? {
+            id: result.refund._id,
+            amount: result.refund.amount,
+            status: result.refund.status,
+            method: result.refund.method,
+          }
+        : null,
+    })
+  } catch (error) {
+    console.error("❌ Cancel order items error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to cancel order items",
+      details: error.message,
+      code: "ORDER_ITEMS_CANCELLATION_ERROR",
+    })
+  }
+})
+
 // Track order status
-router.get("/:orderId/track", authenticateCustomer, async (req, res) => {
+router.get("/:orderId/track", authenticateOrderAccess, async (req, res) => {
   try {
     const { orderId } = req.params
     const customer = req.customer
@@ -785,57 +1385,59 @@ router.get("/:orderId/track", authenticateCustomer, async (req, res) => {
       })
     }
 
-    // Create tracking timeline
-    const timeline = [
-      {
-        status: "pending",
-        title: "Order Placed",
-        description: "Your order has been placed successfully",
-        timestamp: order.createdAt,
-        completed: true,
-      },
-      {
-        status: "confirmed",
-        title: "Order Confirmed",
-        description: "Your order has been confirmed and is being prepared",
-        timestamp: order.status === "confirmed" ? order.updatedAt : null,
-        completed: ["confirmed", "processing", "shipped", "delivered"].includes(order.status),
-      },
-      {
-        status: "processing",
-        title: "Processing",
-        description: "Your order is being processed",
-        timestamp: order.status === "processing" ? order.updatedAt : null,
-        completed: ["processing", "shipped", "delivered"].includes(order.status),
-      },
-      {
-        status: "shipped",
-        title: "Shipped",
-        description: "Your order has been shipped",
-        timestamp: order.status === "shipped" ? order.updatedAt : null,
-        completed: ["shipped", "delivered"].includes(order.status),
-        trackingNumber: order.trackingNumber,
-      },
-      {
-        status: "delivered",
-        title: "Delivered",
-        description: "Your order has been delivered",
-        timestamp: order.deliveredAt,
-        completed: order.status === "delivered",
-      },
-    ]
+    // Tracking timeline from the recorded status history
+    const statusHistory = order.statusHistory.filter((entry) => entry.field === "status")
+    const reachedAt = (status) => {
+      const entry = [...statusHistory].reverse().find((item) => item.to === status)
+      if (entry) return entry.at
+      // Orders placed before status history was recorded
+      if (status === "pending") return order.createdAt
+      if (status === "delivered") return order.deliveredAt || null
+      return null
+    }
+    // Furthest step reached (for cancelled orders: the last step before the cancellation)
+    const reachedIndex =
+      order.status === "cancelled"
+        ? Math.max(0, ...ORDER_FLOW.map((status, index) => (reachedAt(status) ? index : 0)))
+        : ORDER_FLOW.indexOf(order.status)
+
+    const steps = {
+      pending: { title: "Order Placed", description: "Your order has been placed successfully" },
+      confirmed: { title: "Order Confirmed", description: "Your order has been confirmed and is being prepared" },
+      processing: { title: "Processing", description: "Your order is being processed" },
+      shipped: { title: "Shipped", description: "Your order has been shipped" },
+      delivered: { title: "Delivered", description: "Your order has been delivered" },
+    }
+    const timeline = ORDER_FLOW.map((status, index) => ({
+      status,
+      ...steps[status],
+      timestamp: reachedAt(status),
+      completed: index <= reachedIndex,
+      ...(status === "shipped" && { trackingNumber: order.trackingNumber }),
+    }))
 
     // Handle cancelled orders
     if (order.status === "cancelled") {
+      const cancellation = [...statusHistory].reverse().find((entry) => entry.to === "cancelled")
       timeline.push({
         status: "cancelled",
         title: "Order Cancelled",
-        description: "Your order has been cancelled",
-        timestamp: order.updatedAt,
+        description: cancellation?.note || "Your order has been cancelled",
+        timestamp: cancellation?.at || order.cancelledAt || order.updatedAt,
         completed: true,
       })
     }
 
+    // Full history for the customer (who made each change, without internal ids)
+    const history = order.statusHistory.map((entry) => ({
+      field: entry.field,
+      from: entry.from,
+      to: entry.to,
+      by: entry.actor?.type,
+      note: entry.note,
+      at: entry.at,
+    }))
+
     console.log(`✅ Order tracking retrieved: ${order.orderNumber}`)
 
     res.json({
@@ -852,6 +1454,7 @@ router.get("/:orderId/track", authenticateCustomer, async (req, res) => {
         createdAt: order.createdAt,
       },
       timeline,
+      history,
     })
   } catch (error) {
     console.error("❌ Track order error:", error)
@@ -865,7 +1468,7 @@ router.get("/:orderId/track", authenticateCustomer, async (req, res) => {
 })
 
 // Get order invoice/receipt
-router.get("/:orderId/invoice", authenticateCustomer, async (req, res) => {
+router.get("/:orderId/invoice", authenticateOrderAccess, async (req, res) => {
   try {
     const { orderId } = req.params
     const customer = req.customer
@@ -873,12 +1476,11 @@ router.get("/:orderId/invoice", authenticateCustomer, async (req, res) => {
     console.log(`🧾 Getting invoice for order: ${orderId}`)
 
     const Order = require("../../models/tenant/Order")(req.tenantDB)
-    const Settings = require("../../models/tenant/Settings")(req.tenantDB)
 
     const order = await Order.findOne({
       _id: orderId,
       customerId: customer._id,
-    }).populate("items.productId", "name sku")
+    }).populate("items.productId", "name sku hsnCode")
 
     if (!order) {
       return res.status(404).json({
@@ -888,41 +1490,8 @@ router.get("/:orderId/invoice", authenticateCustomer, async (req, res) => {
       })
     }
 
-    // Get store settings for invoice details
-    const settings = await Settings.findOne()
-
-    const invoice = {
-      order: {
-        id: order._id,
-        orderNumber: order.orderNumber,
-        status: order.status,
-        paymentStatus: order.paymentStatus,
-        paymentMethod: order.paymentMethod,
-        createdAt: order.createdAt,
-        deliveredAt: order.deliveredAt,
-      },
-      customer: {
-        name: order.customerInfo.name,
-        email: order.customerInfo.email,
-        phone: order.customerInfo.phone,
-        address: order.customerInfo.address,
-      },
-      store: {
-        name: settings?.general?.storeName || req.storeInfo?.name || "Store",
-        email: settings?.general?.supportEmail || "",
-        phone: settings?.general?.supportPhone || "",
-        address: settings?.general?.address || {},
-      },
-      items: order.items,
-      summary: {
-        subtotal: order.subtotal,
-        discount: order.discount || 0,
-        tax: order.tax || 0,
-        shipping: order.shipping || 0,
-        total: order.total,
-      },
-      appliedOffer: order.appliedOffer,
-    }
+    // Invoice numbers are only issued once the order is confirmed or paid (null until then)
+    const invoice = await getInvoice(req.tenantDB, order, { storeName: req.storeInfo?.name })
 
     console.log(`✅ Invoice retrieved for order: ${order.orderNumber}`)
 
@@ -942,6 +1511,139 @@ router.get("/:orderId/invoice", authenticateCustomer, async (req, res) => {
   }
 })
 
+// Download the invoice PDF (only once the order is confirmed or paid)
+router.get("/:orderId/invoice/pdf", authenticateOrderAccess, async (req, res) => {
+  try {
+    const { orderId } = req.params
+    const customer = req.customer
+
+    console.log(`🧾 Generating invoice PDF for order: ${orderId}`)
+
+    const Order = require("../../models/tenant/Order")(req.tenantDB)
+    const order = await Order.findOne({
+      _id: orderId,
+      customerId: customer._id,
+    })
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: "Order not found",
+        code: "ORDER_NOT_FOUND",
+      })
+    }
+
+    const invoice = await getInvoice(req.tenantDB, order, { storeName: req.storeInfo?.name })
+    if (!invoice.invoiceNumber) {
+      return res.status(400).json({
+        success: false,
+        error: "The invoice is available once the order is confirmed or paid",
+        code: "INVOICE_NOT_AVAILABLE",
+      })
+    }
+
+    const pdf = await renderInvoicePdf(invoice)
+    console.log(`✅ Invoice PDF generated: ${invoice.invoiceNumber}`)
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${invoice.invoiceNumber}.pdf"`,
+      "Content-Length": pdf.length,
+    })
+    res.send(pdf)
+  } catch (error) {
+    console.error("❌ Invoice PDF error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to generate invoice",
+      details: error.message,
+      code: "INVOICE_ERROR",
+    })
+  }
+})
+
+// List the credit notes issued against the invoice of an order
+router.get("/:orderId/credit-notes", authenticateOrderAccess, async (req, res) => {
+  try {
+    const { orderId } = req.params
+    const customer = req.customer
+
+    const Order = require("../../models/tenant/Order")(req.tenantDB)
+    const CreditNote = require("../../models/tenant/CreditNote")(req.tenantDB)
+
+    const order = await Order.findOne({ _id: orderId, customerId: customer._id }).select("orderNumber invoiceNumber")
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: "Order not found",
+        code: "ORDER_NOT_FOUND",
+      })
+    }
+
+    const creditNotes = await CreditNote.find({ orderId: order._id })
+      .select("creditNoteNumber issuedAt invoiceNumber type reason returnNumber currency tax total")
+      .sort({ issuedAt: 1 })
+
+    res.json({
+      success: true,
+      orderNumber: order.orderNumber,
+      invoiceNumber: order.invoiceNumber || null,
+      creditNotes,
+    })
+  } catch (error) {
+    console.error("❌ Get credit notes error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to get credit notes",
+      details: error.message,
+      code: "CREDIT_NOTES_ERROR",
+    })
+  }
+})
+
+// Download a credit note PDF
+router.get("/:orderId/credit-notes/:creditNoteId/pdf", authenticateOrderAccess, async (req, res) => {
+  try {
+    const { orderId, creditNoteId } = req.params
+    const customer = req.customer
+
+    console.log(`🧾 Generating credit note PDF ${creditNoteId} for order: ${orderId}`)
+
+    const Order = require("../../models/tenant/Order")(req.tenantDB)
+    const CreditNote = require("../../models/tenant/CreditNote")(req.tenantDB)
+
+    const order = await Order.exists({ _id: orderId, customerId: customer._id })
+    const creditNote = order && (await CreditNote.findOne({ _id: creditNoteId, orderId }))
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        error: "Credit note not found",
+        code: "CREDIT_NOTE_NOT_FOUND",
+      })
+    }
+
+    const pdf = await renderCreditNotePdf(
+      await getCreditNoteDocument(req.tenantDB, creditNote, { storeName: req.storeInfo?.name }),
+    )
+    console.log(`✅ Credit note PDF generated: ${creditNote.creditNoteNumber}`)
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${creditNote.creditNoteNumber}.pdf"`,
+      "Content-Length": pdf.length,
+    })
+    res.send(pdf)
+  } catch (error) {
+    console.error("❌ Credit note PDF error:", error)
+    res.status(500).json({
+      success: false,
+      error: "Failed to generate credit note",
+      details: error.message,
+      code: "CREDIT_NOTE_ERROR",
+    })
+  }
+})
+
 // Reorder (create new order from existing order)
 router.post("/:orderId/reorder", authenticateCustomer, async (req, res) => {
   try {
@@ -979,22 +1681,30 @@ router.post("/:orderId/reorder", authenticateCustomer, async (req, res) => {
           reason: "Product no longer available",
         })
       } else {
-        // Check stock availability
+        // Check variant and stock availability
         let isAvailable = true
-        if (product.inventory && product.inventory.trackQuantity) {
-          if (product.inventory.quantity < item.quantity) {
-            isAvailable = false
-            unavailableItems.push({
-              name: item.name,
-              reason: "Insufficient stock",
-              availableQuantity: product.inventory.quantity,
-            })
-          }
+        const { success: variantAvailable } = resolveVariant(product, item.variantId)
+        if (!variantAvailable) {
+          isAvailable = false
+          unavailableItems.push({
+            name: item.name,
+            variantName: item.variantName,
+            reason: "Variant no longer available",
+          })
+        } else if (!product.allowBackorders && product.getAvailableStock(item.variantId) < item.quantity) {
+          isAvailable = false
+          unavailableItems.push({
+            name: item.name,
+            variantName: item.variantName,
+            reason: "Insufficient stock",
+            availableQuantity: product.getAvailableStock(item.variantId),
+          })
         }
 
         if (isAvailable) {
           availableItems.push({
             productId: item.productId,
+            variantId: item.variantId,
             quantity: item.quantity,
           })
         }
@@ -1,6 +1,10 @@
 const express = require("express")
 const router = express.Router({ mergeParams: true })
 const AuthUtils = require("../../utils/auth")
+const { commitOrderStock, releaseHeldStock } = require("../../utils/inventory")
+const idempotency = require("../../middleware/idempotency")
+const { transitionOrder } = require("../../utils/orderLifecycle")
+const { createRefund, refundLatePayment } = require("../../utils/refunds")
 
 // Customer authentication middleware
 const authenticateCustomer = async (req, res, next) => {
@@ -189,7 +193,7 @@ router.get("/config", async (req, res) => {
 })
 
 // Create Razorpay payment order
-router.post("/create-order", authenticateCustomer, async (req, res) => {
+router.post("/create-order", authenticateCustomer, idempotency("POST /payments/create-order"), async (req, res) => {
   try {
     const { orderId, amount, currency = "INR" } = req.body
     const customer = req.customer
@@ -402,7 +406,7 @@ router.post("/create-order", authenticateCustomer, async (req, res) => {
 })
 
 // Verify payment (Razorpay/Stripe)
-router.post("/verify-payment", authenticateCustomer, async (req, res) => {
+router.post("/verify-payment", authenticateCustomer, idempotency("POST /payments/verify-payment"), async (req, res) => {
   try {
     const { paymentId, gatewayPaymentId, gatewayOrderId, gatewaySignature, gateway = "razorpay" } = req.body
     const customer = req.customer
@@ -468,6 +472,13 @@ router.post("/verify-payment", authenticateCustomer, async (req, res) => {
       payment.failureReason = "Invalid payment signature"
       await payment.save()
 
+      // Give the held stock back - it will be reserved again if a retry succeeds
+      await releaseHeldStock(req.tenantDB, { _id: payment.orderId }, "payment_failed", {
+        type: "customer",
+        id: customer._id.toString(),
+        name: customer.name,
+      })
+
       return res.status(400).json({
         error: "Payment verification failed",
         code: "PAYMENT_VERIFICATION_FAILED",
@@ -489,12 +500,30 @@ router.post("/verify-payment", authenticateCustomer, async (req, res) => {
 
     // Update order payment status
     const order = await Order.findById(payment.orderId)
+    let stockResult = { success: true }
     if (order) {
-      order.paymentStatus = "paid"
-      if (order.status === "pending") {
-        order.status = "confirmed"
+      // Turn the stock hold into a sale
+      stockResult = await commitOrderStock(req.tenantDB, order, {
+        type: "customer",
+        id: customer._id.toString(),
+        name: customer.name,
+      })
+      if (!stockResult.success) {
+        console.error(`❌ Paid order ${order.orderNumber} could not commit stock: ${stockResult.error}`)
+      }
+      if (stockResult.code === "ORDER_CANCELLED") {
+        await refundLatePayment(req.tenantDB, order, { type: "customer", id: customer._id, name: customer.name })
+      }
+
+      const transition = await transitionOrder(req.tenantDB, order, {
+        paymentStatus: "paid",
+        status: order.status === "pending" ? "confirmed" : undefined,
+        actor: { type: "customer", id: customer._id, name: customer.name },
+        note: `Payment ${payment.transactionId} verified`,
+      })
+      if (!transition.success) {
+        console.error(`❌ Paid order ${order.orderNumber} could not be updated: ${transition.error}`)
       }
-      await order.save()
     }
 
     console.log(`✅ Payment verified successfully: ${payment.transactionId}`)
@@ -514,6 +543,7 @@ router.post("/verify-payment", authenticateCustomer, async (req, res) => {
         orderNumber: order.orderNumber,
         status: order.status,
         paymentStatus: order.paymentStatus,
+        stockCommitted: stockResult.success,
       },
     })
   } catch (error) {
@@ -607,6 +637,13 @@ router.post("/payment-failed", authenticateCustomer, async (req, res) => {
       })
     }
 
+    if (payment.status === "completed") {
+      return res.status(400).json({
+        error: "Payment already completed",
+        code: "PAYMENT_ALREADY_COMPLETED",
+      })
+    }
+
     // Update payment status
     payment.status = "failed"
     payment.failureReason = reason || "Payment failed"
@@ -618,6 +655,13 @@ router.post("/payment-failed", authenticateCustomer, async (req, res) => {
     }
     await payment.save()
 
+    // Release the stock held for the order
+    await releaseHeldStock(req.tenantDB, { _id: payment.orderId }, "payment_failed", {
+      type: "customer",
+      id: customer._id.toString(),
+      name: customer.name,
+    })
+
     console.log(`✅ Payment failure recorded: ${payment.transactionId}`)
 
     res.json({
@@ -723,30 +767,23 @@ router.post("/:paymentId/refund-request", authenticateCustomer, async (req, res)
       })
     }
 
-    if (payment.status !== "completed") {
+    if (!["completed", "partially_refunded"].includes(payment.status)) {
       return res.status(400).json({
         error: "Only completed payments can be refunded",
         code: "PAYMENT_NOT_COMPLETED",
       })
     }
 
-    // Check if refund already requested
-    if (payment.refundAmount > 0) {
+    // Check if a refund request is already waiting for the store
+    const Refund = require("../../models/tenant/Refund")(req.tenantDB)
+    const openRequest = await Refund.exists({ paymentId: payment._id, status: "requested" })
+    if (openRequest) {
       return res.status(400).json({
         error: "Refund already processed or requested",
         code: "REFUND_ALREADY_EXISTS",
       })
     }
 
-    // Validate refund amount
-    const refundAmount = amount || payment.amount
-    if (refundAmount > payment.amount) {
-      return res.status(400).json({
-        error: "Refund amount cannot exceed payment amount",
-        code: "INVALID_REFUND_AMOUNT",
-      })
-    }
-
     // Get associated order
     const order = await Order.findById(payment.orderId)
     if (!order) {
@@ -772,27 +809,33 @@ router.post("/:paymentId/refund-request", authenticateCustomer, async (req, res)
       })
     }
 
-    // Update payment with refund request
-    payment.refundAmount = refundAmount
-    payment.refundReason = reason || "Customer requested refund"
-    payment.status = "refund_requested"
-    payment.gatewayResponse = {
-      ...payment.gatewayResponse,
-      refundRequestedAt: new Date(),
-      refundRequestedBy: customer._id,
+    // The store approves (and may adjust) the request before anything is paid back
+    const result = await createRefund(req.tenantDB, order, {
+      amount: amount || undefined,
+      reason: reason || "Customer requested refund",
+      source: "customer_request",
+      status: "requested",
+      actor: { type: "customer", id: customer._id, name: customer.name },
+    })
+    if (!result.success) {
+      return res.status(400).json({
+        error: result.error,
+        code: result.code,
+        refundableAmount: result.refundable,
+      })
     }
-    await payment.save()
 
     console.log(`✅ Refund requested: ${payment.transactionId}`)
 
     res.json({
       message: "Refund request submitted successfully",
       refund: {
+        id: result.refund._id,
         paymentId: payment._id,
         transactionId: payment.transactionId,
-        refundAmount: payment.refundAmount,
-        refundReason: payment.refundReason,
-        status: "requested",
+        refundAmount: result.refund.amount,
+        refundReason: result.refund.reason,
+        status: result.refund.status,
         estimatedProcessingTime: "3-5 business days",
       },
     })
@@ -868,11 +911,24 @@ router.post("/phonepe/callback", async (req, res) => {
       // Update order status
       const order = await Order.findById(payment.orderId)
       if (order) {
-        order.paymentStatus = "paid"
-        if (order.status === "pending") {
-          order.status = "confirmed"
+        const stockResult = await commitOrderStock(req.tenantDB, order)
+        if (!stockResult.success) {
+          console.error(`❌ Paid order ${order.orderNumber} could not commit stock: ${stockResult.error}`)
+        }
+        if (stockResult.code === "ORDER_CANCELLED") {
+          await payment.save()
+          await refundLatePayment(req.tenantDB, order, { type: "gateway", name: "PhonePe" })
+        }
+
+        const transition = await transitionOrder(req.tenantDB, order, {
+          paymentStatus: "paid",
+          status: order.status === "pending" ? "confirmed" : undefined,
+          actor: { type: "gateway", name: "PhonePe" },
+          note: `PhonePe payment ${payment.transactionId} completed`,
+        })
+        if (!transition.success) {
+          console.error(`❌ Paid order ${order.orderNumber} could not be updated: ${transition.error}`)
         }
-        await order.save()
       }
 
       console.log(`✅ PhonePe payment completed: ${payment.transactionId}`)
@@ -886,6 +942,8 @@ router.post("/phonepe/callback", async (req, res) => {
         failedAt: new Date(),
       }
 
+      await releaseHeldStock(req.tenantDB, { _id: payment.orderId }, "payment_failed")
+
       console.log(`❌ PhonePe payment failed: ${payment.transactionId} - ${responseCode}`)
     }
 
@@ -0,0 +1,283 @@
+const express = require("express")
+const router = express.Router({ mergeParams: true })
+const authenticateCustomer = require("../../middleware/customerAuth")
+const { RETURN_REASONS, getReturnEligibility, createReturnRequest, transitionReturn } = require("../../utils/returns")
+
+const customerActor = (customer) => ({ type: "customer", id: customer._id, name: customer.name })
+
+// Return fields shown to the customer
+const formatReturn = (returnRequest) => ({
+  _id: returnRequest._id,
+  returnNumber: returnRequest.returnNumber,
+  orderId: returnRequest.orderId,
+  orderNumber: returnRequest.orderNumber,
+  status: returnRequest.status,
+  items: returnRequest.items.map((item) => ({
+    _id: item._id,
+    orderItemId: item.orderItemId,
+    productId: item.productId,
+    variantId: item.variantId,
+    name: item.name,
+    variantName: item.variantName,
+    image: item.image,
+    quantity: item.quantity,
+    unitAmount: item.unitAmount,
+    reason: item.reason,
+    comment: item.comment,
+    photos: item.photos,
+    receivedQuantity: item.receivedQuantity,
+  })),
+  preferredResolution: returnRequest.preferredResolution,
+  comment: returnRequest.comment,
+  requestedAmount: returnRequest.requestedAmount,
+  pickup: returnRequest.pickup,
+  rejectionReason: returnRequest.rejectionReason,
+  resolution: returnRequest.resolution?.type
+    ? {
+        type: returnRequest.resolution.type,
+        amount: returnRequest.resolution.amount,
+        status: returnRequest.resolution.status,
+        exchangeOrderNumber: returnRequest.resolution.exchangeOrderNumber,
+        resolvedAt: returnRequest.resolution.resolvedAt,
+      }
+    : null,
+  history: (returnRequest.history || []).map((entry) => ({ status: entry.to, note: entry.note, at: entry.at })),
+  createdAt: returnRequest.createdAt,
+  updatedAt: returnRequest.updatedAt,
+})
+
+const findCustomerOrder = (req, orderId) => {
+  const Order = require("../../models/tenant/Order")(req.tenantDB)
+  return Order.findOne({ _id: orderId, customerId: req.customer._id })
+}
+
+// Which lines of an order can be returned, until when and for what
+router.get("/eligibility/:orderId", authenticateCustomer, async (req, res) => {
+  try {
+    const order = await findCustomerOrder(req, req.params.orderId)
+    if (!order) {
+      return res.status(404).json({
+        error: "Order not found",
+        code: "ORDER_NOT_FOUND",
+      })
+    }
+
+    const Settings = require("../../models/tenant/Settings")(req.tenantDB)
+    const eligibility = await getReturnEligibility(req.tenantDB, order, await Settings.findOne())
+
+    res.json({
+      message: "Return eligibility retrieved successfully",
+      orderNumber: order.orderNumber,
+      eligible: eligibility.eligible,
+      reason: eligibility.reason,
+      code: eligibility.code,
+      deadline: eligibility.deadline,
+      items: eligibility.items,
+      reasons: RETURN_REASONS,
+      resolutions: eligibility.settings.resolutions,
+      requirePhotos: eligibility.settings.requirePhotos,
+    })
+  } catch (error) {
+    console.error("❌ Get return eligibility error:", error)
+
+    if (error.name === "CastError" || error.name === "BSONError") {
+      return res.status(400).json({
+        error: "Invalid order ID format",
+        code: "INVALID_ORDER_ID",
+      })
+    }
+
+    res.status(500).json({
+      error: "Failed to check return eligibility",
+      details: error.message,
+      code: "RETURN_ELIGIBILITY_ERROR",
+    })
+  }
+})
+
+// Request a return for lines of a delivered order
+router.post("/", authenticateCustomer, async (req, res) => {
+  try {
+    const { orderId, items, preferredResolution, comment } = req.body
+    if (!orderId) {
+      return res.status(400).json({
+        error: "orderId is required",
+        code: "MISSING_ORDER_ID",
+      })
+    }
+
+    const order = await findCustomerOrder(req, orderId)
+    if (!order) {
+      return res.status(404).json({
+        error: "Order not found",
+        code: "ORDER_NOT_FOUND",
+      })
+    }
+
+    console.log(`↩️ Return requested for order ${order.orderNumber} by customer ${req.customer._id}`)
+
+    const result = await createReturnRequest(
+      req.tenantDB,
+      order,
+      { items, preferredResolution, comment },
+      { actor: customerActor(req.customer) },
+    )
+    if (!result.success) {
+      return res.status(400).json({
+        error: result.error,
+        details: result.details,
+        code: result.code,
+      })
+    }
+
+    res.status(201).json({
+      message: "Return requested successfully",
+      returnRequest: formatReturn(result.returnRequest),
+    })
+  } catch (error) {
+    console.error("❌ Create return error:", error)
+
+    if (error.name === "CastError" || error.name === "BSONError") {
+      return res.status(400).json({
+        error: "Invalid order ID format",
+        code: "INVALID_ORDER_ID",
+      })
+    }
+
+    res.status(500).json({
+      error: "Failed to request return",
+      details: error.message,
+      code: "RETURN_CREATE_ERROR",
+    })
+  }
+})
+
+// The customer's returns (newest first)
+router.get("/", authenticateCustomer, async (req, res) => {
+  try {
+    const ReturnRequest = require("../../models/tenant/ReturnRequest")(req.tenantDB)
+    const page = Math.max(1, Number.parseInt(req.query.page) || 1)
+    const limit = Math.min(50, Math.max(1, Number.parseInt(req.query.limit) || 10))
+
+    const query = { customerId: req.customer._id }
+    if (req.query.status) query.status = req.query.status
+    if (req.query.orderId) query.orderId = req.query.orderId
+
+    const [returns, totalReturns] = await Promise.all([
+      ReturnRequest.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ReturnRequest.countDocuments(query),
+    ])
+
+    const totalPages = Math.ceil(totalReturns / limit)
+
+    res.json({
+      message: "Returns retrieved successfully",
+      returns: returns.map(formatReturn),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalReturns,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    })
+  } catch (error) {
+    console.error("❌ Get returns error:", error)
+    res.status(500).json({
+      error: "Failed to get returns",
+      details: error.message,
+      code: "RETURNS_ERROR",
+    })
+  }
+})
+
+// One of the customer's returns
+router.get("/:returnId", authenticateCustomer, async (req, res) => {
+  try {
+    const ReturnRequest = require("../../models/tenant/ReturnRequest")(req.tenantDB)
+    const returnRequest = await ReturnRequest.findOne({ _id: req.params.returnId, customerId: req.customer._id })
+    if (!returnRequest) {
+      return res.status(404).json({
+        error: "Return not found",
+        code: "RETURN_NOT_FOUND",
+      })
+    }
+
+    res.json({
+      message: "Return retrieved successfully",
+      returnRequest: formatReturn(returnRequest),
+    })
+  } catch (error) {
+    console.error("❌ Get return error:", error)
+
+    if (error.name === "CastError" || error.name === "BSONError") {
+      return res.status(400).json({
+        error: "Invalid return ID format",
+        code: "INVALID_RETURN_ID",
+      })
+    }
+
+    res.status(500).json({
+      error: "Failed to get return",
+      details: error.message,
+      code: "RETURN_ERROR",
+    })
+  }
+})
+
+// Withdraw a return before the items are picked up
+router.post("/:returnId/cancel", authenticateCustomer, async (req, res) => {
+  try {
+    const ReturnRequest = require("../../models/tenant/ReturnRequest")(req.tenantDB)
+    const returnRequest = await ReturnRequest.findOne({ _id: req.params.returnId, customerId: req.customer._id })
+    if (!returnRequest) {
+      return res.status(404).json({
+        error: "Return not found",
+        code: "RETURN_NOT_FOUND",
+      })
+    }
+
+    if (!["requested", "approved"].includes(returnRequest.status)) {
+      return res.status(400).json({
+        error: `Return cannot be cancelled when ${returnRequest.status.replace("_", " ")}`,
+        code: "RETURN_CANNOT_BE_CANCELLED",
+      })
+    }
+
+    const result = await transitionReturn(req.tenantDB, returnRequest, "cancelled", {
+      actor: customerActor(req.customer),
+      note: req.body.reason || "Cancelled by customer",
+    })
+    if (!result.success) {
+      return res.status(result.code === "RETURN_STATUS_CHANGED" ? 409 : 400).json({
+        error: result.error,
+        code: result.code,
+      })
+    }
+
+    res.json({
+      message: "Return cancelled successfully",
+      returnRequest: formatReturn(result.returnRequest),
+    })
+  } catch (error) {
+    console.error("❌ Cancel return error:", error)
+
+    if (error.name === "CastError" || error.name === "BSONError") {
+      return res.status(400).json({
+        error: "Invalid return ID format",
+        code: "INVALID_RETURN_ID",
+      })
+    }
+
+    res.status(500).json({
+      error: "Failed to cancel return",
+      details: error.message,
+      code: "RETURN_CANCEL_ERROR",
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,329 @@
+const express = require("express")
+const router = express.Router({ mergeParams: true })
+const authenticateCustomer = require("../../middleware/customerAuth")
+
+// Validate and normalise review fields from the request body
+const parseReviewInput = (body, { partial = false } = {}) => {
+  const errors = []
+  const data = {}
+
+  if (body.rating !== undefined || !partial) {
+    const rating = Number(body.rating)
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      errors.push("Rating must be a whole number between 1 and 5")
+    } else {
+      data.rating = rating
+    }
+  }
+
+  if (body.title !== undefined) {
+    data.title = String(body.title).trim()
+  }
+
+  if (body.comment !== undefined) {
+    data.comment = String(body.comment).trim()
+  }
+
+  if (body.photos !== undefined) {
+    const photos = Array.isArray(body.photos) ? body.photos : [body.photos]
+    const validPhotos = photos.filter((url) => typeof url === "string" && /^https?:\/\/\S+$/i.test(url.trim()))
+    if (validPhotos.length !== photos.length) {
+      errors.push("Photos must be valid http(s) URLs")
+    } else if (validPhotos.length > 5) {
+      errors.push("A review can have at most 5 photos")
+    } else {
+      data.photos = validPhotos.map((url) => url.trim())
+    }
+  }
+
+  return { errors, data }
+}
+
+// Public review fields shown on the storefront
+const formatReview = (review) => ({
+  _id: review._id,
+  rating: review.rating,
+  title: review.title,
+  comment: review.comment,
+  photos: review.photos,
+  customerName: review.customerName || "Customer",
+  isVerifiedPurchase: review.isVerifiedPurchase,
+  reply: review.reply?.text ? review.reply : undefined,
+  createdAt: review.createdAt,
+  updatedAt: review.updatedAt,
+})
+
+// Get approved reviews for a product with rating summary
+router.get("/", async (req, res) => {
+  try {
+    const { productId } = req.params
+    const { rating, verified, sort = "newest" } = req.query
+    const page = Math.max(1, Number.parseInt(req.query.page) || 1)
+    const limit = Math.min(50, Math.max(1, Number.parseInt(req.query.limit) || 10))
+
+    console.log(`⭐ Getting reviews for product: ${productId}`)
+
+    const Review = require("../../models/tenant/Review")(req.tenantDB)
+
+    const query = { productId, status: "approved" }
+    if (rating) query.rating = Number.parseInt(rating)
+    if (verified === "true") query.isVerifiedPurchase = true
+
+    const sortOptions = {
+      newest: { createdAt: -1 },
+      oldest: { createdAt: 1 },
+      highest: { rating: -1, createdAt: -1 },
+      lowest: { rating: 1, createdAt: -1 },
+    }
+
+    const [reviews, totalReviews, summary] = await Promise.all([
+      Review.find(query)
+        .sort(sortOptions[sort] || sortOptions.newest)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(query),
+      Review.getRatingSummary(productId),
+    ])
+
+    const totalPages = Math.ceil(totalReviews / limit)
+
+    res.json({
+      message: "Product reviews retrieved successfully",
+      reviews: reviews.map(formatReview),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalReviews,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+      averageRating: summary.average,
+      totalRatings: summary.count,
+      ratingDistribution: summary.distribution,
+    })
+  } catch (error) {
+    console.error("❌ Get product reviews error:", error)
+
+    if (error.name === "CastError" || error.name === "BSONError") {
+      return res.status(400).json({
+        error: "Invalid product ID format",
+        code: "INVALID_PRODUCT_ID",
+      })
+    }
+
+    res.status(500).json({
+      error: "Failed to get product reviews",
+      details: error.message,
+      code: "REVIEWS_ERROR",
+    })
+  }
+})
+
+// Get the logged-in customer's review for this product (and whether they can review)
+router.get("/mine", authenticateCustomer, async (req, res) => {
+  try {
+    const { productId } = req.params
+    const Review = require("../../models/tenant/Review")(req.tenantDB)
+
+    const [review, verifiedOrder] = await Promise.all([
+      Review.findOne({ productId, customerId: req.customer._id }),
+      Review.findVerifiedPurchase(req.customer._id, productId),
+    ])
+
+    res.json({
+      message: "Review status retrieved successfully",
+      review: review
+        ? { ...formatReview(review), status: review.status, moderationNote: review.moderationNote }
+        : null,
+      canReview: !review,
+      isVerifiedPurchase: !!verifiedOrder,
+    })
+  } catch (error) {
+    console.error("❌ Get my review error:", error)
+    res.status(500).json({
+      error: "Failed to get review",
+      details: error.message,
+      code: "REVIEW_ERROR",
+    })
+  }
+})
+
+// Write a review (one per customer per product, moderated before it is shown)
+router.post("/", authenticateCustomer, async (req, res) => {
+  try {
+    const { productId } = req.params
+    const customer = req.customer
+
+    console.log(`⭐ Creating review for product ${productId} by customer ${customer._id}`)
+
+    const { errors, data } = parseReviewInput(req.body)
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: errors[0],
+        details: errors,
+        code: "INVALID_REVIEW",
+      })
+    }
+
+    const Product = require("../../models/tenant/Product")(req.tenantDB)
+    const Review = require("../../models/tenant/Review")(req.tenantDB)
+
+    const product = await Product.findOne({ _id: productId, isActive: true }).select("_id name")
+    if (!product) {
+      return res.status(404).json({
+        error: "Product not found",
+        code: "PRODUCT_NOT_FOUND",
+      })
+    }
+
+    const existingReview = await Review.findOne({ productId, customerId: customer._id })
+    if (existingReview) {
+      return res.status(409).json({
+        error: "You have already reviewed this product",
+        code: "REVIEW_EXISTS",
+        reviewId: existingReview._id,
+      })
+    }
+
+    // Verified purchase = the customer has a delivered order containing this product
+    const verifiedOrder = await Review.findVerifiedPurchase(customer._id, productId)
+
+    const review = new Review({
+      ...data,
+      productId,
+      customerId: customer._id,
+      customerName: customer.name,
+      orderId: verifiedOrder ? verifiedOrder._id : null,
+      isVerifiedPurchase: !!verifiedOrder,
+    })
+    await review.save()
+
+    console.log(`✅ Review created: ${review._id} (verified: ${review.isVerifiedPurchase})`)
+
+    res.status(201).json({
+      message: "Thank you! Your review has been submitted for approval",
+      review: { ...formatReview(review), status: review.status },
+    })
+  } catch (error) {
+    console.error("❌ Create review error:", error)
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: "You have already reviewed this product",
+        code: "REVIEW_EXISTS",
+      })
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        error: Object.values(error.errors)[0]?.message || "Invalid review",
+        code: "INVALID_REVIEW",
+      })
+    }
+
+    res.status(500).json({
+      error: "Failed to create review",
+      details: error.message,
+      code: "REVIEW_CREATE_ERROR",
+    })
+  }
+})
+
+// Edit own review - edited reviews go back to moderation
+router.put("/:reviewId", authenticateCustomer, async (req, res) => {
+  try {
+    const { productId, reviewId } = req.params
+    const Review = require("../../models/tenant/Review")(req.tenantDB)
+
+    const review = await Review.findOne({ _id: reviewId, productId, customerId: req.customer._id })
+    if (!review) {
+      return res.status(404).json({
+        error: "Review not found",
+        code: "REVIEW_NOT_FOUND",
+      })
+    }
+
+    const { errors, data } = parseReviewInput(req.body, { partial: true })
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: errors[0],
+        details: errors,
+        code: "INVALID_REVIEW",
+      })
+    }
+
+    const wasApproved = review.status === "approved"
+    Object.assign(review, data)
+    review.status = "pending"
+    review.moderationNote = undefined
+
+    // Re-check in case the order was delivered after the review was written
+    if (!review.isVerifiedPurchase) {
+      const verifiedOrder = await Review.findVerifiedPurchase(req.customer._id, productId)
+      if (verifiedOrder) {
+        review.orderId = verifiedOrder._id
+        review.isVerifiedPurchase = true
+      }
+    }
+
+    await review.save()
+
+    if (wasApproved) {
+      await Review.updateProductRating(productId)
+    }
+
+    res.json({
+      message: "Review updated and submitted for approval",
+      review: { ...formatReview(review), status: review.status },
+    })
+  } catch (error) {
+    console.error("❌ Update review error:", error)
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        error: Object.values(error.errors)[0]?.message || "Invalid review",
+        code: "INVALID_REVIEW",
+      })
+    }
+
+    res.status(500).json({
+      error: "Failed to update review",
+      details: error.message,
+      code: "REVIEW_UPDATE_ERROR",
+    })
+  }
+})
+
+// Delete own review
+router.delete("/:reviewId", authenticateCustomer, async (req, res) => {
+  try {
+    const { productId, reviewId } = req.params
+    const Review = require("../../models/tenant/Review")(req.tenantDB)
+
+    const review = await Review.findOneAndDelete({ _id: reviewId, productId, customerId: req.customer._id })
+    if (!review) {
+      return res.status(404).json({
+        error: "Review not found",
+        code: "REVIEW_NOT_FOUND",
+      })
+    }
+
+    if (review.status === "approved") {
+      await Review.updateProductRating(productId)
+    }
+
+    res.json({
+      message: "Review deleted successfully",
+    })
+  } catch (error) {
+    console.error("❌ Delete review error:", error)
+    res.status(500).json({
+      error: "Failed to delete review",
+      details: error.message,
+      code: "REVIEW_DELETE_ERROR",
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose")
+const connectMainDB = require("../config/mainDB")
+const User = require("../models/User")
+const { getTenantDB, closeAllTenantDBs } = require("../config/tenantDB")
+
+// Registration used to mark the email and phone of new accounts as verified. New accounts now start unverified
+// until the emailed link / phone OTP confirms them, and a missing flag reads as false - so mark the accounts
+// stored without the flags as verified, as they were when registered, for every tenant. Run once.
+async function migrateCustomerVerificationForAllTenants() {
+  let totalUpdated = 0
+
+  try {
+    console.log("✉️ Marking existing customer accounts as verified...")
+
+    const tenantIds = await User.distinct("tenantId", { isActive: { $ne: false } })
+    console.log(`🏪 Found ${tenantIds.length} tenants`)
+
+    for (const tenantId of tenantIds) {
+      try {
+        const tenantDB = await getTenantDB(tenantId)
+        const Customer = require("../models/tenant/Customer")(tenantDB)
+        const accounts = { isGuest: { $ne: true } }
+        const emails = await Customer.updateMany(
+          { ...accounts, emailVerified: { $exists: false }, email: { $exists: true, $nin: [null, ""] } },
+          { $set: { emailVerified: true } },
+        )
+        const phones = await Customer.updateMany(
+          { ...accounts, phoneVerified: { $exists: false }, phone: { $exists: true, $nin: [null, ""] } },
+          { $set: { phoneVerified: true } },
+        )
+        const modifiedCount = emails.modifiedCount + phones.modifiedCount
+        totalUpdated += modifiedCount
+        if (modifiedCount > 0) {
+          console.log(
+            `✅ Tenant ${tenantId}: ${emails.modifiedCount} emails and ${phones.modifiedCount} phones marked verified`,
+          )
+        }
+      } catch (error) {
+        console.error(`❌ Failed to migrate customer verification for tenant ${tenantId}:`, error.message)
+      }
+    }
+
+    console.log(`✅ Done. Updated ${totalUpdated} customer flags`)
+  } catch (error) {
+    console.error("❌ Error migrating customer verification:", error)
+  }
+
+  return totalUpdated
+}
+
+// Execute the function when the script is run directly
+if (require.main === module) {
+  require("dotenv").config() // Load environment variables for standalone execution
+  connectMainDB()
+    .then(() => migrateCustomerVerificationForAllTenants())
+    .finally(async () => {
+      await closeAllTenantDBs()
+      await mongoose.disconnect()
+    })
+}
+
+module.exports = migrateCustomerVerificationForAllTenants
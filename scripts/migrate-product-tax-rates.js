@@ -0,0 +1,50 @@
+const mongoose = require("mongoose")
+const connectMainDB = require("../config/mainDB")
+const User = require("../models/User")
+const { getTenantDB, closeAllTenantDBs } = require("../config/tenantDB")
+
+// Products used to store a tax rate of 0 when none was set, and 0 meant "use the store rate".
+// A rate of 0 now makes a product zero-rated, so clear the old 0s for every tenant. Run once.
+async function migrateProductTaxRatesForAllTenants() {
+  let totalUpdated = 0
+
+  try {
+    console.log("🧾 Clearing unset product tax rates...")
+
+    const tenantIds = await User.distinct("tenantId", { isActive: { $ne: false } })
+    console.log(`🏪 Found ${tenantIds.length} tenants`)
+
+    for (const tenantId of tenantIds) {
+      try {
+        const tenantDB = await getTenantDB(tenantId)
+        const Product = require("../models/tenant/Product")(tenantDB)
+        const { modifiedCount } = await Product.updateMany({ taxPercentage: 0 }, { $set: { taxPercentage: null } })
+        totalUpdated += modifiedCount
+        if (modifiedCount > 0) {
+          console.log(`✅ Tenant ${tenantId}: ${modifiedCount} products now use the store rate`)
+        }
+      } catch (error) {
+        console.error(`❌ Failed to migrate tax rates for tenant ${tenantId}:`, error.message)
+      }
+    }
+
+    console.log(`✅ Done. Updated ${totalUpdated} products`)
+  } catch (error) {
+    console.error("❌ Error migrating product tax rates:", error)
+  }
+
+  return totalUpdated
+}
+
+// Execute the function when the script is run directly
+if (require.main === module) {
+  require("dotenv").config() // Load environment variables for standalone execution
+  connectMainDB()
+    .then(() => migrateProductTaxRatesForAllTenants())
+    .finally(async () => {
+      await closeAllTenantDBs()
+      await mongoose.disconnect()
+    })
+}
+
+module.exports = migrateProductTaxRatesForAllTenants
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose")
+const connectMainDB = require("../config/mainDB")
+const User = require("../models/User")
+const { getTenantDB, closeAllTenantDBs } = require("../config/tenantDB")
+const { releaseExpiredReservations } = require("../utils/inventory")
+
+// Release stock held by unpaid orders whose reservation window has passed, for every tenant.
+// Run periodically (e.g. every few minutes from cron).
+async function releaseExpiredReservationsForAllTenants() {
+  let totalReleased = 0
+
+  try {
+    console.log("⏰ Releasing expired stock reservations...")
+
+    const tenantIds = await User.distinct("tenantId", { isActive: { $ne: false } })
+    console.log(`🏪 Found ${tenantIds.length} tenants`)
+
+    for (const tenantId of tenantIds) {
+      try {
+        const tenantDB = await getTenantDB(tenantId)
+        const { released } = await releaseExpiredReservations(tenantDB)
+        totalReleased += released
+        if (released > 0) {
+          console.log(`✅ Tenant ${tenantId}: released ${released} reservations`)
+        }
+      } catch (error) {
+        console.error(`❌ Failed to release reservations for tenant ${tenantId}:`, error.message)
+      }
+    }
+
+    console.log(`✅ Done. Released ${totalReleased} expired reservations`)
+  } catch (error) {
+    console.error("❌ Error releasing expired reservations:", error)
+  }
+
+  return totalReleased
+}
+
+// Execute the function when the script is run directly
+if (require.main === module) {
+  require("dotenv").config() // Load environment variables for standalone execution
+  connectMainDB()
+    .then(() => releaseExpiredReservationsForAllTenants())
+    .finally(async () => {
+      await closeAllTenantDBs()
+      await mongoose.disconnect()
+    })
+}
+
+module.exports = releaseExpiredReservationsForAllTenants
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose")
+const connectMainDB = require("../config/mainDB")
+const User = require("../models/User")
+const { getTenantDB, closeAllTenantDBs } = require("../config/tenantDB")
+const { processAbandonedCarts } = require("../utils/cartRecovery")
+
+// Send abandoned cart reminders for every tenant that enabled them (Settings.abandonedCart).
+// Run periodically (e.g. every 15 minutes from cron).
+async function sendAbandonedCartRemindersForAllTenants() {
+  const totals = { checked: 0, notified: 0, skipped: 0, failed: 0 }
+
+  try {
+    console.log("⏰ Sending abandoned cart reminders...")
+
+    const users = await User.find({ isActive: { $ne: false } }).select("tenantId storeId")
+    const storeIdByTenant = new Map()
+    users.forEach((user) => {
+      if (!storeIdByTenant.get(user.tenantId)) {
+        storeIdByTenant.set(user.tenantId, user.storeId)
+      }
+    })
+    console.log(`🏪 Found ${storeIdByTenant.size} tenants`)
+
+    for (const [tenantId, storeId] of storeIdByTenant) {
+      try {
+        const tenantDB = await getTenantDB(tenantId)
+        const summary = await processAbandonedCarts(tenantDB, { storeId })
+        Object.keys(totals).forEach((key) => {
+          totals[key] += summary[key]
+        })
+        if (summary.checked > 0) {
+          console.log(
+            `✅ Tenant ${tenantId}: ${summary.notified} reminded, ${summary.skipped} skipped, ${summary.failed} failed`,
+          )
+        }
+      } catch (error) {
+        console.error(`❌ Failed to send abandoned cart reminders for tenant ${tenantId}:`, error.message)
+      }
+    }
+
+    console.log(`✅ Done. Reminded ${totals.notified} of ${totals.checked} abandoned carts`)
+  } catch (error) {
+    console.error("❌ Error sending abandoned cart reminders:", error)
+  }
+
+  return totals
+}
+
+// Execute the function when the script is run directly
+if (require.main === module) {
+  require("dotenv").config() // Load environment variables for standalone execution
+  connectMainDB()
+    .then(() => sendAbandonedCartRemindersForAllTenants())
+    .finally(async () => {
+      await closeAllTenantDBs()
+      await mongoose.disconnect()
+    })
+}
+
+module.exports = sendAbandonedCartRemindersForAllTenants
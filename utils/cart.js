@@ -0,0 +1,268 @@
+// Server side carts: guest carts are identified by a random token, customer carts by customerId.
+// Every cart response is re-validated against current products, stock and prices.
+const crypto = require("crypto")
+const { buildOrderLine, priceOrder } = require("./pricing")
+
+const CART_TOKEN_HEADER = "x-cart-token"
+const MAX_ITEM_QUANTITY = 100
+
+const generateCartToken = () => crypto.randomBytes(24).toString("hex")
+
+// Cart token sent by the storefront (header, body or query)
+const getCartToken = (req) => req.header(CART_TOKEN_HEADER) || req.body?.cartToken || req.query?.cartToken || null
+
+// Find the active cart of a customer, or the guest cart for a token
+const findCart = (tenantDB, { customer = null, token = null }) => {
+  const Cart = require("../models/tenant/Cart")(tenantDB)
+  if (customer) {
+    return Cart.findOne({ customerId: customer._id, status: "active" })
+  }
+  if (token) {
+    return Cart.findOne({ token, customerId: null, status: "active" })
+  }
+  return null
+}
+
+// Find or create the cart to modify
+const getOrCreateCart = async (tenantDB, { customer = null, token = null }) => {
+  const Cart = require("../models/tenant/Cart")(tenantDB)
+  const cart = await findCart(tenantDB, { customer, token })
+  if (cart) return cart
+
+  return new Cart({
+    token: generateCartToken(),
+    customerId: customer ? customer._id : null,
+    items: [],
+  })
+}
+
+/**
+ * Merge a guest cart into the customer's cart (called on login / registration).
+ * Quantities of the same product and variant are added up; the guest coupon and address are kept
+ * if the customer cart has none. The guest cart becomes the customer cart if they have none yet.
+ * @returns {Promise<object|null>} the customer cart, or null if there was nothing to merge
+ */
+const mergeGuestCart = async (tenantDB, token, customerId) => {
+  if (!token || !customerId) return null
+
+  const Cart = require("../models/tenant/Cart")(tenantDB)
+  const guestCart = await Cart.findOne({ token, customerId: null, status: "active" })
+  if (!guestCart) return null
+
+  const customerCart = await Cart.findOne({ customerId, status: "active" })
+  if (!customerCart) {
+    guestCart.customerId = customerId
+    await guestCart.save()
+    console.log(`🛒 Guest cart ${guestCart._id} assigned to customer ${customerId}`)
+    return guestCart
+  }
+
+  for (const guestItem of guestCart.items) {
+    const existing = customerCart.findItem(guestItem.productId, guestItem.variantId)
+    if (existing) {
+      existing.quantity = Math.min(MAX_ITEM_QUANTITY, existing.quantity + guestItem.quantity)
+    } else {
+      customerCart.items.push({
+        productId: guestItem.productId,
+        variantId: guestItem.variantId,
+        quantity: guestItem.quantity,
+        priceAtAdd: guestItem.priceAtAdd,
+        addedAt: guestItem.addedAt,
+      })
+    }
+  }
+  if (!customerCart.couponCode && guestCart.couponCode) {
+    customerCart.couponCode = guestCart.couponCode
+  }
+  if (!customerCart.shippingAddress?.zipCode && guestCart.shippingAddress?.zipCode) {
+    customerCart.shippingAddress = guestCart.shippingAddress
+  }
+  // Keep abandoned cart reminder tracking with the cart that will be checked out
+  if (guestCart.recovery?.notifiedAt && !customerCart.recovery?.notifiedAt) {
+    customerCart.recovery = guestCart.toObject().recovery
+    guestCart.recovery = undefined
+  }
+  await customerCart.save()
+
+  guestCart.status = "merged"
+  guestCart.mergedInto = customerCart._id
+  await guestCart.save()
+
+  console.log(`🛒 Merged guest cart ${guestCart._id} into customer cart ${customerCart._id}`)
+  return customerCart
+}
+
+// Available quantity of a product / variant, or null if stock is not limited
+const getAvailableQuantity = (product, variant) => {
+  if (product.trackQuantity !== true || product.allowBackorders) return null
+  if (variant) return Math.max(0, Number.parseInt(variant.stock) || 0)
+  return Math.max(0, product.stock || 0)
+}
+
+/**
+ * Re-validate a cart against current products, stock and prices and price the valid lines
+ * with the same code path as checkout. Price changes are reported once, then remembered.
+ * @returns {Promise<object>} cart view for the storefront
+ */
+const validateCart = async (tenantDB, cart, customer = null) => {
+  const Product = require("../models/tenant/Product")(tenantDB)
+  const productIds = [...new Set(cart.items.map((item) => item.productId.toString()))]
+  const products = await Product.find({ _id: { $in: productIds } })
+  const productById = new Map(products.map((product) => [product._id.toString(), product]))
+
+  const issues = []
+  const validLines = []
+  let pricesUpdated = false
+
+  const items = cart.items.map((item) => {
+    const view = {
+      _id: item._id,
+      productId: item.productId,
+      variantId: item.variantId,
+      quantity: item.quantity,
+      available: true,
+      issues: [],
+    }
+    const addIssue = (code, message, extra = {}) => {
+      const issue = { itemId: item._id, productId: item.productId, variantId: item.variantId, code, message, ...extra }
+      view.issues.push(issue)
+      issues.push(issue)
+    }
+
+    const product = productById.get(item.productId.toString())
+    if (!product || !product.isActive) {
+      view.available = false
+      addIssue("PRODUCT_UNAVAILABLE", "This product is no longer available")
+      return view
+    }
+
+    const lineResult = buildOrderLine(product, { variantId: item.variantId, quantity: item.quantity })
+    if (!lineResult.success) {
+      view.name = product.name
+      view.available = false
+      addIssue(lineResult.code, lineResult.error)
+      return view
+    }
+
+    const { line, variant } = lineResult
+    Object.assign(view, {
+      name: line.name,
+      variantName: line.variantName,
+      variantOptions: line.variantOptions,
+      sku: line.sku,
+      image: line.image,
+      price: line.price,
+      total: line.total,
+    })
+
+    const availableQuantity = getAvailableQuantity(product, variant)
+    if (availableQuantity !== null) {
+      view.availableQuantity = availableQuantity
+      if (availableQuantity === 0) {
+        view.available = false
+        addIssue("OUT_OF_STOCK", `${line.name} is out of stock`, { availableQuantity })
+      } else if (availableQuantity < item.quantity) {
+        view.available = false
+        addIssue("INSUFFICIENT_STOCK", `Only ${availableQuantity} left for ${line.name}`, { availableQuantity })
+      }
+    }
+
+    if (item.priceAtAdd !== undefined && item.priceAtAdd !== null && item.priceAtAdd !== line.price) {
+      addIssue("PRICE_CHANGED", `The price of ${line.name} changed from ${item.priceAtAdd} to ${line.price}`, {
+        previousPrice: item.priceAtAdd,
+        price: line.price,
+      })
+    }
+    if (item.priceAtAdd !== line.price) {
+      item.priceAtAdd = line.price
+      pricesUpdated = true
+    }
+
+    if (view.available) validLines.push(line)
+    return view
+  })
+
+  if (pricesUpdated) {
+    await cart.save()
+  }
+
+  // Price the lines that can be ordered - a coupon that no longer applies is reported and ignored
+  let pricing = null
+  if (validLines.length > 0) {
+    const pricingInput = {
+      lines: validLines,
+      couponCode: cart.couponCode,
+      customer,
+      shippingAddress: cart.shippingAddress?.zipCode ? cart.shippingAddress : null,
+      paymentMethod: cart.paymentMethod,
+    }
+    pricing = await priceOrder(tenantDB, pricingInput)
+    if (!pricing.success && cart.couponCode && pricing.code !== "SHIPPING_UNAVAILABLE") {
+      issues.push({ code: pricing.code, message: pricing.error, couponCode: cart.couponCode })
+      pricing = await priceOrder(tenantDB, { ...pricingInput, couponCode: null })
+    }
+    if (!pricing.success) {
+      issues.push({ code: pricing.code, message: pricing.error })
+      pricing = null
+    }
+  }
+
+  return {
+    _id: cart._id,
+    token: cart.token,
+    customerId: cart.customerId,
+    items,
+    itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0),
+    couponCode: cart.couponCode || null,
+    shippingAddress: cart.shippingAddress?.zipCode ? cart.shippingAddress : null,
+    paymentMethod: cart.paymentMethod,
+    pricing: pricing && {
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      appliedOffers: pricing.appliedOffers,
+      tax: pricing.tax,
+      taxInclusive: pricing.taxInclusive,
+      taxBreakdown: pricing.taxBreakdown,
+      shipping: pricing.shipping,
+      freeShippingReason: pricing.shippingDetails.freeReason,
+      freeShippingAbove: pricing.shippingDetails.freeShippingAbove,
+      deliveryEstimate: pricing.shippingDetails.estimate,
+      codFee: pricing.codFee,
+      total: pricing.total,
+    },
+    issues,
+    // Ready for checkout: has items, all of them can be ordered and pricing succeeded
+    isValid: cart.items.length > 0 && issues.every((issue) => issue.code === "PRICE_CHANGED") && !!pricing,
+    updatedAt: cart.updatedAt,
+  }
+}
+
+// Mark the customer's cart as converted once an order was placed from it
+const markCartConverted = async (tenantDB, { customerId = null, token = null, orderId, orderTotal }) => {
+  const Cart = require("../models/tenant/Cart")(tenantDB)
+  const filter = customerId ? { customerId, status: "active" } : token ? { token, status: "active" } : null
+  if (!filter) return null
+  const cart = await Cart.findOneAndUpdate(filter, { $set: { status: "converted", orderId } }, { new: true })
+
+  // An order from a cart that got an abandoned cart reminder counts as recovered
+  if (cart?.recovery?.notifiedAt && !cart.recovery.recoveredAt) {
+    await Cart.updateOne(
+      { _id: cart._id },
+      { $set: { "recovery.recoveredAt": new Date(), "recovery.orderId": orderId, "recovery.orderTotal": orderTotal } },
+    )
+    console.log(`💰 Abandoned cart ${cart._id} recovered by order ${orderId}`)
+  }
+  return cart
+}
+
+module.exports = {
+  CART_TOKEN_HEADER,
+  MAX_ITEM_QUANTITY,
+  generateCartToken,
+  getCartToken,
+  findCart,
+  getOrCreateCart,
+  mergeGuestCart,
+  validateCart,
+  markCartConverted,
+}
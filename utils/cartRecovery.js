@@ -0,0 +1,303 @@
+// Abandoned cart recovery: carts with items and a known contact that saw no change for the configured idle
+// window get one reminder (email and / or SMS) with a restore link and an optional single use coupon.
+// Customers are only contacted if they opted in to marketing (Customer.preferences.marketing).
+const crypto = require("crypto")
+const { sendAbandonedCartEmail } = require("../config/email")
+const { sendAbandonedCartSMS } = require("../config/sms")
+const { validateCart } = require("./cart")
+
+// Failed sends are retried on later runs up to this many times
+const MAX_SEND_ATTEMPTS = 3
+// Carts handled per tenant per run
+const BATCH_SIZE = 100
+
+const RECOVERY_DEFAULTS = {
+  enabled: false,
+  idleMinutes: 60,
+  maxAgeHours: 72,
+  channels: { email: true, sms: false },
+  storefrontUrl: "",
+  offer: { enabled: false, type: "percentage", value: 10, maxDiscount: null, minOrderValue: 0, validityHours: 48 },
+}
+
+// Recovery settings with defaults filled in
+const getRecoverySettings = (settings) => {
+  const config = settings?.abandonedCart || {}
+  return {
+    enabled: config.enabled === true,
+    idleMinutes: Math.max(15, Number(config.idleMinutes) || RECOVERY_DEFAULTS.idleMinutes),
+    maxAgeHours: Number(config.maxAgeHours) || RECOVERY_DEFAULTS.maxAgeHours,
+    channels: {
+      email: config.channels?.email !== false,
+      sms: config.channels?.sms === true,
+    },
+    storefrontUrl: (config.storefrontUrl || "").replace(/\/+$/, ""),
+    offer: {
+      enabled: config.offer?.enabled === true,
+      type: config.offer?.type || RECOVERY_DEFAULTS.offer.type,
+      value: Number(config.offer?.value ?? RECOVERY_DEFAULTS.offer.value),
+      maxDiscount: config.offer?.maxDiscount || null,
+      minOrderValue: Number(config.offer?.minOrderValue) || 0,
+      validityHours: Number(config.offer?.validityHours) || RECOVERY_DEFAULTS.offer.validityHours,
+    },
+  }
+}
+
+const generateRecoveryToken = () => crypto.randomBytes(24).toString("hex")
+
+// Storefront link that restores the cart (the storefront calls GET /cart/restore/:token)
+const buildRestoreUrl = (recoverySettings, storeId, token) => {
+  const baseUrl =
+    recoverySettings.storefrontUrl ||
+    `${process.env.FRONTEND_URL || "http://localhost:3000"}/${String(storeId || "").toLowerCase()}`
+  return `${baseUrl}/cart/restore?token=${token}`
+}
+
+// Query for carts that are abandoned at `now` and still waiting for a reminder
+const getAbandonedCartQuery = (recoverySettings, now = new Date()) => ({
+  status: "active",
+  "items.0": { $exists: true },
+  lastActivityAt: {
+    $lte: new Date(now.getTime() - recoverySettings.idleMinutes * 60 * 1000),
+    $gte: new Date(now.getTime() - recoverySettings.maxAgeHours * 60 * 60 * 1000),
+  },
+  "recovery.notifiedAt": { $exists: false },
+  "recovery.skippedReason": { $exists: false },
+  "recovery.attempts": { $not: { $gte: MAX_SEND_ATTEMPTS } },
+  $or: [
+    { customerId: { $type: "objectId" } },
+    { "contact.email": { $nin: [null, ""] } },
+    { "contact.phone": { $nin: [null, ""] } },
+  ],
+})
+
+/**
+ * Who to contact for a cart and whether they agreed to marketing messages.
+ * Guest contacts that match a customer use that customer's preference.
+ * @returns {Promise<{name?: string, email?: string, phone?: string, customer?: object, marketing: boolean}|null>}
+ */
+const resolveCartContact = async (tenantDB, cart) => {
+  const Customer = require("../models/tenant/Customer")(tenantDB)
+
+  if (cart.customerId) {
+    const customer = await Customer.findById(cart.customerId)
+    if (!customer || !customer.isActive) return null
+    return {
+      name: customer.name,
+      email: customer.email,
+      phone: customer.phone,
+      customer,
+      marketing: customer.preferences?.marketing === true,
+    }
+  }
+
+  const { name, email, phone, marketingConsent } = cart.contact || {}
+  if (!email && !phone) return null
+
+  const identifiers = [...(email ? [{ email }] : []), ...(phone ? [{ phone }] : [])]
+  const customer = await Customer.findOne({ $or: identifiers, mergedInto: { $exists: false } })
+  return {
+    name: name || customer?.name,
+    email,
+    phone,
+    customer,
+    marketing: customer ? customer.preferences?.marketing === true : marketingConsent === true,
+  }
+}
+
+// Human readable description of the recovery offer
+const describeOffer = (offer) => {
+  if (offer.type === "percentage") return `${offer.value}% off your order`
+  if (offer.type === "fixed") return `₹${offer.value} off your order`
+  return "free shipping on your order"
+}
+
+/**
+ * Create the single use coupon for a cart reminder (or return the one created by an earlier attempt).
+ * @returns {Promise<object|null>} the Offer, or null if offers are disabled
+ */
+const getRecoveryOffer = async (tenantDB, cart, recoverySettings, now = new Date()) => {
+  const Offer = require("../models/tenant/Offer")(tenantDB)
+  if (cart.recovery?.offerId) {
+    const existing = await Offer.findById(cart.recovery.offerId)
+    if (existing) return existing
+  }
+  if (!recoverySettings.offer.enabled) return null
+
+  const { type, value, maxDiscount, minOrderValue, validityHours } = recoverySettings.offer
+  const offer = new Offer({
+    title: "Cart recovery offer",
+    description: `Single use coupon for abandoned cart ${cart._id}`,
+    type,
+    value: type === "free_shipping" ? 0 : value,
+    code: `BACK${crypto.randomBytes(4).toString("hex").toUpperCase()}`,
+    minOrderValue: minOrderValue || 0,
+    maxDiscount: type === "percentage" && maxDiscount ? maxDiscount : undefined,
+    usageLimit: 1,
+    startDate: now,
+    endDate: new Date(now.getTime() + (validityHours || 48) * 60 * 60 * 1000),
+    isPublic: false,
+  })
+  await offer.save()
+  console.log(`🎟️ Recovery coupon ${offer.code} created for cart ${cart._id}`)
+  return offer
+}
+
+/**
+ * Send the reminder for one cart. Updates are written with updateOne so the cart's
+ * lastActivityAt (and with it the idle window) is not touched.
+ * @returns {Promise<{success: boolean, skipped?: string, channels?: string[], error?: string}>}
+ */
+const notifyAbandonedCart = async (tenantDB, cart, { settings, storeId, now = new Date() }) => {
+  const Cart = require("../models/tenant/Cart")(tenantDB)
+  const recoverySettings = getRecoverySettings(settings)
+  const skip = async (reason) => {
+    await Cart.updateOne({ _id: cart._id }, { $set: { "recovery.skippedReason": reason } })
+    console.log(`⏭️ Cart ${cart._id} not reminded: ${reason}`)
+    return { success: false, skipped: reason }
+  }
+
+  const contact = await resolveCartContact(tenantDB, cart)
+  if (!contact) return skip("NO_CONTACT")
+  if (!contact.marketing) return skip("NO_MARKETING_CONSENT")
+
+  const sendEmail = recoverySettings.channels.email && !!contact.email
+  const sendSms = recoverySettings.channels.sms && !!contact.phone
+  if (!sendEmail && !sendSms) return skip("NO_CHANNEL")
+
+  const view = await validateCart(tenantDB, cart, contact.customer)
+  const items = view.items.filter((item) => item.available)
+  if (items.length === 0) return skip("NOTHING_AVAILABLE")
+
+  const token = cart.recovery?.token || generateRecoveryToken()
+  const restoreUrl = buildRestoreUrl(recoverySettings, storeId, token)
+  const offer = await getRecoveryOffer(tenantDB, cart, recoverySettings, now)
+  const storeName = settings?.general?.storeName || "Store"
+
+  const channels = []
+  const errors = []
+  if (sendEmail) {
+    const result = await sendAbandonedCartEmail(contact.email, {
+      name: contact.name,
+      storeName,
+      items,
+      total: view.pricing?.total ?? items.reduce((sum, item) => sum + (item.total || 0), 0),
+      currency: settings?.general?.currency || "INR",
+      restoreUrl,
+      offer: offer && { code: offer.code, description: describeOffer(offer), expiresAt: offer.endDate },
+    })
+    if (result.success) channels.push("email")
+    else errors.push(`email: ${result.error}`)
+  }
+  if (sendSms) {
+    try {
+      await sendAbandonedCartSMS(contact.phone, restoreUrl, storeName, offer?.code)
+      channels.push("sms")
+    } catch (error) {
+      errors.push(`sms: ${error.message}`)
+    }
+  }
+
+  const recoveryUpdate = {
+    "recovery.token": token,
+    ...(offer ? { "recovery.offerId": offer._id, "recovery.offerCode": offer.code } : {}),
+  }
+  if (channels.length === 0) {
+    await Cart.updateOne(
+      { _id: cart._id },
+      { $set: { ...recoveryUpdate, "recovery.lastError": errors.join("; ") }, $inc: { "recovery.attempts": 1 } },
+    )
+    return { success: false, error: errors.join("; ") }
+  }
+
+  await Cart.updateOne(
+    { _id: cart._id },
+    {
+      $set: { ...recoveryUpdate, "recovery.notifiedAt": now, "recovery.channels": channels },
+      $unset: { "recovery.lastError": 1 },
+      $inc: { "recovery.attempts": 1 },
+    },
+  )
+  console.log(`📨 Abandoned cart ${cart._id} reminded via ${channels.join(", ")}`)
+  return { success: true, channels }
+}
+
+/**
+ * Find abandoned carts of a tenant and send their reminders.
+ * @returns {Promise<{checked: number, notified: number, skipped: number, failed: number}>}
+ */
+const processAbandonedCarts = async (tenantDB, { storeId, now = new Date() } = {}) => {
+  const Settings = require("../models/tenant/Settings")(tenantDB)
+  const Cart = require("../models/tenant/Cart")(tenantDB)
+  const summary = { checked: 0, notified: 0, skipped: 0, failed: 0 }
+
+  const settings = await Settings.findOne()
+  const recoverySettings = getRecoverySettings(settings)
+  if (!recoverySettings.enabled) return summary
+
+  const carts = await Cart.find(getAbandonedCartQuery(recoverySettings, now))
+    .sort({ lastActivityAt: 1 })
+    .limit(BATCH_SIZE)
+  for (const cart of carts) {
+    summary.checked++
+    try {
+      const result = await notifyAbandonedCart(tenantDB, cart, { settings, storeId, now })
+      if (result.success) summary.notified++
+      else if (result.skipped) summary.skipped++
+      else summary.failed++
+    } catch (error) {
+      summary.failed++
+      console.error(`❌ Failed to remind abandoned cart ${cart._id}:`, error.message)
+    }
+  }
+
+  return summary
+}
+
+/**
+ * Reminder outcome for a period (by reminder date): reminded, clicked and recovered carts,
+ * conversion rate (recovered / reminded) and recovered revenue.
+ */
+const getRecoveryStats = async (tenantDB, { from, to } = {}) => {
+  const Cart = require("../models/tenant/Cart")(tenantDB)
+  const notifiedAt = { $exists: true }
+  if (from) notifiedAt.$gte = new Date(from)
+  if (to) notifiedAt.$lte = new Date(to)
+
+  const [stats] = await Cart.aggregate([
+    { $match: { "recovery.notifiedAt": notifiedAt } },
+    {
+      $group: {
+        _id: null,
+        notified: { $sum: 1 },
+        clicked: { $sum: { $cond: [{ $ifNull: ["$recovery.clickedAt", false] }, 1, 0] } },
+        recovered: { $sum: { $cond: [{ $ifNull: ["$recovery.recoveredAt", false] }, 1, 0] } },
+        recoveredRevenue: { $sum: { $ifNull: ["$recovery.orderTotal", 0] } },
+        withOffer: { $sum: { $cond: [{ $ifNull: ["$recovery.offerCode", false] }, 1, 0] } },
+      },
+    },
+  ])
+
+  const notified = stats?.notified || 0
+  const rate = (count) => (notified > 0 ? Math.round((count / notified) * 10000) / 100 : 0)
+  return {
+    notified,
+    clicked: stats?.clicked || 0,
+    recovered: stats?.recovered || 0,
+    withOffer: stats?.withOffer || 0,
+    recoveredRevenue: Math.round((stats?.recoveredRevenue || 0) * 100) / 100,
+    clickRate: rate(stats?.clicked || 0),
+    conversionRate: rate(stats?.recovered || 0),
+  }
+}
+
+module.exports = {
+  MAX_SEND_ATTEMPTS,
+  getRecoverySettings,
+  buildRestoreUrl,
+  getAbandonedCartQuery,
+  resolveCartContact,
+  notifyAbandonedCart,
+  processAbandonedCarts,
+  getRecoveryStats,
+}
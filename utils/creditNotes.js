@@ -0,0 +1,368 @@
+// GST credit notes: every reduction of an issued invoice gets one, from its own numbering series.
+// - refund: a completed refund (returned items, or a value-only adjustment such as a goodwill refund)
+// - store_credit: a return resolved with store credit
+// - cancellation: items cancelled, or the whole order cancelled, after invoicing
+// - order_edit: an edit of the items after invoicing that lowered the order total
+// Refunds of cancelled items and of edits are covered by their own credit note and do not get a second one.
+// The credited amount is what the customer gets back (tax included) and is spread over the credited lines
+// in proportion to their value, with tax taken out at each line's rate. Shipping credited with the items
+// follows the items' rate, as GST on delivery follows the goods it is charged with.
+const { roundAmount } = require("./offers")
+const { nextCreditNoteNumber } = require("./numbering")
+const {
+  amountInWords,
+  getSellerDetails,
+  getItemColumns,
+  getItemRow,
+  getTaxTotals,
+  drawDocumentHeader,
+  drawDocumentFooter,
+} = require("./invoices")
+const { createDocument, toBuffer, formatAmount, formatDate, loadImage, drawTable, addPageNumbers } = require("./pdf")
+
+const CREDIT_NOTE_TYPES = ["refund", "store_credit", "cancellation", "order_edit"]
+
+const SYSTEM_ACTOR = { type: "system", name: "System" }
+
+const toActor = (actor = SYSTEM_ACTOR) => ({
+  type: actor.type || "system",
+  id: actor.id ? String(actor.id) : undefined,
+  name: actor.name,
+})
+
+// Value of an order line as invoiced (after discount, with tax)
+const getLineValue = (item) =>
+  item.taxableValue !== undefined && item.taxableValue !== null
+    ? (item.taxableValue || 0) + (item.taxAmount || 0)
+    : (item.total || 0) - (item.discount || 0)
+
+// Every line still on the order, credited by value only (no units taken back)
+const getValueLines = (order) => order.items.map((item) => ({ item, quantity: 0, weight: getLineValue(item) }))
+
+/**
+ * Spread the credited amount over the lines and take the tax out of each share.
+ * @param {Array<{item: object, quantity: number, weight: number}>} credited
+ * @returns {{items: object[], taxableValue: number, cgst: number, sgst: number, igst: number, tax: number}}
+ */
+const buildCreditLines = (credited, amount, supplyType) => {
+  const totalWeight = credited.reduce((sum, line) => sum + Math.max(0, line.weight), 0)
+  let remaining = roundAmount(amount)
+
+  const items = credited.map(({ item, quantity, weight }, index) => {
+    const share =
+      index === credited.length - 1
+        ? remaining
+        : roundAmount(totalWeight > 0 ? (amount * Math.max(0, weight)) / totalWeight : amount / credited.length)
+    const total = Math.min(share, remaining)
+    remaining = roundAmount(remaining - total)
+
+    const taxRate = supplyType === "none" ? 0 : item.taxRate || 0
+    const taxableValue = roundAmount(total / (1 + taxRate / 100))
+    const taxAmount = roundAmount(total - taxableValue)
+    const split = { cgst: 0, sgst: 0, igst: 0 }
+    if (supplyType === "intra_state") {
+      split.cgst = roundAmount(taxAmount / 2)
+      split.sgst = roundAmount(taxAmount - split.cgst)
+    } else if (supplyType === "inter_state") {
+      split.igst = taxAmount
+    }
+
+    return {
+      orderItemId: item._id,
+      productId: item.productId?._id || item.productId,
+      name: item.name,
+      variantName: item.variantName,
+      sku: item.sku,
+      hsnCode: item.hsnCode || "",
+      quantity,
+      price: item.price,
+      taxRate,
+      taxableValue,
+      taxAmount,
+      ...split,
+      total,
+    }
+  })
+
+  const sum = (field) => roundAmount(items.reduce((total, line) => total + (line[field] || 0), 0))
+  return {
+    items,
+    taxableValue: sum("taxableValue"),
+    cgst: sum("cgst"),
+    sgst: sum("sgst"),
+    igst: sum("igst"),
+    tax: sum("taxAmount"),
+  }
+}
+
+/**
+ * Issue a credit note against the invoice of an order. Does nothing for orders without an invoice
+ * and gives back the existing credit note if this refund / return / cancellation / edit already has one.
+ * @param {object} data - { type, amount, credited: [{ item, quantity, weight }], refundId, returnId,
+ *   returnNumber, cancellationId, editId, reason, actor }
+ * @returns {Promise<object|null>} the CreditNote, or null when none is needed
+ */
+const issueCreditNote = async (tenantDB, order, data) => {
+  const CreditNote = require("../models/tenant/CreditNote")(tenantDB)
+  const Settings = require("../models/tenant/Settings")(tenantDB)
+  const amount = roundAmount(Number(data.amount) || 0)
+  if (!order?.invoiceNumber || !(amount > 0)) return null
+
+  const key = {
+    refund: { type: "refund", refundId: data.refundId },
+    store_credit: { type: "store_credit", returnId: data.returnId },
+    cancellation: { type: "cancellation", orderId: order._id, cancellationId: data.cancellationId || null },
+    order_edit: { type: "order_edit", orderId: order._id, editId: data.editId },
+  }[data.type]
+  const existing = await CreditNote.findOne(key)
+  if (existing) return existing
+
+  const settings = await Settings.findOne().select("general.currency").lean()
+  const supplyType = order.invoiceTotals?.supplyType || order.taxBreakdown?.supplyType || "none"
+  const credited = data.credited?.length > 0 ? data.credited : getValueLines(order)
+  const totals = buildCreditLines(credited, amount, supplyType)
+  const issuedAt = new Date()
+
+  try {
+    const creditNote = await CreditNote.create({
+      creditNoteNumber: await nextCreditNoteNumber(tenantDB, issuedAt),
+      issuedAt,
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      invoiceNumber: order.invoiceNumber,
+      invoiceDate: order.invoicedAt,
+      customerId: order.customerId,
+      type: data.type,
+      refundId: data.refundId,
+      returnId: data.returnId,
+      returnNumber: data.returnNumber,
+      cancellationId: data.cancellationId,
+      editId: data.editId,
+      reason: data.reason,
+      currency: settings?.general?.currency || "INR",
+      supplyType,
+      placeOfSupply: order.customerInfo?.address?.state || "",
+      customerInfo: {
+        name: order.customerInfo?.name,
+        email: order.customerInfo?.email,
+        phone: order.customerInfo?.phone,
+        address: order.customerInfo?.address,
+      },
+      ...totals,
+      total: amount,
+      issuedBy: toActor(data.actor),
+    })
+    console.log(`🧾 Credit note ${creditNote.creditNoteNumber} of ${amount} issued against ${order.invoiceNumber}`)
+    return creditNote
+  } catch (error) {
+    // Issued at the same time by another request
+    if (error.code === 11000) {
+      const issued = await CreditNote.findOne(key)
+      if (issued) return issued
+    }
+    throw error
+  }
+}
+
+// Received units of a return, valued at what was paid for them
+const getReturnedLines = (order, returnRequest) =>
+  returnRequest.items
+    .map((returned) => {
+      const item = order.items.find((line) => line._id.toString() === returned.orderItemId.toString())
+      const quantity = returned.receivedQuantity || returned.quantity
+      return item && { item, quantity, weight: (returned.unitAmount || 0) * quantity }
+    })
+    .filter(Boolean)
+
+/**
+ * Credit note for a completed refund: the returned items for a return, the order's lines by value otherwise.
+ * Refunds of cancelled items and orders are covered by the cancellation's credit note, refunds of order edits
+ * by the edit's.
+ */
+const issueRefundCreditNote = async (tenantDB, refund, actor = SYSTEM_ACTOR) => {
+  const Order = require("../models/tenant/Order")(tenantDB)
+  if (refund.status !== "completed" || ["cancellation", "order_edit"].includes(refund.source)) return null
+
+  const order = await Order.findById(refund.orderId)
+  if (!order?.invoiceNumber || order.status === "cancelled") return null
+
+  let returnRequest = null
+  if (refund.returnId) {
+    const ReturnRequest = require("../models/tenant/ReturnRequest")(tenantDB)
+    returnRequest = await ReturnRequest.findById(refund.returnId)
+  }
+
+  return issueCreditNote(tenantDB, order, {
+    type: "refund",
+    amount: refund.amount,
+    credited: returnRequest ? getReturnedLines(order, returnRequest) : [],
+    refundId: refund._id,
+    returnId: returnRequest?._id,
+    returnNumber: returnRequest?.returnNumber,
+    reason: refund.reason,
+    actor,
+  })
+}
+
+// Credit note for a return resolved with store credit
+const issueReturnCreditNote = async (tenantDB, returnRequest, actor = SYSTEM_ACTOR) => {
+  const Order = require("../models/tenant/Order")(tenantDB)
+  const { resolution } = returnRequest
+  if (resolution?.type !== "store_credit") return null
+
+  const order = await Order.findById(returnRequest.orderId)
+  if (!order?.invoiceNumber) return null
+
+  return issueCreditNote(tenantDB, order, {
+    type: "store_credit",
+    amount: resolution.amount,
+    credited: getReturnedLines(order, returnRequest),
+    returnId: returnRequest._id,
+    returnNumber: returnRequest.returnNumber,
+    reason: `Return ${returnRequest.returnNumber} - store credit`,
+    actor,
+  })
+}
+
+/**
+ * Credit note for items cancelled from an invoiced order (cancellation: the Order.cancellations entry),
+ * or for what was left of the order when it is cancelled completely (no cancellation).
+ */
+const issueCancellationCreditNote = async (tenantDB, order, { cancellation, actor = SYSTEM_ACTOR } = {}) => {
+  if (!order?.invoiceNumber) return null
+
+  if (!cancellation) {
+    return issueCreditNote(tenantDB, order, {
+      type: "cancellation",
+      amount: order.total,
+      credited: order.items
+        .filter((item) => item.quantity > 0)
+        .map((item) => ({ item, quantity: item.quantity, weight: getLineValue(item) })),
+      reason: "Order cancelled",
+      actor,
+    })
+  }
+
+  const credited = cancellation.items
+    .map((cancelled) => {
+      const item = order.items.find((line) => line._id.toString() === cancelled.orderItemId.toString())
+      return item && { item, quantity: cancelled.quantity, weight: (item.price || 0) * cancelled.quantity }
+    })
+    .filter(Boolean)
+  return issueCreditNote(tenantDB, order, {
+    type: "cancellation",
+    amount: (cancellation.previousTotal || 0) - (cancellation.total || 0),
+    credited,
+    cancellationId: cancellation._id,
+    reason: cancellation.reason ? `Items cancelled: ${cancellation.reason}` : "Items cancelled",
+    actor,
+  })
+}
+
+/**
+ * Credit note for an edit of an invoiced order that lowered its total (edit: the Order.edits entry).
+ * The reduction is spread over the lines that were removed or reduced, or over the order by value when
+ * only the tax or shipping went down.
+ * @param {object} order - the order before the edit (the removed lines still have their quantities)
+ */
+const issueOrderEditCreditNote = async (tenantDB, order, { edit, actor = SYSTEM_ACTOR } = {}) => {
+  if (!order?.invoiceNumber) return null
+
+  const credited = edit.changes
+    .filter((change) => change.field === "items")
+    .map((change) => {
+      // Units that went out: removed lines and replaced variants completely, reduced lines by the difference
+      const quantity = ["removed", "variant"].includes(change.action)
+        ? change.from?.quantity || 0
+        : Math.max(0, (change.from?.quantity || 0) - (change.to?.quantity || 0))
+      const id = (change.previousOrderItemId || change.orderItemId)?.toString()
+      const item = quantity > 0 && order.items.find((line) => line._id.toString() === id)
+      return item && { item, quantity, weight: (item.price || 0) * quantity }
+    })
+    .filter(Boolean)
+  return issueCreditNote(tenantDB, order, {
+    type: "order_edit",
+    amount: (edit.previousTotals?.total || 0) - (edit.totals?.total || 0),
+    credited,
+    editId: edit._id,
+    reason: edit.reason ? `Order edited: ${edit.reason}` : "Order edited",
+    actor,
+  })
+}
+
+/**
+ * Everything printed on a credit note.
+ * @param {object} options - { storeName } fallback when Settings.general.storeName is empty
+ */
+const getCreditNoteDocument = async (tenantDB, creditNote, { storeName } = {}) => {
+  const Settings = require("../models/tenant/Settings")(tenantDB)
+  const settings = await Settings.findOne().lean()
+  const note = typeof creditNote.toObject === "function" ? creditNote.toObject() : creditNote
+
+  return {
+    title: "Credit Note",
+    creditNote: note,
+    store: getSellerDetails(settings, storeName),
+    amountInWords: amountInWords(note.total, note.currency),
+    footerNote: settings?.invoice?.footerNote || "",
+  }
+}
+
+/**
+ * Render the credit note PDF.
+ * @param {object} document - from getCreditNoteDocument()
+ * @returns {Promise<Buffer>}
+ */
+const renderCreditNotePdf = async ({ title, creditNote, store, amountInWords: words, footerNote }) => {
+  const { supplyType, currency } = creditNote
+  const money = (amount) => formatAmount(amount, currency)
+
+  const doc = createDocument({ info: { Title: `${title} ${creditNote.creditNoteNumber}`, Author: store.legalName } })
+  const tableY = drawDocumentHeader(doc, {
+    title,
+    details: [
+      ["Credit Note No", creditNote.creditNoteNumber],
+      ["Date", formatDate(creditNote.issuedAt)],
+      ["Against Invoice", creditNote.invoiceNumber],
+      ["Invoice Date", formatDate(creditNote.invoiceDate)],
+      ["Order No", creditNote.orderNumber],
+      ...(creditNote.returnNumber ? [["Return No", creditNote.returnNumber]] : []),
+    ],
+    store,
+    customer: creditNote.customerInfo || {},
+    placeOfSupply: creditNote.placeOfSupply,
+    logo: await loadImage(store.logo),
+  })
+
+  const y = drawTable(doc, {
+    columns: getItemColumns(supplyType),
+    rows: creditNote.items.map((item, index) => getItemRow(item, index, supplyType, currency)),
+    y: tableY,
+  })
+
+  drawDocumentFooter(doc, {
+    totals: getTaxTotals(supplyType, creditNote, currency),
+    totalLabel: `Credit Total (${currency})`,
+    total: money(creditNote.total),
+    remark: creditNote.reason,
+    amountInWords: words,
+    note: footerNote,
+    signatory: store.legalName,
+    y,
+  })
+
+  addPageNumbers(doc, "This is a computer generated credit note.")
+  return toBuffer(doc)
+}
+
+module.exports = {
+  CREDIT_NOTE_TYPES,
+  buildCreditLines,
+  issueCreditNote,
+  issueRefundCreditNote,
+  issueReturnCreditNote,
+  issueCancellationCreditNote,
+  issueOrderEditCreditNote,
+  getCreditNoteDocument,
+  renderCreditNotePdf,
+}
@@ -0,0 +1,82 @@
+// Minimal CSV helpers (RFC 4180 style quoting) for imports and exports
+
+// Parse CSV text into an array of records keyed by the header row
+const parseCSV = (text) => {
+  const rows = []
+  let row = []
+  let field = ""
+  let inQuotes = false
+  const input = text.replace(/^\uFEFF/, "") // Strip BOM added by Excel
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"'
+          i++
+        } else {
+          inQuotes = false
+        }
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ",") {
+      row.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Invalid CSV: unterminated quoted field")
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  const [header, ...dataRows] = rows.filter((r) => r.some((value) => value.trim() !== ""))
+  if (!header) return []
+
+  const keys = header.map((key) => key.trim())
+  return dataRows.map((values) =>
+    keys.reduce((record, key, index) => {
+      record[key] = (values[index] || "").trim()
+      return record
+    }, {}),
+  )
+}
+
+// Quote a value if it contains a separator, quote or newline
+const escapeCSVValue = (value) => {
+  if (value === undefined || value === null) return ""
+  const str = String(value)
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+// Build CSV text from a list of column names and records
+const toCSV = (columns, records) => {
+  const lines = [columns.map(escapeCSVValue).join(",")]
+  for (const record of records) {
+    lines.push(columns.map((column) => escapeCSVValue(record[column])).join(","))
+  }
+  return lines.join("\n")
+}
+
+module.exports = {
+  parseCSV,
+  escapeCSVValue,
+  toCSV,
+}
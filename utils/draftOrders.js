@@ -0,0 +1,658 @@
+// Draft orders: orders staff build for a customer (phone and WhatsApp orders) with custom unit prices and a staff
+// discount. A draft can be saved and changed until it is completed - as cash on delivery by staff, or by the
+// customer paying it through the payment link. Completing a draft places the order through the checkout code:
+// pricing (utils/pricing.js), stock holds (utils/inventory.js) and offer redemption (utils/offers.js).
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+const AuthUtils = require("./auth")
+const { buildOrderLines, priceOrder } = require("./pricing")
+const { roundAmount, redeemOrderOffers } = require("./offers")
+const { reserveStock, returnLinesStock, buildReservation, commitOrderStock } = require("./inventory")
+const { buildInitialHistory } = require("./orderLifecycle")
+const { nextDraftNumber } = require("./numbering")
+const { sendOrderConfirmation } = require("./invoices")
+
+const DRAFT_STATUSES = ["open", "payment_link_sent", "completed", "cancelled"]
+// Drafts that can still be changed, sent and completed
+const OPEN_DRAFT_STATUSES = ["open", "payment_link_sent"]
+const MANUAL_DISCOUNT_TYPES = ["percentage", "fixed"]
+const ADDRESS_FIELDS = ["street", "city", "state", "zipCode"]
+
+const PAYMENT_LINK_VALIDITY_DAYS = 7
+const MAX_PAYMENT_LINK_VALIDITY_DAYS = 30
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value)
+
+const toActor = (actor = {}) => ({
+  type: actor.type,
+  id: actor.id ? actor.id.toString() : undefined,
+  name: actor.name,
+})
+
+/**
+ * Check the fields of a draft from a request body. With partial, only the fields present are checked (updates).
+ * @returns {{errors: string[], values: object}} values only holds the fields that were sent (null clears a field)
+ */
+const parseDraftInput = (body = {}, { partial = false } = {}) => {
+  const errors = []
+  const values = {}
+
+  if (body.items !== undefined || !partial) {
+    if (!Array.isArray(body.items) || body.items.length === 0) {
+      errors.push("At least one item is required")
+    } else {
+      values.items = body.items.map((item, index) => {
+        const quantity = Number(item?.quantity)
+        const hasPrice = item?.price !== undefined && item?.price !== null && item?.price !== ""
+        const price = hasPrice ? Number(item.price) : null
+        if (!isObjectId(item?.productId)) errors.push(`items[${index}].productId is invalid`)
+        if (item?.variantId && !isObjectId(item.variantId)) errors.push(`items[${index}].variantId is invalid`)
+        if (!Number.isInteger(quantity) || quantity < 1) {
+          errors.push(`items[${index}].quantity must be a whole number of at least 1`)
+        }
+        if (hasPrice && (!Number.isFinite(price) || price < 0)) {
+          errors.push(`items[${index}].price must be a positive amount`)
+        }
+        return {
+          productId: item?.productId,
+          variantId: item?.variantId || null,
+          quantity,
+          price: hasPrice ? roundAmount(price) : null,
+        }
+      })
+    }
+  }
+
+  if (body.customerId !== undefined) {
+    if (body.customerId && !isObjectId(body.customerId)) errors.push("customerId is invalid")
+    values.customerId = body.customerId || null
+  }
+
+  if (body.customerInfo !== undefined) {
+    const { name, email, phone, address } = body.customerInfo || {}
+    if (name !== undefined && (typeof name !== "string" || name.trim().length < 2)) {
+      errors.push("Customer name must be at least 2 characters long")
+    }
+    if (email && !AuthUtils.validateEmail(email)) errors.push("Customer email is invalid")
+    if (phone && !AuthUtils.validatePhone(phone)) errors.push("Customer phone is invalid")
+    if (address !== undefined && address !== null && typeof address !== "object") errors.push("address is invalid")
+    values.customerInfo = {
+      ...(name !== undefined && { name: String(name).trim() }),
+      ...(email !== undefined && { email: email ? String(email).trim().toLowerCase() : "" }),
+      ...(phone !== undefined && { phone: phone ? String(phone).trim() : "" }),
+      ...(address && {
+        address: Object.fromEntries(
+          [...ADDRESS_FIELDS, "country"]
+            .filter((field) => address[field] !== undefined)
+            .map((field) => [field, String(address[field]).trim()]),
+        ),
+      }),
+    }
+  }
+
+  if (body.manualDiscount !== undefined) {
+    const discount = body.manualDiscount
+    if (discount === null || discount === "") {
+      values.manualDiscount = null
+    } else {
+      const value = Number(discount.value)
+      if (!MANUAL_DISCOUNT_TYPES.includes(discount.type)) {
+        errors.push(`manualDiscount.type must be one of: ${MANUAL_DISCOUNT_TYPES.join(", ")}`)
+      }
+      if (!Number.isFinite(value) || value < 0 || (discount.type === "percentage" && value > 100)) {
+        errors.push("manualDiscount.value is invalid")
+      }
+      values.manualDiscount = {
+        type: discount.type,
+        value,
+        reason: typeof discount.reason === "string" ? discount.reason.trim() : undefined,
+      }
+    }
+  }
+
+  if (body.couponCode !== undefined) {
+    values.couponCode = body.couponCode ? String(body.couponCode).trim().toUpperCase() : null
+  }
+  if (body.notes !== undefined) {
+    values.notes = body.notes ? String(body.notes) : null
+  }
+  if (body.giftNote !== undefined) {
+    if (body.giftNote && (typeof body.giftNote !== "string" || body.giftNote.length > 300)) {
+      errors.push("Gift note must be text of at most 300 characters")
+    }
+    values.giftNote = body.giftNote || null
+  }
+
+  return { errors, values }
+}
+
+/**
+ * Apply checked input (parseDraftInput) to a draft. Choosing an existing customer fills in their name, contact
+ * details and default address; customerInfo sent along overrides them.
+ * @returns {Promise<{success: boolean, error?: string, code?: string}>}
+ */
+const applyDraftInput = async (tenantDB, draft, values) => {
+  const Customer = require("../models/tenant/Customer")(tenantDB)
+
+  if (values.customerId !== undefined && String(values.customerId || "") !== String(draft.customerId || "")) {
+    draft.customerId = values.customerId
+    if (values.customerId) {
+      const customer = await Customer.findById(values.customerId)
+      if (!customer) {
+        return { success: false, error: "Customer not found", code: "CUSTOMER_NOT_FOUND" }
+      }
+      const address = customer.addresses?.find((entry) => entry.isDefault) || customer.addresses?.[0]
+      draft.customerInfo = {
+        name: customer.name,
+        email: customer.email,
+        phone: customer.phone,
+        address: address
+          ? {
+              street: address.street,
+              city: address.city,
+              state: address.state,
+              zipCode: address.zipCode,
+              country: address.country,
+            }
+          : {},
+      }
+    }
+  }
+
+  if (values.customerInfo) {
+    const { address, ...contact } = values.customerInfo
+    Object.entries(contact).forEach(([field, value]) => draft.set(`customerInfo.${field}`, value))
+    if (address) {
+      Object.entries(address).forEach(([field, value]) => draft.set(`customerInfo.address.${field}`, value))
+    }
+  }
+
+  ;["items", "couponCode", "manualDiscount", "notes", "giftNote"].forEach((field) => {
+    if (values[field] !== undefined) draft.set(field, values[field])
+  })
+
+  // A new customer is created from these details when the order is placed
+  const info = draft.customerInfo || {}
+  if (!draft.customerId && (!info.name || (!info.email && !info.phone))) {
+    return {
+      success: false,
+      error: "Choose a customer or enter the name and an email or phone number of a new customer",
+      code: "MISSING_CUSTOMER",
+    }
+  }
+
+  return { success: true }
+}
+
+// Shipping address fields the order can't be placed without
+const getMissingAddressFields = (draft) => [
+  ...(draft.customerInfo?.name ? [] : ["name"]),
+  ...ADDRESS_FIELDS.filter((field) => !draft.customerInfo?.address?.[field]),
+]
+
+/**
+ * Price a draft with the checkout pricing code: catalog prices unless a custom price was set (the catalog
+ * price is kept as originalPrice), the coupon code, automatic offers, the staff discount, tax and shipping.
+ * A draft without an address yet is priced without a shipping zone.
+ */
+const priceDraft = async (tenantDB, draft, { customer = null, paymentMethod } = {}) => {
+  const linesResult = await buildOrderLines(
+    tenantDB,
+    draft.items.map((item) => ({ productId: item.productId, variantId: item.variantId, quantity: item.quantity })),
+  )
+  if (!linesResult.success) {
+    return linesResult
+  }
+
+  const lines = linesResult.lines.map((line, index) => {
+    const price = draft.items[index].price
+    if (price === null || price === undefined) return line
+    return { ...line, originalPrice: line.price, price, total: roundAmount(price * line.quantity) }
+  })
+
+  const address = draft.customerInfo?.address
+  return priceOrder(tenantDB, {
+    lines,
+    couponCode: draft.couponCode,
+    customer,
+    shippingAddress: ADDRESS_FIELDS.some((field) => address?.[field]) ? address : null,
+    paymentMethod,
+    manualDiscount: draft.manualDiscount,
+  })
+}
+
+// Store the totals and line snapshots of a priced draft (not saved)
+const applyDraftPricing = (draft, pricing) => {
+  pricing.lines.forEach((line, index) => {
+    Object.assign(draft.items[index], {
+      name: line.name,
+      variantName: line.variantName,
+      sku: line.sku,
+      image: line.image,
+    })
+  })
+  draft.totals = {
+    subtotal: pricing.subtotal,
+    discount: pricing.discount,
+    tax: pricing.tax,
+    shipping: pricing.shipping,
+    codFee: pricing.codFee,
+    total: pricing.total,
+    pricedAt: new Date(),
+  }
+}
+
+// Priced lines and totals of a draft for API responses
+const getDraftQuote = (pricing) => ({
+  lines: pricing.lines.map((line) => ({
+    productId: line.productId,
+    variantId: line.variantId,
+    name: line.name,
+    variantName: line.variantName,
+    sku: line.sku,
+    image: line.image,
+    price: line.price,
+    originalPrice: line.originalPrice,
+    quantity: line.quantity,
+    total: line.total,
+    discount: line.discount,
+    taxRate: line.taxRate,
+    taxAmount: line.taxAmount,
+  })),
+  subtotal: pricing.subtotal,
+  discount: pricing.discount,
+  manualDiscount: pricing.manualDiscount,
+  appliedOffers: pricing.appliedOffers,
+  tax: pricing.tax,
+  taxInclusive: pricing.taxInclusive,
+  taxBreakdown: pricing.taxBreakdown,
+  shipping: pricing.shipping,
+  codFee: pricing.codFee,
+  total: pricing.total,
+  freeShipping: pricing.freeShipping,
+})
+
+/**
+ * Create a draft from checked input (parseDraftInput), priced so it shows its total in the list.
+ * @returns {Promise<{success: boolean, draft?: object, pricing?: object, error?: string, code?: string}>}
+ */
+const createDraft = async (tenantDB, values, { actor }) => {
+  const DraftOrder = require("../models/tenant/DraftOrder")(tenantDB)
+  const Customer = require("../models/tenant/Customer")(tenantDB)
+
+  const draft = new DraftOrder({ createdBy: toActor(actor), updatedBy: toActor(actor) })
+  const applied = await applyDraftInput(tenantDB, draft, values)
+  if (!applied.success) return applied
+
+  const customer = draft.customerId ? await Customer.findById(draft.customerId) : null
+  const pricing = await priceDraft(tenantDB, draft, { customer })
+  if (!pricing.success) return pricing
+
+  applyDraftPricing(draft, pricing)
+  draft.draftNumber = await nextDraftNumber(tenantDB)
+  await draft.save()
+  console.log(`📝 Draft order ${draft.draftNumber} created by ${actor?.name || actor?.type}`)
+  return { success: true, draft, pricing }
+}
+
+/**
+ * Change an open draft. Changing a draft whose payment link was sent withdraws the link (the customer would
+ * pay for something else than what they were sent) - send a new one afterwards.
+ * @returns {Promise<{success: boolean, draft?: object, pricing?: object, paymentLinkWithdrawn?: boolean, error?: string, code?: string}>}
+ */
+const updateDraft = async (tenantDB, draft, values, { actor }) => {
+  const Customer = require("../models/tenant/Customer")(tenantDB)
+  if (!OPEN_DRAFT_STATUSES.includes(draft.status)) {
+    return { success: false, error: `A ${draft.status} draft can't be changed`, code: "DRAFT_NOT_OPEN" }
+  }
+
+  const applied = await applyDraftInput(tenantDB, draft, values)
+  if (!applied.success) return applied
+
+  const customer = draft.customerId ? await Customer.findById(draft.customerId) : null
+  const pricing = await priceDraft(tenantDB, draft, { customer })
+  if (!pricing.success) return pricing
+
+  const paymentLinkWithdrawn = draft.status === "payment_link_sent"
+  if (paymentLinkWithdrawn) {
+    draft.status = "open"
+    draft.paymentLink = undefined
+  }
+  applyDraftPricing(draft, pricing)
+  draft.updatedBy = toActor(actor)
+  await draft.save()
+  return { success: true, draft, pricing, paymentLinkWithdrawn }
+}
+
+// Storefront page that shows the draft and takes the payment (calls GET / POST /orders/pay/:token)
+const buildPaymentUrl = (storeId, token) =>
+  `${process.env.FRONTEND_URL || "http://localhost:3000"}/${String(storeId || "").toLowerCase()}/pay?token=${token}`
+
+// Razorpay client from the store's keys (null when they are not set up)
+const getRazorpayClient = (settings) => {
+  const { keyId, keySecret } = settings?.payment?.razorpay || {}
+  if (!keyId || !keySecret) return null
+  const Razorpay = require("razorpay")
+  return new Razorpay({ key_id: keyId, key_secret: keySecret })
+}
+
+/**
+ * Send the customer a link to pay the draft online (by email when the draft has an email address - the link
+ * is returned either way so staff can share it on WhatsApp). The draft is priced as an online order and a
+ * Razorpay order is created for its total, so the customer can only pay that amount.
+ * @param {object} options - { storeId, storeName, validityDays, actor }
+ * @returns {Promise<{success: boolean, draft?: object, paymentLink?: object, pricing?: object, emailSent?: boolean, error?: string, code?: string}>}
+ */
+const sendDraftPaymentLink = async (
+  tenantDB,
+  draft,
+  { storeId, storeName, validityDays = PAYMENT_LINK_VALIDITY_DAYS, actor },
+) => {
+  const { sendPaymentLinkEmail } = require("../config/email")
+  const Customer = require("../models/tenant/Customer")(tenantDB)
+  const Settings = require("../models/tenant/Settings")(tenantDB)
+
+  if (!OPEN_DRAFT_STATUSES.includes(draft.status)) {
+    return { success: false, error: `A ${draft.status} draft can't be sent`, code: "DRAFT_NOT_OPEN" }
+  }
+  const missingFields = getMissingAddressFields(draft)
+  if (missingFields.length > 0) {
+    return { success: false, error: "Incomplete shipping address", code: "INCOMPLETE_ADDRESS", details: missingFields }
+  }
+
+  const customer = draft.customerId ? await Customer.findById(draft.customerId) : null
+  const pricing = await priceDraft(tenantDB, draft, { customer, paymentMethod: "online" })
+  if (!pricing.success) return pricing
+
+  const settings = await Settings.findOne().select("general.storeName general.currency payment.razorpay").lean()
+  const razorpay = getRazorpayClient(settings)
+  if (!razorpay) {
+    return { success: false, error: "Razorpay is not configured for this store", code: "PAYMENT_NOT_CONFIGURED" }
+  }
+  const currency = settings?.general?.currency || "INR"
+  let razorpayOrder
+  try {
+    razorpayOrder = await razorpay.orders.create({
+      amount: Math.round(pricing.total * 100),
+      currency,
+      receipt: draft.draftNumber,
+      notes: { draftId: draft._id.toString() },
+    })
+  } catch (error) {
+    const message = error.error?.description || error.message
+    console.error(`❌ Failed to create Razorpay order for draft ${draft.draftNumber}:`, message)
+    return { success: false, error: `Could not create the payment: ${message}`, code: "PAYMENT_ORDER_FAILED" }
+  }
+
+  const days = Math.min(MAX_PAYMENT_LINK_VALIDITY_DAYS, Math.max(1, Number(validityDays) || PAYMENT_LINK_VALIDITY_DAYS))
+  const token = crypto.randomBytes(24).toString("hex")
+  const now = new Date()
+  draft.paymentLink = {
+    token,
+    url: buildPaymentUrl(storeId, token),
+    sentAt: now,
+    expiresAt: new Date(now.getTime() + days * 24 * 60 * 60 * 1000),
+    emailSent: false,
+    razorpayOrderId: razorpayOrder.id,
+    amount: pricing.total,
+    currency,
+  }
+  draft.status = "payment_link_sent"
+  draft.updatedBy = toActor(actor)
+  applyDraftPricing(draft, pricing)
+  await draft.save()
+
+  let emailSent = false
+  if (draft.customerInfo?.email) {
+    const sent = await sendPaymentLinkEmail(draft.customerInfo.email, {
+      name: draft.customerInfo.name,
+      storeName: settings?.general?.storeName || storeName,
+      currency,
+      items: pricing.lines,
+      total: pricing.total,
+      paymentUrl: draft.paymentLink.url,
+      expiresAt: draft.paymentLink.expiresAt,
+    })
+    emailSent = sent.success
+    if (emailSent) {
+      draft.paymentLink.emailSent = true
+      await draft.save()
+    }
+  }
+
+  console.log(`🔗 Payment link of draft ${draft.draftNumber} sent${emailSent ? ` to ${draft.customerInfo.email}` : ""}`)
+  return { success: true, draft, paymentLink: draft.paymentLink, pricing, emailSent }
+}
+
+// Customer of the order: the chosen customer, or an existing / new guest customer from the draft's contact details
+const resolveDraftCustomer = async (tenantDB, draft) => {
+  const Customer = require("../models/tenant/Customer")(tenantDB)
+  const info = draft.customerInfo || {}
+  const customer = draft.customerId
+    ? await Customer.findById(draft.customerId)
+    : await Customer.findOrCreateGuest({ name: info.name, email: info.email || undefined, phone: info.phone })
+  if (!customer) {
+    return { success: false, error: "Customer not found", code: "CUSTOMER_NOT_FOUND" }
+  }
+  if (!customer.isActive) {
+    return { success: false, error: "The customer's account is deactivated", code: "ACCOUNT_DEACTIVATED" }
+  }
+  return { success: true, customer }
+}
+
+/**
+ * Turn a draft into an order: price it again, hold the stock, count the offer uses and save the order, then
+ * commit the stock (COD and paid orders are sales right away, as at checkout) and send the confirmation.
+ * The draft is claimed first so it becomes one order only, even when staff complete it while the customer pays.
+ * A paid draft (payment link) is only completed when its price is still the amount that was charged.
+ * @param {object} options - { paymentMethod: "cod" | "online", paymentDetails (verified online payment), amountPaid,
+ *   actor, storeName }
+ * @returns {Promise<{success: boolean, order?: object, draft?: object, error?: string, code?: string, details?: any}>}
+ */
+const placeDraftOrder = async (
+  tenantDB,
+  draft,
+  { paymentMethod, paymentDetails = null, amountPaid, actor, storeName },
+) => {
+  const DraftOrder = require("../models/tenant/DraftOrder")(tenantDB)
+  const Order = require("../models/tenant/Order")(tenantDB)
+  const Product = require("../models/tenant/Product")(tenantDB)
+
+  if (!OPEN_DRAFT_STATUSES.includes(draft.status)) {
+    return { success: false, error: `A ${draft.status} draft can't be completed`, code: "DRAFT_NOT_OPEN" }
+  }
+  const missingFields = getMissingAddressFields(draft)
+  if (missingFields.length > 0) {
+    return { success: false, error: "Incomplete shipping address", code: "INCOMPLETE_ADDRESS", details: missingFields }
+  }
+
+  const customerResult = await resolveDraftCustomer(tenantDB, draft)
+  if (!customerResult.success) return customerResult
+  const { customer } = customerResult
+
+  const pricing = await priceDraft(tenantDB, draft, { customer, paymentMethod })
+  if (!pricing.success) return pricing
+  if (paymentDetails && !(Math.abs(pricing.total - amountPaid) < 0.01)) {
+    return {
+      success: false,
+      error: `The order total is now ${pricing.total}, but ${amountPaid} was paid`,
+      code: "PAYMENT_AMOUNT_MISMATCH",
+      details: { total: pricing.total, amountPaid },
+    }
+  }
+
+  const orderId = new mongoose.Types.ObjectId()
+  const claimed = await DraftOrder.findOneAndUpdate(
+    { _id: draft._id, status: { $in: OPEN_DRAFT_STATUSES }, orderId: null },
+    { $set: { orderId } },
+    { new: true },
+  )
+  if (!claimed) {
+    return { success: false, error: "The draft was already completed or cancelled", code: "DRAFT_NOT_OPEN" }
+  }
+  const releaseClaim = () => DraftOrder.updateOne({ _id: draft._id, orderId }, { $set: { orderId: null } })
+
+  const orderItems = pricing.lines
+  const stockActor = toActor(actor)
+  const stockReference = { type: "Order", id: orderId.toString() }
+  try {
+    await reserveStock(tenantDB, orderItems, { actor: stockActor, reference: stockReference })
+  } catch (stockError) {
+    await releaseClaim()
+    if (stockError.code !== "INSUFFICIENT_STOCK") throw stockError
+    return {
+      success: false,
+      error: stockError.message,
+      code: "INSUFFICIENT_STOCK",
+      details: {
+        productId: stockError.productId,
+        variantId: stockError.variantId,
+        availableQuantity: stockError.availableQuantity,
+      },
+    }
+  }
+
+  const redemption = await redeemOrderOffers(tenantDB, {
+    orderId,
+    customerId: customer._id,
+    appliedOffers: pricing.appliedOffers,
+  })
+  if (!redemption.success) {
+    await returnLinesStock(Product, orderItems, {
+      type: "cancel",
+      reason: "coupon_unavailable",
+      actor: stockActor,
+      reference: stockReference,
+    })
+    await releaseClaim()
+    return { success: false, error: redemption.error, code: redemption.code }
+  }
+
+  const paymentStatus = paymentDetails ? "paid" : "pending"
+  const { shippingDetails, appliedOffer } = pricing
+  const info = draft.customerInfo
+  const order = new Order({
+    _id: orderId,
+    customerId: customer._id,
+    isGuestOrder: !!customer.isGuest,
+    customerInfo: {
+      name: info.name,
+      email: info.email || customer.email,
+      phone: info.phone || customer.phone,
+      address: {
+        street: info.address.street,
+        city: info.address.city,
+        state: info.address.state,
+        zipCode: info.address.zipCode,
+        country: info.address.country || "India",
+      },
+    },
+    items: orderItems,
+    subtotal: pricing.subtotal,
+    tax: pricing.tax,
+    taxBreakdown: pricing.taxBreakdown,
+    shipping: pricing.shipping,
+    shippingDetails: {
+      zoneId: shippingDetails.zone?.id,
+      zoneName: shippingDetails.zone?.name,
+      rateType: shippingDetails.rateType,
+      chargeableWeight: shippingDetails.weight.chargeable,
+      shippingCharge: shippingDetails.shippingCharge,
+      freeReason: shippingDetails.freeReason,
+      deliveryTime: shippingDetails.estimate.text,
+    },
+    estimatedDelivery: shippingDetails.estimate.latest,
+    codFee: pricing.codFee,
+    discount: pricing.discount,
+    manualDiscount: pricing.manualDiscount,
+    total: pricing.total,
+    ...(appliedOffer && { couponCode: appliedOffer.code, appliedOffer }),
+    appliedOffers: pricing.appliedOffers,
+    freeShipping: pricing.freeShipping,
+    paymentMethod,
+    paymentStatus,
+    ...(paymentDetails && { paymentDetails }),
+    notes: draft.notes || undefined,
+    giftNote: draft.giftNote || undefined,
+    draftOrder: { draftOrderId: draft._id, draftNumber: draft.draftNumber },
+    statusHistory: buildInitialHistory(
+      { status: "pending", paymentStatus },
+      { actor: stockActor, note: `Created from draft ${draft.draftNumber}` },
+    ),
+    stockReservation: buildReservation(false),
+  })
+
+  try {
+    await order.save()
+  } catch (saveError) {
+    await returnLinesStock(Product, orderItems, {
+      type: "cancel",
+      reason: "order_save_failed",
+      actor: stockActor,
+      reference: stockReference,
+    })
+    await redemption.rollback()
+    await releaseClaim()
+    throw saveError
+  }
+
+  // COD and paid orders are sales right away
+  const commitResult = await commitOrderStock(tenantDB, order, stockActor)
+  if (!commitResult.success) {
+    console.error(`❌ Failed to commit stock for order ${order.orderNumber}:`, commitResult.error)
+  }
+
+  const completed = await DraftOrder.findOneAndUpdate(
+    { _id: draft._id },
+    {
+      $set: {
+        status: "completed",
+        customerId: customer._id,
+        orderNumber: order.orderNumber,
+        completedAt: new Date(),
+        updatedBy: stockActor,
+      },
+    },
+    { new: true },
+  )
+
+  console.log(
+    `✅ Draft ${draft.draftNumber} completed as order ${order.orderNumber} (${paymentMethod}, ${paymentStatus})`,
+  )
+
+  sendOrderConfirmation(tenantDB, order, { storeName }).catch((emailError) =>
+    console.error(`❌ Failed to send order confirmation:`, emailError.message),
+  )
+
+  return { success: true, order, draft: completed }
+}
+
+/**
+ * Cancel an open draft (its payment link stops working).
+ * @returns {Promise<{success: boolean, draft?: object, error?: string, code?: string}>}
+ */
+const cancelDraft = async (tenantDB, draft, { actor }) => {
+  const DraftOrder = require("../models/tenant/DraftOrder")(tenantDB)
+  const cancelled = await DraftOrder.findOneAndUpdate(
+    { _id: draft._id, status: { $in: OPEN_DRAFT_STATUSES }, orderId: null },
+    { $set: { status: "cancelled", cancelledAt: new Date(), updatedBy: toActor(actor) } },
+    { new: true },
+  )
+  if (!cancelled) {
+    return { success: false, error: `A ${draft.status} draft can't be cancelled`, code: "DRAFT_NOT_OPEN" }
+  }
+  return { success: true, draft: cancelled }
+}
+
+module.exports = {
+  DRAFT_STATUSES,
+  OPEN_DRAFT_STATUSES,
+  parseDraftInput,
+  priceDraft,
+  getDraftQuote,
+  createDraft,
+  updateDraft,
+  sendDraftPaymentLink,
+  placeDraftOrder,
+  cancelDraft,
+}
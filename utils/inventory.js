@@ -0,0 +1,448 @@
+const mongoose = require("mongoose")
+
+// How long unpaid orders keep their stock on hold before it is released
+const RESERVATION_TTL_MINUTES = Number.parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES) || 30
+
+// Variant stock is stored as a string, so convert it safely inside update pipelines
+const toInt = (input) => ({ $convert: { input, to: "int", onError: 0, onNull: 0 } })
+
+const variantStockExpr = (variantId) =>
+  toInt({
+    $arrayElemAt: [
+      {
+        $map: {
+          input: { $filter: { input: "$variants", as: "v", cond: { $eq: ["$$v._id", variantId] } } },
+          as: "v",
+          in: "$$v.stock",
+        },
+      },
+      0,
+    ],
+  })
+
+// Recompute stockStatus the same way productSchema.methods.updateStockStatus does
+const stockStatusStage = {
+  $set: {
+    stockStatus: {
+      $let: {
+        vars: {
+          qty: {
+            $cond: [
+              "$hasVariants",
+              { $sum: { $map: { input: "$variants", as: "v", in: toInt("$$v.stock") } } },
+              { $ifNull: ["$stock", 0] },
+            ],
+          },
+        },
+        in: {
+          $switch: {
+            branches: [
+              {
+                case: { $lte: ["$$qty", 0] },
+                then: { $cond: ["$allowBackorders", "backorderable", "out-of-stock"] },
+              },
+              { case: { $lte: ["$$qty", "$lowStockAlert"] }, then: "low-stock" },
+            ],
+            default: "in-stock",
+          },
+        },
+      },
+    },
+  },
+}
+
+// Reference to an order for stock movement records
+const orderReference = (order) => ({
+  type: "Order",
+  id: order._id?.toString(),
+  number: order.orderNumber,
+})
+
+/**
+ * Write an entry to the stock movement ledger.
+ * Failures are logged and swallowed - the stock change itself has already happened.
+ */
+const recordStockMovement = async (tenantDB, data) => {
+  try {
+    const StockMovement = require("../models/tenant/StockMovement")(tenantDB)
+    return await StockMovement.create(data)
+  } catch (error) {
+    console.error(`❌ Failed to record stock movement for product ${data.productId}:`, error.message)
+    return null
+  }
+}
+
+/**
+ * Atomically change the stock of a product or one of its variants.
+ * A negative delta takes stock and only succeeds if enough stock is available,
+ * unless allowPartial is set, in which case it takes whatever is left (backorders).
+ * Pass setTo instead of delta to set an absolute stock level (physical count) in the same atomic update.
+ * Pass movement ({ type, reason, note, actor, reference }) to record the change in the ledger.
+ * @returns {Promise<{success: boolean, tracked: boolean, applied: number, before?: number, after?: number, available?: number}>}
+ */
+const adjustStock = async (
+  Product,
+  { productId, variantId = null, delta, setTo = null, allowPartial = false, movement = null },
+) => {
+  const product = await Product.findById(productId).select("name trackQuantity hasVariants allowBackorders").lean()
+  if (!product) {
+    return { success: false, tracked: false, applied: 0, code: "PRODUCT_NOT_FOUND" }
+  }
+
+  if (product.trackQuantity !== true || delta === 0) {
+    return { success: true, tracked: false, applied: delta ?? 0 }
+  }
+
+  const isVariant = product.hasVariants && variantId
+  const vid = isVariant ? new mongoose.Types.ObjectId(variantId.toString()) : null
+  const currentExpr = isVariant ? variantStockExpr(vid) : { $ifNull: ["$stock", 0] }
+
+  const filter = { _id: product._id }
+  if (isVariant) {
+    filter["variants._id"] = vid
+  }
+  if (delta < 0 && !allowPartial) {
+    // Only take stock if enough is available - this is what prevents overselling
+    filter.$expr = { $gte: [currentExpr, -delta] }
+  }
+
+  const newStockExpr = (current) => (setTo !== null ? { $literal: setTo } : { $max: [0, { $add: [current, delta] }] })
+  const pipeline = isVariant
+    ? [
+        {
+          $set: {
+            variants: {
+              $map: {
+                input: "$variants",
+                as: "v",
+                in: {
+                  $cond: [
+                    { $eq: ["$$v._id", vid] },
+                    { $mergeObjects: ["$$v", { stock: { $toString: newStockExpr(toInt("$$v.stock")) } }] },
+                    "$$v",
+                  ],
+                },
+              },
+            },
+          },
+        },
+        stockStatusStage,
+      ]
+    : [{ $set: { stock: newStockExpr({ $ifNull: ["$stock", 0] }) } }, stockStatusStage]
+
+  // Return the document as it was before the update so we know exactly what changed
+  const previous = await Product.findOneAndUpdate(filter, pipeline, { new: false })
+
+  const readStock = (doc) => {
+    if (!doc) return 0
+    if (isVariant) return Number.parseInt(doc.variants.id(vid)?.stock) || 0
+    return doc.stock || 0
+  }
+
+  if (!previous) {
+    const current = await Product.findById(product._id)
+    return {
+      success: false,
+      tracked: true,
+      applied: 0,
+      available: readStock(current),
+      code: "INSUFFICIENT_STOCK",
+    }
+  }
+
+  const before = readStock(previous)
+  const after = setTo !== null ? setTo : Math.max(0, before + delta)
+
+  if (movement && after !== before) {
+    const variant = isVariant ? previous.variants.id(vid) : null
+    await recordStockMovement(Product.db, {
+      ...movement,
+      productId: previous._id,
+      variantId: variant ? variant._id : null,
+      productName: previous.name,
+      variantName: variant?.name,
+      sku: variant ? variant.sku : previous.sku,
+      quantity: after - before,
+      quantityBefore: before,
+      quantityAfter: after,
+    })
+  }
+
+  return { success: true, tracked: true, applied: after - before, before, after }
+}
+
+// Put held stock back for order lines (used for rollbacks and releases)
+const returnLinesStock = async (Product, lines, movement = null) => {
+  for (const line of lines) {
+    if (!line.reservedQuantity) continue
+    try {
+      await adjustStock(Product, {
+        productId: line.productId,
+        variantId: line.variantId,
+        delta: line.reservedQuantity,
+        movement,
+      })
+      console.log(`📦 Returned ${line.reservedQuantity} to stock for: ${line.name}`)
+    } catch (error) {
+      console.error(`❌ Failed to return stock for product ${line.productId}:`, error)
+    }
+  }
+}
+
+/**
+ * Hold stock for order lines before the order is saved.
+ * Sets reservedQuantity/backorderedQuantity on each line. If any line cannot be
+ * held, everything held so far is returned and an INSUFFICIENT_STOCK error is thrown.
+ * options.actor / options.reference / options.reason are recorded on the stock movements.
+ */
+const reserveStock = async (tenantDB, lines, { actor, reference, reason = "Order placed" } = {}) => {
+  const Product = require("../models/tenant/Product")(tenantDB)
+  const held = []
+
+  for (const line of lines) {
+    const product = await Product.findById(line.productId).select("name allowBackorders").lean()
+    const result = await adjustStock(Product, {
+      productId: line.productId,
+      variantId: line.variantId,
+      delta: -line.quantity,
+      allowPartial: !!product?.allowBackorders,
+      movement: { type: "order", reason, actor, reference },
+    })
+
+    if (!result.success) {
+      await returnLinesStock(Product, held, { type: "cancel", reason: "Order not placed", actor, reference })
+      const error = new Error(`Insufficient stock for: ${line.name}${line.variantName ? ` (${line.variantName})` : ""}`)
+      error.code = result.code || "INSUFFICIENT_STOCK"
+      error.availableQuantity = result.available
+      error.productId = line.productId
+      error.variantId = line.variantId
+      throw error
+    }
+
+    line.reservedQuantity = result.tracked ? -result.applied : 0
+    line.backorderedQuantity = result.tracked ? line.quantity - line.reservedQuantity : 0
+    held.push(line)
+  }
+
+  console.log(`🔒 Stock held for ${held.length} order lines`)
+  return held
+}
+
+// Reservation fields for a newly placed order
+const buildReservation = (committed) => {
+  const now = new Date()
+  return committed
+    ? { status: "committed", heldAt: now, committedAt: now }
+    : { status: "held", heldAt: now, expiresAt: new Date(now.getTime() + RESERVATION_TTL_MINUTES * 60 * 1000) }
+}
+
+const incrementSalesCount = async (Product, items, sign = 1) => {
+  for (const item of items) {
+    await Product.updateOne({ _id: item.productId }, { $inc: { salesCount: sign * item.quantity } })
+  }
+}
+
+/**
+ * Turn held stock into a sale (e.g. after payment verification).
+ * If the hold already expired, stock is reserved again before committing - unless the order was cancelled
+ * in the meantime (ORDER_CANCELLED: the payment has to be refunded instead).
+ */
+const commitOrderStock = async (tenantDB, order, actor = { type: "system" }) => {
+  const Order = require("../models/tenant/Order")(tenantDB)
+  const Product = require("../models/tenant/Product")(tenantDB)
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, "stockReservation.status": "held" },
+    { $set: { "stockReservation.status": "committed", "stockReservation.committedAt": new Date() } },
+    { new: true },
+  )
+
+  if (claimed) {
+    await incrementSalesCount(Product, claimed.items)
+    order.stockReservation = claimed.stockReservation
+    console.log(`✅ Stock committed for order: ${claimed.orderNumber}`)
+    return { success: true }
+  }
+
+  // The hold was released (timeout or payment failure) - claim the order before reserving again,
+  // so two payment verifications cannot both take the stock
+  const now = new Date()
+  const current = await Order.findOneAndUpdate(
+    { _id: order._id, status: { $ne: "cancelled" }, "stockReservation.status": "released" },
+    {
+      $set: {
+        "stockReservation.status": "committed",
+        "stockReservation.heldAt": now,
+        "stockReservation.committedAt": now,
+      },
+    },
+    { new: true },
+  )
+  if (!current) {
+    const existing = await Order.findById(order._id).select("status orderNumber").lean()
+    if (existing?.status === "cancelled") {
+      return { success: false, error: `Order ${existing.orderNumber} was cancelled`, code: "ORDER_CANCELLED" }
+    }
+    return { success: true, alreadyCommitted: true }
+  }
+
+  try {
+    const lines = current.items.map((item) => item.toObject())
+    await reserveStock(tenantDB, lines, { actor, reference: orderReference(current) })
+    current.items.forEach((item, index) => {
+      item.reservedQuantity = lines[index].reservedQuantity
+      item.backorderedQuantity = lines[index].backorderedQuantity
+    })
+    await current.save()
+    await incrementSalesCount(Product, current.items)
+    order.stockReservation = current.stockReservation
+    console.log(`✅ Stock re-reserved and committed for order: ${current.orderNumber}`)
+    return { success: true, reReserved: true }
+  } catch (error) {
+    await Order.updateOne(
+      { _id: current._id, "stockReservation.status": "committed" },
+      { $set: { "stockReservation.status": "released" } },
+    )
+    console.error(`❌ Could not re-reserve stock for order ${current.orderNumber}:`, error.message)
+    return { success: false, error: error.message, code: error.code || "STOCK_COMMIT_FAILED" }
+  }
+}
+
+// Move the reservation from one of `fromStatuses` to released and give its stock back
+const releaseStock = async (tenantDB, order, fromStatuses, reason, actor) => {
+  const Order = require("../models/tenant/Order")(tenantDB)
+  const Product = require("../models/tenant/Product")(tenantDB)
+
+  const previous = await Order.findOneAndUpdate(
+    { _id: order._id, "stockReservation.status": { $in: fromStatuses } },
+    {
+      $set: {
+        "stockReservation.status": "released",
+        "stockReservation.releasedAt": new Date(),
+        "stockReservation.releaseReason": reason,
+      },
+    },
+    { new: false },
+  )
+
+  if (!previous) {
+    console.log(`ℹ️ No ${fromStatuses.join("/")} stock to release for order: ${order.orderNumber || order._id}`)
+    return { success: true, alreadyReleased: true }
+  }
+
+  await returnLinesStock(Product, previous.items, {
+    type: "cancel",
+    reason,
+    actor,
+    reference: orderReference(previous),
+  })
+  if (previous.stockReservation.status === "committed") {
+    await incrementSalesCount(Product, previous.items, -1)
+  }
+
+  if (order.stockReservation) {
+    order.stockReservation.status = "released"
+    order.stockReservation.releasedAt = new Date()
+    order.stockReservation.releaseReason = reason
+  }
+
+  console.log(`🔓 Stock released for order: ${previous.orderNumber} (${reason})`)
+  return { success: true }
+}
+
+/**
+ * Give held or committed stock back (cancellation).
+ * Safe to call more than once - only the first call returns stock.
+ */
+const releaseOrderStock = (tenantDB, order, reason = "cancelled", actor = { type: "system" }) =>
+  releaseStock(tenantDB, order, ["held", "committed"], reason, actor)
+
+/**
+ * Give stock back only while it is still held for an unpaid order (payment failure, timeout).
+ * Stock already committed by a completed payment is left alone.
+ */
+const releaseHeldStock = (tenantDB, order, reason = "payment_failed", actor = { type: "system" }) =>
+  releaseStock(tenantDB, order, ["held"], reason, actor)
+
+/**
+ * Record ledger entries for stock that was changed by editing a product directly
+ * (product form, import). Compares product and variant stock before and after.
+ */
+const recordStockChanges = async (tenantDB, before, after, movement) => {
+  if (!after || after.trackQuantity !== true) return 0
+
+  const changes = []
+  if (after.hasVariants) {
+    for (const variant of after.variants || []) {
+      const previousVariant =
+        before?.variants?.find((v) => v._id?.toString() === variant._id?.toString()) ||
+        before?.variants?.find((v) => v.sku && v.sku === variant.sku)
+      const quantityBefore = before?.trackQuantity ? Number.parseInt(previousVariant?.stock) || 0 : 0
+      const quantityAfter = Number.parseInt(variant.stock) || 0
+      if (quantityBefore !== quantityAfter) {
+        changes.push({ variant, quantityBefore, quantityAfter })
+      }
+    }
+  } else {
+    const quantityBefore = before?.trackQuantity && !before?.hasVariants ? before.stock || 0 : 0
+    const quantityAfter = after.stock || 0
+    if (quantityBefore !== quantityAfter) {
+      changes.push({ variant: null, quantityBefore, quantityAfter })
+    }
+  }
+
+  for (const { variant, quantityBefore, quantityAfter } of changes) {
+    await recordStockMovement(tenantDB, {
+      ...movement,
+      productId: after._id,
+      variantId: variant ? variant._id : null,
+      productName: after.name,
+      variantName: variant?.name,
+      sku: variant ? variant.sku : after.sku,
+      quantity: quantityAfter - quantityBefore,
+      quantityBefore,
+      quantityAfter,
+    })
+  }
+
+  return changes.length
+}
+
+// Release holds on unpaid orders whose reservation window has passed
+const releaseExpiredReservations = async (tenantDB) => {
+  const Order = require("../models/tenant/Order")(tenantDB)
+
+  const expiredOrders = await Order.find({
+    "stockReservation.status": "held",
+    "stockReservation.expiresAt": { $lte: new Date() },
+    paymentStatus: { $ne: "paid" },
+  })
+
+  let released = 0
+  for (const order of expiredOrders) {
+    const result = await releaseHeldStock(tenantDB, order, "timeout")
+    if (result.success && !result.alreadyReleased) {
+      released++
+    }
+  }
+
+  if (released > 0) {
+    console.log(`⏰ Released ${released} expired stock reservations`)
+  }
+  return { released }
+}
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  orderReference,
+  recordStockMovement,
+  recordStockChanges,
+  adjustStock,
+  reserveStock,
+  returnLinesStock,
+  buildReservation,
+  commitOrderStock,
+  releaseOrderStock,
+  releaseHeldStock,
+  releaseExpiredReservations,
+}
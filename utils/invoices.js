@@ -0,0 +1,522 @@
+// GST invoices of orders: the invoice data (seller and buyer details, HSN codes, tax split, amount in words),
+// the invoice PDF and the order confirmation email it is attached to.
+const { assignInvoiceNumber, canInvoiceOrder } = require("./numbering")
+const {
+  PAGE_MARGIN,
+  BOLD_FONT,
+  FONT,
+  BORDER_COLOR,
+  MUTED_COLOR,
+  createDocument,
+  toBuffer,
+  formatAmount,
+  formatDate,
+  formatAddress,
+  loadImage,
+  drawTable,
+  addPageNumbers,
+} = require("./pdf")
+
+const ONES = [
+  "",
+  "One",
+  "Two",
+  "Three",
+  "Four",
+  "Five",
+  "Six",
+  "Seven",
+  "Eight",
+  "Nine",
+  "Ten",
+  "Eleven",
+  "Twelve",
+  "Thirteen",
+  "Fourteen",
+  "Fifteen",
+  "Sixteen",
+  "Seventeen",
+  "Eighteen",
+  "Nineteen",
+]
+const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"]
+
+const twoDigitWords = (n) => (n < 20 ? ONES[n] : [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(" "))
+const threeDigitWords = (n) =>
+  [n >= 100 ? `${ONES[Math.floor(n / 100)]} Hundred` : "", twoDigitWords(n % 100)].filter(Boolean).join(" ")
+
+// Whole number in words - Indian grouping (lakh, crore) for INR, international grouping otherwise
+const numberToWords = (value, indian = true) => {
+  let n = Math.floor(value)
+  if (n === 0) return "Zero"
+
+  const groups = indian
+    ? [
+        [1e7, "Crore"],
+        [1e5, "Lakh"],
+        [1e3, "Thousand"],
+      ]
+    : [
+        [1e9, "Billion"],
+        [1e6, "Million"],
+        [1e3, "Thousand"],
+      ]
+  const words = []
+  for (const [size, name] of groups) {
+    const count = Math.floor(n / size)
+    if (count > 0) {
+      words.push(`${count >= 100 ? numberToWords(count, indian) : twoDigitWords(count)} ${name}`)
+      n %= size
+    }
+  }
+  if (n > 0) words.push(threeDigitWords(n))
+  return words.join(" ")
+}
+
+// 1234.5 -> "Indian Rupees One Thousand Two Hundred Thirty Four and Fifty Paise Only"
+const amountInWords = (amount, currency = "INR") => {
+  const cents = Math.round(Math.abs(Number(amount) || 0) * 100)
+  const whole = Math.floor(cents / 100)
+  const fraction = cents % 100
+  if (currency === "INR") {
+    return `Indian Rupees ${numberToWords(whole)}${fraction ? ` and ${numberToWords(fraction)} Paise` : ""} Only`
+  }
+  return `${currency} ${numberToWords(whole, false)}${fraction ? ` and ${fraction}/100` : ""} Only`
+}
+
+// Seller block of invoices and credit notes from Settings (storeName is the fallback for an empty store name)
+const getSellerDetails = (settings, storeName) => {
+  const general = settings?.general || {}
+  const name = general.storeName || storeName || "Store"
+  return {
+    name,
+    legalName: settings?.tax?.legalName || name,
+    email: general.supportEmail || "",
+    phone: general.supportPhone || "",
+    address: general.address || {},
+    gstin: settings?.tax?.gstin || "",
+    logo: general.logo || "",
+  }
+}
+
+/**
+ * Everything printed on the invoice of an order. Issues the invoice number the first time
+ * the order can be invoiced (confirmed or paid) - invoiceNumber is null until then.
+ * Issued invoices show the lines, totals and billing details saved with the number, not the order as it is now.
+ * @param {object} order - Order document (items.productId may be populated)
+ * @param {object} options - { storeName } fallback when Settings.general.storeName is empty
+ */
+const getInvoice = async (tenantDB, order, { storeName } = {}) => {
+  const Settings = require("../models/tenant/Settings")(tenantDB)
+  const Product = require("../models/tenant/Product")(tenantDB)
+  const CreditNote = require("../models/tenant/CreditNote")(tenantDB)
+
+  const [invoiced, settings, creditNotes] = await Promise.all([
+    assignInvoiceNumber(tenantDB, order._id),
+    Settings.findOne().lean(),
+    CreditNote.find({ orderId: order._id }).select("creditNoteNumber issuedAt type reason total").sort({ issuedAt: 1 }),
+  ])
+
+  // Orders invoiced before the lines were saved with the number use their current values
+  const snapshot = invoiced?.invoiceLines?.length > 0 ? invoiced : null
+  const items = snapshot ? snapshot.invoiceLines : order.items
+  const totals = snapshot?.invoiceTotals
+  const customerInfo = snapshot?.invoiceCustomerInfo || order.customerInfo
+
+  // Orders placed before HSN codes were stored on order lines take them from the product
+  const productIdOf = (item) => (item.productId?._id || item.productId).toString()
+  const missingHsn = items.filter((item) => !item.hsnCode && !item.productId?.hsnCode).map(productIdOf)
+  const products = missingHsn.length
+    ? await Product.find({ _id: { $in: missingHsn } })
+        .select("hsnCode")
+        .lean()
+    : []
+  const hsnByProduct = new Map(products.map((product) => [product._id.toString(), product.hsnCode]))
+
+  const general = settings?.general || {}
+  const currency = general.currency || "INR"
+  const store = getSellerDetails(settings, storeName)
+
+  return {
+    title: store.gstin ? "Tax Invoice" : "Invoice",
+    invoiceNumber: invoiced?.invoiceNumber || null,
+    invoiceDate: invoiced?.invoicedAt || null,
+    currency,
+    order: {
+      id: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+      paymentMethod: order.paymentMethod,
+      createdAt: order.createdAt,
+      deliveredAt: order.deliveredAt,
+    },
+    customer: {
+      name: customerInfo?.name,
+      email: customerInfo?.email,
+      phone: customerInfo?.phone,
+      address: customerInfo?.address || {},
+    },
+    store,
+    placeOfSupply: customerInfo?.address?.state || general.address?.state || "",
+    items: items.map((item) => {
+      const line = typeof item.toObject === "function" ? item.toObject() : item
+      return {
+        ...line,
+        hsnCode: line.hsnCode || line.productId?.hsnCode || hsnByProduct.get(productIdOf(line)) || "",
+      }
+    }),
+    summary: totals
+      ? {
+          subtotal: totals.subtotal,
+          discount: totals.discount || 0,
+          tax: totals.tax || 0,
+          taxBreakdown: {
+            supplyType: totals.supplyType,
+            taxableValue: totals.taxableValue,
+            cgst: totals.cgst,
+            sgst: totals.sgst,
+            igst: totals.igst,
+            inclusive: totals.inclusive,
+          },
+          shipping: totals.shipping || 0,
+          codFee: totals.codFee || 0,
+          total: totals.total,
+        }
+      : {
+          subtotal: order.subtotal,
+          discount: order.discount || 0,
+          tax: order.tax || 0,
+          taxBreakdown: order.taxBreakdown,
+          shipping: order.shipping || 0,
+          codFee: order.codFee || 0,
+          total: order.total,
+        },
+    amountInWords: amountInWords(totals ? totals.total : order.total, currency),
+    appliedOffer: order.appliedOffer,
+    footerNote: settings?.invoice?.footerNote || "",
+    // Credit notes issued against this invoice (refunds, returns, cancelled items)
+    creditNotes,
+  }
+}
+
+// Item table columns for the type of supply (CGST + SGST, IGST or no tax)
+const getItemColumns = (supplyType) => {
+  if (supplyType === "intra_state") {
+    return [
+      { header: "#", width: 20 },
+      { header: "Item", width: 125 },
+      { header: "HSN", width: 45 },
+      { header: "Qty", width: 28, align: "right" },
+      { header: "Rate", width: 55, align: "right" },
+      { header: "Taxable Value", width: 60, align: "right" },
+      { header: "GST %", width: 32, align: "right" },
+      { header: "CGST", width: 45, align: "right" },
+      { header: "SGST", width: 45, align: "right" },
+      { header: "Total", width: 60, align: "right" },
+    ]
+  }
+  if (supplyType === "inter_state") {
+    return [
+      { header: "#", width: 20 },
+      { header: "Item", width: 150 },
+      { header: "HSN", width: 45 },
+      { header: "Qty", width: 28, align: "right" },
+      { header: "Rate", width: 55, align: "right" },
+      { header: "Taxable Value", width: 65, align: "right" },
+      { header: "GST %", width: 32, align: "right" },
+      { header: "IGST", width: 55, align: "right" },
+      { header: "Total", width: 65, align: "right" },
+    ]
+  }
+  return [
+    { header: "#", width: 20 },
+    { header: "Item", width: 215 },
+    { header: "HSN", width: 50 },
+    { header: "Qty", width: 35, align: "right" },
+    { header: "Rate", width: 60, align: "right" },
+    { header: "Discount", width: 65, align: "right" },
+    { header: "Amount", width: 70, align: "right" },
+  ]
+}
+
+const getItemRow = (item, index, supplyType, currency) => {
+  const money = (amount) => formatAmount(amount, currency)
+  const description = `${item.name}${item.variantName ? ` (${item.variantName})` : ""}${item.sku ? `\nSKU: ${item.sku}` : ""}`
+  const taxableValue = item.taxableValue ?? (item.total || 0) - (item.discount || 0)
+  const lineTotal = taxableValue + (item.taxAmount || 0)
+  // Lines of a value-only credit note have no quantity
+  const row = [
+    String(index + 1),
+    description,
+    item.hsnCode || "-",
+    item.quantity > 0 ? String(item.quantity) : "-",
+    item.quantity > 0 ? money(item.price) : "-",
+  ]
+
+  if (supplyType === "intra_state") {
+    return [...row, money(taxableValue), `${item.taxRate || 0}%`, money(item.cgst), money(item.sgst), money(lineTotal)]
+  }
+  if (supplyType === "inter_state") {
+    return [...row, money(taxableValue), `${item.taxRate || 0}%`, money(item.igst), money(lineTotal)]
+  }
+  return [...row, money(item.discount), money(lineTotal)]
+}
+
+/**
+ * Draw the top of an invoice or credit note: logo and seller on the left, title and document details
+ * on the right, then the buyer with the place of supply.
+ * @param {object} options - { title, details: [[label, value]], store, customer, placeOfSupply, logo }
+ * @returns {number} y below the header
+ */
+const drawDocumentHeader = (doc, { title, details, store, customer, placeOfSupply, logo }) => {
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2
+  const top = PAGE_MARGIN
+
+  // Seller (left, under the logo) and document details (right)
+  let sellerY = top
+  if (logo) {
+    doc.image(logo, PAGE_MARGIN, top, { fit: [140, 50] })
+    sellerY = top + 58
+  }
+  doc.font(BOLD_FONT).fontSize(11).text(store.legalName, PAGE_MARGIN, sellerY, { width: 280 })
+  doc.font(FONT).fontSize(8.5).fillColor(MUTED_COLOR)
+  if (store.legalName !== store.name) doc.text(`Trading as ${store.name}`, { width: 280 })
+  formatAddress(store.address).forEach((line) => doc.text(line, { width: 280 }))
+  if (store.gstin) doc.fillColor("black").font(BOLD_FONT).text(`GSTIN: ${store.gstin}`, { width: 280 })
+  doc.font(FONT).fillColor(MUTED_COLOR)
+  if (store.email) doc.text(`Email: ${store.email}`, { width: 280 })
+  if (store.phone) doc.text(`Phone: ${store.phone}`, { width: 280 })
+  const sellerBottom = doc.y
+
+  const detailsX = PAGE_MARGIN + 300
+  const detailsWidth = contentWidth - 300
+  doc
+    .fillColor("black")
+    .font(BOLD_FONT)
+    .fontSize(16)
+    .text(title.toUpperCase(), detailsX, top, { width: detailsWidth, align: "right" })
+  doc.moveDown(0.5).fontSize(8.5)
+  details.forEach(([label, value]) => {
+    const y = doc.y
+    doc
+      .font(FONT)
+      .fillColor(MUTED_COLOR)
+      .text(label, detailsX, y, { width: detailsWidth / 2 })
+    doc
+      .font(BOLD_FONT)
+      .fillColor("black")
+      .text(value || "-", detailsX + detailsWidth / 2, y, { width: detailsWidth / 2, align: "right" })
+  })
+
+  // Buyer
+  const y = Math.max(sellerBottom, doc.y) + 15
+  doc
+    .moveTo(PAGE_MARGIN, y)
+    .lineTo(PAGE_MARGIN + contentWidth, y)
+    .strokeColor(BORDER_COLOR)
+    .lineWidth(0.5)
+    .stroke()
+  doc
+    .font(BOLD_FONT)
+    .fontSize(9)
+    .fillColor("black")
+    .text("Bill To / Ship To", PAGE_MARGIN, y + 8, { width: 300 })
+  doc
+    .font(FONT)
+    .fontSize(8.5)
+    .text(customer.name || "", { width: 300 })
+  doc.fillColor(MUTED_COLOR)
+  formatAddress(customer.address).forEach((line) => doc.text(line, { width: 300 }))
+  if (customer.phone) doc.text(`Phone: ${customer.phone}`, { width: 300 })
+  if (customer.email) doc.text(`Email: ${customer.email}`, { width: 300 })
+  const buyerBottom = doc.y
+  if (placeOfSupply) {
+    doc
+      .fillColor("black")
+      .font(BOLD_FONT)
+      .text("Place of Supply", detailsX, y + 8, { width: detailsWidth, align: "right" })
+      .font(FONT)
+      .text(placeOfSupply, { width: detailsWidth, align: "right" })
+  }
+  return Math.max(buyerBottom, doc.y) + 15
+}
+
+/**
+ * Draw the totals below the item table, the amount in words, a note and the signature block.
+ * @param {object} options - { totals: [[label, value]], totalLabel, total, remark, amountInWords, note, signatory, y }
+ */
+const drawDocumentFooter = (doc, { totals, totalLabel, total, remark, amountInWords, note, signatory, y }) => {
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2
+  if (y + (totals.length + 5) * 14 > doc.page.height - PAGE_MARGIN - 30) {
+    doc.addPage()
+    y = PAGE_MARGIN
+  }
+  y += 10
+  const totalsX = PAGE_MARGIN + contentWidth - 240
+  totals.forEach(([label, value]) => {
+    doc.font(FONT).fontSize(8.5).fillColor(MUTED_COLOR).text(label, totalsX, y, { width: 130 })
+    doc.fillColor("black").text(value, totalsX + 130, y, { width: 110, align: "right" })
+    y += 14
+  })
+  doc
+    .moveTo(totalsX, y)
+    .lineTo(totalsX + 240, y)
+    .strokeColor(BORDER_COLOR)
+    .lineWidth(0.5)
+    .stroke()
+  y += 5
+  doc.font(BOLD_FONT).fontSize(10).text(totalLabel, totalsX, y, { width: 130 })
+  doc.text(total, totalsX + 130, y, { width: 110, align: "right" })
+  y += 16
+  if (remark) {
+    doc.font(FONT).fontSize(7.5).fillColor(MUTED_COLOR).text(remark, totalsX, y, { width: 240 })
+    y += 12
+  }
+
+  doc
+    .font(BOLD_FONT)
+    .fontSize(8.5)
+    .fillColor("black")
+    .text("Amount in words: ", PAGE_MARGIN, y + 6, { continued: true, width: contentWidth })
+    .font(FONT)
+    .text(amountInWords)
+
+  if (note) {
+    doc.moveDown().fontSize(8).fillColor(MUTED_COLOR).text(note, PAGE_MARGIN, doc.y, { width: 300 })
+  }
+
+  // Signature block
+  const signatureY = Math.max(doc.y + 25, y + 40)
+  doc
+    .font(BOLD_FONT)
+    .fontSize(8.5)
+    .fillColor("black")
+    .text(`For ${signatory}`, totalsX, signatureY, { width: 240, align: "right" })
+    .moveDown(2.5)
+    .font(FONT)
+    .text("Authorised Signatory", { width: 240, align: "right" })
+}
+
+// GST lines of the totals block for the type of supply
+const getTaxTotals = (supplyType, { taxableValue, cgst, sgst, igst }, currency) => {
+  const money = (amount) => formatAmount(amount, currency)
+  if (supplyType === "none") return []
+  return [
+    ["Taxable Value", money(taxableValue)],
+    ...(supplyType === "intra_state"
+      ? [
+          ["CGST", money(cgst)],
+          ["SGST", money(sgst)],
+        ]
+      : [["IGST", money(igst)]]),
+  ]
+}
+
+/**
+ * Render the invoice PDF.
+ * @param {object} invoice - from getInvoice() (must have an invoice number)
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = async (invoice) => {
+  const { store, summary, currency } = invoice
+  const supplyType = summary.taxBreakdown?.supplyType || "none"
+  const money = (amount) => formatAmount(amount, currency)
+
+  const doc = createDocument({ info: { Title: `${invoice.title} ${invoice.invoiceNumber}`, Author: store.legalName } })
+  const tableY = drawDocumentHeader(doc, {
+    title: invoice.title,
+    details: [
+      ["Invoice No", invoice.invoiceNumber],
+      ["Invoice Date", formatDate(invoice.invoiceDate)],
+      ["Order No", invoice.order.orderNumber],
+      ["Order Date", formatDate(invoice.order.createdAt)],
+      ["Payment", invoice.order.paymentMethod === "cod" ? "Cash on delivery" : "Prepaid"],
+    ],
+    store,
+    customer: invoice.customer,
+    placeOfSupply: invoice.placeOfSupply,
+    logo: await loadImage(store.logo),
+  })
+
+  // Items (cancelled lines are left out)
+  const y = drawTable(doc, {
+    columns: getItemColumns(supplyType),
+    rows: invoice.items
+      .filter((item) => item.quantity > 0)
+      .map((item, index) => getItemRow(item, index, supplyType, currency)),
+    y: tableY,
+  })
+
+  drawDocumentFooter(doc, {
+    totals: [
+      ["Subtotal", money(summary.subtotal)],
+      ...(summary.discount > 0 ? [["Discount", `- ${money(summary.discount)}`]] : []),
+      ...getTaxTotals(supplyType, summary.taxBreakdown || {}, currency),
+      ...(summary.shipping > 0 ? [["Shipping", money(summary.shipping)]] : []),
+      ...(summary.codFee > 0 ? [["COD Fee", money(summary.codFee)]] : []),
+    ],
+    totalLabel: `Total (${currency})`,
+    total: money(summary.total),
+    remark: summary.taxBreakdown?.inclusive ? "Prices include GST" : "",
+    amountInWords: invoice.amountInWords,
+    note: invoice.footerNote,
+    signatory: store.legalName,
+    y,
+  })
+
+  addPageNumbers(doc, "This is a computer generated invoice.")
+  return toBuffer(doc)
+}
+
+/**
+ * Email the order confirmation to the customer, with the invoice PDF attached when
+ * the order can already be invoiced (paid or confirmed) and Settings.invoice allows it.
+ * Failures are logged - the order itself is not affected.
+ */
+const sendOrderConfirmation = async (tenantDB, order, { storeName } = {}) => {
+  const { sendOrderConfirmationEmail } = require("../config/email")
+  const Settings = require("../models/tenant/Settings")(tenantDB)
+  const email = order.customerInfo?.email
+  if (!email) return { success: false, error: "No email address" }
+
+  try {
+    const settings = await Settings.findOne().select("general.storeName general.currency invoice").lean()
+    const attachments = []
+    if (settings?.invoice?.attachToConfirmationEmail !== false && canInvoiceOrder(order)) {
+      const invoice = await getInvoice(tenantDB, order, { storeName })
+      if (invoice.invoiceNumber) {
+        attachments.push({
+          filename: `${invoice.invoiceNumber}.pdf`,
+          content: await renderInvoicePdf(invoice),
+          contentType: "application/pdf",
+        })
+      }
+    }
+
+    return await sendOrderConfirmationEmail(email, {
+      name: order.customerInfo?.name,
+      storeName: settings?.general?.storeName || storeName,
+      currency: settings?.general?.currency || "INR",
+      order,
+      attachments,
+    })
+  } catch (error) {
+    console.error(`❌ Failed to send confirmation of order ${order.orderNumber}:`, error.message)
+    return { success: false, error: error.message }
+  }
+}
+
+module.exports = {
+  numberToWords,
+  amountInWords,
+  getSellerDetails,
+  getItemColumns,
+  getItemRow,
+  getTaxTotals,
+  drawDocumentHeader,
+  drawDocumentFooter,
+  getInvoice,
+  renderInvoicePdf,
+  sendOrderConfirmation,
+}
@@ -0,0 +1,272 @@
+// Order, invoice, credit note, return (RMA) and draft order numbers from per-tenant Counter documents.
+// Order, invoice and credit note formats come from Settings.numbering, returns and drafts always use the defaults:
+// PREFIX-YEAR-000123 with a yearly reset, PREFIX-000123 without.
+// Order numbers only need to be unique. Invoice numbers must form a gap-free series, so a number is
+// taken under a lock on the counter and only released once it is stored on the order.
+
+const NUMBERING_DEFAULTS = {
+  order: { prefix: "ORD", padding: 6, yearlyReset: true },
+  invoice: { prefix: "INV", padding: 6, yearlyReset: true },
+  creditNote: { prefix: "CN", padding: 6, yearlyReset: true },
+  return: { prefix: "RMA", padding: 6, yearlyReset: true },
+  draft: { prefix: "DRAFT", padding: 6, yearlyReset: false },
+  yearStartMonth: 1,
+}
+
+// An invoice number taken longer ago than this without being stored is completed by the next request
+const PENDING_INVOICE_TIMEOUT_MS = 30 * 1000
+const INVOICE_LOCK_RETRIES = 50
+const INVOICE_LOCK_RETRY_DELAY_MS = 100
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Numbering settings of one series with defaults filled in
+const getSeriesSettings = (settings, series) => {
+  const config = settings?.numbering?.[series] || {}
+  const defaults = NUMBERING_DEFAULTS[series]
+  return {
+    prefix: (config.prefix || defaults.prefix).trim().toUpperCase(),
+    padding: Math.min(12, Math.max(1, Number(config.padding) || defaults.padding)),
+    yearlyReset: config.yearlyReset !== undefined ? config.yearlyReset !== false : defaults.yearlyReset,
+    yearStartMonth: Math.min(12, Math.max(1, Number(settings?.numbering?.yearStartMonth) || 1)),
+    timezone: settings?.general?.timezone || "Asia/Kolkata",
+  }
+}
+
+/**
+ * Numbering year of a date in the store timezone. With yearStartMonth 4 (Indian financial year)
+ * 15 March 2026 belongs to 2025 and 1 April 2026 to 2026.
+ */
+const getNumberingYear = (date, { timezone = "UTC", yearStartMonth = 1 } = {}) => {
+  const getParts = (timeZone) =>
+    new Intl.DateTimeFormat("en-US", { timeZone, year: "numeric", month: "numeric" }).formatToParts(date)
+  let parts
+  try {
+    parts = getParts(timezone)
+  } catch (error) {
+    parts = getParts("UTC")
+  }
+  const year = Number(parts.find((part) => part.type === "year").value)
+  const month = Number(parts.find((part) => part.type === "month").value)
+  return month >= yearStartMonth ? year : year - 1
+}
+
+// Counter document and number formatter for a series at a date
+const getSeriesPeriod = (series, seriesSettings, date = new Date()) => {
+  const year = seriesSettings.yearlyReset ? getNumberingYear(date, seriesSettings) : null
+  return {
+    counterName: year ? `${series}:${year}` : `${series}:all`,
+    format: (seq) =>
+      [seriesSettings.prefix, year, String(seq).padStart(seriesSettings.padding, "0")].filter(Boolean).join("-"),
+  }
+}
+
+// Take the next number of a series that only needs unique numbers (orders, returns, credit notes, drafts)
+const nextSeriesNumber = async (tenantDB, series, date = new Date()) => {
+  const Counter = require("../models/tenant/Counter")(tenantDB)
+  const Settings = require("../models/tenant/Settings")(tenantDB)
+  const settings = await Settings.findOne()
+
+  const { counterName, format } = getSeriesPeriod(series, getSeriesSettings(settings, series), date)
+  const seq = await Counter.next(counterName)
+  return format(seq)
+}
+
+/**
+ * Next order number, e.g. "ORD-2026-000123".
+ * @returns {Promise<string>}
+ */
+const nextOrderNumber = (tenantDB, date = new Date()) => nextSeriesNumber(tenantDB, "order", date)
+
+/**
+ * Next return (RMA) number, e.g. "RMA-2026-000042".
+ * @returns {Promise<string>}
+ */
+const nextReturnNumber = (tenantDB, date = new Date()) => nextSeriesNumber(tenantDB, "return", date)
+
+/**
+ * Next draft order number, e.g. "DRAFT-000015" (drafts are not orders - they get an order number when completed).
+ * @returns {Promise<string>}
+ */
+const nextDraftNumber = (tenantDB, date = new Date()) => nextSeriesNumber(tenantDB, "draft", date)
+
+/**
+ * Next credit note number, e.g. "CN-2026-000007". Credit notes are only numbered once everything
+ * they need has been worked out, so a number is not taken without a credit note being stored.
+ * @returns {Promise<string>}
+ */
+const nextCreditNoteNumber = (tenantDB, date = new Date()) => nextSeriesNumber(tenantDB, "creditNote", date)
+
+// Number the next order / invoice / credit note would get (does not take it)
+const previewNextNumber = async (tenantDB, series, settings, date = new Date()) => {
+  const Counter = require("../models/tenant/Counter")(tenantDB)
+  const { counterName, format } = getSeriesPeriod(series, getSeriesSettings(settings, series), date)
+  const counter = await Counter.findById(counterName)
+  return format((counter?.seq || 0) + 1)
+}
+
+// Orders get an invoice once they are confirmed or paid (never while pending or after cancellation)
+const canInvoiceOrder = (order) =>
+  order.status !== "cancelled" &&
+  (["paid", "partially_refunded", "refunded"].includes(order.paymentStatus) ||
+    ["confirmed", "processing", "shipped", "delivered"].includes(order.status))
+
+// Order line fields printed on the invoice
+const INVOICE_LINE_FIELDS = [
+  "productId",
+  "name",
+  "variantName",
+  "sku",
+  "hsnCode",
+  "price",
+  "quantity",
+  "total",
+  "discount",
+  "taxRate",
+  "taxableValue",
+  "taxAmount",
+  "cgst",
+  "sgst",
+  "igst",
+]
+// Order fields the invoice snapshot is taken from
+const INVOICE_SOURCE_FIELDS =
+  "invoiceNumber customerInfo items subtotal discount taxBreakdown tax shipping codFee total"
+
+// Invoice of an order as issued, kept on the order so later changes (cancelled items, edits...) are
+// reported through credit notes instead of changing the invoice
+const getInvoiceSnapshot = (order) => ({
+  invoiceTotals: {
+    supplyType: order.taxBreakdown?.supplyType || "none",
+    inclusive: !!order.taxBreakdown?.inclusive,
+    subtotal: order.subtotal || 0,
+    discount: order.discount || 0,
+    taxableValue: order.taxBreakdown?.taxableValue || 0,
+    cgst: order.taxBreakdown?.cgst || 0,
+    sgst: order.taxBreakdown?.sgst || 0,
+    igst: order.taxBreakdown?.igst || 0,
+    tax: order.tax || 0,
+    shipping: order.shipping || 0,
+    codFee: order.codFee || 0,
+    total: order.total || 0,
+  },
+  invoiceLines: order.items
+    .filter((item) => item.quantity > 0)
+    .map((item) => Object.fromEntries(INVOICE_LINE_FIELDS.map((field) => [field, item[field]]))),
+  invoiceCustomerInfo: order.customerInfo,
+})
+
+// Store the number of a stale pending invoice assignment (or give it back if its order is gone)
+const completePendingInvoice = async (tenantDB, counter, format) => {
+  const Counter = require("../models/tenant/Counter")(tenantDB)
+  const Order = require("../models/tenant/Order")(tenantDB)
+  const release = { $set: { pendingOrderId: null }, $unset: { pendingNumber: 1, pendingSince: 1 } }
+  const pendingNumber = counter.pendingNumber || format(counter.seq)
+
+  const order = await Order.findById(counter.pendingOrderId).select(INVOICE_SOURCE_FIELDS)
+  if (order && !order.invoiceNumber) {
+    await Order.updateOne(
+      { _id: order._id, invoiceNumber: null },
+      {
+        $set: {
+          invoiceNumber: pendingNumber,
+          invoicedAt: counter.pendingSince,
+          ...getInvoiceSnapshot(order),
+        },
+      },
+    )
+  }
+
+  const stored = order && (await Order.exists({ _id: order._id, invoiceNumber: pendingNumber }))
+  if (stored) {
+    await Counter.updateOne({ _id: counter._id, pendingOrderId: counter.pendingOrderId }, release)
+  } else {
+    // Nobody could take a number while the lock was held, so the sequence can step back
+    await Counter.updateOne(
+      { _id: counter._id, pendingOrderId: counter.pendingOrderId, seq: counter.seq },
+      { ...release, $inc: { seq: -1 } },
+    )
+  }
+  console.log(`🧾 Completed pending invoice number ${pendingNumber} of ${counter._id}`)
+}
+
+/**
+ * Give an order its invoice number from the gap-free invoice series (no-op if it already has one).
+ * @returns {Promise<object|null>} the order with invoiceNumber / invoicedAt, or null if it cannot be invoiced yet
+ */
+const assignInvoiceNumber = async (tenantDB, orderId) => {
+  const Counter = require("../models/tenant/Counter")(tenantDB)
+  const Order = require("../models/tenant/Order")(tenantDB)
+  const Settings = require("../models/tenant/Settings")(tenantDB)
+
+  for (let attempt = 0; attempt < INVOICE_LOCK_RETRIES; attempt++) {
+    const order = await Order.findById(orderId)
+    if (!order) return null
+    if (order.invoiceNumber) return order
+    if (!canInvoiceOrder(order)) return null
+
+    const invoicedAt = new Date()
+    const settings = await Settings.findOne()
+    const { counterName, format } = getSeriesPeriod("invoice", getSeriesSettings(settings, "invoice"), invoicedAt)
+
+    // Take the next number and lock the series until it is stored on the order
+    let counter
+    try {
+      counter = await Counter.findOneAndUpdate(
+        { _id: counterName, pendingOrderId: null },
+        { $inc: { seq: 1 }, $set: { pendingOrderId: order._id, pendingSince: invoicedAt } },
+        { upsert: true, new: true },
+      )
+    } catch (error) {
+      if (error.code !== 11000) throw error
+      // Another invoice is being numbered - complete it if it got stuck, otherwise wait for it
+      const locked = await Counter.findById(counterName)
+      if (locked?.pendingOrderId && Date.now() - locked.pendingSince > PENDING_INVOICE_TIMEOUT_MS) {
+        await completePendingInvoice(tenantDB, locked, format)
+      } else {
+        await sleep(INVOICE_LOCK_RETRY_DELAY_MS)
+      }
+      continue
+    }
+
+    const invoiceNumber = format(counter.seq)
+    await Counter.updateOne({ _id: counterName, pendingOrderId: order._id }, { $set: { pendingNumber: invoiceNumber } })
+
+    await Order.updateOne(
+      { _id: order._id, invoiceNumber: null },
+      { $set: { invoiceNumber, invoicedAt, ...getInvoiceSnapshot(order) } },
+    )
+    const stored = await Order.exists({ _id: order._id, invoiceNumber })
+    await Counter.updateOne(
+      stored
+        ? { _id: counterName, pendingOrderId: order._id }
+        : { _id: counterName, pendingOrderId: order._id, seq: counter.seq },
+      {
+        $set: { pendingOrderId: null },
+        $unset: { pendingNumber: 1, pendingSince: 1 },
+        ...(stored ? {} : { $inc: { seq: -1 } }),
+      },
+    )
+
+    if (stored) {
+      console.log(`🧾 Invoice ${invoiceNumber} issued for order ${order.orderNumber}`)
+    }
+    // Not stored means the order got its number from a concurrent request - the next loop returns it
+  }
+
+  throw new Error("Invoice numbering is busy, please try again")
+}
+
+module.exports = {
+  NUMBERING_DEFAULTS,
+  getSeriesSettings,
+  getNumberingYear,
+  getSeriesPeriod,
+  nextOrderNumber,
+  nextReturnNumber,
+  nextCreditNoteNumber,
+  nextDraftNumber,
+  previewNextNumber,
+  canInvoiceOrder,
+  assignInvoiceNumber,
+}
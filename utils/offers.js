@@ -0,0 +1,412 @@
+// Offer engine shared by checkout, order creation and the coupon preview.
+// Evaluates coupon codes and automatic offers (public offers without a code) against cart lines,
+// then picks which offers apply using priority and stacking rules:
+// - a coupon entered by the customer is always tried first
+// - otherwise the highest priority automatic offer is picked
+// - further offers are only added when they and every offer already picked are stackable
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100
+
+// Attach the product category to each line so category-scoped offers can be checked
+const withCategories = async (tenantDB, lines) => {
+  const Product = require("../models/tenant/Product")(tenantDB)
+  const missing = lines.filter((line) => line.categoryId === undefined).map((line) => line.productId)
+  if (missing.length === 0) return lines
+
+  const products = await Product.find({ _id: { $in: missing } })
+    .select("category")
+    .lean()
+  const categoryByProduct = new Map(products.map((product) => [product._id.toString(), product.category]))
+
+  return lines.map((line) => ({
+    ...line,
+    categoryId: line.categoryId !== undefined ? line.categoryId : categoryByProduct.get(line.productId.toString()) || null,
+  }))
+}
+
+// Lines of the order that an offer applies to (all lines if the offer is not scoped)
+const getEligibleLines = (offer, lines) => {
+  const productIds = (offer.applicableProducts || []).map((id) => id.toString())
+  const categoryIds = (offer.applicableCategories || []).map((id) => id.toString())
+
+  if (productIds.length === 0 && categoryIds.length === 0) {
+    return lines
+  }
+
+  return lines.filter(
+    (line) =>
+      productIds.includes(line.productId.toString()) ||
+      (line.categoryId && categoryIds.includes(line.categoryId.toString())),
+  )
+}
+
+// Snapshot of the offer stored on the order
+const buildOfferSnapshot = (offer, { discount, eligibleSubtotal, freeShipping }) => ({
+  offerId: offer._id,
+  code: offer.code,
+  title: offer.title,
+  type: offer.type,
+  value: offer.value,
+  maxDiscount: offer.maxDiscount,
+  minOrderValue: offer.minOrderValue,
+  automatic: !offer.code,
+  freeShipping: !!freeShipping,
+  eligibleSubtotal: roundAmount(eligibleSubtotal),
+  discount: roundAmount(discount),
+  appliedAt: new Date(),
+})
+
+// Customer specific rules: first order only and per-customer usage caps
+const checkCustomerEligibility = async (tenantDB, offer, customer) => {
+  if (offer.firstOrderOnly) {
+    if (customer?._id) {
+      const Order = require("../models/tenant/Order")(tenantDB)
+      const previousOrder = await Order.exists({ customerId: customer._id, status: { $ne: "cancelled" } })
+      if (previousOrder) {
+        return { success: false, error: "This offer is only valid on your first order", code: "OFFER_FIRST_ORDER_ONLY" }
+      }
+    }
+  }
+
+  if (offer.perCustomerLimit) {
+    if (!customer?._id) {
+      return { success: false, error: "Please log in to use this offer", code: "LOGIN_REQUIRED" }
+    }
+    const OfferRedemption = require("../models/tenant/OfferRedemption")(tenantDB)
+    const used = await OfferRedemption.countDocuments({
+      offerId: offer._id,
+      customerId: customer._id,
+      status: "active",
+    })
+    if (used >= offer.perCustomerLimit) {
+      return {
+        success: false,
+        error: "You have already used this offer the maximum number of times",
+        code: "OFFER_CUSTOMER_LIMIT_REACHED",
+      }
+    }
+  }
+
+  return { success: true }
+}
+
+/**
+ * Evaluate a single offer against cart lines (lines must already carry categoryId).
+ * @returns {Promise<{success: boolean, offer?: object, discount?: number, freeShipping?: boolean, error?: string, code?: string}>}
+ */
+const evaluateOffer = async (tenantDB, offer, lines, customer) => {
+  if (!offer.isValid) {
+    const exhausted = offer.usageLimit !== null && offer.usedCount >= offer.usageLimit
+    return {
+      success: false,
+      error: exhausted ? "This coupon has reached its usage limit" : "This coupon is not active or has expired",
+      code: exhausted ? "COUPON_USAGE_LIMIT_REACHED" : "COUPON_EXPIRED",
+    }
+  }
+
+  const eligibleLines = getEligibleLines(offer, lines)
+  if (eligibleLines.length === 0) {
+    return {
+      success: false,
+      error: "This coupon does not apply to the items in your cart",
+      code: "COUPON_NOT_APPLICABLE",
+    }
+  }
+
+  const eligibility = await checkCustomerEligibility(tenantDB, offer, customer)
+  if (!eligibility.success) {
+    return eligibility
+  }
+
+  const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.total, 0)
+  const result = offer.applyOffer(
+    eligibleSubtotal,
+    eligibleLines.map((line) => line.productId),
+    eligibleLines,
+  )
+
+  if (!result.success) {
+    return { success: false, error: result.message, code: "COUPON_NOT_APPLICABLE" }
+  }
+
+  const discount = roundAmount(Math.min(result.discount, eligibleSubtotal))
+  return {
+    success: true,
+    offer,
+    discount,
+    freeShipping: !!result.freeShipping,
+    eligibleSubtotal,
+  }
+}
+
+// Currently running automatic offers, highest priority first
+const findAutomaticOffers = (tenantDB) => {
+  const Offer = require("../models/tenant/Offer")(tenantDB)
+  const now = new Date()
+  return Offer.find({
+    isActive: true,
+    isPublic: true,
+    startDate: { $lte: now },
+    endDate: { $gte: now },
+    $or: [{ code: null }, { code: "" }],
+  }).sort({ priority: -1, createdAt: 1 })
+}
+
+/**
+ * Work out the offers and discount for a cart.
+ * A coupon code that can't be applied is an error; automatic offers that don't apply are skipped.
+ * @returns {Promise<{success: boolean, discount?: number, freeShipping?: boolean, appliedOffers?: object[], appliedOffer?: object, error?: string, code?: string}>}
+ */
+const evaluateOffers = async (tenantDB, { lines, couponCode, customer = null }) => {
+  const Offer = require("../models/tenant/Offer")(tenantDB)
+  const cartLines = await withCategories(tenantDB, lines)
+
+  let coupon = null
+  if (couponCode) {
+    const code = String(couponCode).trim().toUpperCase()
+    const offer = code ? await Offer.findOne({ code }) : null
+    if (!offer) {
+      return { success: false, error: "Invalid coupon code", code: "INVALID_COUPON" }
+    }
+    coupon = await evaluateOffer(tenantDB, offer, cartLines, customer)
+    if (!coupon.success) {
+      return coupon
+    }
+  }
+
+  const automatic = []
+  for (const offer of await findAutomaticOffers(tenantDB)) {
+    const result = await evaluateOffer(tenantDB, offer, cartLines, customer)
+    if (result.success && (result.discount > 0 || result.freeShipping)) {
+      automatic.push(result)
+    }
+  }
+  automatic.sort((a, b) => (b.offer.priority || 0) - (a.offer.priority || 0) || b.discount - a.discount)
+
+  // Apply stacking rules
+  const selected = coupon ? [coupon] : []
+  for (const candidate of automatic) {
+    if (selected.length === 0) {
+      selected.push(candidate)
+    } else if (candidate.offer.stackable && selected.every((s) => s.offer.stackable)) {
+      selected.push(candidate)
+    }
+  }
+
+  // Combined discount can't exceed the order subtotal
+  let remaining = roundAmount(cartLines.reduce((sum, line) => sum + line.total, 0))
+  const appliedOffers = selected.map((result) => {
+    const discount = Math.min(result.discount, remaining)
+    remaining = roundAmount(remaining - discount)
+    return buildOfferSnapshot(result.offer, { ...result, discount })
+  })
+
+  const discount = roundAmount(appliedOffers.reduce((sum, offer) => sum + offer.discount, 0))
+
+  return {
+    success: true,
+    discount,
+    freeShipping: appliedOffers.some((offer) => offer.freeShipping),
+    appliedOffers,
+    // Primary offer shown on invoices: the coupon if one was used, otherwise the first automatic offer
+    appliedOffer: appliedOffers[0] || null,
+  }
+}
+
+/**
+ * Work out the discount of the offers already applied to an order for its changed lines (items cancelled).
+ * Offers are applied as they were when the order was placed - validity and customer rules are not checked
+ * again - but an offer is dropped when the lines no longer qualify (minimum order value, BOGO groups).
+ * An offer deleted since keeps its original discount, scaled down with the remaining order value.
+ * @returns {Promise<{success: boolean, discount: number, freeShipping: boolean, appliedOffers: object[], appliedOffer: object|null}>}
+ */
+const reapplyOffers = async (tenantDB, { lines, appliedOffers = [] }) => {
+  const Offer = require("../models/tenant/Offer")(tenantDB)
+  const cartLines = await withCategories(tenantDB, lines)
+  const offerIds = appliedOffers.map((applied) => applied.offerId).filter(Boolean)
+  const offers = offerIds.length > 0 ? await Offer.find({ _id: { $in: offerIds } }) : []
+  const offerById = new Map(offers.map((offer) => [offer._id.toString(), offer]))
+
+  const subtotal = roundAmount(cartLines.reduce((sum, line) => sum + line.total, 0))
+  let remaining = subtotal
+  const reapplied = []
+  for (const applied of appliedOffers) {
+    const snapshot = typeof applied.toObject === "function" ? applied.toObject() : applied
+    const offer = snapshot.offerId && offerById.get(snapshot.offerId.toString())
+
+    let result
+    if (offer) {
+      const eligibleLines = getEligibleLines(offer, cartLines)
+      const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.total, 0)
+      const applyResult =
+        eligibleLines.length > 0
+          ? offer.applyOffer(
+              eligibleSubtotal,
+              eligibleLines.map((line) => line.productId),
+              eligibleLines,
+              { ignoreValidity: true },
+            )
+          : { success: false }
+      if (!applyResult.success) continue
+      result = {
+        discount: Math.min(applyResult.discount, eligibleSubtotal),
+        eligibleSubtotal,
+        freeShipping: !!applyResult.freeShipping,
+      }
+    } else {
+      const ratio = snapshot.eligibleSubtotal > 0 ? Math.min(1, subtotal / snapshot.eligibleSubtotal) : 1
+      result = {
+        discount: (snapshot.discount || 0) * ratio,
+        eligibleSubtotal: Math.min(subtotal, snapshot.eligibleSubtotal || subtotal),
+        freeShipping: !!snapshot.freeShipping,
+      }
+    }
+
+    const discount = roundAmount(Math.min(result.discount, remaining))
+    remaining = roundAmount(remaining - discount)
+    reapplied.push({
+      ...snapshot,
+      freeShipping: result.freeShipping,
+      eligibleSubtotal: roundAmount(result.eligibleSubtotal),
+      discount,
+    })
+  }
+
+  return {
+    success: true,
+    discount: roundAmount(reapplied.reduce((sum, offer) => sum + offer.discount, 0)),
+    freeShipping: reapplied.some((offer) => offer.freeShipping),
+    appliedOffers: reapplied,
+    appliedOffer: reapplied[0] || null,
+  }
+}
+
+/**
+ * Count one use of an offer. Uses a conditional update so the usage limit
+ * can't be exceeded when several orders use the last redemption at once.
+ * @returns {Promise<object|null>} the updated offer, or null if it is no longer redeemable
+ */
+const redeemOffer = async (tenantDB, offerId) => {
+  const Offer = require("../models/tenant/Offer")(tenantDB)
+  const now = new Date()
+
+  const updated = await Offer.findOneAndUpdate(
+    {
+      _id: offerId,
+      isActive: true,
+      startDate: { $lte: now },
+      endDate: { $gte: now },
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true },
+  )
+
+  if (updated) {
+    console.log(`🎟️ Offer redeemed: ${updated.code || updated.title} (${updated.usedCount}/${updated.usageLimit ?? "∞"})`)
+  }
+  return updated
+}
+
+// Give back one use of an offer (order not placed or cancelled)
+const releaseOffer = async (tenantDB, offerId) => {
+  const Offer = require("../models/tenant/Offer")(tenantDB)
+  await Offer.updateOne({ _id: offerId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } })
+}
+
+/**
+ * Redeem every offer applied to a new order: global usage count plus a redemption record
+ * per customer. Everything is rolled back if one of the offers can no longer be used.
+ */
+const redeemOrderOffers = async (tenantDB, { orderId, customerId = null, appliedOffers = [] }) => {
+  const OfferRedemption = require("../models/tenant/OfferRedemption")(tenantDB)
+  const done = []
+
+  const rollback = async () => {
+    for (const { offerId, redemptionId } of done) {
+      await releaseOffer(tenantDB, offerId)
+      if (redemptionId) await OfferRedemption.deleteOne({ _id: redemptionId })
+    }
+  }
+
+  for (const applied of appliedOffers) {
+    const offer = await redeemOffer(tenantDB, applied.offerId)
+    if (!offer) {
+      await rollback()
+      return {
+        success: false,
+        error: `${applied.code ? "This coupon" : `Offer "${applied.title}"`} has reached its usage limit`,
+        code: "COUPON_USAGE_LIMIT_REACHED",
+      }
+    }
+
+    const redemption = await OfferRedemption.create({
+      offerId: applied.offerId,
+      customerId,
+      orderId,
+      code: applied.code,
+      discount: applied.discount,
+    })
+    done.push({ offerId: applied.offerId, redemptionId: redemption._id })
+
+    // Re-check the per-customer cap now that this redemption is recorded (guards concurrent orders)
+    if (offer.perCustomerLimit && customerId) {
+      const used = await OfferRedemption.countDocuments({ offerId: offer._id, customerId, status: "active" })
+      if (used > offer.perCustomerLimit) {
+        await rollback()
+        return {
+          success: false,
+          error: "You have already used this offer the maximum number of times",
+          code: "OFFER_CUSTOMER_LIMIT_REACHED",
+        }
+      }
+    }
+  }
+
+  return { success: true, rollback }
+}
+
+// Release the offer uses of a cancelled order - only the first call has an effect
+const releaseOrderOffer = async (tenantDB, order) => {
+  const appliedOffers = order.appliedOffers?.length
+    ? order.appliedOffers
+    : order.appliedOffer?.offerId
+      ? [order.appliedOffer]
+      : []
+  if (appliedOffers.length === 0) return false
+
+  const Order = require("../models/tenant/Order")(tenantDB)
+  const OfferRedemption = require("../models/tenant/OfferRedemption")(tenantDB)
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, offerUsageReleased: { $ne: true } },
+    { $set: { offerUsageReleased: true } },
+  )
+  if (!claimed) return false
+
+  for (const applied of appliedOffers) {
+    await releaseOffer(tenantDB, applied.offerId)
+  }
+  await OfferRedemption.updateMany(
+    { orderId: order._id, status: "active" },
+    { $set: { status: "released", releasedAt: new Date() } },
+  )
+
+  order.offerUsageReleased = true
+  console.log(`🎟️ Offer usage released for order: ${order.orderNumber}`)
+  return true
+}
+
+module.exports = {
+  roundAmount,
+  withCategories,
+  getEligibleLines,
+  buildOfferSnapshot,
+  evaluateOffer,
+  evaluateOffers,
+  reapplyOffers,
+  redeemOffer,
+  releaseOffer,
+  redeemOrderOffers,
+  releaseOrderOffer,
+}
@@ -0,0 +1,845 @@
+// Changes to the items of a placed order: cancelling some items or quantities while the rest goes ahead,
+// and store edits of an unshipped order (shipping address, lines, variants and quantities).
+// The order is re-priced with the checkout pricing code (utils/pricing.js) using the prices and offers it was
+// placed with, stock is held or released for the changed units, prepaid orders get a lower total refunded
+// (or a higher one added to the balance due) and invoiced orders a credit note for a reduction.
+const mongoose = require("mongoose")
+const { priceOrder, buildOrderLine } = require("./pricing")
+const { roundAmount } = require("./offers")
+const { adjustStock, reserveStock, returnLinesStock, orderReference } = require("./inventory")
+const { transitionOrder } = require("./orderLifecycle")
+const { getRefundSummary, createRefund, executeRefund } = require("./refunds")
+const { issueCancellationCreditNote, issueOrderEditCreditNote } = require("./creditNotes")
+
+// Statuses in which customers (before shipping) and the store (before delivery) can cancel items
+const CUSTOMER_CANCELLABLE_STATUSES = ["pending", "confirmed", "processing"]
+const ADMIN_CANCELLABLE_STATUSES = ["pending", "confirmed", "processing", "shipped"]
+
+// Statuses in which the store can edit the address and items of an order (before it ships)
+const EDITABLE_STATUSES = ["pending", "confirmed", "processing"]
+
+// Payment statuses in which cancelled items are refunded
+const PREPAID_STATUSES = ["paid", "partially_refunded"]
+
+// Order line fields that come from re-pricing
+const PRICED_FIELDS = ["quantity", "total", "discount", "taxRate", "taxableValue", "taxAmount", "cgst", "sgst", "igst"]
+
+const SYSTEM_ACTOR = { type: "system", name: "System" }
+
+const toActor = (actor = SYSTEM_ACTOR) => ({
+  type: actor.type || "system",
+  id: actor.id ? String(actor.id) : undefined,
+  name: actor.name,
+})
+
+const describeLine = (item) => (item.variantName ? `${item.name} (${item.variantName})` : item.name)
+
+// Address fields of Order.customerInfo.address (all but country are needed to ship)
+const ADDRESS_FIELDS = ["street", "city", "state", "zipCode", "country"]
+const REQUIRED_ADDRESS_FIELDS = ["name", "street", "city", "state", "zipCode"]
+
+/**
+ * Validate the items to cancel ({ orderItemId, quantity }, quantity defaults to all of the line).
+ * @returns {{errors: string[], cancelled: Map<string, number>}} order line _id -> quantity to cancel
+ */
+const parseCancelledItems = (order, items) => {
+  const cancelled = new Map()
+  if (!Array.isArray(items) || items.length === 0) {
+    return { errors: ["Select at least one item to cancel"], cancelled }
+  }
+
+  const errors = []
+  for (const requested of items) {
+    const id = requested?.orderItemId ? String(requested.orderItemId) : null
+    const item = id && order.items.find((line) => line._id.toString() === id)
+    if (!item) {
+      errors.push(`Order item not found: ${id}`)
+      continue
+    }
+
+    const open = (item.quantity || 0) - (cancelled.get(id) || 0)
+    if (open <= 0) {
+      errors.push(`${describeLine(item)} is already cancelled`)
+      continue
+    }
+    const quantity = requested.quantity === undefined ? open : Number(requested.quantity)
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > open) {
+      errors.push(`${describeLine(item)}: quantity must be a whole number between 1 and ${open}`)
+      continue
+    }
+    cancelled.set(id, (cancelled.get(id) || 0) + quantity)
+  }
+  return { errors, cancelled }
+}
+
+/**
+ * Price the lines that are left with the prices, tax rates, offers and staff discount the order was placed with.
+ * @param {object} options - { quantityOf(item) -> new quantity of an order line, added: new lines (catalog
+ *   price, with _id), shippingAddress (defaults to the order's) }
+ */
+const priceOrderItems = async (
+  tenantDB,
+  order,
+  { quantityOf, added = [], shippingAddress = order.customerInfo?.address },
+) => {
+  const Product = require("../models/tenant/Product")(tenantDB)
+  const remaining = order.items
+    .map((item) => ({ item, quantity: quantityOf(item) }))
+    .filter(({ quantity }) => quantity > 0)
+
+  const products = await Product.find({ _id: { $in: remaining.map(({ item }) => item.productId) } })
+    .select("dimensions category")
+    .lean()
+  const productById = new Map(products.map((product) => [product._id.toString(), product]))
+
+  const lines = remaining.map(({ item, quantity }) => {
+    const product = productById.get(item.productId.toString())
+    return {
+      ...item.toObject(),
+      quantity,
+      total: roundAmount(item.price * quantity),
+      taxPercentage: item.taxRate,
+      dimensions: product?.dimensions,
+      categoryId: product?.category || null,
+    }
+  })
+
+  const appliedOffers = order.appliedOffers?.length
+    ? order.appliedOffers
+    : order.appliedOffer?.offerId
+      ? [order.appliedOffer]
+      : []
+
+  return priceOrder(tenantDB, {
+    lines: [...lines, ...added],
+    shippingAddress,
+    paymentMethod: order.paymentMethod,
+    appliedOffers,
+    manualDiscount: order.manualDiscount,
+  })
+}
+
+// Order fields that come from re-pricing
+const getPricedFields = (pricing) => {
+  const { shippingDetails } = pricing
+  return {
+    subtotal: pricing.subtotal,
+    discount: pricing.discount,
+    tax: pricing.tax,
+    taxBreakdown: pricing.taxBreakdown,
+    shipping: pricing.shipping,
+    shippingDetails: {
+      zoneId: shippingDetails.zone?.id,
+      zoneName: shippingDetails.zone?.name,
+      rateType: shippingDetails.rateType,
+      chargeableWeight: shippingDetails.weight.chargeable,
+      shippingCharge: shippingDetails.shippingCharge,
+      freeReason: shippingDetails.freeReason,
+      deliveryTime: shippingDetails.estimate.text,
+    },
+    codFee: pricing.codFee,
+    total: pricing.total,
+    appliedOffers: pricing.appliedOffers,
+    appliedOffer: pricing.appliedOffer,
+    manualDiscount: pricing.manualDiscount,
+    freeShipping: pricing.freeShipping,
+  }
+}
+
+// Take units off an order line: backordered units go first, then units taken from stock
+const takeOffLine = (item, line, quantity) => {
+  const fromBackorder = Math.min(quantity, item.backorderedQuantity || 0)
+  const fromStock = Math.min(quantity - fromBackorder, item.reservedQuantity || 0)
+  line.backorderedQuantity = (item.backorderedQuantity || 0) - fromBackorder
+  line.reservedQuantity = (item.reservedQuantity || 0) - fromStock
+  return fromStock
+}
+
+// Give back the held stock of cancelled or removed units (backordered units were never taken from stock)
+const releaseItemStock = async (tenantDB, order, released, actor, reason = "Items cancelled") => {
+  const Product = require("../models/tenant/Product")(tenantDB)
+  const committed = order.stockReservation?.status === "committed"
+
+  for (const { item, quantity, fromStock } of released) {
+    try {
+      if (fromStock > 0) {
+        await adjustStock(Product, {
+          productId: item.productId,
+          variantId: item.variantId,
+          delta: fromStock,
+          movement: { type: "cancel", reason, actor, reference: orderReference(order) },
+        })
+        console.log(`📦 Returned ${fromStock} to stock for: ${item.name}`)
+      }
+      if (committed) {
+        await Product.updateOne({ _id: item.productId }, { $inc: { salesCount: -quantity } })
+      }
+    } catch (error) {
+      console.error(`❌ Failed to return stock for product ${item.productId}:`, error.message)
+    }
+  }
+}
+
+// Refund a prepaid order for cancelled items or an edit that lowered the total - gateway refunds are
+// paid out right away, manual and COD refunds wait for the store to pay them out
+const refundOrderChange = async (tenantDB, order, { amount, reason, source = "cancellation", actor }) => {
+  const created = await createRefund(tenantDB, order, {
+    amount,
+    reason,
+    source,
+    status: "approved",
+    actor,
+  })
+  if (!created.success) return created
+  if (created.refund.method !== "gateway") return created
+
+  const executed = await executeRefund(tenantDB, created.refund, { actor })
+  return executed.success ? executed : created
+}
+
+/**
+ * Cancel some items (or some units of items) of an order. Cancelling everything that is left cancels the order.
+ * Units cancelled once the order has shipped are not put back into stock.
+ * @param {object} order - current Order document (not modified - use the returned order, do not save this one)
+ * @param {object} options - { items: [{ orderItemId, quantity }], reason, actor, allowedStatuses }
+ * @returns {Promise<{success: boolean, order?: object, cancellation?: object, refund?: object, refundError?: string, error?: string, code?: string, details?: string[]}>}
+ */
+const cancelOrderItems = async (
+  tenantDB,
+  order,
+  { items, reason, actor = SYSTEM_ACTOR, allowedStatuses = ADMIN_CANCELLABLE_STATUSES },
+) => {
+  const Order = require("../models/tenant/Order")(tenantDB)
+
+  if (!allowedStatuses.includes(order.status)) {
+    return {
+      success: false,
+      error: `Items of ${order.status} orders can't be cancelled`,
+      code: "ORDER_CANNOT_BE_CANCELLED",
+    }
+  }
+
+  const { errors, cancelled } = parseCancelledItems(order, items)
+  if (errors.length > 0) {
+    return { success: false, error: "Invalid items", code: "INVALID_ITEMS", details: errors }
+  }
+
+  const cancelledItems = order.items
+    .filter((item) => cancelled.has(item._id.toString()))
+    .map((item) => ({
+      orderItemId: item._id,
+      name: item.name,
+      variantName: item.variantName,
+      quantity: cancelled.get(item._id.toString()),
+    }))
+  const note = `Cancelled ${cancelledItems.map((item) => `${item.quantity} x ${describeLine(item)}`).join(", ")}${
+    reason ? `. Reason: ${reason}` : ""
+  }`
+  const prepaid = PREPAID_STATUSES.includes(order.paymentStatus)
+
+  // Nothing left - cancel the whole order (releases all stock and offers) and refund what was paid
+  if (order.items.every((item) => (item.quantity || 0) <= (cancelled.get(item._id.toString()) || 0))) {
+    const transition = await transitionOrder(tenantDB, order, { status: "cancelled", actor, note })
+    if (!transition.success) {
+      return {
+        ...transition,
+        ...(transition.code === "INVALID_TRANSITION" && {
+          error: `A ${order.status} order can't be cancelled completely`,
+          code: "ORDER_CANNOT_BE_CANCELLED",
+        }),
+      }
+    }
+
+    // The cancellation refunds a prepaid order (see utils/orderLifecycle.js)
+    console.log(`❌ Order ${order.orderNumber} cancelled: every item was cancelled`)
+    return {
+      success: true,
+      order: transition.order,
+      orderCancelled: true,
+      refund: transition.refund || null,
+      refundError: transition.refundError,
+    }
+  }
+
+  const pricing = await priceOrderItems(tenantDB, order, {
+    quantityOf: (item) => (item.quantity || 0) - (cancelled.get(item._id.toString()) || 0),
+  })
+  if (!pricing.success) return pricing
+
+  const pricedById = new Map(pricing.lines.map((line) => [line._id.toString(), line]))
+  // Units of a shipped order are with the courier - they come back into stock through a return, not here
+  const holdsStock = order.status !== "shipped" && ["held", "committed"].includes(order.stockReservation?.status)
+  const released = []
+  const updatedItems = order.items.map((item) => {
+    const line = item.toObject()
+    const priced = pricedById.get(item._id.toString())
+    PRICED_FIELDS.forEach((field) => {
+      line[field] = priced ? priced[field] : 0
+    })
+
+    const quantity = cancelled.get(item._id.toString()) || 0
+    if (quantity > 0) {
+      const fromStock = takeOffLine(item, line, quantity)
+      line.cancelledQuantity = (item.cancelledQuantity || 0) + quantity
+      if (holdsStock) released.push({ item, quantity, fromStock })
+    }
+    return line
+  })
+
+  // A lower total first clears any balance still due, the rest is refunded
+  const reduction = roundAmount(Math.max(0, order.total - pricing.total))
+  const cleared = Math.min(order.balanceDue || 0, reduction)
+  const refundable = prepaid ? (await getRefundSummary(tenantDB, order)).refundable : 0
+  const refundAmount = roundAmount(Math.min(refundable, reduction - cleared))
+  const cancellation = {
+    items: cancelledItems,
+    reason,
+    previousTotal: order.total,
+    total: pricing.total,
+    refundAmount,
+    actor: toActor(actor),
+    at: new Date(),
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status, updatedAt: order.updatedAt },
+    {
+      $set: {
+        items: updatedItems,
+        ...getPricedFields(pricing),
+        balanceDue: roundAmount((order.balanceDue || 0) - cleared),
+      },
+      $push: { cancellations: cancellation },
+    },
+    { new: true },
+  )
+  if (!updated) {
+    return {
+      success: false,
+      error: "The order was changed by someone else, please reload it",
+      code: "ORDER_STATUS_CHANGED",
+    }
+  }
+
+  console.log(`✂️ Order ${order.orderNumber}: ${note} (total ${order.total} → ${pricing.total})`)
+  await releaseItemStock(tenantDB, updated, released, actor)
+  try {
+    await issueCancellationCreditNote(tenantDB, updated, { cancellation: updated.cancellations.at(-1), actor })
+  } catch (error) {
+    console.error(`❌ Failed to issue credit note for order ${order.orderNumber}:`, error.message)
+  }
+
+  let refund = null
+  let refundError
+  if (refundAmount > 0) {
+    const refunded = await refundOrderChange(tenantDB, updated, { amount: refundAmount, reason: note, actor })
+    const index = updated.cancellations.length - 1
+    if (refunded.success) {
+      refund = refunded.refund
+      await Order.updateOne({ _id: order._id }, { $set: { [`cancellations.${index}.refundId`]: refund._id } })
+    } else {
+      // Nothing was refunded - the amount no longer counts as captured beyond the order total
+      refundError = refunded.error
+      console.error(`❌ Could not refund cancelled items of order ${order.orderNumber}: ${refunded.error}`)
+      await Order.updateOne({ _id: order._id }, { $set: { [`cancellations.${index}.refundAmount`]: 0 } })
+    }
+  }
+
+  return {
+    success: true,
+    order: await Order.findById(order._id),
+    cancellation,
+    refund,
+    refundError,
+  }
+}
+
+// What a line looked like before / after an edit (Order.edits changes)
+const lineState = (line, quantity) => ({
+  variantName: line.variantName,
+  sku: line.sku,
+  quantity,
+  price: line.price,
+})
+
+// Units of an order line to hold in stock
+const stockLine = (line, quantity) => ({
+  productId: line.productId,
+  variantId: line.variantId,
+  name: line.name,
+  variantName: line.variantName,
+  quantity,
+})
+
+// New order line at the catalog price (added item or changed variant)
+const buildAddedLine = async (tenantDB, { productId, variantId, quantity }) => {
+  const Product = require("../models/tenant/Product")(tenantDB)
+  const product = mongoose.Types.ObjectId.isValid(productId) ? await Product.findById(productId) : null
+  if (!product || !product.isActive) {
+    return { success: false, error: `Product not found or inactive: ${productId}`, code: "INVALID_PRODUCT" }
+  }
+  if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+    return { success: false, error: `Variant not found or inactive for: ${product.name}`, code: "INVALID_VARIANT" }
+  }
+
+  const result = buildOrderLine(product, { variantId: variantId || null, quantity })
+  if (!result.success) return result
+  return {
+    success: true,
+    line: { ...result.line, _id: new mongoose.Types.ObjectId(), categoryId: product.category || null },
+  }
+}
+
+// New customer name, phone and address (fields not sent are kept) and what changed
+const parseAddressEdit = (order, shippingAddress) => {
+  if (!shippingAddress || typeof shippingAddress !== "object" || Array.isArray(shippingAddress)) {
+    return { errors: ["shippingAddress must be an object"], changes: [] }
+  }
+
+  const current = order.customerInfo || {}
+  const read = (field, fallback) =>
+    typeof shippingAddress[field] === "string" ? shippingAddress[field].trim() : fallback || ""
+  const customerInfo = {
+    name: read("name", current.name),
+    email: current.email,
+    phone: read("phone", current.phone),
+    address: Object.fromEntries(ADDRESS_FIELDS.map((field) => [field, read(field, current.address?.[field])])),
+  }
+  customerInfo.address.country = customerInfo.address.country || "India"
+
+  const missing = REQUIRED_ADDRESS_FIELDS.filter((field) =>
+    field === "name" ? !customerInfo.name : !customerInfo.address[field],
+  )
+  if (missing.length > 0) {
+    return { errors: [`Shipping address is missing: ${missing.join(", ")}`], changes: [] }
+  }
+
+  const previousAddress = Object.fromEntries(ADDRESS_FIELDS.map((field) => [field, current.address?.[field] || ""]))
+  const changes = []
+  if (ADDRESS_FIELDS.some((field) => previousAddress[field] !== customerInfo.address[field])) {
+    changes.push({ field: "shippingAddress", from: previousAddress, to: customerInfo.address })
+  }
+  if ((current.name || "") !== customerInfo.name) {
+    changes.push({ field: "customerName", from: current.name, to: customerInfo.name })
+  }
+  if ((current.phone || "") !== customerInfo.phone) {
+    changes.push({ field: "customerPhone", from: current.phone, to: customerInfo.phone })
+  }
+  return { errors: [], changes, customerInfo }
+}
+
+/**
+ * Work out the new lines of an order from the complete list of items it should have:
+ * existing lines { orderItemId, quantity, variantId } keep their price unless the variant is changed,
+ * new lines { productId, variantId, quantity } are priced from the catalog, open lines left out are removed.
+ * @returns {Promise<{errors: string[], changes: object[], quantities: Map<string, number>, added: object[]}>}
+ *   quantities: order line _id -> new quantity, added: new order lines
+ */
+const parseItemsEdit = async (tenantDB, order, items) => {
+  const quantities = new Map(order.items.map((item) => [item._id.toString(), item.quantity || 0]))
+  const added = []
+  if (!Array.isArray(items) || items.length === 0) {
+    return {
+      errors: ["The order needs at least one item - cancel the order instead"],
+      changes: [],
+      quantities,
+      added,
+    }
+  }
+
+  const errors = []
+  const changes = []
+  const listed = new Set()
+  for (const requested of items) {
+    if (!requested?.orderItemId) {
+      const quantity = Number(requested?.quantity)
+      if (!requested?.productId || !Number.isInteger(quantity) || quantity < 1) {
+        errors.push("New items need a productId and a whole number quantity of at least 1")
+        continue
+      }
+      const built = await buildAddedLine(tenantDB, { ...requested, quantity })
+      if (!built.success) {
+        errors.push(built.error)
+        continue
+      }
+      added.push(built.line)
+      changes.push({
+        field: "items",
+        action: "added",
+        orderItemId: built.line._id,
+        name: describeLine(built.line),
+        from: null,
+        to: lineState(built.line, quantity),
+      })
+      continue
+    }
+
+    const id = String(requested.orderItemId)
+    const item = order.items.find((line) => line._id.toString() === id && line.quantity > 0)
+    if (!item) {
+      errors.push(`Order item not found: ${id}`)
+      continue
+    }
+    if (listed.has(id)) {
+      errors.push(`${describeLine(item)} is listed more than once`)
+      continue
+    }
+    listed.add(id)
+
+    const quantity = requested.quantity === undefined ? item.quantity : Number(requested.quantity)
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(
+        `${describeLine(item)}: quantity must be a whole number of at least 1 (leave the item out to remove it)`,
+      )
+      continue
+    }
+
+    // Another variant replaces the line with a new one at that variant's price
+    if (requested.variantId !== undefined && String(requested.variantId || "") !== String(item.variantId || "")) {
+      const built = await buildAddedLine(tenantDB, {
+        productId: item.productId,
+        variantId: requested.variantId,
+        quantity,
+      })
+      if (!built.success) {
+        errors.push(`${describeLine(item)}: ${built.error}`)
+        continue
+      }
+      quantities.set(id, 0)
+      added.push(built.line)
+      changes.push({
+        field: "items",
+        action: "variant",
+        orderItemId: built.line._id,
+        previousOrderItemId: item._id,
+        name: item.name,
+        from: lineState(item, item.quantity),
+        to: lineState(built.line, quantity),
+      })
+    } else if (quantity !== item.quantity) {
+      quantities.set(id, quantity)
+      changes.push({
+        field: "items",
+        action: "quantity",
+        orderItemId: item._id,
+        name: describeLine(item),
+        from: lineState(item, item.quantity),
+        to: lineState(item, quantity),
+      })
+    }
+  }
+
+  // Open lines that were left out are removed
+  order.items
+    .filter((item) => item.quantity > 0 && !listed.has(item._id.toString()))
+    .forEach((item) => {
+      quantities.set(item._id.toString(), 0)
+      changes.push({
+        field: "items",
+        action: "removed",
+        orderItemId: item._id,
+        name: describeLine(item),
+        from: lineState(item, item.quantity),
+        to: null,
+      })
+    })
+
+  return { errors, changes, quantities, added }
+}
+
+const describeChange = (change) => {
+  switch (change.action || change.field) {
+    case "shippingAddress":
+      return "shipping address changed"
+    case "customerName":
+      return "name changed"
+    case "customerPhone":
+      return "phone changed"
+    case "added":
+      return `${change.to.quantity} x ${change.name} added`
+    case "removed":
+      return `${change.name} removed`
+    case "variant":
+      return `${change.name} ${change.from.variantName || "-"} → ${change.to.variantName || "-"}`
+    default:
+      return `${change.name} ${change.from.quantity} → ${change.to.quantity}`
+  }
+}
+
+/**
+ * Edit an unshipped order: the shipping address (and name / phone) and the line items, variants and quantities.
+ * The order is re-priced (tax, shipping, offers), stock is held for added units and released for removed ones and
+ * the diff is recorded in Order.edits. A higher total on a prepaid order is added to balanceDue, a lower total
+ * first clears the balance due and the rest is refunded (credit note for invoiced orders). Invoiced orders can
+ * only lose items - the issued invoice is never changed, so anything that would add to it is refused.
+ * @param {object} order - current Order document (not modified - use the returned order, do not save this one)
+ * @param {object} options - { shippingAddress: { name, phone, street, city, state, zipCode, country },
+ *   items: the complete list of items the order should have (see parseItemsEdit), reason, actor }
+ * @returns {Promise<{success: boolean, order?: object, edit?: object, refund?: object, refundError?: string, error?: string, code?: string, details?: string[]}>}
+ */
+const editOrder = async (tenantDB, order, { shippingAddress, items, reason, actor = SYSTEM_ACTOR }) => {
+  const Order = require("../models/tenant/Order")(tenantDB)
+  const Product = require("../models/tenant/Product")(tenantDB)
+
+  if (!EDITABLE_STATUSES.includes(order.status)) {
+    return { success: false, error: `${order.status} orders can't be edited`, code: "ORDER_CANNOT_BE_EDITED" }
+  }
+  if (shippingAddress === undefined && items === undefined) {
+    return { success: false, error: "Send a shippingAddress and/or items to change", code: "NO_CHANGES" }
+  }
+
+  const addressEdit =
+    shippingAddress !== undefined ? parseAddressEdit(order, shippingAddress) : { errors: [], changes: [] }
+  const itemsEdit =
+    items !== undefined
+      ? await parseItemsEdit(tenantDB, order, items)
+      : { errors: [], changes: [], quantities: new Map(), added: [] }
+  const errors = [...addressEdit.errors, ...itemsEdit.errors]
+  if (errors.length > 0) {
+    return { success: false, error: "Invalid order edit", code: "INVALID_EDIT", details: errors }
+  }
+  const changes = [...addressEdit.changes, ...itemsEdit.changes]
+  if (changes.length === 0) {
+    return { success: false, error: "Nothing was changed", code: "NO_CHANGES" }
+  }
+
+  const { quantities, added } = itemsEdit
+  const quantityOf = (item) => quantities.get(item._id.toString()) ?? (item.quantity || 0)
+  const customerInfo = addressEdit.customerInfo
+  const pricing = await priceOrderItems(tenantDB, order, {
+    quantityOf,
+    added,
+    shippingAddress: customerInfo?.address || order.customerInfo?.address,
+  })
+  if (!pricing.success) return pricing
+
+  // The invoice can only be corrected with credit notes of the same kind of supply
+  const invoicedSupplyType = order.invoiceTotals?.supplyType || order.taxBreakdown?.supplyType || "none"
+  if (order.invoiceNumber && pricing.taxBreakdown.supplyType !== invoicedSupplyType) {
+    return {
+      success: false,
+      error: `The new address changes the ${invoicedSupplyType.replace("_", "-")} supply the order was invoiced as`,
+      details: ["Cancel the order and place a new one for this address"],
+      code: "SUPPLY_TYPE_CHANGED",
+    }
+  }
+
+  const difference = roundAmount(pricing.total - order.total)
+  const addsToInvoice = itemsEdit.changes.some(
+    (change) =>
+      ["added", "variant"].includes(change.action) ||
+      (change.action === "quantity" && change.to.quantity > change.from.quantity),
+  )
+  if (order.invoiceNumber && (addsToInvoice || difference > 0)) {
+    return {
+      success: false,
+      error: `Order ${order.orderNumber} is invoiced (${order.invoiceNumber}), items can only be removed or reduced`,
+      details: ["Place a new order for the additional items"],
+      code: "ORDER_INVOICED",
+    }
+  }
+
+  // A higher total on a prepaid order is still to be collected, a lower one first clears the balance due
+  const prepaid = PREPAID_STATUSES.includes(order.paymentStatus)
+  const balanceAdded = prepaid && difference > 0 ? difference : 0
+  const cleared = difference < 0 ? Math.min(order.balanceDue || 0, -difference) : 0
+  const refundable = prepaid && difference < 0 ? (await getRefundSummary(tenantDB, order)).refundable : 0
+  const refundAmount = roundAmount(Math.min(refundable, Math.max(0, -difference - cleared)))
+
+  // Hold stock for added units before anything is saved (fails the edit when it is not available)
+  const holdsStock = ["held", "committed"].includes(order.stockReservation?.status)
+  const reservations = new Map()
+  if (holdsStock) {
+    order.items.forEach((item) => {
+      const extra = quantityOf(item) - (item.quantity || 0)
+      if (extra > 0) reservations.set(item._id.toString(), stockLine(item, extra))
+    })
+    added.forEach((line) => reservations.set(line._id.toString(), stockLine(line, line.quantity)))
+  }
+  const reference = orderReference(order)
+  try {
+    await reserveStock(tenantDB, [...reservations.values()], { actor, reference, reason: "Order edited" })
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      code: error.code || "INSUFFICIENT_STOCK",
+      availableQuantity: error.availableQuantity,
+    }
+  }
+
+  const pricedById = new Map(pricing.lines.map((line) => [line._id.toString(), line]))
+  const released = []
+  const updatedItems = order.items.map((item) => {
+    const line = item.toObject()
+    const priced = pricedById.get(item._id.toString())
+    PRICED_FIELDS.forEach((field) => {
+      line[field] = priced ? priced[field] : 0
+    })
+
+    const change = quantityOf(item) - (item.quantity || 0)
+    if (change < 0) {
+      const fromStock = takeOffLine(item, line, -change)
+      if (holdsStock) released.push({ item, quantity: -change, fromStock })
+    }
+    const reserved = reservations.get(item._id.toString())
+    if (reserved) {
+      line.reservedQuantity = (item.reservedQuantity || 0) + reserved.reservedQuantity
+      line.backorderedQuantity = (item.backorderedQuantity || 0) + reserved.backorderedQuantity
+    }
+    return line
+  })
+  added.forEach((line) => {
+    const reserved = reservations.get(line._id.toString())
+    updatedItems.push({
+      ...pricedById.get(line._id.toString()),
+      reservedQuantity: reserved?.reservedQuantity || 0,
+      backorderedQuantity: reserved?.backorderedQuantity || 0,
+    })
+  })
+
+  const pickTotals = (source) => ({
+    subtotal: source.subtotal,
+    discount: source.discount,
+    tax: source.tax,
+    shipping: source.shipping,
+    codFee: source.codFee,
+    total: source.total,
+  })
+  const edit = {
+    changes,
+    reason,
+    previousTotals: pickTotals(order),
+    totals: pickTotals(pricing),
+    balanceAdded,
+    refundAmount,
+    actor: toActor(actor),
+    at: new Date(),
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status, updatedAt: order.updatedAt },
+    {
+      $set: {
+        items: updatedItems,
+        ...getPricedFields(pricing),
+        ...(customerInfo && { customerInfo }),
+        balanceDue: roundAmount((order.balanceDue || 0) + balanceAdded - cleared),
+      },
+      $push: { edits: edit },
+    },
+    { new: true },
+  )
+  if (!updated) {
+    await returnLinesStock(Product, [...reservations.values()], {
+      type: "cancel",
+      reason: "Order edit not saved",
+      actor,
+      reference,
+    })
+    return {
+      success: false,
+      error: "The order was changed by someone else, please reload it",
+      code: "ORDER_STATUS_CHANGED",
+    }
+  }
+
+  const note = `Order edited: ${changes.map(describeChange).join(", ")}${reason ? `. Reason: ${reason}` : ""}`
+  console.log(`✏️ Order ${order.orderNumber}: ${note} (total ${order.total} → ${pricing.total})`)
+  await releaseItemStock(tenantDB, updated, released, actor, "Order edited")
+  if (updated.stockReservation?.status === "committed") {
+    for (const line of reservations.values()) {
+      await Product.updateOne({ _id: line.productId }, { $inc: { salesCount: line.quantity } })
+    }
+  }
+
+  if (difference < 0) {
+    try {
+      await issueOrderEditCreditNote(tenantDB, order, { edit: updated.edits.at(-1), actor })
+    } catch (error) {
+      console.error(`❌ Failed to issue credit note for order ${order.orderNumber}:`, error.message)
+    }
+  }
+
+  let refund = null
+  let refundError
+  if (refundAmount > 0) {
+    const refunded = await refundOrderChange(tenantDB, updated, {
+      amount: refundAmount,
+      reason: note,
+      source: "order_edit",
+      actor,
+    })
+    const index = updated.edits.length - 1
+    if (refunded.success) {
+      refund = refunded.refund
+      await Order.updateOne({ _id: order._id }, { $set: { [`edits.${index}.refundId`]: refund._id } })
+    } else {
+      // Nothing was refunded - the amount no longer counts as captured beyond the order total
+      refundError = refunded.error
+      console.error(`❌ Could not refund the edit of order ${order.orderNumber}: ${refunded.error}`)
+      await Order.updateOne({ _id: order._id }, { $set: { [`edits.${index}.refundAmount`]: 0 } })
+    }
+  }
+
+  return {
+    success: true,
+    order: await Order.findById(order._id),
+    edit: updated.edits.at(-1),
+    refund,
+    refundError,
+  }
+}
+
+/**
+ * Record a payment of the balance due on an order (collected on delivery or paid to the store).
+ * @param {object} options - { amount (defaults to the whole balance), method: "cod" | "manual", reference, actor }
+ * @returns {Promise<{success: boolean, order?: object, payment?: object, error?: string, code?: string}>}
+ */
+const recordBalancePayment = async (
+  tenantDB,
+  order,
+  { amount, method = "manual", reference, actor = SYSTEM_ACTOR },
+) => {
+  const Order = require("../models/tenant/Order")(tenantDB)
+
+  const balanceDue = order.balanceDue || 0
+  if (balanceDue <= 0) {
+    return { success: false, error: "Nothing is due on this order", code: "NO_BALANCE_DUE" }
+  }
+  const paid = amount === undefined || amount === null ? balanceDue : roundAmount(Number(amount))
+  if (!(paid > 0) || paid > balanceDue) {
+    return { success: false, error: `Amount must be between 0.01 and ${balanceDue}`, code: "INVALID_AMOUNT" }
+  }
+  if (!["cod", "manual"].includes(method)) {
+    return { success: false, error: "Method must be cod or manual", code: "INVALID_METHOD" }
+  }
+
+  const payment = { amount: paid, method, reference, actor: toActor(actor), at: new Date() }
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, balanceDue },
+    { $set: { balanceDue: roundAmount(balanceDue - paid) }, $push: { balancePayments: payment } },
+    { new: true },
+  )
+  if (!updated) {
+    return {
+      success: false,
+      error: "The order was changed by someone else, please reload it",
+      code: "ORDER_STATUS_CHANGED",
+    }
+  }
+
+  console.log(`💰 Order ${order.orderNumber}: ${paid} of the balance due received (${method})`)
+  return { success: true, order: updated, payment: updated.balancePayments.at(-1) }
+}
+
+module.exports = {
+  CUSTOMER_CANCELLABLE_STATUSES,
+  ADMIN_CANCELLABLE_STATUSES,
+  EDITABLE_STATUSES,
+  PREPAID_STATUSES,
+  refundOrderChange,
+  cancelOrderItems,
+  editOrder,
+  recordBalancePayment,
+}
@@ -0,0 +1,210 @@
+// Order lifecycle: the allowed transitions of Order.status and Order.paymentStatus, the status history
+// and the side effects of each transition. All status changes go through transitionOrder().
+const { releaseOrderStock } = require("./inventory")
+const { releaseOrderOffer } = require("./offers")
+const { issueCancellationCreditNote } = require("./creditNotes")
+
+const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["processing", "shipped", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: [],
+  cancelled: [],
+}
+
+const PAYMENT_TRANSITIONS = {
+  pending: ["paid", "failed"],
+  failed: ["pending", "paid"],
+  paid: ["partially_refunded", "refunded"],
+  partially_refunded: ["refunded"],
+  refunded: [],
+}
+
+// Statuses in the order a customer goes through them (for the tracking timeline)
+const ORDER_FLOW = ["pending", "confirmed", "processing", "shipped", "delivered"]
+
+const SYSTEM_ACTOR = { type: "system", name: "System" }
+
+const canTransition = (transitions, from, to) => (transitions[from] || []).includes(to)
+
+// Statuses an order can move to next
+const getAllowedTransitions = (order) => ({
+  status: ORDER_TRANSITIONS[order.status] || [],
+  paymentStatus: PAYMENT_TRANSITIONS[order.paymentStatus] || [],
+})
+
+// History entry for a status change
+const buildHistoryEntry = (field, from, to, { actor = SYSTEM_ACTOR, note } = {}) => ({
+  field,
+  from,
+  to,
+  actor: {
+    type: actor.type || "system",
+    id: actor.id ? String(actor.id) : undefined,
+    name: actor.name,
+  },
+  note,
+  at: new Date(),
+})
+
+// History entries for a new order (status pending, payment status as created)
+const buildInitialHistory = (order, { actor, note = "Order placed" } = {}) => [
+  buildHistoryEntry("status", null, order.status || "pending", { actor, note }),
+  ...(order.paymentStatus && order.paymentStatus !== "pending"
+    ? [buildHistoryEntry("paymentStatus", "pending", order.paymentStatus, { actor })]
+    : []),
+]
+
+// Side effects of a completed transition - failures are logged, the transition itself stands.
+// Returns the refund opened for a cancelled prepaid order ({ refund, refundError })
+const runSideEffects = async (tenantDB, order, changes, actor, note) => {
+  const Order = require("../models/tenant/Order")(tenantDB)
+  const results = {}
+
+  if (changes.status === "cancelled") {
+    try {
+      await releaseOrderStock(tenantDB, order, "cancelled", actor)
+      await releaseOrderOffer(tenantDB, order)
+    } catch (error) {
+      console.error(`❌ Failed to release stock / offers of cancelled order ${order.orderNumber}:`, error.message)
+    }
+    try {
+      // An invoiced order is credited in full
+      await issueCancellationCreditNote(tenantDB, order, { actor })
+    } catch (error) {
+      console.error(`❌ Failed to issue credit note for cancelled order ${order.orderNumber}:`, error.message)
+    }
+
+    // Refund what was paid, as when every item is cancelled one by one (required here - orderChanges uses this module)
+    const { PREPAID_STATUSES, refundOrderChange } = require("./orderChanges")
+    if (PREPAID_STATUSES.includes(order.paymentStatus)) {
+      try {
+        const refunded = await refundOrderChange(tenantDB, order, { reason: note, actor })
+        results.refund = refunded.refund || null
+        results.refundError = refunded.success ? undefined : refunded.error
+      } catch (error) {
+        results.refundError = error.message
+      }
+      if (results.refundError) {
+        console.error(`❌ Could not refund cancelled order ${order.orderNumber}: ${results.refundError}`)
+      }
+    }
+  }
+
+  if (changes.status === "delivered") {
+    try {
+      // Count a delivered order in the customer's stats only once
+      const claimed = await Order.updateOne(
+        { _id: order._id, customerStatsRecorded: { $ne: true } },
+        { $set: { customerStatsRecorded: true } },
+      )
+      if (claimed.modifiedCount === 1) {
+        const Customer = require("../models/tenant/Customer")(tenantDB)
+        const customer = await Customer.findById(order.customerId)
+        if (customer) {
+          await customer.updateOrderStats(order.total)
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Failed to update customer stats for order ${order.orderNumber}:`, error.message)
+    }
+  }
+
+  return results
+}
+
+/**
+ * Move an order to a new status and / or payment status.
+ * The change is applied atomically against the current statuses (a concurrent change makes it fail),
+ * recorded in statusHistory and followed by its side effects.
+ * @param {object} order - current Order document (not modified - use the returned order, do not save this one)
+ * @param {object} changes - { status, paymentStatus, actor: { type, id, name }, note, trackingNumber }
+ * @returns {Promise<{success: boolean, order?: object, error?: string, code?: string, allowed?: object}>}
+ */
+const transitionOrder = async (
+  tenantDB,
+  order,
+  { status, paymentStatus, actor = SYSTEM_ACTOR, note, trackingNumber },
+) => {
+  const Order = require("../models/tenant/Order")(tenantDB)
+  const changes = {}
+  if (status && status !== order.status) changes.status = status
+  if (paymentStatus && paymentStatus !== order.paymentStatus) changes.paymentStatus = paymentStatus
+
+  if (changes.status && !ORDER_FLOW.concat("cancelled").includes(changes.status)) {
+    return { success: false, error: `Invalid status: ${changes.status}`, code: "INVALID_STATUS" }
+  }
+  if (changes.paymentStatus && !PAYMENT_TRANSITIONS[changes.paymentStatus]) {
+    return { success: false, error: `Invalid payment status: ${changes.paymentStatus}`, code: "INVALID_STATUS" }
+  }
+  if (changes.status && !canTransition(ORDER_TRANSITIONS, order.status, changes.status)) {
+    return {
+      success: false,
+      error: `Order cannot move from ${order.status} to ${changes.status}`,
+      code: "INVALID_TRANSITION",
+      allowed: getAllowedTransitions(order),
+    }
+  }
+  if (changes.paymentStatus && !canTransition(PAYMENT_TRANSITIONS, order.paymentStatus, changes.paymentStatus)) {
+    return {
+      success: false,
+      error: `Payment status cannot move from ${order.paymentStatus} to ${changes.paymentStatus}`,
+      code: "INVALID_TRANSITION",
+      allowed: getAllowedTransitions(order),
+    }
+  }
+  if (!changes.status && !changes.paymentStatus && trackingNumber === undefined) {
+    return { success: true, order, unchanged: true }
+  }
+
+  const now = new Date()
+  const set = { ...changes }
+  const history = []
+  if (changes.status) {
+    history.push(buildHistoryEntry("status", order.status, changes.status, { actor, note }))
+    if (changes.status === "shipped") set.shippedAt = now
+    if (changes.status === "delivered") set.deliveredAt = now
+    if (changes.status === "cancelled") set.cancelledAt = now
+  }
+  if (changes.paymentStatus) {
+    history.push(buildHistoryEntry("paymentStatus", order.paymentStatus, changes.paymentStatus, { actor, note }))
+    if (changes.paymentStatus === "paid") set.paidAt = now
+  }
+  if (trackingNumber !== undefined) set.trackingNumber = trackingNumber
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status, paymentStatus: order.paymentStatus },
+    { $set: set, ...(history.length > 0 && { $push: { statusHistory: { $each: history } } }) },
+    { new: true },
+  )
+  if (!updated) {
+    return {
+      success: false,
+      error: "The order was changed by someone else, please reload it",
+      code: "ORDER_STATUS_CHANGED",
+    }
+  }
+
+  history.forEach((entry) => console.log(`🔄 Order ${order.orderNumber} ${entry.field}: ${entry.from} → ${entry.to}`))
+
+  const { refund, refundError } = await runSideEffects(tenantDB, updated, changes, actor, note)
+  // Side effects update the order too (stock reservation, stats flag) - return it as stored
+  return {
+    success: true,
+    order: await Order.findById(order._id),
+    ...(refund !== undefined && { refund }),
+    ...(refundError && { refundError }),
+  }
+}
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  PAYMENT_TRANSITIONS,
+  ORDER_FLOW,
+  canTransition,
+  getAllowedTransitions,
+  buildHistoryEntry,
+  buildInitialHistory,
+  transitionOrder,
+}
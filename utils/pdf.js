@@ -0,0 +1,177 @@
+// Shared helpers for the PDF documents generated by the store (invoices, packing slips, labels...), built on pdfkit.
+const PDFDocument = require("pdfkit")
+const axios = require("axios")
+const bwipjs = require("bwip-js")
+
+const PAGE_MARGIN = 40
+const FONT = "Helvetica"
+const BOLD_FONT = "Helvetica-Bold"
+const BORDER_COLOR = "#cccccc"
+const MUTED_COLOR = "#555555"
+
+// New A4 document (pages are buffered so page numbers can be added at the end)
+const createDocument = (options = {}) =>
+  new PDFDocument({ size: "A4", margin: PAGE_MARGIN, bufferPages: true, ...options })
+
+// Finish the document and collect it into a Buffer
+const toBuffer = (doc) =>
+  new Promise((resolve, reject) => {
+    const chunks = []
+    doc.on("data", (chunk) => chunks.push(chunk))
+    doc.on("end", () => resolve(Buffer.concat(chunks)))
+    doc.on("error", reject)
+    doc.end()
+  })
+
+// 1234567.5 -> "12,34,567.50" (Indian digit grouping for INR, international otherwise)
+const formatAmount = (amount, currency = "INR") =>
+  Number(amount || 0).toLocaleString(currency === "INR" ? "en-IN" : "en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })
+
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric" }) : ""
+
+// Address as printable lines
+const formatAddress = (address = {}) =>
+  [
+    address.street,
+    [address.city, address.state].filter(Boolean).join(", "),
+    [address.country, address.zipCode].filter(Boolean).join(" - "),
+  ].filter(Boolean)
+
+/**
+ * Download an image (store logo...) for embedding. pdfkit only supports PNG and JPEG,
+ * anything else - or a download that fails - gives null and the document is drawn without it.
+ */
+const loadImage = async (url) => {
+  if (!url || !/^https?:\/\//i.test(url)) return null
+  try {
+    const { data } = await axios.get(url, {
+      responseType: "arraybuffer",
+      timeout: 5000,
+      maxContentLength: 2 * 1024 * 1024,
+    })
+    const buffer = Buffer.from(data)
+    const isPng = buffer.subarray(0, 4).toString("hex") === "89504e47"
+    const isJpeg = buffer.subarray(0, 2).toString("hex") === "ffd8"
+    return isPng || isJpeg ? buffer : null
+  } catch (error) {
+    console.error(`❌ Could not load image ${url}:`, error.message)
+    return null
+  }
+}
+
+/**
+ * Code 128 barcode of a text as a PNG (for doc.image), with the text printed below the bars.
+ * @returns {Promise<Buffer>}
+ */
+const renderBarcode = (text, { height = 12, includeText = true } = {}) =>
+  bwipjs.toBuffer({
+    bcid: "code128",
+    text: String(text),
+    scale: 3,
+    height,
+    includetext: includeText,
+    textxalign: "center",
+    textsize: 9,
+  })
+
+/**
+ * Draw a table with a header row, starting a new page (with the header repeated) when a row does not fit.
+ * @param {object[]} columns - { header, width, align }
+ * @param {Array<Array<string>>} rows - cell texts
+ * @returns {number} y below the table
+ */
+const drawTable = (doc, { columns, rows, x = PAGE_MARGIN, y, fontSize = 8 }) => {
+  const padding = 4
+  const tableWidth = columns.reduce((sum, column) => sum + column.width, 0)
+  const bottom = doc.page.height - PAGE_MARGIN - 30
+
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(fontSize)
+    return (
+      Math.max(
+        ...cells.map((cell, index) =>
+          doc.heightOfString(String(cell ?? ""), { width: columns[index].width - padding * 2 }),
+        ),
+      ) +
+      padding * 2
+    )
+  }
+
+  const drawRow = (cells, font, top, fill) => {
+    const height = rowHeight(cells, font)
+    if (fill) doc.rect(x, top, tableWidth, height).fill(fill)
+    doc.fillColor("black").font(font).fontSize(fontSize)
+    let left = x
+    cells.forEach((cell, index) => {
+      const column = columns[index]
+      doc.text(String(cell ?? ""), left + padding, top + padding, {
+        width: column.width - padding * 2,
+        align: column.align || "left",
+      })
+      left += column.width
+    })
+    doc
+      .moveTo(x, top + height)
+      .lineTo(x + tableWidth, top + height)
+      .strokeColor(BORDER_COLOR)
+      .lineWidth(0.5)
+      .stroke()
+    return top + height
+  }
+
+  const headers = columns.map((column) => column.header)
+  let top = drawRow(headers, BOLD_FONT, y, "#f0f0f0")
+  for (const cells of rows) {
+    if (top + rowHeight(cells, FONT) > bottom) {
+      doc.addPage()
+      top = drawRow(headers, BOLD_FONT, doc.page.margins.top, "#f0f0f0")
+    }
+    top = drawRow(cells, FONT, top)
+  }
+  return top
+}
+
+// "Page 1 of 2" at the bottom of every page
+const addPageNumbers = (doc, footer = "") => {
+  const range = doc.bufferedPageRange()
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index)
+    const y = doc.page.height - PAGE_MARGIN + 10
+    // Writing inside the bottom margin would otherwise add a page
+    const { bottom } = doc.page.margins
+    doc.page.margins.bottom = 0
+    doc
+      .font(FONT)
+      .fontSize(7)
+      .fillColor(MUTED_COLOR)
+      .text(footer, PAGE_MARGIN, y, { width: doc.page.width - PAGE_MARGIN * 2, align: "left", lineBreak: false })
+      .text(`Page ${index - range.start + 1} of ${range.count}`, PAGE_MARGIN, y, {
+        width: doc.page.width - PAGE_MARGIN * 2,
+        align: "right",
+        lineBreak: false,
+      })
+    doc.page.margins.bottom = bottom
+  }
+  doc.fillColor("black")
+}
+
+module.exports = {
+  PAGE_MARGIN,
+  FONT,
+  BOLD_FONT,
+  BORDER_COLOR,
+  MUTED_COLOR,
+  createDocument,
+  toBuffer,
+  formatAmount,
+  formatDate,
+  formatAddress,
+  loadImage,
+  renderBarcode,
+  drawTable,
+  addPageNumbers,
+}
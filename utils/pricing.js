@@ -0,0 +1,231 @@
+// Shared pricing helpers for building order line items from products
+const { evaluateOffers, reapplyOffers, roundAmount } = require("./offers")
+const { getTaxSettings, calculateTax } = require("./tax")
+const { calculateShipping } = require("./shipping")
+
+// Resolve the selected variant for a product line
+const resolveVariant = (product, variantId) => {
+  if (!product.hasVariants) {
+    return { success: true, variant: null }
+  }
+
+  if (!variantId) {
+    return {
+      success: false,
+      error: `Please select a variant for: ${product.name}`,
+      code: "VARIANT_REQUIRED",
+    }
+  }
+
+  const variant = product.variants.id(variantId)
+  if (!variant || variant.isActive === false) {
+    return {
+      success: false,
+      error: `Variant not found or inactive for: ${product.name}`,
+      code: "INVALID_VARIANT",
+    }
+  }
+
+  return { success: true, variant }
+}
+
+// Get the selling price of a product or one of its variants
+const getUnitPrice = (product, variant = null) => {
+  if (variant) {
+    return Number.parseFloat(variant.price) || 0
+  }
+  return Number.parseFloat(product.price) || 0
+}
+
+// Quantities are whole units, at least one ("2" from a form is fine, 1.5 or "2abc" are not)
+const isValidQuantity = (quantity) =>
+  ["number", "string"].includes(typeof quantity) && Number.isInteger(Number(quantity)) && Number(quantity) >= 1
+
+// Build an order line item (with variant snapshot) for a product and requested quantity
+const buildOrderLine = (product, { variantId, quantity }) => {
+  if (!isValidQuantity(quantity)) {
+    return { success: false, error: "Quantity must be a whole number of at least 1", code: "INVALID_QUANTITY" }
+  }
+
+  const resolved = resolveVariant(product, variantId)
+  if (!resolved.success) {
+    return resolved
+  }
+
+  const { variant } = resolved
+  const price = getUnitPrice(product, variant)
+  const qty = Number(quantity)
+
+  const line = {
+    productId: product._id,
+    variantId: variant ? variant._id : null,
+    name: product.name,
+    variantName: variant ? variant.name : undefined,
+    sku: variant ? variant.sku : product.sku,
+    hsnCode: product.hsnCode || undefined,
+    variantOptions: variant
+      ? variant.options.map((opt) => ({ attributeName: opt.attributeName, value: opt.value }))
+      : [],
+    image: (variant && variant.image) || product.thumbnail || product.gallery?.[0] || "",
+    price,
+    quantity: qty,
+    total: price * qty,
+    taxPercentage: product.taxPercentage ?? null,
+    weight: product.weight || 0,
+    dimensions: product.dimensions,
+  }
+
+  return { success: true, line, variant }
+}
+
+/**
+ * Validate requested items ({ productId, variantId?, quantity }) and build priced order lines.
+ * @returns {Promise<{success: boolean, lines?: object[], error?: string, code?: string}>}
+ */
+const buildOrderLines = async (tenantDB, items) => {
+  const Product = require("../models/tenant/Product")(tenantDB)
+  const lines = []
+
+  for (const item of items) {
+    if (!item.productId || !isValidQuantity(item.quantity)) {
+      return {
+        success: false,
+        error: "Each item must have a valid productId and quantity",
+        code: "INVALID_ITEM_DATA",
+      }
+    }
+
+    const product = await Product.findById(item.productId)
+    if (!product || !product.isActive) {
+      return {
+        success: false,
+        error: `Product not found or inactive: ${item.productId}`,
+        code: "INVALID_PRODUCT",
+      }
+    }
+
+    // Resolve variant and price the line from the variant (or product)
+    const lineResult = buildOrderLine(product, item)
+    if (!lineResult.success) {
+      return lineResult
+    }
+
+    lines.push(lineResult.line)
+  }
+
+  return { success: true, lines }
+}
+
+// Discount given by staff (draft orders): a percentage or fixed amount off what is left after the offers
+const applyManualDiscount = (manualDiscount, remaining) => {
+  const value = Number(manualDiscount?.value) || 0
+  if (value <= 0) return null
+
+  const amount = manualDiscount.type === "percentage" ? (remaining * Math.min(100, value)) / 100 : value
+  return {
+    type: manualDiscount.type === "percentage" ? "percentage" : "fixed",
+    value,
+    reason: manualDiscount.reason || undefined,
+    amount: roundAmount(Math.min(amount, Math.max(0, remaining))),
+  }
+}
+
+/**
+ * Work out order totals for priced lines, applying the coupon code (if given) and automatic offers,
+ * tax from Settings.tax (the shipping state decides between CGST + SGST and IGST),
+ * shipping from the Settings.shipping zones and rate tables and the COD fee.
+ * Used by order creation, the checkout quote and the coupon preview so all give the same numbers.
+ * Pass appliedOffers (instead of couponCode) to re-price an existing order with the offers it was placed with.
+ * manualDiscount ({ type: "percentage" | "fixed", value, reason }) is a staff discount on top of the offers.
+ * The returned lines carry their tax breakdown and should be stored on the order.
+ */
+const priceOrder = async (
+  tenantDB,
+  { lines, couponCode, customer = null, shippingAddress = null, paymentMethod, appliedOffers, manualDiscount },
+) => {
+  const Settings = require("../models/tenant/Settings")(tenantDB)
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.total, 0))
+
+  const offers = appliedOffers
+    ? await reapplyOffers(tenantDB, { lines, appliedOffers })
+    : await evaluateOffers(tenantDB, { lines, couponCode, customer })
+  if (!offers.success) {
+    return offers
+  }
+  const { appliedOffer, freeShipping } = offers
+  const staffDiscount = applyManualDiscount(manualDiscount, subtotal - offers.discount)
+  const discount = roundAmount(offers.discount + (staffDiscount?.amount || 0))
+
+  const settings = await Settings.findOne()
+    .select("tax shipping general.address general.currency payment.codFee")
+    .lean()
+
+  const taxResult = calculateTax(lines, {
+    taxSettings: getTaxSettings(settings),
+    discount,
+    shippingState: shippingAddress?.state,
+  })
+  const { tax } = taxResult
+
+  const shippingResult = calculateShipping(settings?.shipping || {}, {
+    lines,
+    address: shippingAddress,
+    orderValue: subtotal - discount,
+    freeShipping,
+  })
+  if (!shippingResult.success) {
+    return shippingResult
+  }
+  const { shipping } = shippingResult
+
+  const codFee = paymentMethod === "cod" ? roundAmount(settings?.payment?.codFee || 0) : 0
+
+  // Inclusive prices already contain the tax
+  const total = roundAmount(subtotal - discount + (taxResult.inclusive ? 0 : tax) + shipping + codFee)
+
+  return {
+    success: true,
+    lines: taxResult.lines,
+    subtotal,
+    discount,
+    tax,
+    taxInclusive: taxResult.inclusive,
+    taxBreakdown: taxResult.breakdown,
+    shipping,
+    shippingDetails: shippingResult,
+    codFee,
+    total,
+    freeShipping,
+    appliedOffer,
+    appliedOffers: offers.appliedOffers,
+    manualDiscount: staffDiscount,
+  }
+}
+
+/**
+ * Build order lines from requested items and price them - the single code path shared by
+ * the checkout quote and order creation.
+ */
+const quoteOrder = async (tenantDB, { items, couponCode, customer = null, shippingAddress = null, paymentMethod }) => {
+  const linesResult = await buildOrderLines(tenantDB, items)
+  if (!linesResult.success) {
+    return linesResult
+  }
+
+  return priceOrder(tenantDB, {
+    lines: linesResult.lines,
+    couponCode,
+    customer,
+    shippingAddress,
+    paymentMethod,
+  })
+}
+
+module.exports = {
+  resolveVariant,
+  getUnitPrice,
+  buildOrderLine,
+  buildOrderLines,
+  priceOrder,
+  quoteOrder,
+}
@@ -0,0 +1,107 @@
+// Signed checkout quotes: the quote endpoint signs the totals it showed the customer together with a
+// fingerprint of the checkout input (items, address, coupon, payment method, customer). Order creation
+// re-prices the same input and only accepts the order if the token is valid and the totals still match.
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const AuthUtils = require("./auth")
+
+const QUOTE_TTL_MINUTES = 15
+const QUOTE_AUDIENCE = "yesp-checkout-quote"
+
+// Stable hash of everything that influences the price of a checkout
+const getQuoteFingerprint = ({ storeId, customerId, items = [], shippingAddress, couponCode, paymentMethod }) => {
+  const normalisedItems = items
+    .map((item) => ({
+      productId: String(item.productId || ""),
+      variantId: item.variantId ? String(item.variantId) : null,
+      quantity: Number.parseInt(item.quantity) || 0,
+    }))
+    .sort((a, b) => `${a.productId}:${a.variantId}`.localeCompare(`${b.productId}:${b.variantId}`))
+
+  const address = shippingAddress || {}
+  const payload = {
+    storeId: String(storeId || ""),
+    customerId: customerId ? String(customerId) : null,
+    items: normalisedItems,
+    address: ["zipCode", "city", "state", "country"].map((field) =>
+      String(address[field] || "")
+        .trim()
+        .toLowerCase(),
+    ),
+    couponCode: couponCode ? String(couponCode).trim().toUpperCase() : null,
+    paymentMethod: paymentMethod || null,
+  }
+
+  return crypto.createHash("sha256").update(JSON.stringify(payload)).digest("hex")
+}
+
+// Totals that must not change between the quote and the order
+const getQuoteTotals = (pricing) => ({
+  subtotal: pricing.subtotal,
+  discount: pricing.discount,
+  tax: pricing.tax,
+  shipping: pricing.shipping,
+  codFee: pricing.codFee,
+  total: pricing.total,
+})
+
+/**
+ * Sign a quote for the given checkout input and pricing.
+ * @returns {{token: string, expiresAt: Date}}
+ */
+const signQuote = ({ storeId, fingerprint, pricing }) => {
+  const token = jwt.sign(
+    { type: "checkout_quote", storeId, fingerprint, totals: getQuoteTotals(pricing) },
+    AuthUtils.JWT_SECRET,
+    { expiresIn: `${QUOTE_TTL_MINUTES}m`, audience: QUOTE_AUDIENCE },
+  )
+  return { token, expiresAt: new Date(Date.now() + QUOTE_TTL_MINUTES * 60 * 1000) }
+}
+
+/**
+ * Check a quote token against the checkout input and the freshly calculated pricing.
+ * @returns {{success: boolean, error?: string, code?: string}}
+ */
+const verifyQuote = (token, { storeId, fingerprint, pricing }) => {
+  let decoded
+  try {
+    decoded = jwt.verify(token, AuthUtils.JWT_SECRET, { audience: QUOTE_AUDIENCE })
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return { success: false, error: "Your checkout quote has expired, please review your order again", code: "QUOTE_EXPIRED" }
+    }
+    return { success: false, error: "Invalid checkout quote", code: "QUOTE_INVALID" }
+  }
+
+  if (decoded.type !== "checkout_quote" || decoded.storeId !== storeId) {
+    return { success: false, error: "Invalid checkout quote", code: "QUOTE_INVALID" }
+  }
+
+  if (decoded.fingerprint !== fingerprint) {
+    return {
+      success: false,
+      error: "Your cart, address or payment method changed after the quote was created",
+      code: "QUOTE_MISMATCH",
+    }
+  }
+
+  const current = getQuoteTotals(pricing)
+  const changed = Object.keys(current).filter((key) => Number(decoded.totals?.[key] || 0) !== Number(current[key] || 0))
+  if (changed.length > 0) {
+    return {
+      success: false,
+      error: "Prices have changed since your quote, please review your order again",
+      code: "PRICE_CHANGED",
+      changed,
+    }
+  }
+
+  return { success: true }
+}
+
+module.exports = {
+  QUOTE_TTL_MINUTES,
+  getQuoteFingerprint,
+  signQuote,
+  verifyQuote,
+}
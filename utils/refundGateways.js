@@ -0,0 +1,248 @@
+// Payment gateway adapters for refunds. Every adapter has the same two calls:
+//   refund({ payment, refund, settings })    - start a refund of refund.amount against the captured payment
+//   getStatus({ payment, refund, settings }) - check a refund the gateway is still processing
+// and answers { status: "completed" | "processing" | "failed" | "unknown", gatewayRefundId, response, error }.
+// "failed" is only answered when the gateway said so - a call that got no answer (timeout, dropped connection)
+// or a 5xx may still have been carried out, so it is "unknown" and the refund stays processing until getStatus
+// finds it (getStatus also works before the gateway refund id is known). Refund calls are idempotent per attempt.
+// Set REFUND_GATEWAY=mock to send every gateway refund to the mock adapter (development and tests).
+const axios = require("axios")
+const crypto = require("crypto")
+
+const toMinorUnits = (amount) => Math.round(amount * 100)
+
+const describeError = (error) =>
+  error.response?.data?.error?.description ||
+  error.response?.data?.error?.message ||
+  error.response?.data?.message ||
+  error.error?.description ||
+  error.message
+
+// The refund was not sent (gateway not configured)
+const notSent = (error) => ({ status: "failed", error })
+
+// A refund call that threw: only a 4xx answer means the gateway turned the refund down
+const callFailed = (error) => {
+  const statusCode = error.response?.status ?? error.statusCode
+  return {
+    status: statusCode >= 400 && statusCode < 500 ? "failed" : "unknown",
+    error: describeError(error),
+    response: error.response?.data ?? error.error,
+  }
+}
+
+// A status call that threw says nothing about the refund
+const statusUnknown = (error) => ({ status: "unknown", error: describeError(error) })
+
+// Times the refund was sent to the gateway (a retry after a confirmed failure is a new attempt)
+const getAttempt = (refund) => (refund.history || []).filter((entry) => entry.to === "processing").length || 1
+
+const razorpay = {
+  client(settings) {
+    const { keyId, keySecret } = settings?.payment?.razorpay || {}
+    if (!keyId || !keySecret) return null
+    const Razorpay = require("razorpay")
+    return new Razorpay({ key_id: keyId, key_secret: keySecret })
+  },
+  mapStatus: (status) => ({ processed: "completed", failed: "failed" })[status] || "processing",
+  // The refund is found again by its receipt (our refund id) and attempt
+  async refund({ payment, refund, settings }) {
+    const client = this.client(settings)
+    if (!client) return notSent("Razorpay keys are not configured")
+    try {
+      const response = await client.payments.refund(payment.gatewayTransactionId, {
+        amount: toMinorUnits(refund.amount),
+        receipt: refund._id.toString(),
+        notes: { orderNumber: refund.orderNumber, reason: refund.reason || "", attempt: String(getAttempt(refund)) },
+      })
+      return { status: this.mapStatus(response.status), gatewayRefundId: response.id, response }
+    } catch (error) {
+      return callFailed(error)
+    }
+  },
+  async getStatus({ payment, refund, settings }) {
+    const client = this.client(settings)
+    if (!client) return { status: "unknown", error: "Razorpay keys are not configured" }
+    try {
+      if (refund.gatewayRefundId) {
+        const response = await client.refunds.fetch(refund.gatewayRefundId)
+        return { status: this.mapStatus(response.status), gatewayRefundId: response.id, response }
+      }
+
+      // The refund call got no answer - look for the refund it may have created
+      const { items = [] } = await client.payments.fetchMultipleRefund(payment.gatewayTransactionId, { count: 100 })
+      const response = items.find(
+        (item) => item.receipt === refund._id.toString() && item.notes?.attempt === String(getAttempt(refund)),
+      )
+      if (!response) {
+        return { status: "failed", error: "Razorpay has no refund for this attempt", response: { count: items.length } }
+      }
+      return { status: this.mapStatus(response.status), gatewayRefundId: response.id, response }
+    } catch (error) {
+      return statusUnknown(error)
+    }
+  },
+}
+
+const stripe = {
+  request(settings, method, path, data, headers = {}) {
+    return axios({
+      method,
+      url: `https://api.stripe.com/v1${path}`,
+      data: data ? new URLSearchParams(data).toString() : undefined,
+      headers: {
+        Authorization: `Bearer ${settings.payment.stripe.secretKey}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+        ...headers,
+      },
+      timeout: 15000,
+    })
+  },
+  configured: (settings) => !!settings?.payment?.stripe?.secretKey,
+  mapStatus: (status) => ({ succeeded: "completed", failed: "failed", canceled: "failed" })[status] || "processing",
+  // Stripe answers a repeated request with the same Idempotency-Key with the first result (for 24 hours)
+  createRefund(payment, refund, settings) {
+    const paymentIntent = payment.gatewayResponse?.paymentIntentId
+    return this.request(
+      settings,
+      "post",
+      "/refunds",
+      {
+        ...(paymentIntent ? { payment_intent: paymentIntent } : { charge: payment.gatewayTransactionId }),
+        amount: toMinorUnits(refund.amount),
+        "metadata[refundId]": refund._id.toString(),
+      },
+      { "Idempotency-Key": `refund_${refund._id}_${getAttempt(refund)}` },
+    )
+  },
+  async refund({ payment, refund, settings }) {
+    if (!this.configured(settings)) return notSent("Stripe secret key is not configured")
+    try {
+      const { data } = await this.createRefund(payment, refund, settings)
+      return { status: this.mapStatus(data.status), gatewayRefundId: data.id, response: data }
+    } catch (error) {
+      return callFailed(error)
+    }
+  },
+  async getStatus({ payment, refund, settings }) {
+    if (!this.configured(settings)) return { status: "unknown", error: "Stripe secret key is not configured" }
+    try {
+      // The refund call got no answer - sending it again with the same key gives its result
+      const { data } = refund.gatewayRefundId
+        ? await this.request(settings, "get", `/refunds/${refund.gatewayRefundId}`)
+        : await this.createRefund(payment, refund, settings)
+      return { status: this.mapStatus(data.status), gatewayRefundId: data.id, response: data }
+    } catch (error) {
+      return refund.gatewayRefundId ? statusUnknown(error) : callFailed(error)
+    }
+  },
+}
+
+const phonepe = {
+  config(settings) {
+    const config = settings?.payment?.phonepe || {}
+    if (!config.merchantId || !config.saltKey) return null
+    const baseUrl =
+      config.environment === "production"
+        ? "https://api.phonepe.com/apis/hermes"
+        : "https://api-preprod.phonepe.com/apis/hermes"
+    const checksum = (value) =>
+      crypto
+        .createHash("sha256")
+        .update(value + config.saltKey)
+        .digest("hex") + `###${config.saltIndex || 1}`
+    return { ...config, baseUrl, checksum }
+  },
+  mapStatus: (code) => ({ PAYMENT_SUCCESS: "completed", PAYMENT_ERROR: "failed" })[code] || "processing",
+  // PhonePe identifies a refund by the merchant transaction id we send (one per attempt)
+  refundTransactionId: (refund) => {
+    const attempt = getAttempt(refund)
+    return `RF${refund._id.toString()}${attempt > 1 ? `_${attempt}` : ""}`
+  },
+  async refund({ payment, refund, settings }) {
+    const config = this.config(settings)
+    if (!config) return notSent("PhonePe is not configured")
+    try {
+      const merchantTransactionId = this.refundTransactionId(refund)
+      const payload = Buffer.from(
+        JSON.stringify({
+          merchantId: config.merchantId,
+          merchantUserId: payment.customerId.toString(),
+          originalTransactionId: payment.gatewayResponse?.merchantTransactionId,
+          merchantTransactionId,
+          amount: toMinorUnits(refund.amount),
+        }),
+      ).toString("base64")
+      const { data } = await axios.post(
+        `${config.baseUrl}/pg/v1/refund`,
+        { request: payload },
+        {
+          headers: { "Content-Type": "application/json", "X-VERIFY": config.checksum(payload + "/pg/v1/refund") },
+          timeout: 15000,
+        },
+      )
+      if (!data.success && data.code !== "PAYMENT_PENDING") {
+        return { status: "failed", error: data.message || data.code, response: data }
+      }
+      return { status: this.mapStatus(data.code), gatewayRefundId: merchantTransactionId, response: data }
+    } catch (error) {
+      return callFailed(error)
+    }
+  },
+  async getStatus({ refund, settings }) {
+    const config = this.config(settings)
+    if (!config) return { status: "unknown", error: "PhonePe is not configured" }
+    try {
+      const path = `/pg/v1/status/${config.merchantId}/${refund.gatewayRefundId || this.refundTransactionId(refund)}`
+      const { data } = await axios.get(`${config.baseUrl}${path}`, {
+        headers: { "X-VERIFY": config.checksum(path), "X-MERCHANT-ID": config.merchantId },
+        timeout: 15000,
+      })
+      return {
+        status: this.mapStatus(data.code),
+        gatewayRefundId: refund.gatewayRefundId || this.refundTransactionId(refund),
+        response: data,
+      }
+    } catch (error) {
+      return statusUnknown(error)
+    }
+  },
+}
+
+// Answers without calling anything. MOCK_REFUND_STATUS=processing / failed / unknown simulates slow, failing
+// or unreachable gateways.
+const mock = {
+  result(refund) {
+    const status = ["processing", "failed", "unknown"].includes(process.env.MOCK_REFUND_STATUS)
+      ? process.env.MOCK_REFUND_STATUS
+      : "completed"
+    return {
+      status,
+      gatewayRefundId:
+        status === "unknown"
+          ? undefined
+          : refund.gatewayRefundId || `mock_rfnd_${crypto.randomBytes(6).toString("hex")}`,
+      response: { mock: true, status, amount: refund.amount },
+      error: { failed: "Mock refund failed", unknown: "Mock gateway timed out" }[status],
+    }
+  },
+  async refund({ refund }) {
+    return this.result(refund)
+  },
+  async getStatus({ refund }) {
+    return this.result(refund)
+  },
+}
+
+const REFUND_GATEWAYS = { razorpay, stripe, phonepe, mock }
+
+// Adapter for the gateway a payment was captured with (null if refunds through it are not supported)
+const getRefundGateway = (gateway) => {
+  if (process.env.REFUND_GATEWAY === "mock") return { name: "mock", adapter: mock }
+  return REFUND_GATEWAYS[gateway] ? { name: gateway, adapter: REFUND_GATEWAYS[gateway] } : null
+}
+
+module.exports = {
+  REFUND_GATEWAYS,
+  getRefundGateway,
+}
@@ -0,0 +1,363 @@
+// Refunds of orders: partial refunds up to the captured amount, approval, execution through the payment
+// gateway or as a manual / COD refund, and the roll-up of Payment.status and Order.paymentStatus.
+const { transitionOrder } = require("./orderLifecycle")
+const { getRefundGateway } = require("./refundGateways")
+const { issueRefundCreditNote } = require("./creditNotes")
+
+const REFUND_TRANSITIONS = {
+  requested: ["approved", "rejected"],
+  approved: ["processing", "rejected"],
+  processing: ["completed", "failed"],
+  // A refund the gateway confirmed as failed can be tried again. A refund call without a definite answer
+  // leaves the refund processing until syncRefund finds out what happened, so it is never paid out twice.
+  failed: ["processing"],
+  rejected: [],
+  completed: [],
+}
+
+// Refunds in these statuses no longer count against the refundable amount
+const RELEASED_STATUSES = ["rejected", "failed"]
+const REFUND_METHODS = ["gateway", "manual", "cod"]
+const PAID_PAYMENT_STATUSES = ["completed", "partially_refunded", "refunded"]
+const PAID_ORDER_STATUSES = ["paid", "partially_refunded", "refunded"]
+
+const SYSTEM_ACTOR = { type: "system", name: "System" }
+
+const round = (value) => Math.round(value * 100) / 100
+
+const toActor = (actor = SYSTEM_ACTOR) => ({
+  type: actor.type || "system",
+  id: actor.id ? String(actor.id) : undefined,
+  name: actor.name,
+})
+
+const buildRefundHistoryEntry = (from, to, { actor, note } = {}) => ({
+  from,
+  to,
+  actor: toActor(actor),
+  note,
+  at: new Date(),
+})
+
+/**
+ * Money captured for an order: the completed gateway payment, or the order total for COD / manually
+ * collected orders that are marked paid (plus what was refunded for items cancelled or edited out after payment,
+ * since that lowers the order total, less a balance still due after an edit raised it). A balance collected
+ * after a gateway payment is added to the payment.
+ * @returns {Promise<{amount: number, payment: object|null}>}
+ */
+const getCapturedPayment = async (tenantDB, order) => {
+  const Payment = require("../models/tenant/Payment")(tenantDB)
+  const payment = await Payment.findOne({ orderId: order._id, status: { $in: PAID_PAYMENT_STATUSES } }).sort({
+    createdAt: -1,
+  })
+  if (payment) {
+    const balancePaid = (order.balancePayments || []).reduce((sum, entry) => sum + entry.amount, 0)
+    return { amount: round(payment.amount + balancePaid), payment }
+  }
+  if (PAID_ORDER_STATUSES.includes(order.paymentStatus)) {
+    const changeRefunds = [...(order.cancellations || []), ...(order.edits || [])].reduce(
+      (sum, entry) => sum + (entry.refundAmount || 0),
+      0,
+    )
+    return { amount: round(order.total - (order.balanceDue || 0) + changeRefunds), payment: null }
+  }
+  return { amount: 0, payment: null }
+}
+
+/**
+ * Refund totals of an order.
+ * @returns {Promise<{captured: number, refunded: number, pending: number, refundable: number, payment: object|null}>}
+ */
+const getRefundSummary = async (tenantDB, order) => {
+  const Refund = require("../models/tenant/Refund")(tenantDB)
+  const { amount: captured, payment } = await getCapturedPayment(tenantDB, order)
+  const totals = await Refund.aggregate([
+    { $match: { orderId: order._id, status: { $nin: RELEASED_STATUSES } } },
+    { $group: { _id: { $eq: ["$status", "completed"] }, amount: { $sum: "$amount" } } },
+  ])
+  const refunded = round(totals.find((total) => total._id === true)?.amount || 0)
+  const pending = round(totals.find((total) => total._id === false)?.amount || 0)
+  return { captured, refunded, pending, refundable: round(Math.max(0, captured - refunded - pending)), payment }
+}
+
+/**
+ * Open a refund for an order. Refunds requested by customers start as "requested" and need approval,
+ * refunds created by the store start as "approved".
+ * @param {object} data - { amount, reason, source, method, returnId, status, actor }
+ * @returns {Promise<{success: boolean, refund?: object, error?: string, code?: string, refundable?: number}>}
+ */
+const createRefund = async (tenantDB, order, data) => {
+  const Refund = require("../models/tenant/Refund")(tenantDB)
+  const { actor = SYSTEM_ACTOR, source = "admin", status = "approved" } = data
+
+  const summary = await getRefundSummary(tenantDB, order)
+  if (summary.captured <= 0) {
+    return { success: false, error: "Nothing was paid for this order", code: "NOTHING_CAPTURED" }
+  }
+
+  const amount = data.amount === undefined || data.amount === null ? summary.refundable : round(Number(data.amount))
+  if (!(amount > 0) || amount > summary.refundable) {
+    return {
+      success: false,
+      error: `Refund amount must be between 0.01 and ${summary.refundable}`,
+      code: "INVALID_REFUND_AMOUNT",
+      refundable: summary.refundable,
+    }
+  }
+
+  const method =
+    data.method || (summary.payment?.gateway ? "gateway" : order.paymentMethod === "cod" ? "cod" : "manual")
+  if (!REFUND_METHODS.includes(method)) {
+    return { success: false, error: "Invalid refund method", code: "INVALID_REFUND_METHOD" }
+  }
+  if (method === "gateway" && !summary.payment?.gateway) {
+    return {
+      success: false,
+      error: "This order was not paid through a payment gateway, record a manual or COD refund",
+      code: "NO_GATEWAY_PAYMENT",
+    }
+  }
+
+  const refund = await Refund.create({
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    paymentId: summary.payment?._id || null,
+    customerId: order.customerId,
+    amount,
+    currency: summary.payment?.currency || "INR",
+    reason: data.reason,
+    source,
+    returnId: data.returnId,
+    method,
+    gateway: method === "gateway" ? summary.payment.gateway : undefined,
+    status,
+    requestedBy: toActor(actor),
+    approvedAt: status === "approved" ? new Date() : undefined,
+    history: [buildRefundHistoryEntry(null, status, { actor, note: data.reason })],
+  })
+
+  // Two refunds created at the same time could together go over the captured amount - undo this one if so
+  const after = await getRefundSummary(tenantDB, order)
+  if (after.refunded + after.pending > after.captured + 0.001) {
+    await Refund.deleteOne({ _id: refund._id })
+    return {
+      success: false,
+      error: "Another refund was created for this order at the same time, please try again",
+      code: "REFUND_CONFLICT",
+    }
+  }
+
+  console.log(`💸 Refund of ${amount} ${status} for order ${order.orderNumber} (${source}, ${method})`)
+  return { success: true, refund }
+}
+
+// A payment that arrived after its order was cancelled: the stock is gone, so the whole payment is flagged
+// for a refund (approved, for the store to execute)
+const refundLatePayment = async (tenantDB, order, actor = SYSTEM_ACTOR) => {
+  const result = await createRefund(tenantDB, order, {
+    reason: "Payment received after the order was cancelled",
+    source: "cancellation",
+    actor,
+  })
+  if (result.success) {
+    console.log(`💸 Refund of ${result.refund.amount} opened for cancelled order ${order.orderNumber}`)
+  } else {
+    console.error(`❌ Could not open a refund for cancelled order ${order.orderNumber}: ${result.error}`)
+  }
+  return result
+}
+
+/**
+ * Move a refund to a new status, atomically against its current status.
+ * @returns {Promise<{success: boolean, refund?: object, error?: string, code?: string, allowed?: string[]}>}
+ */
+const transitionRefund = async (tenantDB, refund, status, { actor, note, set = {} } = {}) => {
+  const Refund = require("../models/tenant/Refund")(tenantDB)
+  const allowed = REFUND_TRANSITIONS[refund.status] || []
+  if (!allowed.includes(status)) {
+    return {
+      success: false,
+      error: `Refund cannot move from ${refund.status} to ${status}`,
+      code: "INVALID_TRANSITION",
+      allowed,
+    }
+  }
+
+  const now = new Date()
+  const timestamps = { approved: "approvedAt", processing: "processedAt", completed: "completedAt" }
+  const updated = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: refund.status },
+    {
+      $set: { ...set, status, ...(timestamps[status] && { [timestamps[status]]: now }) },
+      $push: { history: buildRefundHistoryEntry(refund.status, status, { actor, note }) },
+    },
+    { new: true },
+  )
+  if (!updated) {
+    return {
+      success: false,
+      error: "The refund was changed by someone else, please reload it",
+      code: "REFUND_STATUS_CHANGED",
+    }
+  }
+  return { success: true, refund: updated }
+}
+
+/**
+ * Bring Payment.refundAmount / status and Order.paymentStatus in line with the completed refunds,
+ * complete the return a refund was made for and issue the credit note of an invoiced order.
+ */
+const rollUpRefunds = async (tenantDB, refund, actor = SYSTEM_ACTOR) => {
+  const Order = require("../models/tenant/Order")(tenantDB)
+  const Payment = require("../models/tenant/Payment")(tenantDB)
+  const Refund = require("../models/tenant/Refund")(tenantDB)
+
+  const order = await Order.findById(refund.orderId)
+  if (!order) return
+  const summary = await getRefundSummary(tenantDB, order)
+  const fullyRefunded = summary.refunded >= summary.captured - 0.001
+
+  if (refund.paymentId) {
+    const [paymentTotal] = await Refund.aggregate([
+      { $match: { paymentId: refund.paymentId, status: "completed" } },
+      { $group: { _id: null, amount: { $sum: "$amount" } } },
+    ])
+    await Payment.updateOne(
+      { _id: refund.paymentId },
+      {
+        $set: {
+          refundAmount: round(paymentTotal?.amount || 0),
+          status: fullyRefunded ? "refunded" : "partially_refunded",
+          refundedAt: new Date(),
+        },
+      },
+    )
+  }
+
+  const paymentStatus = fullyRefunded ? "refunded" : "partially_refunded"
+  if (summary.refunded > 0 && order.paymentStatus !== paymentStatus) {
+    const result = await transitionOrder(tenantDB, order, {
+      paymentStatus,
+      actor,
+      note: `Refunded ${summary.refunded} of ${summary.captured}`,
+    })
+    if (!result.success) {
+      console.error(`❌ Could not update payment status of order ${order.orderNumber}: ${result.error}`)
+    }
+  }
+
+  if (refund.returnId) {
+    const ReturnRequest = require("../models/tenant/ReturnRequest")(tenantDB)
+    await ReturnRequest.updateOne(
+      { _id: refund.returnId, "resolution.refundId": refund._id },
+      { $set: { "resolution.status": "completed" } },
+    )
+  }
+
+  try {
+    await issueRefundCreditNote(tenantDB, refund, actor)
+  } catch (error) {
+    console.error(`❌ Failed to issue credit note for refund ${refund._id}:`, error.message)
+  }
+}
+
+// Store the gateway's answer on a processing refund ("unknown" keeps it processing for syncRefund)
+const applyGatewayResult = async (tenantDB, refund, result, actor) => {
+  const set = {
+    gatewayRefundId: result.gatewayRefundId || refund.gatewayRefundId,
+    gatewayResponse: result.status === "unknown" ? { error: result.error, response: result.response } : result.response,
+  }
+  if (result.status === "unknown") {
+    console.warn(`⚠️ Refund ${refund._id} for order ${refund.orderNumber} has no gateway answer: ${result.error}`)
+  }
+  if (["processing", "unknown"].includes(result.status)) {
+    const Refund = require("../models/tenant/Refund")(tenantDB)
+    const updated = await Refund.findOneAndUpdate({ _id: refund._id }, { $set: set }, { new: true })
+    return { success: true, refund: updated }
+  }
+
+  const failedRefund = result.status === "failed"
+  const transition = await transitionRefund(tenantDB, refund, failedRefund ? "failed" : "completed", {
+    actor,
+    note: failedRefund ? result.error : "Refund completed",
+    set: { ...set, ...(failedRefund && { failureReason: result.error }) },
+  })
+  if (!transition.success) return transition
+  if (!failedRefund) {
+    await rollUpRefunds(tenantDB, transition.refund, actor)
+    console.log(`✅ Refund ${refund._id} of ${refund.amount} completed for order ${refund.orderNumber}`)
+  } else {
+    console.error(`❌ Refund ${refund._id} for order ${refund.orderNumber} failed: ${result.error}`)
+  }
+  return transition
+}
+
+/**
+ * Pay out an approved (or failed) refund. Gateway refunds go through the adapter of the payment gateway,
+ * manual and COD refunds are recorded as completed with their reference.
+ * @param {object} options - { actor, reference }
+ */
+const executeRefund = async (tenantDB, refund, { actor = SYSTEM_ACTOR, reference } = {}) => {
+  const claimed = await transitionRefund(tenantDB, refund, "processing", {
+    actor,
+    note: refund.status === "failed" ? "Retrying refund" : undefined,
+    set: { failureReason: null, ...(reference && { reference }) },
+  })
+  if (!claimed.success) return claimed
+
+  if (refund.method !== "gateway") {
+    return applyGatewayResult(tenantDB, claimed.refund, { status: "completed" }, actor)
+  }
+
+  const Payment = require("../models/tenant/Payment")(tenantDB)
+  const Settings = require("../models/tenant/Settings")(tenantDB)
+  const [payment, settings] = await Promise.all([Payment.findById(refund.paymentId), Settings.findOne()])
+  const gateway = getRefundGateway(payment?.gateway)
+
+  let result
+  if (!payment) {
+    result = { status: "failed", error: "Payment not found" }
+  } else if (!gateway) {
+    result = { status: "failed", error: `Refunds through ${payment.gateway} are not supported` }
+  } else {
+    console.log(`💸 Refunding ${refund.amount} through ${gateway.name} for order ${refund.orderNumber}`)
+    result = await gateway.adapter.refund({ payment, refund: claimed.refund, settings })
+  }
+  return applyGatewayResult(tenantDB, claimed.refund, result, actor)
+}
+
+// Ask the gateway about a refund it is still processing, or whose refund call got no answer
+const syncRefund = async (tenantDB, refund, { actor = SYSTEM_ACTOR } = {}) => {
+  if (refund.status !== "processing" || refund.method !== "gateway") {
+    return { success: false, error: "Only gateway refunds in processing can be checked", code: "REFUND_NOT_PROCESSING" }
+  }
+
+  const Payment = require("../models/tenant/Payment")(tenantDB)
+  const Settings = require("../models/tenant/Settings")(tenantDB)
+  const [payment, settings] = await Promise.all([Payment.findById(refund.paymentId), Settings.findOne()])
+  const gateway = getRefundGateway(payment?.gateway)
+  if (!payment || !gateway) {
+    return { success: false, error: "Payment gateway not available", code: "GATEWAY_NOT_AVAILABLE" }
+  }
+
+  const result = await gateway.adapter.getStatus({ payment, refund, settings })
+  if (result.status === "unknown") {
+    // The gateway did not answer - keep the refund processing
+    return { success: false, error: result.error, code: "GATEWAY_ERROR" }
+  }
+  return applyGatewayResult(tenantDB, refund, result, actor)
+}
+
+module.exports = {
+  REFUND_TRANSITIONS,
+  REFUND_METHODS,
+  getCapturedPayment,
+  getRefundSummary,
+  createRefund,
+  refundLatePayment,
+  transitionRefund,
+  executeRefund,
+  syncRefund,
+  rollUpRefunds,
+}
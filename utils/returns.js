@@ -0,0 +1,541 @@
+// Returns (RMA) of delivered orders: which lines can still be returned, the status flow of a return request,
+// restocking received items and the merchant's resolution (refund, store credit or exchange).
+const { adjustStock, reserveStock, returnLinesStock, buildReservation } = require("./inventory")
+const { buildOrderLine } = require("./pricing")
+const { buildInitialHistory, transitionOrder } = require("./orderLifecycle")
+const { nextReturnNumber } = require("./numbering")
+const { createRefund } = require("./refunds")
+const { issueReturnCreditNote } = require("./creditNotes")
+
+const RETURN_REASONS = ["damaged", "defective", "wrong_item", "not_as_described", "size_fit", "changed_mind", "other"]
+const RETURN_RESOLUTIONS = ["refund", "store_credit", "exchange"]
+const ITEM_CONDITIONS = ["unopened", "good", "damaged", "defective"]
+const MAX_PHOTOS = 5
+
+const RETURN_TRANSITIONS = {
+  requested: ["approved", "rejected", "cancelled"],
+  approved: ["pickup_scheduled", "received", "cancelled"],
+  pickup_scheduled: ["received", "cancelled"],
+  received: ["completed"],
+  rejected: [],
+  completed: [],
+  cancelled: [],
+}
+
+// Returns in these statuses no longer hold on to the order quantities
+const CLOSED_WITHOUT_RETURN = ["rejected", "cancelled"]
+
+const SYSTEM_ACTOR = { type: "system", name: "System" }
+
+const round = (value) => Math.round(value * 100) / 100
+
+// Return settings with defaults filled in
+const getReturnSettings = (settings) => {
+  const config = settings?.returns || {}
+  const resolutions = (config.resolutions || []).filter((type) => RETURN_RESOLUTIONS.includes(type))
+  return {
+    enabled: config.enabled !== false,
+    windowDays: Number(config.windowDays ?? 7) || 0,
+    requirePhotos: config.requirePhotos === true,
+    resolutions: resolutions.length > 0 ? resolutions : RETURN_RESOLUTIONS,
+  }
+}
+
+// Last moment a return can be requested (null if the order was never delivered)
+const getReturnDeadline = (order, windowDays) => {
+  if (order.status !== "delivered") return null
+  const deliveredAt = order.deliveredAt || order.updatedAt
+  return new Date(new Date(deliveredAt).getTime() + windowDays * 24 * 60 * 60 * 1000)
+}
+
+// What the customer paid per unit of an order line (its share of the discount taken off, tax included)
+const getUnitAmount = (item) => {
+  const quantity = item.quantity || 1
+  const paid =
+    item.taxableValue !== undefined && item.taxableValue !== null
+      ? item.taxableValue + (item.taxAmount || 0)
+      : (item.total ?? item.price * quantity) - (item.discount || 0)
+  return round(Math.max(0, paid) / quantity)
+}
+
+/**
+ * Quantity of each order line that is not part of an open or completed return yet.
+ * @returns {Promise<Map<string, number>>} order line _id -> returnable quantity
+ */
+const getReturnableQuantities = async (tenantDB, order) => {
+  const ReturnRequest = require("../models/tenant/ReturnRequest")(tenantDB)
+  const returns = await ReturnRequest.find({ orderId: order._id, status: { $nin: CLOSED_WITHOUT_RETURN } })
+    .select("items.orderItemId items.quantity")
+    .lean()
+
+  const remaining = new Map(order.items.map((item) => [item._id.toString(), item.quantity || 0]))
+  returns.forEach((returnRequest) =>
+    returnRequest.items.forEach((item) => {
+      const id = item.orderItemId.toString()
+      if (remaining.has(id)) {
+        remaining.set(id, Math.max(0, remaining.get(id) - item.quantity))
+      }
+    }),
+  )
+  return remaining
+}
+
+/**
+ * Can this order still be returned, and which lines / quantities.
+ * @returns {Promise<{eligible: boolean, reason?: string, code?: string, deadline?: Date, items: object[]}>}
+ */
+const getReturnEligibility = async (tenantDB, order, settings) => {
+  const config = getReturnSettings(settings)
+  const deadline = getReturnDeadline(order, config.windowDays)
+  const remaining = await getReturnableQuantities(tenantDB, order)
+  const items = order.items.map((item) => ({
+    orderItemId: item._id,
+    productId: item.productId,
+    variantId: item.variantId,
+    name: item.name,
+    variantName: item.variantName,
+    image: item.image,
+    quantity: item.quantity,
+    returnableQuantity: remaining.get(item._id.toString()) || 0,
+    unitAmount: getUnitAmount(item),
+  }))
+
+  const result = (eligible, reason, code) => ({ eligible, reason, code, deadline, items, settings: config })
+  if (!config.enabled) return result(false, "Returns are not accepted by this store", "RETURNS_DISABLED")
+  if (!deadline) return result(false, "Only delivered orders can be returned", "ORDER_NOT_DELIVERED")
+  if (deadline < new Date()) return result(false, "The return window for this order has closed", "RETURN_WINDOW_CLOSED")
+  if (!items.some((item) => item.returnableQuantity > 0)) {
+    return result(false, "All items of this order are already being returned", "NOTHING_TO_RETURN")
+  }
+  return result(true)
+}
+
+// Validate photo URLs of a returned line (same rules as review photos)
+const parsePhotos = (photos) => {
+  if (photos === undefined || photos === null) return { photos: [] }
+  const list = Array.isArray(photos) ? photos : [photos]
+  const valid = list.filter((url) => typeof url === "string" && /^https?:\/\/\S+$/i.test(url.trim()))
+  if (valid.length !== list.length) return { error: "Photos must be http(s) image URLs" }
+  if (valid.length > MAX_PHOTOS) return { error: `A returned item can have at most ${MAX_PHOTOS} photos` }
+  return { photos: valid.map((url) => url.trim()) }
+}
+
+/**
+ * Build the items of a new return from the request body ({ orderItemId, quantity, reason, comment, photos }).
+ * @returns {{success: boolean, items?: object[], error?: string, code?: string, details?: string[]}}
+ */
+const buildReturnItems = (order, requestedItems, eligibility) => {
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    return { success: false, error: "Select at least one item to return", code: "NO_ITEMS" }
+  }
+
+  const errors = []
+  const items = []
+  const seen = new Set()
+  requestedItems.forEach((requested, index) => {
+    const line = order.items.find((item) => item._id.toString() === String(requested.orderItemId))
+    const label = line ? line.name : `Item ${index + 1}`
+    if (!line) {
+      errors.push(`${label}: not part of this order`)
+      return
+    }
+    if (seen.has(line._id.toString())) {
+      errors.push(`${label}: listed more than once`)
+      return
+    }
+    seen.add(line._id.toString())
+
+    const returnable = eligibility.items.find((item) => item.orderItemId.toString() === line._id.toString())
+    const quantity = Number(requested.quantity ?? returnable.returnableQuantity)
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`${label}: quantity must be a whole number of at least 1`)
+    } else if (quantity > returnable.returnableQuantity) {
+      errors.push(`${label}: only ${returnable.returnableQuantity} can be returned`)
+    }
+    if (!RETURN_REASONS.includes(requested.reason)) {
+      errors.push(`${label}: reason must be one of ${RETURN_REASONS.join(", ")}`)
+    }
+    const { photos, error: photoError } = parsePhotos(requested.photos)
+    if (photoError) {
+      errors.push(`${label}: ${photoError}`)
+    } else if (eligibility.settings.requirePhotos && photos.length === 0) {
+      errors.push(`${label}: add at least one photo`)
+    }
+
+    items.push({
+      orderItemId: line._id,
+      productId: line.productId,
+      variantId: line.variantId,
+      name: line.name,
+      variantName: line.variantName,
+      sku: line.sku,
+      image: line.image,
+      quantity,
+      unitAmount: returnable.unitAmount,
+      reason: requested.reason,
+      comment: typeof requested.comment === "string" ? requested.comment.trim().slice(0, 1000) : undefined,
+      photos,
+    })
+  })
+
+  if (errors.length > 0) {
+    return { success: false, error: "Invalid return items", code: "INVALID_RETURN_ITEMS", details: errors }
+  }
+  return { success: true, items }
+}
+
+// History entry for a status change of a return
+const buildReturnHistoryEntry = (from, to, { actor = SYSTEM_ACTOR, note } = {}) => ({
+  from,
+  to,
+  actor: {
+    type: actor.type || "system",
+    id: actor.id ? String(actor.id) : undefined,
+    name: actor.name,
+  },
+  note,
+  at: new Date(),
+})
+
+/**
+ * Open a return request for a delivered order.
+ * @param {object} data - { items, preferredResolution, comment }
+ * @returns {Promise<{success: boolean, returnRequest?: object, error?: string, code?: string, details?: string[]}>}
+ */
+const createReturnRequest = async (tenantDB, order, data, { actor } = {}) => {
+  const ReturnRequest = require("../models/tenant/ReturnRequest")(tenantDB)
+  const Settings = require("../models/tenant/Settings")(tenantDB)
+  const settings = await Settings.findOne()
+
+  const eligibility = await getReturnEligibility(tenantDB, order, settings)
+  if (!eligibility.eligible) {
+    return { success: false, error: eligibility.reason, code: eligibility.code }
+  }
+
+  const built = buildReturnItems(order, data.items, eligibility)
+  if (!built.success) return built
+
+  const preferredResolution = data.preferredResolution || eligibility.settings.resolutions[0]
+  if (!eligibility.settings.resolutions.includes(preferredResolution)) {
+    return {
+      success: false,
+      error: "This resolution is not offered by the store",
+      code: "INVALID_RESOLUTION",
+      details: eligibility.settings.resolutions,
+    }
+  }
+
+  const returnRequest = await ReturnRequest.create({
+    returnNumber: await nextReturnNumber(tenantDB),
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    customerId: order.customerId,
+    items: built.items,
+    preferredResolution,
+    comment: typeof data.comment === "string" ? data.comment.trim().slice(0, 1000) : undefined,
+    requestedAmount: round(built.items.reduce((sum, item) => sum + item.unitAmount * item.quantity, 0)),
+    pickup: { address: order.customerInfo?.address },
+    history: [buildReturnHistoryEntry(null, "requested", { actor, note: "Return requested" })],
+  })
+
+  console.log(`↩️ Return ${returnRequest.returnNumber} requested for order ${order.orderNumber}`)
+  return { success: true, returnRequest }
+}
+
+/**
+ * Move a return to a new status. Applied atomically against the current status (a concurrent change
+ * makes it fail) and recorded in its history.
+ * @param {object} returnRequest - current ReturnRequest document (not modified - use the returned one)
+ * @param {object} options - { actor, note, set: extra fields to store with the change }
+ * @returns {Promise<{success: boolean, returnRequest?: object, error?: string, code?: string, allowed?: string[]}>}
+ */
+const transitionReturn = async (tenantDB, returnRequest, status, { actor = SYSTEM_ACTOR, note, set = {} } = {}) => {
+  const ReturnRequest = require("../models/tenant/ReturnRequest")(tenantDB)
+  const allowed = RETURN_TRANSITIONS[returnRequest.status] || []
+  if (!allowed.includes(status)) {
+    return {
+      success: false,
+      error: `Return cannot move from ${returnRequest.status} to ${status}`,
+      code: "INVALID_TRANSITION",
+      allowed,
+    }
+  }
+
+  const now = new Date()
+  const timestamps = { approved: "approvedAt", received: "receivedAt", completed: "completedAt" }
+  const updated = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: returnRequest.status },
+    {
+      $set: { ...set, status, ...(timestamps[status] && { [timestamps[status]]: now }) },
+      $push: { history: buildReturnHistoryEntry(returnRequest.status, status, { actor, note }) },
+    },
+    { new: true, runValidators: true },
+  )
+  if (!updated) {
+    return {
+      success: false,
+      error: "The return was changed by someone else, please reload it",
+      code: "RETURN_STATUS_CHANGED",
+    }
+  }
+
+  console.log(`🔄 Return ${returnRequest.returnNumber}: ${returnRequest.status} → ${status}`)
+  return { success: true, returnRequest: updated }
+}
+
+/**
+ * Mark a return as received with what actually came back.
+ * receivedItems: [{ itemId or orderItemId, receivedQuantity, condition, restock }] - items not listed count as
+ * fully received in good condition.
+ * Items marked restock go back into inventory.
+ */
+const receiveReturn = async (tenantDB, returnRequest, { receivedItems = [], actor, note } = {}) => {
+  if (!Array.isArray(receivedItems)) {
+    return { success: false, error: "items must be an array", code: "INVALID_RECEIVED_ITEMS" }
+  }
+
+  const errors = []
+  const items = returnRequest.items.map((item) => {
+    const received =
+      receivedItems.find((entry) =>
+        [item._id.toString(), item.orderItemId.toString()].includes(String(entry.itemId ?? entry.orderItemId)),
+      ) || {}
+    const receivedQuantity = Number(received.receivedQuantity ?? item.quantity)
+    if (!Number.isInteger(receivedQuantity) || receivedQuantity < 0 || receivedQuantity > item.quantity) {
+      errors.push(`${item.name}: received quantity must be between 0 and ${item.quantity}`)
+    }
+    if (received.condition !== undefined && !ITEM_CONDITIONS.includes(received.condition)) {
+      errors.push(`${item.name}: condition must be one of ${ITEM_CONDITIONS.join(", ")}`)
+    }
+    const condition = received.condition || "good"
+    const restock =
+      received.restock !== undefined ? received.restock === true : ["unopened", "good"].includes(condition)
+    return { ...item.toObject(), receivedQuantity, condition, restock }
+  })
+  if (errors.length > 0) {
+    return { success: false, error: "Invalid received items", code: "INVALID_RECEIVED_ITEMS", details: errors }
+  }
+  if (!items.some((item) => item.receivedQuantity > 0)) {
+    return { success: false, error: "Nothing was received", code: "NOTHING_RECEIVED" }
+  }
+
+  const result = await transitionReturn(tenantDB, returnRequest, "received", { actor, note, set: { items } })
+  if (!result.success) return result
+
+  // The transition only succeeds once, so items are restocked once
+  const Product = require("../models/tenant/Product")(tenantDB)
+  const ReturnRequest = require("../models/tenant/ReturnRequest")(tenantDB)
+  const reference = { type: "Return", id: returnRequest._id.toString(), number: returnRequest.returnNumber }
+  for (const item of result.returnRequest.items) {
+    if (item.receivedQuantity > 0) {
+      await Product.updateOne({ _id: item.productId }, { $inc: { salesCount: -item.receivedQuantity } })
+    }
+    if (!item.restock || item.receivedQuantity === 0) continue
+    try {
+      const restocked = await adjustStock(Product, {
+        productId: item.productId,
+        variantId: item.variantId,
+        delta: item.receivedQuantity,
+        movement: { type: "return", reason: `Returned (${item.condition})`, actor, reference },
+      })
+      if (restocked.success) {
+        await ReturnRequest.updateOne(
+          { _id: returnRequest._id, "items._id": item._id },
+          { $set: { "items.$.restockedQuantity": item.receivedQuantity } },
+        )
+        console.log(`📦 Restocked ${item.receivedQuantity} x ${item.name} from return ${returnRequest.returnNumber}`)
+      }
+    } catch (error) {
+      console.error(`❌ Failed to restock ${item.name} from return ${returnRequest.returnNumber}:`, error.message)
+    }
+  }
+
+  return { success: true, returnRequest: await ReturnRequest.findById(returnRequest._id) }
+}
+
+// Amount the received items are worth
+const getReceivedAmount = (returnRequest) =>
+  round(returnRequest.items.reduce((sum, item) => sum + item.unitAmount * item.receivedQuantity, 0))
+
+// Create the replacement order of an exchange, with stock taken for it. exchangeVariants maps a return
+// item _id to the variant sent instead (same product), otherwise the same variant is sent again.
+const createExchangeOrder = async (tenantDB, returnRequest, { exchangeVariants = {}, actor }) => {
+  const Order = require("../models/tenant/Order")(tenantDB)
+  const Product = require("../models/tenant/Product")(tenantDB)
+  const original = await Order.findById(returnRequest.orderId)
+  if (!original) {
+    return { success: false, error: "Original order not found", code: "ORDER_NOT_FOUND" }
+  }
+
+  const lines = []
+  for (const item of returnRequest.items) {
+    if (item.receivedQuantity === 0) continue
+    const product = await Product.findById(item.productId)
+    if (!product) {
+      return { success: false, error: `${item.name} is no longer available`, code: "PRODUCT_NOT_FOUND" }
+    }
+    const built = buildOrderLine(product, {
+      variantId: exchangeVariants[item._id.toString()] || item.variantId,
+      quantity: item.receivedQuantity,
+    })
+    if (!built.success) return built
+    // The customer already paid for these items
+    lines.push({ ...built.line, price: 0, total: 0, taxableValue: 0 })
+  }
+
+  const reference = { type: "Return", id: returnRequest._id.toString(), number: returnRequest.returnNumber }
+  try {
+    await reserveStock(tenantDB, lines, { actor, reference })
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code || "INSUFFICIENT_STOCK" }
+  }
+
+  try {
+    const order = new Order({
+      customerId: original.customerId,
+      isGuestOrder: original.isGuestOrder,
+      customerInfo: original.customerInfo,
+      items: lines,
+      subtotal: 0,
+      total: 0,
+      status: "confirmed",
+      paymentStatus: "paid",
+      paymentMethod: original.paymentMethod,
+      paidAt: new Date(),
+      notes: `Exchange for return ${returnRequest.returnNumber} (order ${original.orderNumber})`,
+      exchangeFor: { returnId: returnRequest._id, returnNumber: returnRequest.returnNumber, orderId: original._id },
+      stockReservation: buildReservation(true),
+    })
+    order.statusHistory = buildInitialHistory(order, {
+      actor,
+      note: `Exchange for return ${returnRequest.returnNumber}`,
+    })
+    await order.save()
+    return { success: true, order }
+  } catch (error) {
+    await returnLinesStock(Product, lines, { type: "cancel", reason: "Exchange order not created", actor, reference })
+    throw error
+  }
+}
+
+/**
+ * Complete a received return with the merchant's resolution.
+ * refund: an approved Refund is created and paid out from the refunds screen; store_credit: added to the
+ * customer's balance; exchange: a replacement order is created.
+ * @param {object} options - { type, amount, note, exchangeVariants, refundMethod, actor }
+ */
+const resolveReturn = async (
+  tenantDB,
+  returnRequest,
+  { type, amount, note, exchangeVariants, refundMethod, actor } = {},
+) => {
+  const Settings = require("../models/tenant/Settings")(tenantDB)
+  const { resolutions } = getReturnSettings(await Settings.findOne())
+  if (!resolutions.includes(type)) {
+    return { success: false, error: "Invalid resolution", code: "INVALID_RESOLUTION", allowed: resolutions }
+  }
+  if (returnRequest.status !== "received") {
+    return {
+      success: false,
+      error: `Return cannot move from ${returnRequest.status} to completed`,
+      code: "INVALID_TRANSITION",
+      allowed: RETURN_TRANSITIONS[returnRequest.status] || [],
+    }
+  }
+
+  const receivedAmount = getReceivedAmount(returnRequest)
+  const resolution = {
+    type,
+    note,
+    status: type === "refund" ? "pending" : "completed",
+    resolvedAt: new Date(),
+    resolvedBy: actor?.name,
+  }
+  if (type !== "exchange") {
+    resolution.amount = amount === undefined || amount === null || amount === "" ? receivedAmount : Number(amount)
+    if (!(resolution.amount >= 0) || resolution.amount > receivedAmount) {
+      return {
+        success: false,
+        error: `Amount must be between 0 and ${receivedAmount}`,
+        code: "INVALID_AMOUNT",
+      }
+    }
+    resolution.amount = round(resolution.amount)
+  }
+  if (type === "refund" && resolution.amount > 0) {
+    const Order = require("../models/tenant/Order")(tenantDB)
+    const order = await Order.findById(returnRequest.orderId)
+    if (!order) {
+      return { success: false, error: "Original order not found", code: "ORDER_NOT_FOUND" }
+    }
+    const refund = await createRefund(tenantDB, order, {
+      amount: resolution.amount,
+      reason: `Return ${returnRequest.returnNumber}`,
+      source: "return",
+      method: refundMethod,
+      returnId: returnRequest._id,
+      actor,
+    })
+    if (!refund.success) return refund
+    resolution.refundId = refund.refund._id
+  } else if (type === "refund") {
+    resolution.status = "completed"
+  }
+  if (type === "exchange") {
+    const exchange = await createExchangeOrder(tenantDB, returnRequest, { exchangeVariants, actor })
+    if (!exchange.success) return exchange
+    resolution.exchangeOrderId = exchange.order._id
+    resolution.exchangeOrderNumber = exchange.order.orderNumber
+  }
+
+  const result = await transitionReturn(tenantDB, returnRequest, "completed", {
+    actor,
+    note: note || `Resolved with ${type.replace("_", " ")}`,
+    set: { resolution },
+  })
+  if (!result.success) {
+    if (resolution.refundId) {
+      const Refund = require("../models/tenant/Refund")(tenantDB)
+      await Refund.deleteOne({ _id: resolution.refundId, status: "approved" })
+    }
+    if (type === "exchange") {
+      const Order = require("../models/tenant/Order")(tenantDB)
+      const exchangeOrder = await Order.findById(resolution.exchangeOrderId)
+      await transitionOrder(tenantDB, exchangeOrder, { status: "cancelled", actor, note: "Return already resolved" })
+    }
+    return result
+  }
+
+  if (type === "store_credit" && resolution.amount > 0) {
+    const Customer = require("../models/tenant/Customer")(tenantDB)
+    await Customer.updateOne({ _id: returnRequest.customerId }, { $inc: { storeCredit: resolution.amount } })
+    console.log(`💳 Store credit of ${resolution.amount} added for return ${returnRequest.returnNumber}`)
+    try {
+      await issueReturnCreditNote(tenantDB, result.returnRequest, actor)
+    } catch (error) {
+      console.error(`❌ Failed to issue credit note for return ${returnRequest.returnNumber}:`, error.message)
+    }
+  }
+  if (type === "exchange") {
+    console.log(`🔁 Exchange order ${resolution.exchangeOrderNumber} created for return ${returnRequest.returnNumber}`)
+  }
+
+  return result
+}
+
+module.exports = {
+  RETURN_REASONS,
+  RETURN_RESOLUTIONS,
+  RETURN_TRANSITIONS,
+  ITEM_CONDITIONS,
+  getReturnSettings,
+  getReturnDeadline,
+  getUnitAmount,
+  getReturnEligibility,
+  buildReturnHistoryEntry,
+  createReturnRequest,
+  transitionReturn,
+  receiveReturn,
+  getReceivedAmount,
+  resolveReturn,
+}
@@ -0,0 +1,195 @@
+// Shipping engine: matches the shipping address to a zone from Settings.shipping and prices the parcel
+// with the zone's (or the store default) rate table:
+// - flat: fixed charge per order
+// - weight: weight slabs on the actual weight (kg)
+// - volumetric: weight slabs on max(actual weight, L x W x H / divisor) with dimensions in cm
+// Orders above the free shipping threshold, or with a free_shipping offer, ship free.
+const { roundAmount } = require("./offers")
+const { normaliseState } = require("./tax")
+
+// Does a pincode match a zone pattern (exact, "560*" prefix or "560001-560099" range)?
+const matchesPincode = (pattern, pincode) => {
+  const code = String(pincode || "").trim()
+  const rule = String(pattern || "").trim()
+  if (!code || !rule) return false
+
+  if (rule.endsWith("*")) {
+    return code.startsWith(rule.slice(0, -1))
+  }
+  const range = rule.match(/^(\d+)\s*-\s*(\d+)$/)
+  if (range && /^\d+$/.test(code)) {
+    const value = Number(code)
+    return value >= Number(range[1]) && value <= Number(range[2])
+  }
+  return code === rule
+}
+
+/**
+ * Find the zone for an address. Pincode matches win over city matches, which win over state matches;
+ * within the same level the first zone in the list wins.
+ * @returns {{zone: object, matchedBy: string} | null}
+ */
+const matchZone = (zones = [], address = {}) => {
+  const pincode = address.zipCode || address.pincode
+  const city = normaliseState(address.city)
+  const state = normaliseState(address.state)
+  const activeZones = zones.filter((zone) => zone.isActive !== false)
+
+  const levels = [
+    {
+      matchedBy: "pincode",
+      test: (zone) =>
+        (zone.pincodes || []).some((rule) => matchesPincode(rule, pincode)) ||
+        (zone.areas || []).some((area) => /\d/.test(area) && matchesPincode(area, pincode)),
+    },
+    {
+      matchedBy: "city",
+      test: (zone) =>
+        !!city && [...(zone.cities || []), ...(zone.areas || [])].some((name) => normaliseState(name) === city),
+    },
+    {
+      matchedBy: "state",
+      test: (zone) =>
+        !!state && [...(zone.states || []), ...(zone.areas || [])].some((name) => normaliseState(name) === state),
+    },
+  ]
+
+  for (const { matchedBy, test } of levels) {
+    const zone = activeZones.find(test)
+    if (zone) return { zone, matchedBy }
+  }
+  return null
+}
+
+// Actual, volumetric and chargeable weight (kg) of the order lines
+const calculateParcelWeight = (lines, volumetricDivisor = 5000) => {
+  let actualWeight = 0
+  let volumetricWeight = 0
+
+  for (const line of lines) {
+    const quantity = line.quantity || 0
+    actualWeight += (Number(line.weight) || 0) * quantity
+
+    const { length = 0, width = 0, height = 0 } = line.dimensions || {}
+    volumetricWeight += ((length * width * height) / (volumetricDivisor || 5000)) * quantity
+  }
+
+  return {
+    actualWeight: roundAmount(actualWeight),
+    volumetricWeight: roundAmount(volumetricWeight),
+  }
+}
+
+// Price a weight against a slab table; weight above the last slab costs additionalPerKg per started kg
+const priceWeightSlabs = (weight, slabs = [], additionalPerKg = 0, fallbackCharge = 0) => {
+  const sorted = [...slabs].sort((a, b) => a.upTo - b.upTo)
+  if (sorted.length === 0) {
+    return fallbackCharge + Math.ceil(Math.max(0, weight)) * additionalPerKg
+  }
+
+  const slab = sorted.find((s) => weight <= s.upTo)
+  if (slab) return slab.charge
+
+  const last = sorted[sorted.length - 1]
+  return last.charge + Math.ceil(weight - last.upTo) * additionalPerKg
+}
+
+// Add business days (skipping weekends) to a date
+const addBusinessDays = (date, days) => {
+  const result = new Date(date)
+  let remaining = days
+  while (remaining > 0) {
+    result.setDate(result.getDate() + 1)
+    const day = result.getDay()
+    if (day !== 0 && day !== 6) remaining--
+  }
+  return result
+}
+
+// Delivery window for the zone (or the store default)
+const getDeliveryEstimate = (shippingSettings, zone, from = new Date()) => {
+  const minDays = zone?.minDeliveryDays ?? shippingSettings.minDeliveryDays ?? 2
+  const maxDays = Math.max(minDays, zone?.maxDeliveryDays ?? shippingSettings.maxDeliveryDays ?? minDays)
+
+  return {
+    minDays,
+    maxDays,
+    text:
+      zone?.deliveryTime ||
+      (zone?.minDeliveryDays == null && shippingSettings.deliveryTime) ||
+      `${minDays}-${maxDays} business days`,
+    earliest: addBusinessDays(from, minDays),
+    latest: addBusinessDays(from, maxDays),
+  }
+}
+
+/**
+ * Calculate the shipping charge and delivery estimate for an order.
+ * @param {object} shippingSettings - Settings.shipping
+ * @param {object} params
+ * @param {object[]} params.lines - order lines with quantity, weight and dimensions
+ * @param {object} [params.address] - shipping address ({ zipCode, city, state })
+ * @param {number} params.orderValue - order value after discounts (compared with the free shipping threshold)
+ * @param {boolean} [params.freeShipping] - a free_shipping offer applies
+ * @returns {{success: boolean, shipping?: number, error?: string, code?: string}}
+ */
+const calculateShipping = (shippingSettings, { lines, address = null, orderValue, freeShipping = false }) => {
+  const match = address ? matchZone(shippingSettings.zones, address) : null
+  const zone = match?.zone || null
+
+  if (address && !zone && shippingSettings.restrictToZones) {
+    return {
+      success: false,
+      error: "Sorry, we don't deliver to this address yet",
+      code: "SHIPPING_UNAVAILABLE",
+    }
+  }
+
+  const rateTable = zone || shippingSettings
+  const rateType = rateTable.rateType || "flat"
+  const flatCharge = zone?.charge ?? shippingSettings.charges ?? 0
+
+  const { actualWeight, volumetricWeight } = calculateParcelWeight(lines, shippingSettings.volumetricDivisor)
+  const chargeableWeight = rateType === "volumetric" ? Math.max(actualWeight, volumetricWeight) : actualWeight
+
+  let charge = flatCharge
+  if (rateType === "weight" || rateType === "volumetric") {
+    charge = priceWeightSlabs(chargeableWeight, rateTable.weightSlabs, rateTable.additionalPerKg || 0, flatCharge)
+  }
+  charge = roundAmount(Math.max(0, charge))
+
+  // Free shipping: offer, or order value above the (zone or store) threshold
+  const threshold = zone?.freeShippingAbove ?? shippingSettings.freeShippingAbove
+  let freeReason = null
+  if (freeShipping) {
+    freeReason = "offer"
+  } else if (shippingSettings.freeShippingEnabled && threshold != null && orderValue >= threshold) {
+    freeReason = "threshold"
+  }
+
+  return {
+    success: true,
+    shipping: freeReason ? 0 : charge,
+    shippingCharge: charge,
+    freeReason,
+    freeShippingAbove: shippingSettings.freeShippingEnabled ? threshold : null,
+    zone: zone ? { id: zone._id, name: zone.name, matchedBy: match.matchedBy } : null,
+    rateType,
+    weight: {
+      actual: actualWeight,
+      volumetric: volumetricWeight,
+      chargeable: roundAmount(chargeableWeight),
+    },
+    estimate: getDeliveryEstimate(shippingSettings, zone),
+  }
+}
+
+module.exports = {
+  matchesPincode,
+  matchZone,
+  calculateParcelWeight,
+  priceWeightSlabs,
+  addBusinessDays,
+  getDeliveryEstimate,
+  calculateShipping,
+}
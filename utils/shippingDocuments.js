@@ -0,0 +1,308 @@
+// Documents for packing and shipping orders: A4 packing slips (what goes in the box, with the gift note)
+// and 4x6 inch shipping labels (addresses, order number barcode, amount to collect on delivery).
+// Both take a list of orders and put every order on its own page(s), so a batch prints as one PDF.
+const { getSellerDetails } = require("./invoices")
+const {
+  PAGE_MARGIN,
+  FONT,
+  BOLD_FONT,
+  BORDER_COLOR,
+  MUTED_COLOR,
+  createDocument,
+  toBuffer,
+  formatAmount,
+  formatDate,
+  formatAddress,
+  loadImage,
+  renderBarcode,
+  drawTable,
+} = require("./pdf")
+
+// 4 x 6 inches in points
+const LABEL_SIZE = [288, 432]
+const LABEL_MARGIN = 12
+
+const PAID_STATUSES = ["paid", "partially_refunded", "refunded"]
+
+// Amount the courier collects on delivery: the total of unpaid COD orders, or the balance still due on a paid
+// order whose total went up in an edit (0 for fully paid orders)
+const getCodAmount = (order) =>
+  order.paymentMethod === "cod" && !PAID_STATUSES.includes(order.paymentStatus)
+    ? order.total || 0
+    : order.balanceDue || 0
+
+// Lines still to ship (fully cancelled lines are left out)
+const getShippableItems = (order) => order.items.filter((item) => item.quantity > 0)
+
+// Package weight in kg: the chargeable weight worked out at checkout, otherwise the item weights
+const getPackageWeight = (order) =>
+  order.shippingDetails?.chargeableWeight ||
+  getShippableItems(order).reduce((sum, item) => sum + (item.weight || 0) * item.quantity, 0)
+
+const describeOptions = (item) =>
+  item.variantOptions?.length > 0
+    ? item.variantOptions.map((option) => `${option.attributeName}: ${option.value}`).join(", ")
+    : item.variantName || ""
+
+/**
+ * Store details and currency printed on the documents.
+ * @param {object} options - { storeName } fallback when Settings.general.storeName is empty
+ */
+const getShippingDocumentContext = async (tenantDB, { storeName } = {}) => {
+  const Settings = require("../models/tenant/Settings")(tenantDB)
+  const settings = await Settings.findOne().lean()
+  const store = getSellerDetails(settings, storeName)
+  return { store, currency: settings?.general?.currency || "INR", logo: await loadImage(store.logo) }
+}
+
+const drawPackingSlip = async (doc, order, { store, currency, logo }) => {
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2
+  const top = PAGE_MARGIN
+  const detailsX = PAGE_MARGIN + 300
+  const detailsWidth = contentWidth - 300
+
+  // Store (left) and slip details with the order barcode (right)
+  let storeY = top
+  if (logo) {
+    doc.image(logo, PAGE_MARGIN, top, { fit: [140, 50] })
+    storeY = top + 58
+  }
+  doc.font(BOLD_FONT).fontSize(11).fillColor("black").text(store.name, PAGE_MARGIN, storeY, { width: 280 })
+  doc.font(FONT).fontSize(8.5).fillColor(MUTED_COLOR)
+  formatAddress(store.address).forEach((line) => doc.text(line, { width: 280 }))
+  if (store.phone) doc.text(`Phone: ${store.phone}`, { width: 280 })
+  const storeBottom = doc.y
+
+  doc
+    .font(BOLD_FONT)
+    .fontSize(16)
+    .fillColor("black")
+    .text("PACKING SLIP", detailsX, top, { width: detailsWidth, align: "right" })
+  doc.image(await renderBarcode(order.orderNumber), detailsX + detailsWidth - 170, doc.y + 4, { fit: [170, 45] })
+  doc.y += 55
+  const codAmount = getCodAmount(order)
+  ;[
+    ["Order No", order.orderNumber],
+    ["Order Date", formatDate(order.createdAt)],
+    ["Payment", codAmount > 0 ? `COD ${currency} ${formatAmount(codAmount, currency)}` : "Prepaid"],
+    ...(order.shippingDetails?.zoneName ? [["Shipping", order.shippingDetails.zoneName]] : []),
+  ].forEach(([label, value]) => {
+    const y = doc.y
+    doc
+      .font(FONT)
+      .fontSize(8.5)
+      .fillColor(MUTED_COLOR)
+      .text(label, detailsX, y, { width: detailsWidth / 2 })
+    doc
+      .font(BOLD_FONT)
+      .fillColor("black")
+      .text(value || "-", detailsX + detailsWidth / 2, y, { width: detailsWidth / 2, align: "right" })
+  })
+
+  // Ship to
+  let y = Math.max(storeBottom, doc.y) + 15
+  doc
+    .moveTo(PAGE_MARGIN, y)
+    .lineTo(PAGE_MARGIN + contentWidth, y)
+    .strokeColor(BORDER_COLOR)
+    .lineWidth(0.5)
+    .stroke()
+  const customer = order.customerInfo || {}
+  doc
+    .font(BOLD_FONT)
+    .fontSize(9)
+    .fillColor("black")
+    .text("Ship To", PAGE_MARGIN, y + 8, { width: 300 })
+  doc
+    .font(FONT)
+    .fontSize(8.5)
+    .text(customer.name || "", { width: 300 })
+  doc.fillColor(MUTED_COLOR)
+  formatAddress(customer.address).forEach((line) => doc.text(line, { width: 300 }))
+  if (customer.phone) doc.text(`Phone: ${customer.phone}`, { width: 300 })
+
+  // Items with a box to tick when packed
+  const items = getShippableItems(order)
+  y = drawTable(doc, {
+    columns: [
+      { header: "#", width: 25 },
+      { header: "Item", width: 250 },
+      { header: "SKU", width: 120 },
+      { header: "Qty", width: 60, align: "right" },
+      { header: "Packed", width: contentWidth - 455, align: "center" },
+    ],
+    rows: items.map((item, index) => [
+      String(index + 1),
+      [item.name, describeOptions(item)].filter(Boolean).join("\n"),
+      item.sku || "-",
+      String(item.quantity),
+      "[   ]",
+    ]),
+    y: doc.y + 15,
+    fontSize: 9,
+  })
+  const units = items.reduce((sum, item) => sum + item.quantity, 0)
+  const count = `${units} ${units === 1 ? "unit" : "units"} in ${items.length} ${items.length === 1 ? "line" : "lines"}`
+  doc
+    .font(BOLD_FONT)
+    .fontSize(9)
+    .fillColor("black")
+    .text(count, PAGE_MARGIN, y + 8, { width: contentWidth, align: "right" })
+
+  // Gift note in a box, then the customer's order notes
+  if (order.giftNote) {
+    doc.font(FONT).fontSize(10)
+    const noteHeight = doc.heightOfString(order.giftNote, { width: contentWidth - 20 }) + 30
+    let boxY = doc.y + 15
+    if (boxY + noteHeight > doc.page.height - PAGE_MARGIN) {
+      doc.addPage()
+      boxY = PAGE_MARGIN
+    }
+    doc.rect(PAGE_MARGIN, boxY, contentWidth, noteHeight).strokeColor(BORDER_COLOR).lineWidth(1).stroke()
+    doc
+      .font(BOLD_FONT)
+      .fontSize(9)
+      .fillColor("black")
+      .text("Gift Message", PAGE_MARGIN + 10, boxY + 8, { width: contentWidth - 20 })
+      .font(FONT)
+      .fontSize(10)
+      .text(order.giftNote, { width: contentWidth - 20 })
+    doc.y = boxY + noteHeight
+  }
+  if (order.notes) {
+    doc
+      .font(BOLD_FONT)
+      .fontSize(8.5)
+      .fillColor("black")
+      .text("Order notes: ", PAGE_MARGIN, doc.y + 12, { continued: true, width: contentWidth })
+      .font(FONT)
+      .fillColor(MUTED_COLOR)
+      .text(order.notes)
+  }
+}
+
+/**
+ * Render the packing slips of one or more orders (each order starts on a new page).
+ * @param {object[]} orders - Order documents
+ * @param {object} context - from getShippingDocumentContext()
+ * @returns {Promise<Buffer>}
+ */
+const renderPackingSlips = async (orders, context) => {
+  const doc = createDocument({ info: { Title: "Packing slips", Author: context.store.name } })
+  for (const [index, order] of orders.entries()) {
+    if (index > 0) doc.addPage()
+    await drawPackingSlip(doc, order, context)
+  }
+  return toBuffer(doc)
+}
+
+const drawShippingLabel = async (doc, order, { store, currency }) => {
+  const width = LABEL_SIZE[0] - LABEL_MARGIN * 2
+  const x = LABEL_MARGIN
+  const divider = (y) =>
+    doc
+      .moveTo(x, y)
+      .lineTo(x + width, y)
+      .strokeColor("black")
+      .lineWidth(1)
+      .stroke()
+
+  // From
+  doc.font(BOLD_FONT).fontSize(7).fillColor("black").text("FROM", x, LABEL_MARGIN, { width })
+  doc.font(FONT).fontSize(7.5).text(store.name, { width })
+  formatAddress(store.address).forEach((line) => doc.text(line, { width }))
+  if (store.phone) doc.text(`Phone: ${store.phone}`, { width })
+  let y = doc.y + 6
+  divider(y)
+
+  // To
+  const customer = order.customerInfo || {}
+  doc
+    .font(BOLD_FONT)
+    .fontSize(7)
+    .text("SHIP TO", x, y + 6, { width })
+  doc.fontSize(12).text(customer.name || "", { width })
+  doc.font(FONT).fontSize(10)
+  formatAddress(customer.address).forEach((line) => doc.text(line, { width }))
+  if (customer.phone) doc.font(BOLD_FONT).text(`Phone: ${customer.phone}`, { width })
+  y = doc.y + 6
+  divider(y)
+
+  // Order number barcode
+  doc.image(await renderBarcode(order.orderNumber, { height: 14 }), x + 10, y + 8, {
+    fit: [width - 20, 70],
+    align: "center",
+  })
+  y += 86
+  divider(y)
+
+  // Order details
+  const weight = getPackageWeight(order)
+  const units = getShippableItems(order).reduce((sum, item) => sum + item.quantity, 0)
+  const half = width / 2
+  doc.font(FONT).fontSize(7.5)
+  ;[
+    [`Order: ${order.orderNumber}`, `Date: ${formatDate(order.createdAt)}`],
+    [`Items: ${units}`, weight > 0 ? `Weight: ${Number(weight.toFixed(3))} kg` : ""],
+    ...(order.trackingNumber ? [[`AWB: ${order.trackingNumber}`, ""]] : []),
+  ].forEach(([left, right]) => {
+    doc.text(left, x, y + 6, { width: half, lineBreak: false })
+    doc.text(right, x + half, y + 6, { width: half, align: "right", lineBreak: false })
+    y += 11
+  })
+  y += 14
+
+  // Amount to collect
+  const codAmount = getCodAmount(order)
+  const boxHeight = 44
+  if (codAmount > 0) {
+    doc.rect(x, y, width, boxHeight).fill("black")
+    doc
+      .fillColor("white")
+      .font(BOLD_FONT)
+      .fontSize(9)
+      .text("CASH ON DELIVERY - COLLECT", x, y + 6, { width, align: "center" })
+      .fontSize(16)
+      .text(`${currency} ${formatAmount(codAmount, currency)}`, { width, align: "center" })
+    doc.fillColor("black")
+  } else {
+    doc.rect(x, y, width, boxHeight).strokeColor("black").lineWidth(1.5).stroke()
+    doc
+      .font(BOLD_FONT)
+      .fontSize(14)
+      .text("PREPAID", x, y + 8, { width, align: "center" })
+      .font(FONT)
+      .fontSize(8)
+      .text("Do not collect cash", { width, align: "center" })
+  }
+}
+
+/**
+ * Render 4x6 inch shipping labels of one or more orders, one label per page.
+ * @param {object[]} orders - Order documents
+ * @param {object} context - from getShippingDocumentContext()
+ * @returns {Promise<Buffer>}
+ */
+const renderShippingLabels = async (orders, context) => {
+  const doc = createDocument({
+    size: LABEL_SIZE,
+    margin: LABEL_MARGIN,
+    autoFirstPage: false,
+    info: { Title: "Shipping labels", Author: context.store.name },
+  })
+  for (const order of orders) {
+    doc.addPage({ size: LABEL_SIZE, margin: LABEL_MARGIN })
+    // Everything is drawn at fixed positions - never let text spill onto a new label
+    doc.page.margins.bottom = 0
+    await drawShippingLabel(doc, order, context)
+  }
+  return toBuffer(doc)
+}
+
+module.exports = {
+  getCodAmount,
+  getPackageWeight,
+  getShippingDocumentContext,
+  renderPackingSlips,
+  renderShippingLabels,
+}
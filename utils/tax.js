@@ -0,0 +1,139 @@
+// Tax engine: per-line tax from the product rate (falling back to the store rate in Settings.tax),
+// tax-inclusive or exclusive pricing, and the GST split for Indian stores:
+// - shipping to the store's own state: CGST + SGST (half each)
+// - shipping to another state: IGST
+const { roundAmount } = require("./offers")
+
+// Normalise a state name for comparison ("Tamil Nadu", " tamil  nadu " → "tamil nadu")
+const normaliseState = (state) =>
+  String(state || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+
+const isIndia = (country) => ["india", "in", "ind", ""].includes(normaliseState(country))
+
+// Tax configuration of the store from its Settings document
+const getTaxSettings = (settings) => {
+  const address = settings?.general?.address || {}
+  return {
+    enabled: !!settings?.tax?.enabled,
+    rate: Number(settings?.tax?.rate) || 0,
+    inclusive: !!settings?.tax?.inclusive,
+    gstin: settings?.tax?.gstin || "",
+    // GST applies to Indian stores (no country configured counts as India - the platform default)
+    gst: isIndia(address.country) && (settings?.general?.currency || "INR") === "INR",
+    storeState: address.state || "",
+  }
+}
+
+// Type of supply for GST: intra-state (CGST + SGST) or inter-state (IGST)
+const getSupplyType = (taxSettings, shippingState) => {
+  if (!taxSettings.enabled || !taxSettings.gst) return "none"
+  // Without a shipping state (e.g. cart preview) assume a local supply
+  if (!shippingState || !taxSettings.storeState) return "intra_state"
+  return normaliseState(shippingState) === normaliseState(taxSettings.storeState) ? "intra_state" : "inter_state"
+}
+
+// Tax rate for a line: the product's own rate (0 for zero-rated products), the store rate when it has none
+const getLineTaxRate = (line, taxSettings) => {
+  if (line.taxPercentage === null || line.taxPercentage === undefined || line.taxPercentage === "") {
+    return taxSettings.rate
+  }
+  const productRate = Number(line.taxPercentage)
+  return Number.isNaN(productRate) ? taxSettings.rate : productRate
+}
+
+// Spread an order level discount over the lines in proportion to their value
+const allocateDiscount = (lines, discount) => {
+  const subtotal = lines.reduce((sum, line) => sum + line.total, 0)
+  if (!discount || subtotal <= 0) return lines.map(() => 0)
+
+  let remaining = roundAmount(Math.min(discount, subtotal))
+  return lines.map((line, index) => {
+    const share = index === lines.length - 1 ? remaining : roundAmount((discount * line.total) / subtotal)
+    const allocated = Math.min(share, remaining)
+    remaining = roundAmount(remaining - allocated)
+    return allocated
+  })
+}
+
+/**
+ * Calculate tax for priced order lines.
+ * Returns copies of the lines with their tax breakdown plus the order level totals.
+ * With inclusive pricing the line prices already contain tax, so `tax` is informational
+ * and must not be added to the order total.
+ * @returns {{lines: object[], tax: number, inclusive: boolean, breakdown: object}}
+ */
+const calculateTax = (lines, { taxSettings, discount = 0, shippingState }) => {
+  const supplyType = getSupplyType(taxSettings, shippingState)
+  const discounts = allocateDiscount(lines, discount)
+
+  const breakdown = { supplyType, cgst: 0, sgst: 0, igst: 0, taxableValue: 0 }
+  let tax = 0
+
+  const taxedLines = lines.map((line, index) => {
+    const rate = taxSettings.enabled ? getLineTaxRate(line, taxSettings) : 0
+    const value = Math.max(0, line.total - discounts[index])
+
+    let taxableValue = value
+    let taxAmount = 0
+    if (rate > 0) {
+      if (taxSettings.inclusive) {
+        taxableValue = roundAmount(value / (1 + rate / 100))
+        taxAmount = roundAmount(value - taxableValue)
+      } else {
+        taxableValue = roundAmount(value)
+        taxAmount = roundAmount((value * rate) / 100)
+      }
+    }
+
+    const split = { cgst: 0, sgst: 0, igst: 0 }
+    if (supplyType === "intra_state") {
+      split.cgst = roundAmount(taxAmount / 2)
+      split.sgst = roundAmount(taxAmount - split.cgst)
+    } else if (supplyType === "inter_state") {
+      split.igst = taxAmount
+    }
+
+    breakdown.cgst += split.cgst
+    breakdown.sgst += split.sgst
+    breakdown.igst += split.igst
+    breakdown.taxableValue += taxableValue
+    tax += taxAmount
+
+    return {
+      ...line,
+      discount: discounts[index],
+      taxRate: rate,
+      taxableValue,
+      taxAmount,
+      ...split,
+    }
+  })
+
+  return {
+    lines: taxedLines,
+    tax: roundAmount(tax),
+    inclusive: taxSettings.enabled && taxSettings.inclusive,
+    breakdown: {
+      supplyType,
+      cgst: roundAmount(breakdown.cgst),
+      sgst: roundAmount(breakdown.sgst),
+      igst: roundAmount(breakdown.igst),
+      taxableValue: roundAmount(breakdown.taxableValue),
+      inclusive: taxSettings.enabled && taxSettings.inclusive,
+      storeState: taxSettings.storeState,
+      gstin: taxSettings.gstin,
+    },
+  }
+}
+
+module.exports = {
+  normaliseState,
+  getTaxSettings,
+  getSupplyType,
+  getLineTaxRate,
+  allocateDiscount,
+  calculateTax,
+}
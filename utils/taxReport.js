@@ -0,0 +1,113 @@
+// GST register for a period: invoices issued (at their invoiced values) and credit notes issued against them,
+// with the net taxable value and tax to file. Credit notes reduce the period they are issued in, whatever the
+// date of the invoice they credit.
+const { roundAmount } = require("./offers")
+
+const TAX_REPORT_COLUMNS = [
+  "documentType",
+  "documentNumber",
+  "documentDate",
+  "orderNumber",
+  "againstInvoice",
+  "customerName",
+  "placeOfSupply",
+  "supplyType",
+  "taxableValue",
+  "cgst",
+  "sgst",
+  "igst",
+  "tax",
+  "total",
+]
+
+const AMOUNT_FIELDS = ["taxableValue", "cgst", "sgst", "igst", "tax", "total"]
+
+const sumDocuments = (documents) => ({
+  count: documents.length,
+  ...Object.fromEntries(
+    AMOUNT_FIELDS.map((field) => [
+      field,
+      roundAmount(documents.reduce((sum, document) => sum + (document[field] || 0), 0)),
+    ]),
+  ),
+})
+
+// Invoice values of an order (orders invoiced before invoiceTotals was stored use their current values)
+const getInvoiceRow = (order) => {
+  const totals = order.invoiceTotals?.total !== undefined ? order.invoiceTotals : null
+  return {
+    documentType: "Invoice",
+    documentNumber: order.invoiceNumber,
+    documentDate: order.invoicedAt,
+    orderNumber: order.orderNumber,
+    againstInvoice: "",
+    customerName: order.customerInfo?.name || "",
+    placeOfSupply: order.customerInfo?.address?.state || "",
+    supplyType: totals?.supplyType || order.taxBreakdown?.supplyType || "none",
+    taxableValue: totals ? totals.taxableValue : order.taxBreakdown?.taxableValue || 0,
+    cgst: totals ? totals.cgst : order.taxBreakdown?.cgst || 0,
+    sgst: totals ? totals.sgst : order.taxBreakdown?.sgst || 0,
+    igst: totals ? totals.igst : order.taxBreakdown?.igst || 0,
+    tax: totals ? totals.tax : order.tax || 0,
+    total: totals ? totals.total : order.total || 0,
+  }
+}
+
+const getCreditNoteRow = (creditNote) => ({
+  documentType: "Credit Note",
+  documentNumber: creditNote.creditNoteNumber,
+  documentDate: creditNote.issuedAt,
+  orderNumber: creditNote.orderNumber,
+  againstInvoice: creditNote.invoiceNumber,
+  customerName: creditNote.customerInfo?.name || "",
+  placeOfSupply: creditNote.placeOfSupply || "",
+  supplyType: creditNote.supplyType,
+  taxableValue: creditNote.taxableValue,
+  cgst: creditNote.cgst,
+  sgst: creditNote.sgst,
+  igst: creditNote.igst,
+  tax: creditNote.tax,
+  total: creditNote.total,
+})
+
+/**
+ * Invoices and credit notes issued between two dates with their totals.
+ * @returns {Promise<{invoices: object[], creditNotes: object[], summary: {invoices: object, creditNotes: object, net: object}}>}
+ */
+const getTaxReport = async (tenantDB, { from, to }) => {
+  const Order = require("../models/tenant/Order")(tenantDB)
+  const CreditNote = require("../models/tenant/CreditNote")(tenantDB)
+
+  const [orders, creditNotes] = await Promise.all([
+    Order.find({ invoiceNumber: { $ne: null }, invoicedAt: { $gte: from, $lte: to } })
+      .select("orderNumber invoiceNumber invoicedAt invoiceTotals customerInfo taxBreakdown tax total")
+      .sort({ invoicedAt: 1 })
+      .lean(),
+    CreditNote.find({ issuedAt: { $gte: from, $lte: to } })
+      .select("-items")
+      .sort({ issuedAt: 1 })
+      .lean(),
+  ])
+
+  const invoiceRows = orders.map(getInvoiceRow)
+  const creditNoteRows = creditNotes.map(getCreditNoteRow)
+  const invoiceTotals = sumDocuments(invoiceRows)
+  const creditNoteTotals = sumDocuments(creditNoteRows)
+
+  return {
+    invoices: invoiceRows,
+    creditNotes: creditNoteRows,
+    summary: {
+      invoices: invoiceTotals,
+      creditNotes: creditNoteTotals,
+      net: Object.fromEntries(
+        AMOUNT_FIELDS.map((field) => [field, roundAmount(invoiceTotals[field] - creditNoteTotals[field])]),
+      ),
+    },
+  }
+}
+
+module.exports = {
+  TAX_REPORT_COLUMNS,
+  getTaxReport,
+}